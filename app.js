@@ -4,16 +4,13 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const { PrismaClient } = require('@prisma/client');
 const { emailListenerService } = require('./src/services/emailListener');
+const { enforceRoutePermissions } = require('./src/middleware/authMiddleware');
+const { resumeCampaigns } = require('./src/services/campaignService');
+const { startOutboxWorker, stopOutboxWorker } = require('./src/services/outboxService');
+const { startScheduledEmailDispatcher, stopScheduledEmailDispatcher } = require('./src/services/scheduledEmailService');
 
-  const userRoutes = require('./src/routes/users');
-  const notesRoutes = require('./src/routes/notes')
-  const tasksRoutes = require('./src/routes/tasks')
-  const appointmentRoutes = require('./src/routes/appointments')
-  const dealsRoutes = require('./src/routes/deals')
-  const filesRoutes = require('./src/routes/files')
   const authRoutes = require('./src/routes/auth');
-  const businessRoutes = require('./src/routes/businesses');
-  const databaseRoutes = require('./src/routes/database');
+  const protectedRouters = require('./src/routes/protectedRouters');
 require('dotenv').config();
 
 // Initialize Express app first
@@ -47,7 +44,7 @@ app.use(cors({
   origin: allowedOrigins,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Requested-With', 'Accept', 'Origin'],
   optionsSuccessStatus: 200 // For legacy browser support
 }));
 
@@ -68,13 +65,23 @@ app.use(helmet({
 app.use(morgan('combined'));
 
 // Basic rate limiting (simple implementation)
+const RATE_LIMIT_WINDOW_MS = (Number(process.env.RATE_LIMIT_WINDOW_MINUTES) || 15) * 60 * 1000;
+const RATE_LIMIT_MAX_REQUESTS = Number(process.env.RATE_LIMIT_MAX_REQUESTS) || 1000;
 const requestCounts = new Map();
 
+// Drop windows that have ended
+setInterval(() => {
+  const now = Date.now();
+  for (const [identifier, record] of requestCounts) {
+    if (now > record.resetTime) requestCounts.delete(identifier);
+  }
+}, RATE_LIMIT_WINDOW_MS).unref();
+
 function simpleRateLimit(req, res, next) {
   const identifier = req.ip || req.headers['x-forwarded-for'] || 'unknown';
   const now = Date.now();
-  const windowMs = 15 * 60 * 1000; // 15 minutes
-  const maxRequests = 100;
+  const windowMs = RATE_LIMIT_WINDOW_MS;
+  const maxRequests = RATE_LIMIT_MAX_REQUESTS;
   
   const record = requestCounts.get(identifier);
   
@@ -86,12 +93,13 @@ function simpleRateLimit(req, res, next) {
     return next();
   }
   
-  // if (record.count >= maxRequests) {
-  //   return res.status(429).json({
-  //     error: 'Too many requests',
-  //     message: 'Rate limit exceeded. Please try again later.',
-  //   });
-  // }
+  if (record.count >= maxRequests) {
+    res.set('Retry-After', String(Math.ceil((record.resetTime - now) / 1000)));
+    return res.status(429).json({
+      error: 'Too many requests',
+      message: 'Rate limit exceeded. Please try again later.',
+    });
+  }
   
   record.count++;
   next();
@@ -141,6 +149,8 @@ app.get('/health', async (req, res) => {
 });
 
 // Email service control endpoints
+app.use('/api/email', enforceRoutePermissions('/api/email'));
+
 app.post('/api/email/start-listener', async (req, res) => {
   try {
     await emailListenerService.start();
@@ -232,15 +242,13 @@ app.get('/db-inspector', (req, res) => {
 });
 
 
+  // Auth routes handle their own authentication
   app.use('/api/auth', authRoutes);
-  app.use('/api/users', userRoutes);
-  app.use('/api/notes', notesRoutes);
-  app.use('/api/tasks' , tasksRoutes)
-  app.use('/api/appointments', appointmentRoutes);
-  app.use('/api/deals', dealsRoutes);
-  app.use('/api/files', filesRoutes);
-  app.use('/api/businesses', businessRoutes);
-  app.use('/api/db', databaseRoutes); 
+
+  // Everything else is checked against the permission map in src/config/permissions.js
+  Object.entries(protectedRouters).forEach(([mountPath, router]) => {
+    app.use(mountPath, enforceRoutePermissions(mountPath, router), router);
+  });
 
 // Welcome route
 app.get('/', (req, res) => {
@@ -261,25 +269,6 @@ app.get('/', (req, res) => {
   });
 });
 
-// Import and use routes (after basic middleware is set up)
-try {
-  // Public routes (no authentication required)
-  app.use('/api/auth', authRoutes);
-  
-  // Protected routes (authentication required)
-  app.use('/api/users', userRoutes);
-  app.use('/api/notes', notesRoutes);
-  app.use('/api/tasks' , tasksRoutes)
-  app.use('/api/appointments', appointmentRoutes);
-  app.use('/api/deals', dealsRoutes);
-  app.use('/api/files', filesRoutes); 
-
-  console.log('✅ All routes loaded successfully');
-} catch (error) {
-  console.error('❌ Failed to load routes:', error.message);
-  // Continue without routes for now
-}
-
 // Start email listener service when app starts
 async function startEmailListener() {
   try {
@@ -321,18 +310,29 @@ async function startEmailListener() {
 process.on('SIGTERM', () => {
   console.log('🛑 SIGTERM received. Shutting down gracefully...');
   emailListenerService.stop();
+  stopOutboxWorker();
+  stopScheduledEmailDispatcher();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('🛑 SIGINT received. Shutting down gracefully...');
   emailListenerService.stop();
+  stopOutboxWorker();
+  stopScheduledEmailDispatcher();
   process.exit(0);
 });
 
 // Start email listener after a short delay to ensure app is ready
 setTimeout(startEmailListener, 2000);
 
+// Deliver queued and scheduled email, then continue campaigns that were mid-send when the server stopped
+setTimeout(() => {
+  startOutboxWorker();
+  startScheduledEmailDispatcher();
+  resumeCampaigns().catch(error => console.error('❌ Failed to resume campaigns:', error));
+}, 2000);
+
 // Start the server
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
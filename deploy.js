@@ -18,6 +18,9 @@ async function deploy() {
     const prisma = new PrismaClient();
     await prisma.$queryRaw`SELECT 1`;
     console.log('✅ Database connection successful');
+
+    // Step 3b: Map or move existing data the new schema's constraints would reject
+    execSync('node prisma/prepare-data.js', { stdio: 'inherit' });
     
     // Step 4: Database schema deployment with comprehensive error handling
     console.log('📋 Attempting database schema deployment...');
@@ -0,0 +1,124 @@
+// Minimal OIDC issuer for trying single sign-on locally.
+//
+//   MOCK_OIDC_EMAIL=admin@example.com node mock-oidc-issuer.js
+//
+// Then start the API with:
+//   OIDC_ISSUER=http://localhost:4010
+//   OIDC_CLIENT_ID=crm-local
+//   OIDC_CLIENT_SECRET=crm-local-secret
+//   OIDC_REDIRECT_URI=http://localhost:3000/api/auth/oidc/callback
+//
+// and open http://localhost:3000/api/auth/oidc/login. The authorize endpoint signs
+// the configured user in immediately (override per request with ?login_hint=email).
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PORT = Number(process.env.MOCK_OIDC_PORT) || 4010;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || 'crm-local';
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || 'crm-local-secret';
+const DEFAULT_EMAIL = process.env.MOCK_OIDC_EMAIL || 'admin@example.com';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const kid = crypto.randomBytes(8).toString('hex');
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' };
+
+// Issued authorization codes waiting to be exchanged
+const codes = new Map();
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(new URLSearchParams(data)));
+  });
+}
+
+function subjectFor(email) {
+  return `mock|${crypto.createHash('sha256').update(email).digest('hex').slice(0, 16)}`;
+}
+
+async function handleToken(req, res) {
+  const body = await readBody(req);
+  const pending = codes.get(body.get('code'));
+  codes.delete(body.get('code'));
+
+  if (!pending || body.get('client_id') !== CLIENT_ID || body.get('client_secret') !== CLIENT_SECRET) {
+    return sendJson(res, 400, { error: 'invalid_grant' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(body.get('code_verifier') || '').digest('base64url');
+  if (pending.codeChallenge && challenge !== pending.codeChallenge) {
+    return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const idToken = jwt.sign(
+    {
+      sub: subjectFor(pending.email),
+      email: pending.email,
+      email_verified: true,
+      nonce: pending.nonce,
+    },
+    privateKey,
+    { algorithm: 'RS256', keyid: kid, issuer: ISSUER, audience: CLIENT_ID, expiresIn: '5m' }
+  );
+
+  sendJson(res, 200, {
+    access_token: crypto.randomBytes(16).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken,
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+
+  if (url.pathname === '/.well-known/openid-configuration') {
+    return sendJson(res, 200, {
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authorize`,
+      token_endpoint: `${ISSUER}/token`,
+      jwks_uri: `${ISSUER}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+    });
+  }
+
+  if (url.pathname === '/jwks') {
+    return sendJson(res, 200, { keys: [jwk] });
+  }
+
+  if (url.pathname === '/authorize') {
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+      email: url.searchParams.get('login_hint') || DEFAULT_EMAIL,
+      nonce: url.searchParams.get('nonce'),
+      codeChallenge: url.searchParams.get('code_challenge'),
+    });
+
+    const redirect = new URL(url.searchParams.get('redirect_uri'));
+    redirect.searchParams.set('code', code);
+    redirect.searchParams.set('state', url.searchParams.get('state'));
+    res.writeHead(302, { Location: redirect.toString() });
+    return res.end();
+  }
+
+  if (url.pathname === '/token' && req.method === 'POST') {
+    return handleToken(req, res);
+  }
+
+  sendJson(res, 404, { error: 'not_found' });
+});
+
+server.listen(PORT, () => {
+  console.log(`🔑 Mock OIDC issuer running at ${ISSUER} (client ${CLIENT_ID}, user ${DEFAULT_EMAIL})`);
+});
@@ -0,0 +1,154 @@
+// Minimal SMTP server for trying outgoing email locally.
+//
+//   node mock-smtp-server.js
+//
+// Then start the API with:
+//   SMTP_HOST=localhost
+//   SMTP_PORT=2525
+//
+// Every message is accepted and logged (and written to MOCK_SMTP_SAVE_DIR as .eml
+// when set). To exercise the outbox retries, MOCK_SMTP_FAIL_RATE=0.5 answers half
+// of the messages with a temporary 451 error, and MOCK_SMTP_REJECT=bounce rejects
+// recipients whose address contains "bounce" with a permanent 550.
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.MOCK_SMTP_PORT) || 2525;
+const FAIL_RATE = Number(process.env.MOCK_SMTP_FAIL_RATE) || 0;
+const REJECT_PATTERN = process.env.MOCK_SMTP_REJECT ? new RegExp(process.env.MOCK_SMTP_REJECT, 'i') : null;
+const SAVE_DIR = process.env.MOCK_SMTP_SAVE_DIR;
+
+let received = 0;
+
+function handleConnection(socket) {
+  let buffer = '';
+  let state = 'command'; // command | auth-user | auth-pass | auth-plain | data
+  let envelope = { from: null, to: [] };
+  let dataLines = [];
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  const resetEnvelope = () => {
+    envelope = { from: null, to: [] };
+    dataLines = [];
+  };
+
+  const finishMessage = () => {
+    const raw = dataLines.join('\r\n');
+    const subject = raw.match(/^Subject: (.*)$/im)?.[1] || '(no subject)';
+    const to = envelope.to.join(', ');
+
+    if (Math.random() < FAIL_RATE) {
+      console.log(`⏳ Deferred message to ${to}: ${subject}`);
+      reply('451 4.3.0 Temporary failure, try again later');
+    } else {
+      received += 1;
+      const id = `${Date.now()}.${received}@mock-smtp`;
+      console.log(`📨 #${received} ${envelope.from} -> ${to}: ${subject}`);
+      if (SAVE_DIR) {
+        fs.mkdirSync(SAVE_DIR, { recursive: true });
+        fs.writeFileSync(path.join(SAVE_DIR, `${Date.now()}-${received}.eml`), raw);
+      }
+      reply(`250 2.0.0 OK queued as ${id}`);
+    }
+    resetEnvelope();
+  };
+
+  const handleLine = (line) => {
+    if (state === 'data') {
+      if (line === '.') {
+        state = 'command';
+        finishMessage();
+      } else {
+        // Undo dot-stuffing
+        dataLines.push(line.startsWith('..') ? line.slice(1) : line);
+      }
+      return;
+    }
+
+    // Any credentials are accepted
+    if (state === 'auth-user') {
+      state = 'auth-pass';
+      return reply('334 UGFzc3dvcmQ6');
+    }
+    if (state === 'auth-pass' || state === 'auth-plain') {
+      state = 'command';
+      return reply('235 2.7.0 Authentication successful');
+    }
+
+    const [verb, ...rest] = line.split(' ');
+    const arg = rest.join(' ');
+
+    switch (verb.toUpperCase()) {
+      case 'EHLO':
+        reply(`250-mock-smtp Hello ${arg}`);
+        reply('250-AUTH PLAIN LOGIN');
+        reply('250-8BITMIME');
+        return reply('250 SIZE 26214400');
+      case 'HELO':
+        return reply('250 mock-smtp');
+      case 'AUTH': {
+        const [mechanism, initial] = arg.split(' ');
+        if (mechanism.toUpperCase() === 'LOGIN') {
+          state = 'auth-user';
+          return reply('334 VXNlcm5hbWU6');
+        }
+        if (mechanism.toUpperCase() === 'PLAIN') {
+          if (initial) return reply('235 2.7.0 Authentication successful');
+          state = 'auth-plain';
+          return reply('334 ');
+        }
+        return reply('504 5.5.4 Unrecognized authentication type');
+      }
+      case 'MAIL':
+        resetEnvelope();
+        envelope.from = arg.replace(/^FROM:\s*/i, '').replace(/[<>]/g, '').split(' ')[0];
+        return reply('250 2.1.0 OK');
+      case 'RCPT': {
+        const address = arg.replace(/^TO:\s*/i, '').replace(/[<>]/g, '').split(' ')[0];
+        if (REJECT_PATTERN && REJECT_PATTERN.test(address)) {
+          console.log(`🚫 Rejected recipient ${address}`);
+          return reply('550 5.1.1 Mailbox unavailable');
+        }
+        envelope.to.push(address);
+        return reply('250 2.1.5 OK');
+      }
+      case 'DATA':
+        if (envelope.to.length === 0) return reply('554 5.5.1 No valid recipients');
+        state = 'data';
+        return reply('354 End data with <CR><LF>.<CR><LF>');
+      case 'RSET':
+        resetEnvelope();
+        return reply('250 2.0.0 OK');
+      case 'NOOP':
+        return reply('250 2.0.0 OK');
+      case 'QUIT':
+        reply('221 2.0.0 Bye');
+        return socket.end();
+      default:
+        return reply('502 5.5.2 Command not implemented');
+    }
+  };
+
+  socket.setEncoding('utf8');
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      handleLine(line);
+    }
+  });
+  socket.on('error', () => {});
+
+  reply('220 mock-smtp ESMTP ready');
+}
+
+net.createServer(handleConnection).listen(PORT, () => {
+  console.log(`Mock SMTP server listening on localhost:${PORT}`);
+  if (FAIL_RATE) console.log(`  Deferring ${Math.round(FAIL_RATE * 100)}% of messages with 451`);
+  if (REJECT_PATTERN) console.log(`  Rejecting recipients matching ${REJECT_PATTERN}`);
+  if (SAVE_DIR) console.log(`  Saving messages to ${SAVE_DIR}`);
+});
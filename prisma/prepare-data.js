@@ -0,0 +1,233 @@
+// Data steps that must run before `prisma migrate deploy` / `prisma db push` can
+// apply schema.prisma to an existing database: values that would violate a new
+// constraint are mapped or cleared, and rows moved to their new tables, so the
+// schema change neither fails nor drops data.
+//
+//   npm run db:prepare
+//
+// Every step first checks the database's current shape, so the script does
+// nothing on a fresh or already-migrated database and is safe to run repeatedly.
+// Tables created here only get columns and a primary key; the schema push adds
+// the indexes and foreign keys.
+const { PrismaClient } = require('@prisma/client');
+const { LEGACY_FORMS, legacySchema } = require('../src/services/formService');
+
+const prisma = new PrismaClient();
+
+const STAFF_ROLES = `('SUPERADMIN', 'ADMIN', 'STAFF')`;
+
+async function tableExists(db, table) {
+  const rows = await db.$queryRawUnsafe(
+    `SELECT 1 FROM information_schema.tables WHERE table_schema = current_schema() AND table_name = $1`,
+    table
+  );
+  return rows.length > 0;
+}
+
+async function columnExists(db, table, column) {
+  const rows = await db.$queryRawUnsafe(
+    `SELECT 1 FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = $1 AND column_name = $2`,
+    table,
+    column
+  );
+  return rows.length > 0;
+}
+
+async function constraintExists(db, name) {
+  const rows = await db.$queryRawUnsafe(`SELECT 1 FROM pg_constraint WHERE conname = $1`, name);
+  return rows.length > 0;
+}
+
+// users.agentId used to be free text. Before it becomes a foreign key, values that
+// are a staff user's email or full name are mapped to that user's id and anything
+// else is cleared (and listed, so it can be reassigned by hand).
+async function linkClientAgents(db) {
+  if (!(await columnExists(db, 'users', 'agentId')) || (await constraintExists(db, 'users_agentId_fkey'))) {
+    return;
+  }
+
+  const mapped = await db.$executeRawUnsafe(`
+    WITH matches AS (
+      SELECT u.id AS "userId", min(a.id) AS "agentId", count(*) AS n
+      FROM users u
+      JOIN users a ON a.role::text IN ${STAFF_ROLES}
+        AND (lower(a.email) = lower(trim(u."agentId"))
+          OR lower(trim(a."firstName" || ' ' || a."lastName")) = lower(trim(u."agentId")))
+      WHERE u."agentId" IS NOT NULL
+        AND NOT EXISTS (SELECT 1 FROM users x WHERE x.id = u."agentId")
+      GROUP BY u.id
+    )
+    UPDATE users u SET "agentId" = m."agentId"
+    FROM matches m
+    WHERE u.id = m."userId" AND m.n = 1
+  `);
+
+  const invalidWhere = `"agentId" IS NOT NULL AND "agentId" NOT IN (SELECT id FROM users WHERE role::text IN ${STAFF_ROLES})`;
+  const unmatched = await db.$queryRawUnsafe(
+    `SELECT "agentId" AS value, count(*)::int AS clients FROM users WHERE ${invalidWhere} GROUP BY "agentId" ORDER BY 2 DESC`
+  );
+  const cleared = await db.$executeRawUnsafe(`UPDATE users SET "agentId" = NULL WHERE ${invalidWhere}`);
+
+  console.log(`👤 Client agents: mapped ${mapped} by staff email/name, cleared ${cleared} that match no staff user`);
+  unmatched.forEach(row => console.log(`   - "${row.value}" (${row.clients} client(s))`));
+}
+
+// Same normalization as tagService.normalizeTagName
+const normalizedTag = (column) => `regexp_replace(lower(trim(${column})), '[[:space:]_-]+', ' ', 'g')`;
+
+// user_tags rows used to carry the tag name. Create a catalog entry per distinct
+// normalized name, point each row at it, then drop the name column.
+async function moveTagsToCatalog(db) {
+  if (!(await tableExists(db, 'user_tags')) || !(await columnExists(db, 'user_tags', 'name'))) {
+    return;
+  }
+
+  await db.$executeRawUnsafe(`
+    CREATE TABLE IF NOT EXISTS "tags" (
+      "id" TEXT NOT NULL,
+      "name" TEXT NOT NULL,
+      "normalizedName" TEXT NOT NULL,
+      "color" TEXT NOT NULL DEFAULT '#6B7280',
+      "description" TEXT,
+      "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      "updatedAt" TIMESTAMP(3) NOT NULL,
+      CONSTRAINT "tags_pkey" PRIMARY KEY ("id")
+    )
+  `);
+
+  // The most used spelling of each tag becomes its display name
+  const created = await db.$executeRawUnsafe(`
+    INSERT INTO "tags" ("id", "name", "normalizedName", "updatedAt")
+    SELECT gen_random_uuid()::text, spelling.name, spelling.normalized, CURRENT_TIMESTAMP
+    FROM (
+      SELECT DISTINCT ON (${normalizedTag('name')})
+        ${normalizedTag('name')} AS normalized, trim(name) AS name
+      FROM user_tags
+      WHERE trim(name) <> ''
+      GROUP BY ${normalizedTag('name')}, trim(name)
+      ORDER BY ${normalizedTag('name')}, count(*) DESC, trim(name)
+    ) spelling
+    WHERE NOT EXISTS (SELECT 1 FROM "tags" t WHERE t."normalizedName" = spelling.normalized)
+  `);
+
+  await db.$executeRawUnsafe(`ALTER TABLE user_tags ADD COLUMN IF NOT EXISTS "tagId" TEXT`);
+  await db.$executeRawUnsafe(`ALTER TABLE user_tags ADD COLUMN IF NOT EXISTS "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP`);
+  const linked = await db.$executeRawUnsafe(`
+    UPDATE user_tags ut SET "tagId" = t.id
+    FROM "tags" t
+    WHERE ut."tagId" IS NULL AND t."normalizedName" = ${normalizedTag('ut.name')}
+  `);
+
+  // Blank names, and spellings of a tag the client already has
+  const blank = await db.$executeRawUnsafe(`DELETE FROM user_tags WHERE "tagId" IS NULL`);
+  const duplicates = await db.$executeRawUnsafe(`
+    DELETE FROM user_tags a USING user_tags b
+    WHERE a."userId" = b."userId" AND a."tagId" = b."tagId" AND a.id > b.id
+  `);
+
+  await db.$executeRawUnsafe(`ALTER TABLE user_tags DROP COLUMN "name"`);
+
+  console.log(`🏷️  Tags: created ${created}, linked ${linked} client tag(s), removed ${blank} blank and ${duplicates} duplicate(s)`);
+}
+
+// Form assignments used to reference the hard-coded 'form-1'..'form-10' list.
+// Create a definition with a first version for every form in use and pin each
+// assignment to it.
+async function moveFormsToDefinitions(db) {
+  if (!(await tableExists(db, 'user_forms')) || (await columnExists(db, 'user_forms', 'formVersionId'))) {
+    return;
+  }
+
+  await db.$executeRawUnsafe(`
+    CREATE TABLE IF NOT EXISTS "form_definitions" (
+      "id" TEXT NOT NULL,
+      "name" TEXT NOT NULL,
+      "description" TEXT,
+      "category" TEXT NOT NULL DEFAULT 'general',
+      "currentVersion" INTEGER NOT NULL DEFAULT 1,
+      "archived" BOOLEAN NOT NULL DEFAULT false,
+      "createdBy" TEXT,
+      "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      "updatedAt" TIMESTAMP(3) NOT NULL,
+      CONSTRAINT "form_definitions_pkey" PRIMARY KEY ("id")
+    )
+  `);
+  await db.$executeRawUnsafe(`
+    CREATE TABLE IF NOT EXISTS "form_versions" (
+      "id" TEXT NOT NULL,
+      "formId" TEXT NOT NULL,
+      "version" INTEGER NOT NULL,
+      "schema" JSONB NOT NULL,
+      "createdBy" TEXT,
+      "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT "form_versions_pkey" PRIMARY KEY ("id")
+    )
+  `);
+  // The legacy catalog, plus any other form id found on an assignment
+  const legacyIds = LEGACY_FORMS.map(form => form.id);
+  const otherForms = await db.$queryRawUnsafe(
+    `SELECT "formId" AS id, min("formName") AS name FROM user_forms WHERE NOT ("formId" = ANY($1)) GROUP BY "formId"`,
+    legacyIds
+  );
+  const forms = [...LEGACY_FORMS, ...otherForms.map(form => ({ ...form, category: 'general' }))];
+
+  for (const form of forms) {
+    await db.$executeRawUnsafe(
+      `INSERT INTO "form_definitions" ("id", "name", "category", "updatedAt")
+       VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+       ON CONFLICT ("id") DO NOTHING`,
+      form.id,
+      form.name,
+      form.category
+    );
+    await db.$executeRawUnsafe(
+      `INSERT INTO "form_versions" ("id", "formId", "version", "schema")
+       SELECT gen_random_uuid()::text, $1, 1, $2::jsonb
+       WHERE NOT EXISTS (SELECT 1 FROM "form_versions" WHERE "formId" = $1 AND "version" = 1)`,
+      form.id,
+      JSON.stringify(legacySchema(form.name))
+    );
+  }
+
+  await db.$executeRawUnsafe(`ALTER TABLE user_forms ADD COLUMN IF NOT EXISTS "formVersionId" TEXT`);
+  await db.$executeRawUnsafe(`ALTER TABLE user_forms ADD COLUMN IF NOT EXISTS "assignedBy" TEXT`);
+  await db.$executeRawUnsafe(`ALTER TABLE user_forms ADD COLUMN IF NOT EXISTS "assignedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP`);
+  await db.$executeRawUnsafe(`ALTER TABLE user_forms ADD COLUMN IF NOT EXISTS "dueDate" TIMESTAMP(3)`);
+  await db.$executeRawUnsafe(`ALTER TABLE user_forms ADD COLUMN IF NOT EXISTS "completedAt" TIMESTAMP(3)`);
+  const pinned = await db.$executeRawUnsafe(`
+    UPDATE user_forms uf SET "formVersionId" = v.id
+    FROM "form_versions" v
+    WHERE v."formId" = uf."formId" AND v."version" = 1
+  `);
+
+  console.log(`📝 Forms: ${forms.length} definition(s), pinned ${pinned} assignment(s)`);
+}
+
+const STEPS = [
+  ['Link client agents to staff users', linkClientAgents],
+  ['Move client tags into the tag catalog', moveTagsToCatalog],
+  ['Create form definitions for existing assignments', moveFormsToDefinitions],
+];
+
+async function prepareData() {
+  console.log('🔧 Preparing existing data for the schema...');
+
+  if (!(await tableExists(prisma, 'users'))) {
+    console.log('✅ Empty database, nothing to prepare');
+    return;
+  }
+
+  for (const [name, step] of STEPS) {
+    console.log(`🔄 ${name}`);
+    await prisma.$transaction(tx => step(tx), { timeout: 10 * 60 * 1000 });
+  }
+
+  console.log('✅ Data ready for the schema push');
+}
+
+prepareData()
+  .catch((error) => {
+    console.error('❌ Data preparation failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -7,4 +7,25 @@ const auth0Management = new ManagementClient({
   scope: 'read:users create:users update:users delete:users'
 });
 
-module.exports = auth0Management;
\ No newline at end of file
+// Single sign-on settings. They default to the Auth0 tenant above, but any OIDC
+// issuer works (including a local mock issuer for development).
+const oidcConfig = {
+  issuer: process.env.OIDC_ISSUER || (process.env.AUTH0_DOMAIN ? `https://${process.env.AUTH0_DOMAIN}/` : null),
+  clientId: process.env.OIDC_CLIENT_ID || process.env.AUTH0_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET || process.env.AUTH0_CLIENT_SECRET,
+  redirectUri: process.env.OIDC_REDIRECT_URI,
+  scope: process.env.OIDC_SCOPE || 'openid email profile',
+  // Where the browser is sent after the callback, with the tokens in the URL fragment.
+  // When unset the callback responds with JSON instead.
+  postLoginRedirect: process.env.OIDC_POST_LOGIN_REDIRECT,
+  // Roles whose accounts are linked to an SSO identity by matching email on first
+  // login. Staff accounts are left out by default so a provider account with the
+  // same address cannot take them over.
+  emailLinkRoles: (process.env.OIDC_EMAIL_LINK_ROLES || 'CLIENT')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean),
+};
+
+module.exports = auth0Management;
+module.exports.oidcConfig = oidcConfig;
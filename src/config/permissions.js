@@ -0,0 +1,331 @@
+// config/permissions.js - Central route permission map
+//
+// Every router mounted through enforceRoutePermissions() is checked against this
+// map. Each entry maps a method + path (relative to the mount point, Express-style
+// `:params`) to the roles allowed to call it. SUPERADMIN is always allowed.
+//
+// - roles: 'PUBLIC'   no authentication
+// - roles: 'WEBHOOK'  shared-secret webhook signature instead of a user token
+// - permission: 'x:y' check a fine-grained permission (services/permissionService.js)
+//                     instead of roles
+// - own: '<param>'    CLIENT users may call the route when that param is their own user id
+//
+// Routes that are not listed are denied to everyone but SUPERADMIN.
+
+const PUBLIC = 'PUBLIC';
+const WEBHOOK = 'WEBHOOK';
+
+const ADMIN = ['ADMIN'];
+const STAFF = ['ADMIN', 'STAFF'];
+const CLIENT = ['CLIENT'];
+const SUPERADMIN_ONLY = [];
+
+const routePermissions = {
+  '/api/users': [
+    { method: 'GET', path: '/', permission: 'users:read' },
+    { method: 'POST', path: '/', permission: 'users:write' },
+    { method: 'PATCH', path: '/emails/:emailId/read', roles: STAFF },
+    { method: 'POST', path: '/webhook/email', roles: WEBHOOK },
+    { method: 'GET', path: '/filter-options', permission: 'users:read' },
+    { method: 'GET', path: '/saved-filters', roles: STAFF },
+    { method: 'POST', path: '/saved-filters', roles: STAFF },
+    { method: 'PUT', path: '/saved-filters/:filterId', roles: STAFF },
+    { method: 'DELETE', path: '/saved-filters/:filterId', roles: STAFF },
+    { method: 'GET', path: '/tag-counts', permission: 'users:read' },
+    { method: 'GET', path: '/export', permission: 'users:read' },
+    { method: 'GET', path: '/import/fields', permission: 'users:read' },
+    { method: 'POST', path: '/import', permission: 'users:write' },
+    { method: 'GET', path: '/duplicates', permission: 'users:read' },
+    { method: 'POST', path: '/reassign-agent', permission: 'clients:assign' },
+    { method: 'GET', path: '/scheduled-emails', roles: STAFF },
+    { method: 'PUT', path: '/scheduled-emails/:emailId', permission: 'emails:send' },
+    { method: 'DELETE', path: '/scheduled-emails/:emailId', permission: 'emails:send' },
+    { method: 'GET', path: '/:id', permission: 'users:read', own: 'id' },
+    { method: 'DELETE', path: '/:id', permission: 'users:delete' },
+    { method: 'PUT', path: '/:id/custom-fields', permission: 'users:write' },
+    { method: 'PUT', path: '/:id/timezone', permission: 'users:write' },
+    { method: 'PUT', path: '/:id/agent', permission: 'clients:assign' },
+    { method: 'POST', path: '/:id/stage', permission: 'users:write' },
+    { method: 'GET', path: '/:id/stage-history', permission: 'users:read' },
+    { method: 'GET', path: '/:id/duplicates', permission: 'users:read' },
+    { method: 'POST', path: '/:id/merge', permission: 'users:write' },
+    { method: 'POST', path: '/:id/send-email', permission: 'emails:send' },
+    { method: 'GET', path: '/:id/emails', permission: 'users:read', own: 'id' },
+    { method: 'POST', path: '/:id/notes', permission: 'notes:write' },
+    { method: 'POST', path: '/:id/tasks', permission: 'tasks:write' },
+    { method: 'GET', path: '/:id/activities', permission: 'users:read' },
+    { method: 'GET', path: '/:id/activities/export', permission: 'users:read' },
+  ],
+
+  '/api/notes': [
+    { method: 'GET', path: '/', roles: STAFF },
+    { method: 'POST', path: '/', permission: 'notes:write' },
+    { method: 'GET', path: '/user/:userId', roles: STAFF },
+    { method: 'GET', path: '/:id', roles: STAFF },
+    { method: 'PUT', path: '/:id', permission: 'notes:write' },
+    { method: 'DELETE', path: '/:id', permission: 'notes:write' },
+  ],
+
+  '/api/tasks': [
+    { method: 'GET', path: '/', roles: STAFF },
+    { method: 'POST', path: '/', permission: 'tasks:write' },
+    { method: 'GET', path: '/stats', roles: STAFF },
+    { method: 'GET', path: '/export', roles: STAFF },
+    { method: 'GET', path: '/user/:userId', roles: STAFF, own: 'userId' },
+    { method: 'GET', path: '/:id', roles: STAFF },
+    { method: 'PUT', path: '/:id', permission: 'tasks:write' },
+    { method: 'DELETE', path: '/:id', permission: 'tasks:write' },
+    { method: 'PATCH', path: '/:id/complete', permission: 'tasks:write' },
+  ],
+
+  '/api/appointments': [
+    { method: 'GET', path: '/', roles: STAFF },
+    { method: 'POST', path: '/', permission: 'appointments:write' },
+    { method: 'GET', path: '/export', roles: STAFF },
+    { method: 'GET', path: '/user/:userId', roles: STAFF, own: 'userId' },
+    { method: 'GET', path: '/:id', roles: STAFF },
+    { method: 'PUT', path: '/:id', permission: 'appointments:write' },
+    { method: 'DELETE', path: '/:id', permission: 'appointments:write' },
+    { method: 'PATCH', path: '/:id/cancel', permission: 'appointments:write' },
+  ],
+
+  '/api/deals': [
+    { method: 'GET', path: '/user/:userId', roles: STAFF, own: 'userId' },
+    { method: 'GET', path: '/export', permission: 'deals:read' },
+    { method: 'POST', path: '/', permission: 'deals:write' },
+    { method: 'PUT', path: '/:dealId', permission: 'deals:write' },
+    { method: 'DELETE', path: '/:dealId', permission: 'deals:write' },
+    { method: 'PUT', path: '/:dealId/stages/:stageId', permission: 'deals:write' },
+    { method: 'POST', path: '/:dealId/stages/:stageId/documents', permission: 'deals:write' },
+    { method: 'PUT', path: '/:dealId/documents/:documentId/status', permission: 'documents:approve' },
+    { method: 'DELETE', path: '/:dealId/documents/:documentId', permission: 'deals:write' },
+  ],
+
+  '/api/files': [
+    { method: 'GET', path: '/all', roles: STAFF },
+    { method: 'GET', path: '/user/:userId', roles: STAFF, own: 'userId' },
+    { method: 'POST', path: '/user/:userId/upload', permission: 'files:write', own: 'userId' },
+    { method: 'DELETE', path: '/:fileId', permission: 'files:write' },
+  ],
+
+  // Business listings are public; only admins maintain them
+  '/api/businesses': [
+    { method: 'GET', path: '/', roles: PUBLIC },
+    { method: 'GET', path: '/:id', roles: PUBLIC },
+    { method: 'POST', path: '/', roles: ADMIN },
+    { method: 'PUT', path: '/:id', roles: ADMIN },
+    { method: 'DELETE', path: '/:id', roles: ADMIN },
+  ],
+
+  // Database inspector: read-only with db:inspect, destructive operations SUPERADMIN only
+  '/api/db': [
+    { method: 'GET', path: '/tables', permission: 'db:inspect' },
+    { method: 'POST', path: '/query', permission: 'db:inspect' },
+    { method: 'GET', path: '/stats', permission: 'db:inspect' },
+    { method: 'GET', path: '/table-structure/:tableName', permission: 'db:inspect' },
+    { method: 'GET', path: '/migration-status', permission: 'db:inspect' },
+    { method: 'POST', path: '/test-data', roles: SUPERADMIN_ONLY },
+    { method: 'POST', path: '/reset', roles: SUPERADMIN_ONLY },
+    { method: 'POST', path: '/delete-all', roles: SUPERADMIN_ONLY },
+    { method: 'POST', path: '/migrate', roles: SUPERADMIN_ONLY },
+    { method: 'POST', path: '/create-user', roles: SUPERADMIN_ONLY },
+    { method: 'POST', path: '/create-admin-user', roles: SUPERADMIN_ONLY },
+  ],
+
+  '/api/roles': [
+    { method: 'GET', path: '/permissions', permission: 'roles:manage' },
+    { method: 'GET', path: '/users/:userId/permissions', permission: 'roles:manage' },
+    { method: 'PUT', path: '/users/:userId/permissions', permission: 'roles:manage' },
+    { method: 'GET', path: '/', permission: 'roles:manage' },
+    { method: 'POST', path: '/', permission: 'roles:manage' },
+    { method: 'GET', path: '/:id', permission: 'roles:manage' },
+    { method: 'PUT', path: '/:id', permission: 'roles:manage' },
+    { method: 'DELETE', path: '/:id', permission: 'roles:manage' },
+    { method: 'POST', path: '/:id/users/:userId', permission: 'roles:manage' },
+    { method: 'DELETE', path: '/:id/users/:userId', permission: 'roles:manage' },
+  ],
+
+  '/api/tags': [
+    { method: 'GET', path: '/', roles: STAFF },
+    { method: 'POST', path: '/', permission: 'users:write' },
+    { method: 'POST', path: '/bulk/apply', permission: 'users:write' },
+    { method: 'POST', path: '/bulk/remove', permission: 'users:write' },
+    { method: 'PUT', path: '/:id', permission: 'tags:manage' },
+    { method: 'DELETE', path: '/:id', permission: 'tags:manage' },
+    { method: 'POST', path: '/:id/merge', permission: 'tags:manage' },
+  ],
+
+  '/api/pipeline': [
+    { method: 'GET', path: '/', roles: STAFF },
+    { method: 'GET', path: '/funnel', roles: STAFF },
+    { method: 'POST', path: '/stages', permission: 'pipeline:manage' },
+    { method: 'PUT', path: '/stages/:stageId', permission: 'pipeline:manage' },
+    { method: 'DELETE', path: '/stages/:stageId', permission: 'pipeline:manage' },
+    { method: 'PUT', path: '/stages/:stageId/transitions', permission: 'pipeline:manage' },
+  ],
+
+  // Soft-deleted records; purging is only allowed after the retention period
+  '/api/trash': [
+    { method: 'GET', path: '/', permission: 'trash:manage' },
+    { method: 'POST', path: '/purge', permission: 'trash:manage' },
+    { method: 'GET', path: '/:type', permission: 'trash:manage' },
+    { method: 'POST', path: '/:type/:id/restore', permission: 'trash:manage' },
+    { method: 'DELETE', path: '/:type/:id', permission: 'trash:manage' },
+  ],
+
+  '/api/custom-fields': [
+    { method: 'GET', path: '/', roles: STAFF },
+    { method: 'POST', path: '/', permission: 'customFields:manage' },
+    { method: 'PUT', path: '/:id', permission: 'customFields:manage' },
+    { method: 'DELETE', path: '/:id', permission: 'customFields:manage' },
+  ],
+
+  '/api/forms': [
+    { method: 'POST', path: '/assign', permission: 'users:write' },
+    { method: 'GET', path: '/user/:userId', roles: STAFF, own: 'userId' },
+    { method: 'DELETE', path: '/assignments/:assignmentId', permission: 'users:write' },
+    { method: 'GET', path: '/submissions', roles: STAFF },
+    { method: 'GET', path: '/submissions/:submissionId', roles: STAFF },
+    { method: 'GET', path: '/submissions/:submissionId/pdf', roles: STAFF },
+    { method: 'PUT', path: '/submissions/:submissionId/review', roles: STAFF },
+    { method: 'GET', path: '/', roles: STAFF },
+    { method: 'POST', path: '/', permission: 'forms:manage' },
+    { method: 'GET', path: '/:id', roles: STAFF },
+    { method: 'PUT', path: '/:id', permission: 'forms:manage' },
+    { method: 'POST', path: '/:id/versions', permission: 'forms:manage' },
+    { method: 'GET', path: '/:id/submissions/export', roles: STAFF },
+  ],
+
+  '/api/email-templates': [
+    { method: 'GET', path: '/', roles: STAFF },
+    { method: 'GET', path: '/variables', roles: STAFF },
+    { method: 'GET', path: '/stats', roles: STAFF },
+    { method: 'POST', path: '/', permission: 'emailTemplates:manage' },
+    { method: 'GET', path: '/:id', roles: STAFF },
+    { method: 'PUT', path: '/:id', permission: 'emailTemplates:manage' },
+    { method: 'DELETE', path: '/:id', permission: 'emailTemplates:manage' },
+    { method: 'POST', path: '/:id/preview', roles: STAFF },
+  ],
+
+  '/api/campaigns': [
+    { method: 'GET', path: '/unsubscribe', roles: PUBLIC },
+    { method: 'POST', path: '/unsubscribe', roles: PUBLIC },
+    { method: 'POST', path: '/bounces', roles: WEBHOOK },
+    { method: 'GET', path: '/', roles: STAFF },
+    { method: 'POST', path: '/', permission: 'campaigns:send' },
+    { method: 'POST', path: '/preview-audience', roles: STAFF },
+    { method: 'GET', path: '/:id', roles: STAFF },
+    { method: 'PUT', path: '/:id', permission: 'campaigns:send' },
+    { method: 'DELETE', path: '/:id', permission: 'campaigns:send' },
+    { method: 'GET', path: '/:id/recipients', roles: STAFF },
+    { method: 'POST', path: '/:id/send', permission: 'campaigns:send' },
+    { method: 'POST', path: '/:id/cancel', permission: 'campaigns:send' },
+  ],
+
+  // Open pixel and click redirect; requests carry a signature instead of a session
+  '/api/tracking': [
+    { method: 'GET', path: '/open/:emailId', roles: PUBLIC },
+    { method: 'GET', path: '/click/:emailId', roles: PUBLIC },
+  ],
+
+  '/api/outbox': [
+    { method: 'GET', path: '/', roles: STAFF },
+    { method: 'GET', path: '/stats', roles: STAFF },
+    { method: 'POST', path: '/retry-failed', roles: STAFF },
+    { method: 'GET', path: '/:id', roles: STAFF },
+    { method: 'POST', path: '/:id/retry', roles: STAFF },
+  ],
+
+  // Client portal; handlers only ever read the caller's own records
+  '/api/portal': [
+    { method: 'GET', path: '/me', roles: CLIENT },
+    { method: 'GET', path: '/deals', roles: CLIENT },
+    { method: 'POST', path: '/deals/:dealId/stages/:stageId/documents', roles: CLIENT },
+    { method: 'GET', path: '/emails', roles: CLIENT },
+    { method: 'POST', path: '/emails', roles: CLIENT },
+    { method: 'PATCH', path: '/emails/:emailId/read', roles: CLIENT },
+    { method: 'GET', path: '/appointments', roles: CLIENT },
+    { method: 'GET', path: '/forms', roles: CLIENT },
+    { method: 'POST', path: '/forms/:id/submit', roles: CLIENT },
+  ],
+
+  // Email listener controls defined in app.js
+  '/api/email': [
+    { method: 'GET', path: '/status', roles: STAFF },
+    { method: 'POST', path: '/start-listener', roles: ADMIN },
+    { method: 'POST', path: '/stop-listener', roles: ADMIN },
+    { method: 'POST', path: '/sync', roles: STAFF },
+    { method: 'POST', path: '/refresh-cache', roles: STAFF },
+    { method: 'POST', path: '/clear-processed-cache', roles: ADMIN },
+  ],
+};
+
+function matchPath(pattern, path) {
+  const patternParts = pattern.split('/').filter(Boolean);
+  const pathParts = path.split('/').filter(Boolean);
+
+  if (patternParts.length !== pathParts.length) {
+    return null;
+  }
+
+  const params = {};
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i].startsWith(':')) {
+      // A malformed escape like %E0%A4%A can't be a valid param, so it matches nothing
+      try {
+        params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+      } catch {
+        return null;
+      }
+    } else if (patternParts[i] !== pathParts[i]) {
+      return null;
+    }
+  }
+
+  return params;
+}
+
+// Find the rule for a request. Literal paths are listed before parameterised ones,
+// so the first match wins just like Express route order.
+function findRoutePermission(mountPath, method, path) {
+  const rules = routePermissions[mountPath] || [];
+  const normalizedMethod = method === 'HEAD' ? 'GET' : method;
+
+  for (const rule of rules) {
+    if (rule.method !== normalizedMethod) continue;
+    const params = matchPath(rule.path, path);
+    if (params) {
+      return { rule, params };
+    }
+  }
+
+  return null;
+}
+
+// List routes a router defines that have no entry in the map
+function findUnmappedRoutes(mountPath, router) {
+  const rules = routePermissions[mountPath] || [];
+  const unmapped = [];
+
+  for (const layer of router.stack) {
+    if (!layer.route) continue;
+    for (const method of Object.keys(layer.route.methods)) {
+      const covered = rules.some(rule =>
+        rule.method === method.toUpperCase() && rule.path === layer.route.path
+      );
+      if (!covered) {
+        unmapped.push(`${method.toUpperCase()} ${mountPath}${layer.route.path}`);
+      }
+    }
+  }
+
+  return unmapped;
+}
+
+module.exports = {
+  PUBLIC,
+  WEBHOOK,
+  routePermissions,
+  findRoutePermission,
+  findUnmappedRoutes,
+};
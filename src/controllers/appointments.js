@@ -1,9 +1,12 @@
 // controllers/appointments.controller.js
 const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('../services/softDeleteService');
 const { z } = require('zod');
 const { createActivity } = require('../services/activityService');
+const { getAgentScope } = require('../services/clientScopeService');
+const { ExportError, parseExportOptions, streamExport } = require('../services/exportService');
 
-const prisma = new PrismaClient();
+const prisma = withSoftDelete(new PrismaClient());
 
 // Validation schemas
 const createAppointmentSchema = z.object({
@@ -29,6 +32,21 @@ const updateAppointmentSchema = z.object({
   status: z.enum(['SCHEDULED', 'CANCELLED', 'COMPLETED']).optional(),
 });
 
+const APPOINTMENT_EXPORT_COLUMNS = [
+  { key: 'id', header: 'ID', value: appointment => appointment.id },
+  { key: 'title', header: 'Title', value: appointment => appointment.title },
+  { key: 'client', header: 'Client', value: appointment => `${appointment.client.firstName} ${appointment.client.lastName}` },
+  { key: 'clientEmail', header: 'Client Email', value: appointment => appointment.client.email },
+  { key: 'date', header: 'Date', value: appointment => appointment.date },
+  { key: 'startTime', header: 'Start', value: appointment => appointment.startTime },
+  { key: 'endTime', header: 'End', value: appointment => appointment.endTime },
+  { key: 'type', header: 'Type', value: appointment => appointment.type },
+  { key: 'location', header: 'Location', value: appointment => appointment.location },
+  { key: 'status', header: 'Status', value: appointment => appointment.status },
+  { key: 'notes', header: 'Notes', value: appointment => appointment.notes },
+  { key: 'createdAt', header: 'Created', value: appointment => appointment.createdAt },
+];
+
 class AppointmentsController {
   constructor() {
     this.getAppointments = this.getAppointments.bind(this);
@@ -38,20 +56,34 @@ class AppointmentsController {
     this.getAppointmentById = this.getAppointmentById.bind(this);
     this.getUserAppointments = this.getUserAppointments.bind(this);
     this.cancelAppointment = this.cancelAppointment.bind(this);
+    this.buildAppointmentWhere = this.buildAppointmentWhere.bind(this);
+    this.exportAppointments = this.exportAppointments.bind(this);
+  }
+
+  // Where clause for the appointment list filters, shared by the list and export
+  async buildAppointmentWhere(query, user) {
+    const { clientId, status, type } = query;
+    const whereClause = {};
+    
+    if (clientId) whereClause.clientId = clientId;
+    if (status) whereClause.status = status;
+    if (type) whereClause.type = type;
+
+    // Staff only see appointments with their own clients
+    const agentScope = await getAgentScope(user);
+    if (agentScope) whereClause.client = { agentId: agentScope };
+
+    return whereClause;
   }
 
   // Get all appointments
   async getAppointments(req, res) {
     try {
-      const { page = 1, limit = 10, clientId, status, type } = req.query;
+      const { page = 1, limit = 10 } = req.query;
       const pageNum = parseInt(page);
       const limitNum = parseInt(limit);
 
-      const whereClause = {};
-      
-      if (clientId) whereClause.clientId = clientId;
-      if (status) whereClause.status = status;
-      if (type) whereClause.type = type;
+      const whereClause = await this.buildAppointmentWhere(req.query, req.user);
 
       const appointments = await prisma.appointment.findMany({
         where: whereClause,
@@ -106,6 +138,35 @@ class AppointmentsController {
     }
   }
 
+  // Export appointments matching the list filters as CSV or XLSX
+  async exportAppointments(req, res) {
+    try {
+      const { format, columns } = parseExportOptions(req.query, APPOINTMENT_EXPORT_COLUMNS);
+      const whereClause = await this.buildAppointmentWhere(req.query, req.user);
+
+      await streamExport(res, {
+        filename: 'appointments',
+        format,
+        columns,
+        fetchBatch: (skip, take) => prisma.appointment.findMany({
+          where: whereClause,
+          include: {
+            client: { select: { firstName: true, lastName: true, email: true } },
+          },
+          orderBy: [{ date: 'asc' }, { startTime: 'asc' }, { id: 'asc' }],
+          skip,
+          take,
+        }),
+      });
+    } catch (error) {
+      if (error instanceof ExportError) {
+        return res.status(400).json({ error: 'Invalid export request', message: error.message });
+      }
+      console.error('Export appointments error:', error);
+      res.status(500).json({ error: 'Failed to export appointments' });
+    }
+  }
+
   // Create new appointment
   async createAppointment(req, res) {
     try {
@@ -0,0 +1,514 @@
+// controllers/campaigns.controller.js
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('../services/softDeleteService');
+const { z } = require('zod');
+const { getAgentScope } = require('../services/clientScopeService');
+const { FilterError, parseFilter } = require('../services/userFilterService');
+const { getCustomFieldMap } = require('../services/customFieldService');
+const { TemplateError, checkVariables } = require('../services/emailTemplateService');
+const {
+  CampaignError,
+  buildSegment,
+  previewSegment,
+  verifyUnsubscribeToken,
+  unsubscribe,
+  startCampaign,
+  cancelCampaign,
+  recordBounce,
+} = require('../services/campaignService');
+const { escapeHtml } = require('../utils/templateEngine');
+
+const prisma = withSoftDelete(new PrismaClient());
+
+// Validation schemas
+const listField = z.union([z.array(z.string()), z.string()]);
+
+const segmentSchema = z.object({
+  tags: listField.optional(),
+  tagMatch: z.enum(['any', 'all']).optional(),
+  stage: listField.optional(),
+  clientType: listField.optional(),
+  pipelineStageId: listField.optional(),
+  leadSource: listField.optional(),
+  state: listField.optional(),
+  agentId: listField.optional(),
+  match: z.enum(['any', 'all']).optional(),
+}).strict();
+
+// A segment is the shorthand fields, an advanced filter, a saved filter, or a mix (all must match)
+const audienceSchema = z.object({
+  segment: segmentSchema.default({}),
+  filter: z.any().optional(),
+  savedFilterId: z.string().uuid().optional(),
+});
+
+const createCampaignSchema = audienceSchema.extend({
+  name: z.string().trim().min(1, "Name is required").max(200),
+  templateId: z.string().uuid("Invalid template ID"),
+  variables: z.record(z.any()).default({}),
+  trackingEnabled: z.boolean().default(true),
+});
+
+const updateCampaignSchema = z.object({
+  name: z.string().trim().min(1, "Name is required").max(200).optional(),
+  templateId: z.string().uuid("Invalid template ID").optional(),
+  variables: z.record(z.any()).optional(),
+  trackingEnabled: z.boolean().optional(),
+  segment: segmentSchema.optional(),
+  filter: z.any().optional(),
+  savedFilterId: z.string().uuid().optional(),
+});
+
+const listCampaignsSchema = z.object({
+  status: z.enum(['DRAFT', 'SENDING', 'COMPLETED', 'CANCELLED']).optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+});
+
+const listRecipientsSchema = z.object({
+  status: z.enum(['PENDING', 'QUEUED', 'SENT', 'FAILED', 'BOUNCED', 'SKIPPED']).optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(50),
+});
+
+const unsubscribeSchema = z.object({
+  token: z.string().min(1, "Token is required"),
+});
+
+const bounceSchema = z.object({
+  email: z.string().email("Invalid email address"),
+  campaignId: z.string().uuid().optional(),
+  reason: z.string().max(1000).optional(),
+});
+
+function unsubscribePage(message, token) {
+  // Link scanners and mail previews follow GET links, so opting out takes a POST
+  const form = token ? `
+  <form method="post" action="unsubscribe">
+    <input type="hidden" name="token" value="${escapeHtml(token)}">
+    <button type="submit" style="padding:10px 24px;font-size:16px;cursor:pointer;">Unsubscribe</button>
+  </form>` : '';
+
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Unsubscribe</title></head>
+<body style="font-family:Arial,sans-serif;max-width:480px;margin:80px auto;text-align:center;color:#374151;">
+  <h2>Healthcare Biz Brokers</h2>
+  <p>${message}</p>${form}
+</body></html>`;
+}
+
+class CampaignsController {
+  constructor() {
+    this.getCampaigns = this.getCampaigns.bind(this);
+    this.previewAudience = this.previewAudience.bind(this);
+    this.createCampaign = this.createCampaign.bind(this);
+    this.getCampaign = this.getCampaign.bind(this);
+    this.getRecipients = this.getRecipients.bind(this);
+    this.updateCampaign = this.updateCampaign.bind(this);
+    this.deleteCampaign = this.deleteCampaign.bind(this);
+    this.sendCampaign = this.sendCampaign.bind(this);
+    this.cancelCampaign = this.cancelCampaign.bind(this);
+    this.unsubscribe = this.unsubscribe.bind(this);
+    this.unsubscribePage = this.unsubscribePage.bind(this);
+    this.recordBounce = this.recordBounce.bind(this);
+  }
+
+  // Filter group for the request's audience, or null when the saved filter is not the caller's
+  async resolveAudience(req, { segment, filter, savedFilterId }) {
+    let combined = filter;
+
+    if (savedFilterId) {
+      const savedFilter = await prisma.savedFilter.findFirst({
+        where: { id: savedFilterId, ownerId: req.user.id },
+      });
+      if (!savedFilter) {
+        return null;
+      }
+
+      const customFields = await getCustomFieldMap('USER');
+      const conditions = [parseFilter(savedFilter.filter, { customFields })];
+      if (filter) conditions.push(parseFilter(filter, { customFields }));
+      combined = { match: 'all', conditions };
+    }
+
+    return buildSegment({ segment, filter: combined, agentScope: await getAgentScope(req.user) });
+  }
+
+  // Campaign the caller may see: staff only see their own
+  async findCampaign(req, id) {
+    const agentScope = await getAgentScope(req.user);
+    return prisma.emailCampaign.findFirst({
+      where: { id, ...(agentScope && { createdBy: req.user.id }) },
+      include: { template: { select: { id: true, name: true, subject: true, variables: true, isActive: true } } },
+    });
+  }
+
+  async getCampaigns(req, res) {
+    try {
+      const { status, page, limit } = listCampaignsSchema.parse(req.query);
+      const agentScope = await getAgentScope(req.user);
+
+      const where = {
+        ...(status && { status }),
+        ...(agentScope && { createdBy: req.user.id }),
+      };
+
+      const [campaigns, total] = await Promise.all([
+        prisma.emailCampaign.findMany({
+          where,
+          include: { template: { select: { id: true, name: true } } },
+          orderBy: { createdAt: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit,
+        }),
+        prisma.emailCampaign.count({ where }),
+      ]);
+
+      res.json({
+        campaigns,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Get campaigns error:', error);
+      res.status(500).json({ error: 'Failed to fetch campaigns' });
+    }
+  }
+
+  // How many clients a segment would reach, before creating the campaign
+  async previewAudience(req, res) {
+    try {
+      const audience = audienceSchema.parse(req.body);
+
+      const segment = await this.resolveAudience(req, audience);
+      if (!segment) {
+        return res.status(404).json({ error: 'Saved filter not found' });
+      }
+
+      res.json(await previewSegment(segment));
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      if (error instanceof FilterError) {
+        return res.status(400).json({ error: 'Invalid segment', message: error.message });
+      }
+      console.error('Preview campaign audience error:', error);
+      res.status(500).json({ error: 'Failed to preview audience' });
+    }
+  }
+
+  async createCampaign(req, res) {
+    try {
+      const { name, templateId, variables, trackingEnabled, ...audience } = createCampaignSchema.parse(req.body);
+
+      const template = await prisma.emailTemplate.findUnique({ where: { id: templateId } });
+      if (!template || !template.isActive) {
+        return res.status(400).json({ error: 'Template not found or inactive' });
+      }
+      checkVariables(template, variables);
+
+      const segment = await this.resolveAudience(req, audience);
+      if (!segment) {
+        return res.status(404).json({ error: 'Saved filter not found' });
+      }
+
+      const { count } = await previewSegment(segment);
+
+      const campaign = await prisma.emailCampaign.create({
+        data: {
+          name,
+          trackingEnabled,
+          templateId,
+          variables,
+          segment,
+          recipientCount: count,
+          createdBy: req.user.id,
+        },
+      });
+
+      res.status(201).json({
+        message: 'Campaign created as a draft',
+        campaign,
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      if (error instanceof FilterError) {
+        return res.status(400).json({ error: 'Invalid segment', message: error.message });
+      }
+      if (error instanceof TemplateError) {
+        return res.status(400).json({ error: 'Invalid variables', message: error.message });
+      }
+      console.error('Create campaign error:', error);
+      res.status(500).json({ error: 'Failed to create campaign', message: error.message });
+    }
+  }
+
+  // A campaign with its counts and a breakdown of recipient statuses
+  async getCampaign(req, res) {
+    try {
+      const campaign = await this.findCampaign(req, req.params.id);
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+
+      const statusCounts = await prisma.campaignRecipient.groupBy({
+        by: ['status'],
+        where: { campaignId: campaign.id },
+        _count: { _all: true },
+      });
+
+      res.json({
+        campaign: {
+          ...campaign,
+          recipientStatus: Object.fromEntries(statusCounts.map(row => [row.status, row._count._all])),
+        },
+      });
+    } catch (error) {
+      console.error('Get campaign error:', error);
+      res.status(500).json({ error: 'Failed to fetch campaign' });
+    }
+  }
+
+  async getRecipients(req, res) {
+    try {
+      const { status, page, limit } = listRecipientsSchema.parse(req.query);
+
+      const campaign = await this.findCampaign(req, req.params.id);
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+
+      const where = { campaignId: campaign.id, ...(status && { status }) };
+      const [recipients, total] = await Promise.all([
+        prisma.campaignRecipient.findMany({
+          where,
+          include: { user: { select: { id: true, firstName: true, lastName: true } } },
+          orderBy: { email: 'asc' },
+          skip: (page - 1) * limit,
+          take: limit,
+        }),
+        prisma.campaignRecipient.count({ where }),
+      ]);
+
+      res.json({
+        recipients,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Get campaign recipients error:', error);
+      res.status(500).json({ error: 'Failed to fetch campaign recipients' });
+    }
+  }
+
+  // Drafts only; the segment is rebuilt when any audience field is sent
+  async updateCampaign(req, res) {
+    try {
+      const { name, templateId, variables, trackingEnabled, segment, filter, savedFilterId } = updateCampaignSchema.parse(req.body);
+
+      const existing = await this.findCampaign(req, req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+      if (existing.status !== 'DRAFT') {
+        return res.status(409).json({ error: 'Only draft campaigns can be edited' });
+      }
+
+      const data = { ...(name && { name }), ...(trackingEnabled !== undefined && { trackingEnabled }) };
+
+      if (templateId || variables) {
+        const template = await prisma.emailTemplate.findUnique({ where: { id: templateId || existing.templateId } });
+        if (!template || !template.isActive) {
+          return res.status(400).json({ error: 'Template not found or inactive' });
+        }
+        checkVariables(template, variables ?? existing.variables ?? {});
+        Object.assign(data, { templateId: template.id, ...(variables && { variables }) });
+      }
+
+      if (segment || filter || savedFilterId) {
+        const built = await this.resolveAudience(req, { segment: segment || {}, filter, savedFilterId });
+        if (!built) {
+          return res.status(404).json({ error: 'Saved filter not found' });
+        }
+        data.segment = built;
+        data.recipientCount = (await previewSegment(built)).count;
+      }
+
+      const campaign = await prisma.emailCampaign.update({
+        where: { id: existing.id },
+        data,
+      });
+
+      res.json({
+        message: 'Campaign updated successfully',
+        campaign,
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      if (error instanceof FilterError) {
+        return res.status(400).json({ error: 'Invalid segment', message: error.message });
+      }
+      if (error instanceof TemplateError) {
+        return res.status(400).json({ error: 'Invalid variables', message: error.message });
+      }
+      console.error('Update campaign error:', error);
+      res.status(500).json({ error: 'Failed to update campaign', message: error.message });
+    }
+  }
+
+  async deleteCampaign(req, res) {
+    try {
+      const existing = await this.findCampaign(req, req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+      if (existing.status !== 'DRAFT') {
+        return res.status(409).json({ error: 'Only draft campaigns can be deleted; cancel it instead' });
+      }
+
+      await prisma.emailCampaign.delete({ where: { id: existing.id } });
+
+      res.json({ message: 'Campaign deleted successfully' });
+    } catch (error) {
+      console.error('Delete campaign error:', error);
+      res.status(500).json({ error: 'Failed to delete campaign', message: error.message });
+    }
+  }
+
+  // Start sending. Recipients are fixed now and emails go out in the background.
+  async sendCampaign(req, res) {
+    try {
+      const existing = await this.findCampaign(req, req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+
+      const campaign = await startCampaign(existing.id);
+
+      res.status(202).json({
+        message: `Sending to ${campaign.recipientCount} client(s)`,
+        campaign,
+      });
+    } catch (error) {
+      if (error instanceof CampaignError) {
+        return res.status(409).json({ error: 'Cannot send campaign', message: error.message });
+      }
+      console.error('Send campaign error:', error);
+      res.status(500).json({ error: 'Failed to send campaign', message: error.message });
+    }
+  }
+
+  async cancelCampaign(req, res) {
+    try {
+      const existing = await this.findCampaign(req, req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+
+      await cancelCampaign(existing.id);
+
+      res.json({ message: 'Campaign cancelled' });
+    } catch (error) {
+      if (error instanceof CampaignError) {
+        return res.status(409).json({ error: 'Cannot cancel campaign', message: error.message });
+      }
+      console.error('Cancel campaign error:', error);
+      res.status(500).json({ error: 'Failed to cancel campaign', message: error.message });
+    }
+  }
+
+  // One-click unsubscribe (List-Unsubscribe-Post), the confirmation page's form
+  // and the frontend's confirm call. Browsers get a page back, everything else JSON.
+  async unsubscribe(req, res) {
+    const wantsHtml = req.accepts(['json', 'html']) === 'html';
+    const invalid = () => (wantsHtml
+      ? res.status(400).type('html').send(unsubscribePage('This unsubscribe link is not valid.'))
+      : res.status(400).json({ error: 'Invalid unsubscribe link' }));
+
+    try {
+      const { token } = unsubscribeSchema.parse({ ...req.query, ...req.body });
+
+      const user = await unsubscribe(token);
+      if (!user) {
+        return invalid();
+      }
+
+      if (wantsHtml) {
+        return res.type('html').send(unsubscribePage('You have been unsubscribed and will no longer receive campaign emails from us.'));
+      }
+      res.json({ message: 'You have been unsubscribed' });
+    } catch (error) {
+      if (error instanceof z.ZodError && !wantsHtml) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      if (error instanceof z.ZodError || error.name === 'JsonWebTokenError') {
+        return invalid();
+      }
+      console.error('Unsubscribe error:', error);
+      if (wantsHtml) {
+        return res.status(500).type('html').send(unsubscribePage('Something went wrong. Please try again later.'));
+      }
+      res.status(500).json({ error: 'Failed to unsubscribe' });
+    }
+  }
+
+  // The link in the email footer, opened in a browser. Only asks for confirmation;
+  // the opt-out happens when the form is posted.
+  async unsubscribePage(req, res) {
+    try {
+      const { token } = unsubscribeSchema.parse(req.query);
+      if (!verifyUnsubscribeToken(token)) {
+        return res.status(400).type('html').send(unsubscribePage('This unsubscribe link is not valid.'));
+      }
+
+      res.type('html').send(unsubscribePage('Do you want to stop receiving campaign emails from us?', token));
+    } catch (error) {
+      if (error instanceof z.ZodError || error.name === 'JsonWebTokenError') {
+        return res.status(400).type('html').send(unsubscribePage('This unsubscribe link is not valid.'));
+      }
+      console.error('Unsubscribe page error:', error);
+      res.status(500).type('html').send(unsubscribePage('Something went wrong. Please try again later.'));
+    }
+  }
+
+  // Bounce notifications from the mail provider
+  async recordBounce(req, res) {
+    try {
+      const bounce = bounceSchema.parse(req.body);
+
+      const recipient = await recordBounce(bounce);
+      if (!recipient) {
+        return res.status(404).json({ error: 'No sent campaign email found for this address' });
+      }
+
+      res.json({ message: 'Bounce recorded', campaignId: recipient.campaignId });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Record bounce error:', error);
+      res.status(500).json({ error: 'Failed to record bounce' });
+    }
+  }
+}
+
+module.exports = { CampaignsController };
@@ -0,0 +1,119 @@
+// controllers/clientImport.controller.js
+const { z } = require('zod');
+const { ImportError, IMPORT_FIELDS, planImport, executeImport } = require('../services/clientImportService');
+const { findAgent } = require('../services/clientService');
+const { getAgentScope } = require('../services/clientScopeService');
+const { findUnassignableForms } = require('../services/formService');
+
+// Multipart form fields arrive as strings
+const booleanField = z.union([z.boolean(), z.enum(['true', 'false'])])
+  .transform(value => value === true || value === 'true');
+
+const listField = z.union([z.array(z.string()), z.string()])
+  .transform(value => (Array.isArray(value) ? value : value.split(',')).map(item => item.trim()).filter(Boolean));
+
+const importOptionsSchema = z.object({
+  dryRun: booleanField.default('true'),
+  updateExisting: booleanField.default('true'),
+  sendOnboardingEmails: booleanField.default('false'),
+  mapping: z.string().optional(), // JSON object: { "Column header": "field" | null }
+  agentId: z.string().optional(),
+  tags: listField.optional(),
+  assignedForms: listField.optional(),
+});
+
+function withoutRowData(report) {
+  return {
+    ...report,
+    rows: report.rows.map(({ data, ...row }) => row),
+  };
+}
+
+class ClientImportController {
+  constructor() {
+    this.getImportFields = this.getImportFields.bind(this);
+    this.importClients = this.importClients.bind(this);
+  }
+
+  // Fields a column can be mapped to, with the headers recognised automatically
+  async getImportFields(req, res) {
+    res.json({
+      fields: Object.entries(IMPORT_FIELDS).map(([field, headers]) => ({ field, headers })),
+    });
+  }
+
+  // Import clients from a CSV or XLSX upload. Defaults to a dry run that only reports
+  // what would be created, updated or flagged as a conflict.
+  async importClients(req, res) {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded', message: 'Upload a .csv or .xlsx file as "file"' });
+      }
+
+      const options = importOptionsSchema.parse(req.body);
+
+      let mapping = {};
+      if (options.mapping) {
+        try {
+          mapping = JSON.parse(options.mapping);
+        } catch (parseError) {
+          return res.status(400).json({ error: 'Invalid mapping', message: 'mapping must be a JSON object' });
+        }
+      }
+
+      // Staff import into their own book of business
+      const agentScope = await getAgentScope(req.user);
+      const agentId = options.agentId || (req.user.role === 'STAFF' ? req.user.id : undefined);
+
+      if (agentScope && agentId !== agentScope) {
+        return res.status(403).json({ error: 'You can only import clients for yourself' });
+      }
+      if (agentId && !(await findAgent(agentId))) {
+        return res.status(400).json({ error: 'Assigned agent must be an active staff user' });
+      }
+
+      const unknownForms = await findUnassignableForms(options.assignedForms || []);
+      if (unknownForms.length > 0) {
+        return res.status(400).json({ error: `Unknown or archived form(s): ${unknownForms.join(', ')}` });
+      }
+
+      const plan = await planImport(req.file, {
+        mapping,
+        updateExisting: options.updateExisting,
+        agentScope,
+      });
+
+      if (options.dryRun) {
+        return res.json({
+          dryRun: true,
+          ...withoutRowData(plan),
+        });
+      }
+
+      const result = await executeImport(plan, {
+        performedBy: req.user.id,
+        agentId,
+        tags: options.tags,
+        assignedForms: options.assignedForms,
+        sendOnboardingEmails: options.sendOnboardingEmails,
+      });
+
+      res.json({
+        dryRun: false,
+        message: `Import finished: ${result.summary.create} created, ${result.summary.update} updated`,
+        ...result,
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      if (error instanceof ImportError) {
+        return res.status(400).json({ error: 'Import failed', message: error.message });
+      }
+      console.error('Import clients error:', error);
+      res.status(500).json({ error: 'Failed to import clients', message: error.message });
+    }
+  }
+}
+
+module.exports = { ClientImportController };
@@ -0,0 +1,193 @@
+// controllers/customFields.controller.js
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+const {
+  ENTITY_TYPES,
+  FIELD_TYPES,
+  CHOICE_TYPES,
+  toFieldKey,
+  getDefinitions,
+  findOptionsInUse,
+} = require('../services/customFieldService');
+
+const prisma = new PrismaClient();
+
+// Validation schemas
+const keySchema = z.string().regex(/^[a-z][a-z0-9_]*$/, "Key must be lowercase letters, numbers and underscores").max(50);
+const optionsSchema = z.array(z.string().trim().min(1).max(100)).max(100)
+  .refine(options => new Set(options).size === options.length, { message: "Options must be unique" });
+
+const listCustomFieldsSchema = z.object({
+  entityType: z.enum(ENTITY_TYPES).optional(),
+  includeArchived: z.enum(['true', 'false']).optional(),
+});
+
+const createCustomFieldSchema = z.object({
+  entityType: z.enum(ENTITY_TYPES),
+  label: z.string().trim().min(1, "Label is required").max(100),
+  key: keySchema.optional(),
+  type: z.enum(FIELD_TYPES),
+  options: optionsSchema.default([]),
+  required: z.boolean().default(false),
+  description: z.string().max(500).optional(),
+  order: z.number().int().min(0).optional(),
+}).refine(data => !CHOICE_TYPES.includes(data.type) || data.options.length > 0, {
+  message: "Select fields need at least one option",
+  path: ['options'],
+}).refine(data => CHOICE_TYPES.includes(data.type) || data.options.length === 0, {
+  message: "Only select fields have options",
+  path: ['options'],
+});
+
+// Key and type are fixed once created: filters, exports and stored values depend on them
+const updateCustomFieldSchema = z.object({
+  label: z.string().trim().min(1, "Label is required").max(100).optional(),
+  options: optionsSchema.optional(),
+  required: z.boolean().optional(),
+  description: z.string().max(500).nullable().optional(),
+  order: z.number().int().min(0).optional(),
+  archived: z.boolean().optional(),
+});
+
+class CustomFieldsController {
+  constructor() {
+    this.getCustomFields = this.getCustomFields.bind(this);
+    this.createCustomField = this.createCustomField.bind(this);
+    this.updateCustomField = this.updateCustomField.bind(this);
+    this.deleteCustomField = this.deleteCustomField.bind(this);
+  }
+
+  // Field definitions, optionally for one entity type (?entityType=USER|DEAL&includeArchived=true)
+  async getCustomFields(req, res) {
+    try {
+      const { entityType, includeArchived } = listCustomFieldsSchema.parse(req.query);
+      const options = { includeArchived: includeArchived === 'true' };
+
+      const entityTypes = entityType ? [entityType] : ENTITY_TYPES;
+      const definitions = await Promise.all(entityTypes.map(type => getDefinitions(type, options)));
+
+      res.json({ customFields: definitions.flat() });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Get custom fields error:', error);
+      res.status(500).json({ error: 'Failed to fetch custom fields' });
+    }
+  }
+
+  async createCustomField(req, res) {
+    try {
+      const validatedData = createCustomFieldSchema.parse(req.body);
+      const key = validatedData.key || toFieldKey(validatedData.label);
+
+      if (!keySchema.safeParse(key).success) {
+        return res.status(400).json({ error: 'Could not derive a key from the label; provide one' });
+      }
+
+      const existing = await prisma.customFieldDefinition.findUnique({
+        where: { entityType_key: { entityType: validatedData.entityType, key } },
+      });
+      if (existing) {
+        return res.status(400).json({ error: `A custom field with key "${key}" already exists` });
+      }
+
+      let { order } = validatedData;
+      if (order === undefined) {
+        const last = await prisma.customFieldDefinition.findFirst({
+          where: { entityType: validatedData.entityType },
+          orderBy: { order: 'desc' },
+        });
+        order = (last?.order ?? -1) + 1;
+      }
+
+      const customField = await prisma.customFieldDefinition.create({
+        data: { ...validatedData, key, order },
+      });
+
+      res.status(201).json({
+        message: 'Custom field created successfully',
+        customField,
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Create custom field error:', error);
+      res.status(500).json({ error: 'Failed to create custom field', message: error.message });
+    }
+  }
+
+  async updateCustomField(req, res) {
+    try {
+      const { id } = req.params;
+      const validatedData = updateCustomFieldSchema.parse(req.body);
+
+      const customField = await prisma.customFieldDefinition.findUnique({ where: { id } });
+      if (!customField) {
+        return res.status(404).json({ error: 'Custom field not found' });
+      }
+
+      if (validatedData.options) {
+        if (!CHOICE_TYPES.includes(customField.type)) {
+          return res.status(400).json({ error: 'Only select fields have options' });
+        }
+        if (validatedData.options.length === 0) {
+          return res.status(400).json({ error: 'Select fields need at least one option' });
+        }
+
+        const removed = customField.options.filter(option => !validatedData.options.includes(option));
+        const inUse = await findOptionsInUse(customField, removed);
+        if (inUse.length > 0) {
+          return res.status(400).json({
+            error: 'Options are still in use',
+            message: `Records still use ${inUse.join(', ')}; change their values before removing these options`,
+          });
+        }
+      }
+
+      const updated = await prisma.customFieldDefinition.update({
+        where: { id },
+        data: validatedData,
+      });
+
+      res.json({
+        message: 'Custom field updated successfully',
+        customField: updated,
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Update custom field error:', error);
+      res.status(500).json({ error: 'Failed to update custom field', message: error.message });
+    }
+  }
+
+  // Delete a field and every stored value. Archive it instead to keep the values.
+  async deleteCustomField(req, res) {
+    try {
+      const { id } = req.params;
+
+      const customField = await prisma.customFieldDefinition.findUnique({
+        where: { id },
+        include: { _count: { select: { values: true } } },
+      });
+      if (!customField) {
+        return res.status(404).json({ error: 'Custom field not found' });
+      }
+
+      await prisma.customFieldDefinition.delete({ where: { id } });
+
+      res.json({
+        message: 'Custom field deleted successfully',
+        valuesDeleted: customField._count.values,
+      });
+    } catch (error) {
+      console.error('Delete custom field error:', error);
+      res.status(500).json({ error: 'Failed to delete custom field', message: error.message });
+    }
+  }
+}
+
+module.exports = { CustomFieldsController };
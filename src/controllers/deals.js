@@ -1,80 +1,49 @@
 // controllers/deals.controller.js
 const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete, softDeleteDeal } = require('../services/softDeleteService');
 const { z } = require('zod');
 const { createActivity } = require('../services/activityService');
-const { uploadToCloudinary, deleteFromCloudinary, validateFile, formatFileSize } = require('../utils/cloudinaryHelper');
-
-// Helper function to calculate and update stage progress
-async function updateStageProgress(stageId) {
-  try {
-    // Get all documents for this stage
-    const documents = await prisma.dealDocument.findMany({
-      where: { stageId: stageId }
-    });
-
-    if (documents.length === 0) {
-      // No documents, stage is pending
-      await prisma.dealStage.update({
-        where: { id: stageId },
-        data: {
-          status: 'PENDING',
-          progress: 0
-        }
-      });
-      return;
-    }
-
-    // Calculate progress based on document statuses
-    const totalDocuments = documents.length;
-    const completedDocuments = documents.filter(doc => doc.status === 'COMPLETED').length;
-    const inProgressDocuments = documents.filter(doc => doc.status === 'IN_PROGRESS').length;
-
-    // Calculate progress percentage
-    let progress = 0;
-    let status = 'PENDING';
-
-    if (completedDocuments === totalDocuments) {
-      // All documents completed
-      progress = 100;
-      status = 'COMPLETED';
-    } else if (completedDocuments > 0 || inProgressDocuments > 0) {
-      // Some documents are completed or in progress
-      progress = Math.round(((completedDocuments + (inProgressDocuments * 0.5)) / totalDocuments) * 100);
-      status = 'IN_PROGRESS';
-    } else {
-      // All documents are pending
-      progress = 0;
-      status = 'PENDING';
-    }
-
-    // Update stage
-    await prisma.dealStage.update({
-      where: { id: stageId },
-      data: {
-        status: status,
-        progress: progress
-      }
-    });
-
-    console.log(`✅ Updated stage ${stageId}: ${status} (${progress}%)`);
-  } catch (error) {
-    console.error('Error updating stage progress:', error);
-  }
-}
-
-const prisma = new PrismaClient();
+const { getAgentScope, isClientInScope } = require('../services/clientScopeService');
+const { ExportError, parseExportOptions, streamExport } = require('../services/exportService');
+const { validateFile, formatFileSize } = require('../utils/cloudinaryHelper');
+const {
+  DEAL_DOCUMENT_TYPES,
+  MAX_DEAL_DOCUMENT_SIZE,
+  DocumentUploadError,
+  updateStageProgress,
+  storeStageDocument,
+} = require('../services/dealDocumentService');
+const {
+  FilterError,
+  parseFilter,
+  buildFilterWhere,
+  customFieldConditionsFromQuery,
+} = require('../services/userFilterService');
+const {
+  CUSTOM_FIELD_VALUES_INCLUDE,
+  getDefinitions,
+  getCustomFieldMap,
+  parseCustomFieldValues,
+  saveCustomFieldValues,
+  formatCustomFieldValues,
+  customFieldExportColumns,
+} = require('../services/customFieldService');
+
+const prisma = withSoftDelete(new PrismaClient());
 
 // Validation schemas
 const createDealSchema = z.object({
   name: z.string().min(1, "Deal name is required"),
   description: z.string().optional(),
   userId: z.string().min(1, "User ID is required"),
+  customFields: z.record(z.any()).optional(),
 });
 
 const updateDealSchema = z.object({
   name: z.string().min(1, "Deal name is required").optional(),
   description: z.string().optional(),
   status: z.enum(['ACTIVE', 'COMPLETED', 'CANCELLED', 'ON_HOLD']).optional(),
+  customFields: z.record(z.any()).optional(),
 });
 
 const updateStageSchema = z.object({
@@ -92,19 +61,64 @@ const getDealsSchema = z.object({
   status: z.string().optional(),
 });
 
+const exportDealsSchema = getDealsSchema.partial({ userId: true });
+
+const DEAL_EXPORT_COLUMNS = [
+  { key: 'id', header: 'ID', value: deal => deal.id },
+  { key: 'name', header: 'Deal', value: deal => deal.name },
+  { key: 'description', header: 'Description', value: deal => deal.description },
+  { key: 'status', header: 'Status', value: deal => deal.status },
+  { key: 'client', header: 'Client', value: deal => `${deal.user.firstName} ${deal.user.lastName}` },
+  { key: 'clientEmail', header: 'Client Email', value: deal => deal.user.email },
+  { key: 'businessName', header: 'Business Name', value: deal => deal.user.businessName },
+  { key: 'agent', header: 'Agent', value: deal => (deal.user.agent ? `${deal.user.agent.firstName} ${deal.user.agent.lastName}` : null) },
+  { key: 'currentStage', header: 'Current Stage', value: deal => deal.stages.find(stage => stage.status !== 'COMPLETED')?.name || 'Completed' },
+  { key: 'progress', header: 'Progress %', value: deal => (deal.stages.length
+    ? Math.round(deal.stages.reduce((sum, stage) => sum + stage.progress, 0) / deal.stages.length)
+    : 0) },
+  { key: 'documents', header: 'Documents', value: deal => deal._count.documents },
+  { key: 'createdAt', header: 'Created', value: deal => deal.createdAt },
+  { key: 'updatedAt', header: 'Updated', value: deal => deal.updatedAt },
+];
+
+// Where clauses for deal custom field filters: the ?custom.<key>= shorthand and a
+// ?filter= JSON definition, which for deals may only use custom fields
+async function buildCustomFieldClauses(query) {
+  const options = { fields: {}, customFields: await getCustomFieldMap('DEAL') };
+  const clauses = [];
+
+  const conditions = customFieldConditionsFromQuery(query, options.customFields);
+  if (conditions.length > 0) {
+    clauses.push(buildFilterWhere(parseFilter({ match: 'all', conditions }, options), options));
+  }
+
+  if (query.filter) {
+    let parsed;
+    try {
+      parsed = JSON.parse(query.filter);
+    } catch (parseError) {
+      throw new FilterError('filter must be valid JSON');
+    }
+    clauses.push(buildFilterWhere(parseFilter(parsed, options), options));
+  }
+
+  return clauses;
+}
+
 class DealsController {
   // Get user's deals with stages and documents
   async getUserDeals(req, res) {
     try {
       const { userId } = req.params;
       const { search, status } = req.query;
+      const customFieldClauses = await buildCustomFieldClauses(req.query);
 
       // Validate user exists
       const user = await prisma.user.findUnique({
         where: { id: userId }
       });
 
-      if (!user) {
+      if (!user || !isClientInScope(user, await getAgentScope(req.user))) {
         return res.status(404).json({ 
           error: 'User not found',
           message: `User with ID ${userId} does not exist` 
@@ -120,7 +134,8 @@ class DealsController {
             { name: { contains: search, mode: 'insensitive' } },
             { description: { contains: search, mode: 'insensitive' } },
           ]
-        })
+        }),
+        ...(customFieldClauses.length > 0 && { AND: customFieldClauses })
       };
 
       let deals = await prisma.deal.findMany({
@@ -130,19 +145,23 @@ class DealsController {
             orderBy: { order: 'asc' },
             include: {
               documents: {
+                where: { deletedAt: null },
                 orderBy: { createdAt: 'desc' }
               }
             }
           },
           documents: {
+            where: { deletedAt: null },
             orderBy: { createdAt: 'desc' }
-          }
+          },
+          customFieldValues: CUSTOM_FIELD_VALUES_INCLUDE
         },
         orderBy: { updatedAt: 'desc' }
       });
 
-      // If user has no deals, create a default one
-      if (deals.length === 0) {
+      // If user has no deals, create a default one (an empty filtered list is not "no deals")
+      const filtered = Boolean(search || status || customFieldClauses.length > 0);
+      if (deals.length === 0 && !filtered) {
         try {
           const defaultStages = [
             { name: 'Initial Assessment', description: 'Gather client information and business details', order: 1 },
@@ -169,13 +188,16 @@ class DealsController {
                 orderBy: { order: 'asc' },
                 include: {
                   documents: {
+                    where: { deletedAt: null },
                     orderBy: { createdAt: 'desc' }
                   }
                 }
               },
               documents: {
+                where: { deletedAt: null },
                 orderBy: { createdAt: 'desc' }
-              }
+              },
+              customFieldValues: CUSTOM_FIELD_VALUES_INCLUDE
             }
           });
 
@@ -193,6 +215,7 @@ class DealsController {
         name: deal.name,
         description: deal.description,
         status: deal.status.toLowerCase(),
+        customFields: formatCustomFieldValues(deal.customFieldValues),
         createdAt: deal.createdAt,
         updatedAt: deal.updatedAt,
         stages: deal.stages.map(stage => ({
@@ -234,6 +257,9 @@ class DealsController {
       });
 
     } catch (error) {
+      if (error instanceof FilterError) {
+        return res.status(400).json({ error: 'Invalid filter', message: error.message });
+      }
       console.error('Error fetching user deals:', error);
       res.status(500).json({ 
         error: 'Failed to fetch deals',
@@ -242,10 +268,77 @@ class DealsController {
     }
   }
 
+  // Export deals as CSV or XLSX, for one client (?userId=) or every client in scope,
+  // with the same search/status filters as the deal list
+  async exportDeals(req, res) {
+    try {
+      const { userId, search, status } = exportDealsSchema.parse(req.query);
+      const customColumns = customFieldExportColumns(await getDefinitions('DEAL'));
+      const { format, columns } = parseExportOptions(req.query, [...DEAL_EXPORT_COLUMNS, ...customColumns]);
+      const agentScope = await getAgentScope(req.user);
+      const customFieldClauses = await buildCustomFieldClauses(req.query);
+
+      const whereClause = {
+        ...(userId && { userId }),
+        ...(agentScope && { user: { agentId: agentScope } }),
+        ...(status && { status }),
+        ...(search && {
+          OR: [
+            { name: { contains: search, mode: 'insensitive' } },
+            { description: { contains: search, mode: 'insensitive' } },
+          ]
+        }),
+        ...(customFieldClauses.length > 0 && { AND: customFieldClauses })
+      };
+
+      await streamExport(res, {
+        filename: 'deals',
+        format,
+        columns,
+        fetchBatch: (skip, take) => prisma.deal.findMany({
+          where: whereClause,
+          include: {
+            user: {
+              select: {
+                firstName: true,
+                lastName: true,
+                email: true,
+                businessName: true,
+                agent: { select: { firstName: true, lastName: true } },
+              },
+            },
+            stages: {
+              orderBy: { order: 'asc' },
+              select: { name: true, status: true, progress: true },
+            },
+            _count: { select: { documents: { where: { deletedAt: null } } } },
+            customFieldValues: CUSTOM_FIELD_VALUES_INCLUDE,
+          },
+          orderBy: [{ updatedAt: 'desc' }, { id: 'desc' }],
+          skip,
+          take,
+        }),
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      if (error instanceof ExportError || error instanceof FilterError) {
+        return res.status(400).json({ error: 'Invalid export request', message: error.message });
+      }
+      console.error('Error exporting deals:', error);
+      res.status(500).json({ 
+        error: 'Failed to export deals',
+        message: error.message 
+      });
+    }
+  }
+
   // Create new deal with default stages
   async createDeal(req, res) {
     try {
       const validatedData = createDealSchema.parse(req.body);
+      const customFields = await parseCustomFieldValues('DEAL', validatedData.customFields);
       
       // Validate user exists
       const user = await prisma.user.findUnique({
@@ -287,6 +380,8 @@ class DealsController {
         }
       });
 
+      await saveCustomFieldValues('DEAL', deal.id, customFields);
+
       // Create activity log
       try {
         await createActivity({
@@ -306,11 +401,14 @@ class DealsController {
 
       res.status(201).json({
         success: true,
-        data: deal,
+        data: { ...deal, customFields },
         message: 'Deal created successfully'
       });
 
     } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
       console.error('Error creating deal:', error);
       res.status(500).json({ 
         error: 'Failed to create deal',
@@ -323,7 +421,10 @@ class DealsController {
   async updateDeal(req, res) {
     try {
       const { dealId } = req.params;
-      const validatedData = updateDealSchema.parse(req.body);
+      const { customFields, ...validatedData } = updateDealSchema.parse(req.body);
+      const customFieldValues = customFields
+        ? await parseCustomFieldValues('DEAL', customFields, { partial: true })
+        : {};
 
       const deal = await prisma.deal.findUnique({
         where: { id: dealId }
@@ -336,14 +437,18 @@ class DealsController {
         });
       }
 
+      await saveCustomFieldValues('DEAL', dealId, customFieldValues);
+
       const updatedDeal = await prisma.deal.update({
         where: { id: dealId },
         data: validatedData,
         include: {
+          customFieldValues: CUSTOM_FIELD_VALUES_INCLUDE,
           stages: {
             orderBy: { order: 'asc' },
             include: {
               documents: {
+                where: { deletedAt: null },
                 orderBy: { createdAt: 'desc' }
               }
             }
@@ -362,20 +467,25 @@ class DealsController {
           metadata: {
             dealId: updatedDeal.id,
             dealName: updatedDeal.name,
-            changes: validatedData,
+            changes: { ...validatedData, ...(customFields && { customFields: customFieldValues }) },
           },
         });
       } catch (activityError) {
         console.error('Failed to create activity:', activityError);
       }
 
+      const { customFieldValues: valueRows, ...dealData } = updatedDeal;
+
       res.json({
         success: true,
-        data: updatedDeal,
+        data: { ...dealData, customFields: formatCustomFieldValues(valueRows) },
         message: 'Deal updated successfully'
       });
 
     } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
       console.error('Error updating deal:', error);
       res.status(500).json({ 
         error: 'Failed to update deal',
@@ -384,6 +494,42 @@ class DealsController {
     }
   }
 
+  // Move a deal and its documents to the trash
+  async deleteDeal(req, res) {
+    try {
+      const { dealId } = req.params;
+
+      const deal = await prisma.deal.findUnique({
+        where: { id: dealId },
+        include: { user: { select: { id: true, agentId: true } } }
+      });
+
+      if (!deal || !isClientInScope(deal.user, await getAgentScope(req.user))) {
+        return res.status(404).json({ 
+          error: 'Deal not found',
+          message: `Deal with ID ${dealId} does not exist` 
+        });
+      }
+
+      const { deletedAt, documents } = await softDeleteDeal(deal, {
+        performedBy: req.user?.id || 'system'
+      });
+
+      res.json({
+        success: true,
+        data: { id: deal.id, deletedAt, documents },
+        message: 'Deal moved to trash'
+      });
+
+    } catch (error) {
+      console.error('Error deleting deal:', error);
+      res.status(500).json({ 
+        error: 'Failed to delete deal',
+        message: error.message 
+      });
+    }
+  }
+
   // Update stage status and progress
   async updateStage(req, res) {
     try {
@@ -413,6 +559,7 @@ class DealsController {
         data: validatedData,
         include: {
           documents: {
+            where: { deletedAt: null },
             orderBy: { createdAt: 'desc' }
           }
         }
@@ -467,16 +614,7 @@ class DealsController {
         });
       }
 
-      const validation = validateFile(req.file, [
-        'application/pdf',
-        'application/msword',
-        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-        'application/vnd.ms-excel',
-        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-        'image/jpeg',
-        'image/png',
-        'image/gif'
-      ], 10 * 1024 * 1024); // 10MB limit
+      const validation = validateFile(req.file, DEAL_DOCUMENT_TYPES, MAX_DEAL_DOCUMENT_SIZE);
 
       if (!validation.isValid) {
         return res.status(400).json({ 
@@ -503,49 +641,12 @@ class DealsController {
         });
       }
 
-      // Upload to Cloudinary or use fallback
-      let uploadResult;
-      let fileUrl;
-      
-      // Check if Cloudinary is configured
-      if (process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET) {
-        try {
-          uploadResult = await uploadToCloudinary(req.file.buffer, {
-            folder: `deals/${dealId}/stages/${stageId}`,
-            public_id: `${Date.now()}_${req.file.originalname.replace(/\.[^/.]+$/, '')}`
-          });
-          fileUrl = uploadResult.url;
-        } catch (uploadError) {
-          console.error('Cloudinary upload failed:', uploadError);
-          return res.status(500).json({ 
-            error: 'File upload failed',
-            message: 'Failed to upload file to cloud storage. Please try again.' 
-          });
-        }
-      } else {
-        // Fallback: Store file info without Cloudinary URL
-        console.log('⚠️  Cloudinary not configured, using fallback storage');
-        fileUrl = `local://${Date.now()}_${req.file.originalname}`;
-      }
-
-      // Save document to database
-      const document = await prisma.dealDocument.create({
-        data: {
-          name: req.file.originalname,
-          originalName: req.file.originalname,
-          fileUrl: fileUrl,
-          fileSize: req.file.size,
-          mimeType: req.file.mimetype,
-          status: status.toUpperCase(),
-          dealId: dealId,
-          stageId: stageId,
-          uploadedBy: req.user?.id || 'system',
-        }
+      // Upload, save and update stage progress based on document statuses
+      const document = await storeStageDocument(stage, req.file, {
+        status: status.toUpperCase(),
+        uploadedBy: req.user?.id || 'system',
       });
 
-      // Update stage progress based on document statuses
-      await updateStageProgress(stageId);
-
       // Create activity log
       try {
         await createActivity({
@@ -583,6 +684,9 @@ class DealsController {
       });
 
     } catch (error) {
+      if (error instanceof DocumentUploadError) {
+        return res.status(500).json({ error: 'File upload failed', message: error.message });
+      }
       console.error('Error uploading document:', error);
       res.status(500).json({ 
         error: 'Failed to upload document',
@@ -687,20 +791,10 @@ class DealsController {
         });
       }
 
-      // Delete from Cloudinary
-      try {
-        const fileInfo = getFileInfoFromUrl(document.fileUrl);
-        if (fileInfo) {
-          await deleteFromCloudinary(fileInfo.publicId);
-        }
-      } catch (cloudinaryError) {
-        console.error('Failed to delete from Cloudinary:', cloudinaryError);
-        // Continue with database deletion even if Cloudinary fails
-      }
-
-      // Delete from database
-      await prisma.dealDocument.delete({
-        where: { id: documentId }
+      // Soft delete; the stored file is removed when the trash is purged
+      await prisma.dealDocument.update({
+        where: { id: documentId },
+        data: { deletedAt: new Date() }
       });
 
       // Update stage progress based on remaining documents
@@ -718,6 +812,7 @@ class DealsController {
             dealId: document.dealId,
             stageId: document.stageId,
             documentId: document.id,
+            recordType: 'dealDocument',
             fileName: document.name,
           },
         });
@@ -0,0 +1,129 @@
+// controllers/duplicates.controller.js
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('../services/softDeleteService');
+const { z } = require('zod');
+const { getAgentScope, isClientInScope } = require('../services/clientScopeService');
+const { refreshEmailListenerCache } = require('../services/clientService');
+const {
+  MergeError,
+  MERGEABLE_FIELDS,
+  findDuplicatesForUser,
+  findDuplicateCandidates,
+  mergeUsers,
+} = require('../services/duplicateService');
+
+const prisma = withSoftDelete(new PrismaClient());
+
+// Validation schemas
+const duplicateQuerySchema = z.object({
+  minScore: z.coerce.number().int().min(1).optional(),
+  limit: z.coerce.number().int().min(1).max(500).optional(),
+});
+
+const mergeSchema = z.object({
+  duplicateId: z.string().uuid("Invalid duplicate user ID"),
+  preferDuplicate: z.array(z.enum(MERGEABLE_FIELDS)).optional(),
+});
+
+class DuplicatesController {
+  constructor() {
+    this.getDuplicateCandidates = this.getDuplicateCandidates.bind(this);
+    this.getUserDuplicates = this.getUserDuplicates.bind(this);
+    this.mergeUser = this.mergeUser.bind(this);
+  }
+
+  // Likely duplicate pairs across all clients in the caller's scope
+  async getDuplicateCandidates(req, res) {
+    try {
+      const { minScore, limit } = duplicateQuerySchema.parse(req.query);
+
+      const result = await findDuplicateCandidates({
+        agentScope: await getAgentScope(req.user),
+        minScore,
+        limit,
+      });
+
+      res.json(result);
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Get duplicate candidates error:', error);
+      res.status(500).json({ error: 'Failed to find duplicates' });
+    }
+  }
+
+  // Likely duplicates of a single client
+  async getUserDuplicates(req, res) {
+    try {
+      const { id } = req.params;
+      const { minScore } = duplicateQuerySchema.parse(req.query);
+      const agentScope = await getAgentScope(req.user);
+
+      const user = await prisma.user.findUnique({
+        where: { id },
+        select: { id: true, email: true, firstName: true, lastName: true, phone: true, businessName: true, agentId: true },
+      });
+
+      if (!user || !isClientInScope(user, agentScope)) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const candidates = await findDuplicatesForUser(user, { agentScope, minScore });
+
+      res.json({ candidates });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Get user duplicates error:', error);
+      res.status(500).json({ error: 'Failed to find duplicates' });
+    }
+  }
+
+  // Merge the duplicate into :id, which survives
+  async mergeUser(req, res) {
+    try {
+      const { id } = req.params;
+      const { duplicateId, preferDuplicate } = mergeSchema.parse(req.body);
+      const agentScope = await getAgentScope(req.user);
+
+      const users = await prisma.user.findMany({
+        where: { id: { in: [id, duplicateId] } },
+        select: { id: true, agentId: true },
+      });
+
+      if (users.length !== 2 || !users.every(user => isClientInScope(user, agentScope))) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const result = await mergeUsers(id, duplicateId, {
+        performedBy: req.user?.id,
+        preferDuplicate,
+      });
+
+      // The duplicate's email address no longer exists
+      await refreshEmailListenerCache();
+
+      const { password, twoFactorSecret, twoFactorRecoveryCodes, unlockTokenHash, emailWebhookSecret, ...user } = result.user;
+
+      res.json({
+        message: 'Users merged successfully',
+        user,
+        moved: result.moved,
+        fieldsUpdated: result.fieldsUpdated,
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      if (error instanceof MergeError) {
+        return res.status(400).json({ error: 'Merge failed', message: error.message });
+      }
+      console.error('Merge users error:', error);
+      res.status(500).json({ error: 'Failed to merge users', message: error.message });
+    }
+  }
+}
+
+module.exports = { DuplicatesController };
@@ -0,0 +1,266 @@
+// controllers/emailTemplates.controller.js
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('../services/softDeleteService');
+const { z } = require('zod');
+const { getAgentScope, isClientInScope } = require('../services/clientScopeService');
+const {
+  CLIENT_VARIABLES,
+  TemplateError,
+  ensureDefaultTemplates,
+  prepareTemplate,
+  checkVariables,
+  renderEmailTemplate,
+  resolveClientVariables,
+} = require('../services/emailTemplateService');
+const { getTemplateStats } = require('../services/trackingService');
+
+const prisma = withSoftDelete(new PrismaClient());
+
+// Validation schemas
+const variableNamesSchema = z.array(z.string().regex(/^[A-Za-z_]\w*$/, "Variable names must be letters, numbers and underscores"))
+  .max(100)
+  .refine(names => new Set(names).size === names.length, { message: "Variables must be unique" });
+
+const listTemplatesSchema = z.object({
+  search: z.string().optional(),
+  includeInactive: z.enum(['true', 'false']).optional(),
+});
+
+const createTemplateSchema = z.object({
+  name: z.string().trim().min(1, "Name is required").max(100),
+  subject: z.string().min(1, "Subject is required").max(500),
+  htmlBody: z.string().min(1, "Body is required").max(100000),
+  variables: variableNamesSchema.optional(), // Derived from the template when omitted
+  isActive: z.boolean().default(true),
+});
+
+const updateTemplateSchema = z.object({
+  name: z.string().trim().min(1, "Name is required").max(100).optional(),
+  subject: z.string().min(1, "Subject is required").max(500).optional(),
+  htmlBody: z.string().min(1, "Body is required").max(100000).optional(),
+  variables: variableNamesSchema.optional(),
+  isActive: z.boolean().optional(),
+});
+
+const statsSchema = z.object({
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+});
+
+const previewSchema = z.object({
+  userId: z.string().uuid("Invalid user ID").optional(),
+  variables: z.record(z.any()).default({}),
+});
+
+class EmailTemplatesController {
+  constructor() {
+    this.getTemplates = this.getTemplates.bind(this);
+    this.getTemplateVariables = this.getTemplateVariables.bind(this);
+    this.getTemplateStats = this.getTemplateStats.bind(this);
+    this.getTemplate = this.getTemplate.bind(this);
+    this.createTemplate = this.createTemplate.bind(this);
+    this.updateTemplate = this.updateTemplate.bind(this);
+    this.deleteTemplate = this.deleteTemplate.bind(this);
+    this.previewTemplate = this.previewTemplate.bind(this);
+  }
+
+  async getTemplates(req, res) {
+    try {
+      const { search, includeInactive } = listTemplatesSchema.parse(req.query);
+      await ensureDefaultTemplates();
+
+      const templates = await prisma.emailTemplate.findMany({
+        where: {
+          ...(includeInactive !== 'true' && { isActive: true }),
+          ...(search && { name: { contains: search, mode: 'insensitive' } }),
+        },
+        orderBy: { name: 'asc' },
+      });
+
+      res.json({ templates });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Get email templates error:', error);
+      res.status(500).json({ error: 'Failed to fetch email templates' });
+    }
+  }
+
+  // Variables that are filled in from the client when previewing or sending to a client
+  async getTemplateVariables(req, res) {
+    res.json({
+      variables: Object.entries(CLIENT_VARIABLES).map(([name, description]) => ({ name, description })),
+    });
+  }
+
+  // Open and click rates per template, over tracked emails sent in the optional date range
+  async getTemplateStats(req, res) {
+    try {
+      const { from, to } = statsSchema.parse(req.query);
+      const stats = await getTemplateStats({ from, to });
+
+      res.json({ stats });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Get email template stats error:', error);
+      res.status(500).json({ error: 'Failed to fetch email template stats' });
+    }
+  }
+
+  async getTemplate(req, res) {
+    try {
+      const template = await prisma.emailTemplate.findUnique({ where: { id: req.params.id } });
+      if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+
+      res.json({ template });
+    } catch (error) {
+      console.error('Get email template error:', error);
+      res.status(500).json({ error: 'Failed to fetch email template' });
+    }
+  }
+
+  async createTemplate(req, res) {
+    try {
+      const validatedData = createTemplateSchema.parse(req.body);
+      const variables = prepareTemplate(validatedData);
+
+      const existing = await prisma.emailTemplate.findUnique({ where: { name: validatedData.name } });
+      if (existing) {
+        return res.status(400).json({ error: `A template named "${validatedData.name}" already exists` });
+      }
+
+      const template = await prisma.emailTemplate.create({
+        data: { ...validatedData, variables, createdBy: req.user.id },
+      });
+
+      res.status(201).json({
+        message: 'Template created successfully',
+        template,
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      if (error instanceof TemplateError) {
+        return res.status(400).json({ error: 'Invalid template', message: error.message });
+      }
+      console.error('Create email template error:', error);
+      res.status(500).json({ error: 'Failed to create email template', message: error.message });
+    }
+  }
+
+  async updateTemplate(req, res) {
+    try {
+      const validatedData = updateTemplateSchema.parse(req.body);
+
+      const existing = await prisma.emailTemplate.findUnique({ where: { id: req.params.id } });
+      if (!existing) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+
+      if (validatedData.name && validatedData.name !== existing.name) {
+        const clash = await prisma.emailTemplate.findUnique({ where: { name: validatedData.name } });
+        if (clash) {
+          return res.status(400).json({ error: `A template named "${validatedData.name}" already exists` });
+        }
+      }
+
+      // Re-check the merged template so a body edit cannot use an undeclared variable
+      const variables = prepareTemplate({
+        subject: validatedData.subject ?? existing.subject,
+        htmlBody: validatedData.htmlBody ?? existing.htmlBody,
+        variables: validatedData.variables ?? existing.variables,
+      });
+
+      const template = await prisma.emailTemplate.update({
+        where: { id: existing.id },
+        data: { ...validatedData, variables },
+      });
+
+      res.json({
+        message: 'Template updated successfully',
+        template,
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      if (error instanceof TemplateError) {
+        return res.status(400).json({ error: 'Invalid template', message: error.message });
+      }
+      console.error('Update email template error:', error);
+      res.status(500).json({ error: 'Failed to update email template', message: error.message });
+    }
+  }
+
+  async deleteTemplate(req, res) {
+    try {
+      const existing = await prisma.emailTemplate.findUnique({ where: { id: req.params.id } });
+      if (!existing) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+
+      const campaigns = await prisma.emailCampaign.count({ where: { templateId: existing.id } });
+      if (campaigns > 0) {
+        return res.status(409).json({ error: 'Template is used by campaigns; deactivate it instead' });
+      }
+
+      await prisma.emailTemplate.delete({ where: { id: existing.id } });
+
+      res.json({ message: 'Template deleted successfully' });
+    } catch (error) {
+      console.error('Delete email template error:', error);
+      res.status(500).json({ error: 'Failed to delete email template', message: error.message });
+    }
+  }
+
+  // Render a template with a client's details and/or explicit variables. Variables
+  // that render empty are listed rather than treated as errors.
+  async previewTemplate(req, res) {
+    try {
+      const { userId, variables } = previewSchema.parse(req.body);
+
+      const template = await prisma.emailTemplate.findUnique({ where: { id: req.params.id } });
+      if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+
+      let values = variables;
+      if (userId) {
+        const client = await prisma.user.findUnique({
+          where: { id: userId },
+          select: { id: true, agentId: true },
+        });
+        if (!client || !isClientInScope(client, await getAgentScope(req.user))) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+        values = await resolveClientVariables(template, userId, variables);
+      } else {
+        checkVariables(template, variables);
+      }
+
+      const { subject, html, text, missing } = renderEmailTemplate(template, values);
+
+      res.json({
+        preview: { subject, html, text },
+        missingVariables: missing,
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      if (error instanceof TemplateError) {
+        return res.status(400).json({ error: 'Invalid template', message: error.message });
+      }
+      console.error('Preview email template error:', error);
+      res.status(500).json({ error: 'Failed to preview email template', message: error.message });
+    }
+  }
+}
+
+module.exports = { EmailTemplatesController };
@@ -1,10 +1,11 @@
 // controllers/files.controller.js
 const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('../services/softDeleteService');
 const { z } = require('zod');
 const { createActivity } = require('../services/activityService');
-const { uploadToCloudinary, deleteFromCloudinary, validateFile, formatFileSize } = require('../utils/cloudinaryHelper');
+const { uploadToCloudinary, validateFile, formatFileSize } = require('../utils/cloudinaryHelper');
 
-const prisma = new PrismaClient();
+const prisma = withSoftDelete(new PrismaClient());
 
 // Validation schemas
 const getUserFilesSchema = z.object({
@@ -282,22 +283,10 @@ class FilesController {
         });
       }
 
-      // Delete from Cloudinary if it's a Cloudinary URL
-      if (file.fileUrl && !file.fileUrl.startsWith('local://')) {
-        try {
-          const fileInfo = getFileInfoFromUrl(file.fileUrl);
-          if (fileInfo) {
-            await deleteFromCloudinary(fileInfo.publicId);
-          }
-        } catch (cloudinaryError) {
-          console.error('Failed to delete from Cloudinary:', cloudinaryError);
-          // Continue with database deletion even if Cloudinary fails
-        }
-      }
-
-      // Delete from database
-      await prisma.userFile.delete({
-        where: { id: fileId }
+      // Soft delete; the stored file is removed when the trash is purged
+      await prisma.userFile.update({
+        where: { id: fileId },
+        data: { deletedAt: new Date() }
       });
 
       // Create activity log
@@ -310,6 +299,7 @@ class FilesController {
           performedBy: req.user?.id || 'system',
           metadata: {
             fileId: file.id,
+            recordType: 'userFile',
             fileName: file.name,
           },
         });
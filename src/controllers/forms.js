@@ -0,0 +1,509 @@
+// controllers/forms.controller.js
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('../services/softDeleteService');
+const { z } = require('zod');
+const { createActivity } = require('../services/activityService');
+const { getAgentScope, isClientInScope } = require('../services/clientScopeService');
+const { ExportError, parseExportOptions, streamExport } = require('../services/exportService');
+const {
+  FORM_CATEGORIES,
+  REVIEW_STATUSES,
+  FormError,
+  parseFormSchema,
+  ensureDefaultForms,
+  formatAnswers,
+  createForm,
+  publishVersion,
+  assignForms,
+  reviewSubmission,
+} = require('../services/formService');
+const { submissionExportColumns, streamSubmissionPdf } = require('../services/formExportService');
+
+const prisma = withSoftDelete(new PrismaClient());
+
+// Validation schemas
+const listFormsSchema = z.object({
+  category: z.enum(FORM_CATEGORIES).optional(),
+  includeArchived: z.enum(['true', 'false']).optional(),
+});
+
+const createFormSchema = z.object({
+  name: z.string().trim().min(1, "Name is required").max(200),
+  description: z.string().max(2000).optional(),
+  category: z.enum(FORM_CATEGORIES).default('general'),
+  schema: z.any(),
+});
+
+// The schema itself only changes by publishing a new version
+const updateFormSchema = z.object({
+  name: z.string().trim().min(1, "Name is required").max(200).optional(),
+  description: z.string().max(2000).nullable().optional(),
+  category: z.enum(FORM_CATEGORIES).optional(),
+  archived: z.boolean().optional(),
+});
+
+const publishVersionSchema = z.object({
+  schema: z.any(),
+});
+
+const assignFormsSchema = z.object({
+  userIds: z.array(z.string().uuid("Invalid user ID")).min(1).max(500),
+  formIds: z.array(z.string().min(1)).min(1).max(50),
+  dueDate: z.coerce.date().optional(),
+});
+
+const listSubmissionsSchema = z.object({
+  formId: z.string().optional(),
+  userId: z.string().uuid().optional(),
+  reviewStatus: z.enum(REVIEW_STATUSES).optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+});
+
+const reviewSchema = z.object({
+  status: z.enum(REVIEW_STATUSES),
+  note: z.string().max(2000).optional(),
+});
+
+const clientSelect = { id: true, email: true, firstName: true, lastName: true, agentId: true };
+
+const submissionInclude = {
+  user: { select: clientSelect },
+  formVersion: { include: { form: { select: { id: true, name: true, category: true } } } },
+};
+
+function formatSubmission(submission) {
+  const { formVersion, user, ...rest } = submission;
+  return {
+    ...rest,
+    form: formVersion.form,
+    version: formVersion.version,
+    client: { id: user.id, email: user.email, firstName: user.firstName, lastName: user.lastName },
+  };
+}
+
+class FormsController {
+  constructor() {
+    this.getForms = this.getForms.bind(this);
+    this.getForm = this.getForm.bind(this);
+    this.createForm = this.createForm.bind(this);
+    this.updateForm = this.updateForm.bind(this);
+    this.publishVersion = this.publishVersion.bind(this);
+    this.assignForms = this.assignForms.bind(this);
+    this.getUserForms = this.getUserForms.bind(this);
+    this.deleteAssignment = this.deleteAssignment.bind(this);
+    this.getSubmissions = this.getSubmissions.bind(this);
+    this.getSubmission = this.getSubmission.bind(this);
+    this.downloadSubmissionPdf = this.downloadSubmissionPdf.bind(this);
+    this.reviewSubmission = this.reviewSubmission.bind(this);
+    this.exportSubmissions = this.exportSubmissions.bind(this);
+  }
+
+  // Submission loaded with submissionInclude, or null when missing or out of the caller's scope
+  async findSubmission(req, submissionId) {
+    const submission = await prisma.formSubmission.findUnique({
+      where: { id: submissionId },
+      include: submissionInclude,
+    });
+    if (!submission || !isClientInScope(submission.user, await getAgentScope(req.user))) {
+      return null;
+    }
+    return submission;
+  }
+
+  // Form catalog with the current schema of each form
+  async getForms(req, res) {
+    try {
+      const { category, includeArchived } = listFormsSchema.parse(req.query);
+      await ensureDefaultForms();
+
+      const forms = await prisma.formDefinition.findMany({
+        where: {
+          ...(category && { category }),
+          ...(includeArchived !== 'true' && { archived: false }),
+        },
+        include: { _count: { select: { assignments: true } } },
+        orderBy: { name: 'asc' },
+      });
+
+      const versions = forms.length === 0 ? [] : await prisma.formVersion.findMany({
+        where: { OR: forms.map(form => ({ formId: form.id, version: form.currentVersion })) },
+      });
+      const schemaByForm = new Map(versions.map(version => [version.formId, version.schema]));
+
+      res.json({
+        forms: forms.map(({ _count, ...form }) => ({
+          ...form,
+          schema: schemaByForm.get(form.id),
+          assignmentCount: _count.assignments,
+        })),
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Get forms error:', error);
+      res.status(500).json({ error: 'Failed to fetch forms' });
+    }
+  }
+
+  // A form with its full version history
+  async getForm(req, res) {
+    try {
+      await ensureDefaultForms();
+
+      const form = await prisma.formDefinition.findUnique({
+        where: { id: req.params.id },
+        include: {
+          versions: {
+            include: { _count: { select: { submissions: true } } },
+            orderBy: { version: 'desc' },
+          },
+        },
+      });
+
+      if (!form) {
+        return res.status(404).json({ error: 'Form not found' });
+      }
+
+      res.json({
+        form: {
+          ...form,
+          versions: form.versions.map(({ _count, ...version }) => ({ ...version, submissionCount: _count.submissions })),
+        },
+      });
+    } catch (error) {
+      console.error('Get form error:', error);
+      res.status(500).json({ error: 'Failed to fetch form' });
+    }
+  }
+
+  async createForm(req, res) {
+    try {
+      const { schema, ...validatedData } = createFormSchema.parse(req.body);
+      const form = await createForm({ ...validatedData, schema: parseFormSchema(schema) }, req.user?.id);
+
+      res.status(201).json({
+        message: 'Form created successfully',
+        form,
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Create form error:', error);
+      res.status(500).json({ error: 'Failed to create form', message: error.message });
+    }
+  }
+
+  async updateForm(req, res) {
+    try {
+      const validatedData = updateFormSchema.parse(req.body);
+
+      const existing = await prisma.formDefinition.findUnique({ where: { id: req.params.id } });
+      if (!existing) {
+        return res.status(404).json({ error: 'Form not found' });
+      }
+
+      const form = await prisma.formDefinition.update({
+        where: { id: req.params.id },
+        data: validatedData,
+      });
+
+      res.json({
+        message: 'Form updated successfully',
+        form,
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Update form error:', error);
+      res.status(500).json({ error: 'Failed to update form', message: error.message });
+    }
+  }
+
+  // Publish a new schema version; open assignments stay on the version they were given
+  async publishVersion(req, res) {
+    try {
+      const { schema } = publishVersionSchema.parse(req.body);
+      const version = await publishVersion(req.params.id, parseFormSchema(schema), req.user?.id);
+
+      res.status(201).json({
+        message: `Version ${version.version} published`,
+        version,
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      if (error instanceof FormError) {
+        return res.status(404).json({ error: error.message });
+      }
+      console.error('Publish form version error:', error);
+      res.status(500).json({ error: 'Failed to publish form version', message: error.message });
+    }
+  }
+
+  // Assign forms to clients. Clients who already have a form outstanding are skipped.
+  async assignForms(req, res) {
+    try {
+      const { userIds, formIds, dueDate } = assignFormsSchema.parse(req.body);
+      const agentScope = await getAgentScope(req.user);
+
+      const ids = [...new Set(userIds)];
+      const clients = await prisma.user.findMany({
+        where: { id: { in: ids }, role: 'CLIENT' },
+        select: { id: true, agentId: true },
+      });
+      if (clients.length !== ids.length || !clients.every(client => isClientInScope(client, agentScope))) {
+        return res.status(404).json({ error: 'One or more clients were not found' });
+      }
+
+      const assigned = await assignForms(ids, formIds, { assignedBy: req.user?.id, dueDate });
+
+      if (assigned > 0) {
+        const forms = await prisma.formDefinition.findMany({
+          where: { id: { in: formIds } },
+          select: { name: true },
+        });
+        const names = forms.map(form => `"${form.name}"`).join(', ');
+
+        for (const userId of ids) {
+          try {
+            await createActivity({
+              type: 'FORM_ASSIGNED',
+              title: 'Form Assigned',
+              description: `Assigned ${names}`,
+              userId,
+              performedBy: req.user?.id,
+              metadata: { formIds, dueDate },
+            });
+          } catch (activityError) {
+            console.error('Failed to create activity:', activityError);
+          }
+        }
+      }
+
+      res.status(201).json({
+        message: `${assigned} form assignment(s) created`,
+        assigned,
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      if (error instanceof FormError) {
+        return res.status(400).json({ error: 'Invalid forms', message: error.message });
+      }
+      console.error('Assign forms error:', error);
+      res.status(500).json({ error: 'Failed to assign forms', message: error.message });
+    }
+  }
+
+  // A client's assignments with their submissions, newest first
+  async getUserForms(req, res) {
+    try {
+      const { userId } = req.params;
+
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { id: true, agentId: true },
+      });
+      if (!user || !isClientInScope(user, await getAgentScope(req.user))) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const assignments = await prisma.userForm.findMany({
+        where: { userId },
+        include: {
+          formVersion: { select: { version: true } },
+          submissions: {
+            select: { id: true, submittedAt: true, reviewStatus: true, reviewedAt: true, reviewNote: true },
+            orderBy: { submittedAt: 'desc' },
+          },
+        },
+        orderBy: { assignedAt: 'desc' },
+      });
+
+      res.json({
+        forms: assignments.map(({ formVersion, ...assignment }) => ({
+          ...assignment,
+          version: formVersion.version,
+          status: assignment.completedAt ? 'completed' : 'pending',
+        })),
+      });
+    } catch (error) {
+      console.error('Get user forms error:', error);
+      res.status(500).json({ error: 'Failed to fetch user forms' });
+    }
+  }
+
+  // Withdraw an assignment. Submissions already made are kept.
+  async deleteAssignment(req, res) {
+    try {
+      const assignment = await prisma.userForm.findUnique({
+        where: { id: req.params.assignmentId },
+        include: { user: { select: { agentId: true } } },
+      });
+      if (!assignment || !isClientInScope(assignment.user, await getAgentScope(req.user))) {
+        return res.status(404).json({ error: 'Assignment not found' });
+      }
+
+      await prisma.userForm.delete({ where: { id: assignment.id } });
+
+      res.json({ message: 'Form assignment removed' });
+    } catch (error) {
+      console.error('Delete form assignment error:', error);
+      res.status(500).json({ error: 'Failed to remove form assignment', message: error.message });
+    }
+  }
+
+  // Submissions awaiting or past review (?formId=&userId=&reviewStatus=PENDING)
+  async getSubmissions(req, res) {
+    try {
+      const { formId, userId, reviewStatus, page, limit } = listSubmissionsSchema.parse(req.query);
+      const agentScope = await getAgentScope(req.user);
+
+      const where = {
+        ...(formId && { formVersion: { formId } }),
+        ...(userId && { userId }),
+        ...(reviewStatus && { reviewStatus }),
+        user: { deletedAt: null, ...(agentScope && { agentId: agentScope }) },
+      };
+
+      const [submissions, total] = await Promise.all([
+        prisma.formSubmission.findMany({
+          where,
+          include: submissionInclude,
+          orderBy: { submittedAt: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit,
+        }),
+        prisma.formSubmission.count({ where }),
+      ]);
+
+      res.json({
+        submissions: submissions.map(({ answers, ...submission }) => formatSubmission(submission)),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Get form submissions error:', error);
+      res.status(500).json({ error: 'Failed to fetch form submissions' });
+    }
+  }
+
+  // One submission with answers laid out by the version's sections
+  async getSubmission(req, res) {
+    try {
+      const submission = await this.findSubmission(req, req.params.submissionId);
+      if (!submission) {
+        return res.status(404).json({ error: 'Submission not found' });
+      }
+
+      res.json({
+        submission: {
+          ...formatSubmission(submission),
+          sections: formatAnswers(submission.formVersion.schema, submission.answers),
+        },
+      });
+    } catch (error) {
+      console.error('Get form submission error:', error);
+      res.status(500).json({ error: 'Failed to fetch form submission' });
+    }
+  }
+
+  async downloadSubmissionPdf(req, res) {
+    try {
+      const submission = await this.findSubmission(req, req.params.submissionId);
+      if (!submission) {
+        return res.status(404).json({ error: 'Submission not found' });
+      }
+
+      streamSubmissionPdf(res, submission);
+    } catch (error) {
+      console.error('Form submission PDF error:', error);
+      res.status(500).json({ error: 'Failed to generate PDF' });
+    }
+  }
+
+  // Approve a submission or send it back to the client for changes
+  async reviewSubmission(req, res) {
+    try {
+      const { status, note } = reviewSchema.parse(req.body);
+
+      const existing = await this.findSubmission(req, req.params.submissionId);
+      if (!existing) {
+        return res.status(404).json({ error: 'Submission not found' });
+      }
+
+      const submission = await reviewSubmission(existing.id, { status, note, reviewedBy: req.user?.id });
+
+      res.json({
+        message: status === 'CHANGES_REQUESTED'
+          ? 'Changes requested; the form has been reopened for the client'
+          : 'Submission reviewed',
+        submission,
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Review form submission error:', error);
+      res.status(500).json({ error: 'Failed to review form submission', message: error.message });
+    }
+  }
+
+  // Export a form's submissions as CSV or XLSX, one column per field across all versions
+  async exportSubmissions(req, res) {
+    try {
+      const form = await prisma.formDefinition.findUnique({
+        where: { id: req.params.id },
+        include: { versions: true },
+      });
+      if (!form) {
+        return res.status(404).json({ error: 'Form not found' });
+      }
+
+      const { format, columns } = parseExportOptions(req.query, submissionExportColumns(form.versions));
+      const { reviewStatus } = listSubmissionsSchema.pick({ reviewStatus: true }).parse(req.query);
+      const agentScope = await getAgentScope(req.user);
+
+      await streamExport(res, {
+        filename: `form-${form.name.replace(/[^\w-]+/g, '-').toLowerCase()}`,
+        format,
+        columns,
+        fetchBatch: (skip, take) => prisma.formSubmission.findMany({
+          where: {
+            formVersion: { formId: form.id },
+            ...(reviewStatus && { reviewStatus }),
+            user: { deletedAt: null, ...(agentScope && { agentId: agentScope }) },
+          },
+          include: submissionInclude,
+          orderBy: [{ submittedAt: 'asc' }, { id: 'asc' }],
+          skip,
+          take,
+        }),
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      if (error instanceof ExportError) {
+        return res.status(400).json({ error: 'Invalid export request', message: error.message });
+      }
+      console.error('Export form submissions error:', error);
+      res.status(500).json({ error: 'Failed to export form submissions' });
+    }
+  }
+}
+
+module.exports = { FormsController };
@@ -1,9 +1,10 @@
 // controllers/notes.controller.js
 const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('../services/softDeleteService');
 const { z } = require('zod');
 const { createActivity } = require('../services/activityService');
 
-const prisma = new PrismaClient();
+const prisma = withSoftDelete(new PrismaClient());
 
 // Validation schemas
 const createNoteSchema = z.object({
@@ -280,8 +281,10 @@ class NotesController {
         return res.status(404).json({ error: 'Note not found' });
       }
 
-      await prisma.note.delete({
+      // Soft delete; restorable from the trash until purged
+      await prisma.note.update({
         where: { id },
+        data: { deletedAt: new Date() },
       });
 
       // Create activity log
@@ -294,6 +297,7 @@ class NotesController {
           performedBy: req.user?.id || 'system',
           metadata: {
             noteId: id,
+            recordType: 'note',
             deletedContent: existingNote.content.substring(0, 100),
           },
         });
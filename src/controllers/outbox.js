@@ -0,0 +1,195 @@
+// controllers/outbox.controller.js
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+const { getAgentScope } = require('../services/clientScopeService');
+const { retryMessages } = require('../services/outboxService');
+
+const prisma = new PrismaClient();
+
+const OUTBOX_STATUSES = ['PENDING', 'SENDING', 'SENT', 'FAILED'];
+
+// Validation schemas
+const listOutboxSchema = z.object({
+  status: z.enum(OUTBOX_STATUSES).optional(),
+  to: z.string().optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+});
+
+const retryFailedSchema = z.object({
+  since: z.coerce.date().optional(), // Only messages that failed after this time
+});
+
+const summarySelect = {
+  id: true,
+  emailId: true,
+  to: true,
+  subject: true,
+  status: true,
+  attempts: true,
+  maxAttempts: true,
+  nextAttemptAt: true,
+  lastError: true,
+  sentAt: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+class OutboxController {
+  constructor() {
+    this.getMessages = this.getMessages.bind(this);
+    this.getStats = this.getStats.bind(this);
+    this.getMessage = this.getMessage.bind(this);
+    this.retryMessage = this.retryMessage.bind(this);
+    this.retryFailed = this.retryFailed.bind(this);
+  }
+
+  // STAFF see messages for emails they sent or sent to their clients
+  async scopeWhere(req) {
+    const agentScope = await getAgentScope(req.user);
+    if (!agentScope) return {};
+
+    return {
+      email: {
+        OR: [
+          { senderId: req.user.id },
+          { recipient: { agentId: agentScope } },
+        ],
+      },
+    };
+  }
+
+  async getMessages(req, res) {
+    try {
+      const { status, to, page, limit } = listOutboxSchema.parse(req.query);
+
+      const where = {
+        ...(await this.scopeWhere(req)),
+        ...(status && { status }),
+        ...(to && { to: { contains: to, mode: 'insensitive' } }),
+      };
+
+      const [messages, total] = await Promise.all([
+        prisma.emailOutbox.findMany({
+          where,
+          select: summarySelect,
+          orderBy: { createdAt: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit,
+        }),
+        prisma.emailOutbox.count({ where }),
+      ]);
+
+      res.json({
+        messages,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Get outbox error:', error);
+      res.status(500).json({ error: 'Failed to fetch outbox' });
+    }
+  }
+
+  // Message counts by status, plus the oldest message still waiting
+  async getStats(req, res) {
+    try {
+      const scope = await this.scopeWhere(req);
+
+      const [counts, oldestPending] = await Promise.all([
+        prisma.emailOutbox.groupBy({
+          by: ['status'],
+          where: scope,
+          _count: { _all: true },
+        }),
+        prisma.emailOutbox.findFirst({
+          where: { ...scope, status: 'PENDING' },
+          select: { createdAt: true },
+          orderBy: { createdAt: 'asc' },
+        }),
+      ]);
+
+      res.json({
+        counts: Object.fromEntries(OUTBOX_STATUSES.map(status => [
+          status,
+          counts.find(row => row.status === status)?._count._all || 0,
+        ])),
+        oldestPendingAt: oldestPending?.createdAt || null,
+      });
+    } catch (error) {
+      console.error('Get outbox stats error:', error);
+      res.status(500).json({ error: 'Failed to fetch outbox stats' });
+    }
+  }
+
+  async getMessage(req, res) {
+    try {
+      const message = await prisma.emailOutbox.findFirst({
+        where: { id: req.params.id, ...(await this.scopeWhere(req)) },
+        include: { email: { select: { id: true, status: true, recipientId: true, campaignId: true, providerData: true } } },
+      });
+
+      if (!message) {
+        return res.status(404).json({ error: 'Message not found' });
+      }
+
+      res.json({ message });
+    } catch (error) {
+      console.error('Get outbox message error:', error);
+      res.status(500).json({ error: 'Failed to fetch outbox message' });
+    }
+  }
+
+  // Requeue one failed message with a fresh set of attempts
+  async retryMessage(req, res) {
+    try {
+      const message = await prisma.emailOutbox.findFirst({
+        where: { id: req.params.id, ...(await this.scopeWhere(req)) },
+        select: { id: true, status: true },
+      });
+
+      if (!message) {
+        return res.status(404).json({ error: 'Message not found' });
+      }
+      if (message.status !== 'FAILED') {
+        return res.status(409).json({ error: 'Only failed messages can be retried' });
+      }
+
+      await retryMessages({ id: message.id });
+
+      res.json({ message: 'Message queued for another attempt' });
+    } catch (error) {
+      console.error('Retry outbox message error:', error);
+      res.status(500).json({ error: 'Failed to retry message', message: error.message });
+    }
+  }
+
+  // Requeue every failed message in the caller's scope, e.g. after an SMTP outage
+  async retryFailed(req, res) {
+    try {
+      const { since } = retryFailedSchema.parse(req.body || {});
+
+      const retried = await retryMessages({
+        ...(await this.scopeWhere(req)),
+        ...(since && { updatedAt: { gte: since } }),
+      });
+
+      res.json({ message: `${retried} message(s) queued for another attempt`, retried });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Retry failed outbox messages error:', error);
+      res.status(500).json({ error: 'Failed to retry messages', message: error.message });
+    }
+  }
+}
+
+module.exports = { OutboxController };
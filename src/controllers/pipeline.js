@@ -0,0 +1,383 @@
+// controllers/pipeline.controller.js
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('../services/softDeleteService');
+const { z } = require('zod');
+const { createActivity } = require('../services/activityService');
+const { getAgentScope, isClientInScope } = require('../services/clientScopeService');
+const {
+  CLIENT_TYPES,
+  REQUIRABLE_FIELDS,
+  PipelineError,
+  ensureDefaultPipeline,
+  getPipeline,
+  changeClientStage,
+  getStageHistory,
+  getFunnelReport,
+} = require('../services/pipelineService');
+
+const prisma = withSoftDelete(new PrismaClient());
+
+// Validation schemas
+const clientTypeSchema = z.enum(CLIENT_TYPES);
+const requiredFieldsSchema = z.array(z.enum(Object.keys(REQUIRABLE_FIELDS)));
+
+const createStageSchema = z.object({
+  clientType: clientTypeSchema,
+  name: z.string().min(1, "Stage name is required").max(100),
+  description: z.string().optional(),
+  order: z.number().int().min(1).optional(),
+  requiredFields: requiredFieldsSchema.default([]),
+  isLost: z.boolean().default(false),
+});
+
+const updateStageSchema = z.object({
+  name: z.string().min(1, "Stage name is required").max(100).optional(),
+  description: z.string().nullable().optional(),
+  order: z.number().int().min(1).optional(),
+  requiredFields: requiredFieldsSchema.optional(),
+  isLost: z.boolean().optional(),
+});
+
+const transitionsSchema = z.object({
+  toStageIds: z.array(z.string()),
+});
+
+const funnelQuerySchema = z.object({
+  clientType: clientTypeSchema,
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+});
+
+const changeStageSchema = z.object({
+  stageId: z.string().min(1, "Stage is required"),
+  note: z.string().max(1000).optional(),
+});
+
+class PipelineController {
+  constructor() {
+    this.getPipelines = this.getPipelines.bind(this);
+    this.createStage = this.createStage.bind(this);
+    this.updateStage = this.updateStage.bind(this);
+    this.updateStageTransitions = this.updateStageTransitions.bind(this);
+    this.deleteStage = this.deleteStage.bind(this);
+    this.getFunnel = this.getFunnel.bind(this);
+    this.changeUserStage = this.changeUserStage.bind(this);
+    this.getUserStageHistory = this.getUserStageHistory.bind(this);
+  }
+
+  // Stages, transitions and required fields for each client type (?clientType=BUYER)
+  async getPipelines(req, res) {
+    try {
+      const clientTypes = req.query.clientType
+        ? [clientTypeSchema.parse(req.query.clientType)]
+        : CLIENT_TYPES;
+
+      const pipelines = {};
+      for (const clientType of clientTypes) {
+        pipelines[clientType] = await getPipeline(clientType);
+      }
+
+      res.json({
+        pipelines,
+        requirableFields: Object.keys(REQUIRABLE_FIELDS),
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Get pipelines error:', error);
+      res.status(500).json({ error: 'Failed to fetch pipelines' });
+    }
+  }
+
+  async createStage(req, res) {
+    try {
+      const validatedData = createStageSchema.parse(req.body);
+      await ensureDefaultPipeline(validatedData.clientType);
+
+      const existing = await prisma.pipelineStage.findUnique({
+        where: { clientType_name: { clientType: validatedData.clientType, name: validatedData.name } },
+      });
+      if (existing) {
+        return res.status(400).json({ error: 'A stage with this name already exists in the pipeline' });
+      }
+
+      let { order } = validatedData;
+      if (order) {
+        // Make room at the requested position
+        await prisma.pipelineStage.updateMany({
+          where: { clientType: validatedData.clientType, order: { gte: order } },
+          data: { order: { increment: 1 } },
+        });
+      } else {
+        const last = await prisma.pipelineStage.findFirst({
+          where: { clientType: validatedData.clientType },
+          orderBy: { order: 'desc' },
+        });
+        order = (last?.order || 0) + 1;
+      }
+
+      const stage = await prisma.pipelineStage.create({
+        data: { ...validatedData, order },
+      });
+
+      res.status(201).json({
+        message: 'Stage created successfully',
+        stage,
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Create stage error:', error);
+      res.status(500).json({ error: 'Failed to create stage', message: error.message });
+    }
+  }
+
+  async updateStage(req, res) {
+    try {
+      const { stageId } = req.params;
+      const validatedData = updateStageSchema.parse(req.body);
+
+      const stage = await prisma.pipelineStage.findUnique({ where: { id: stageId } });
+      if (!stage) {
+        return res.status(404).json({ error: 'Stage not found' });
+      }
+
+      if (validatedData.name && validatedData.name !== stage.name) {
+        const existing = await prisma.pipelineStage.findUnique({
+          where: { clientType_name: { clientType: stage.clientType, name: validatedData.name } },
+        });
+        if (existing) {
+          return res.status(400).json({ error: 'A stage with this name already exists in the pipeline' });
+        }
+      }
+
+      const updatedStage = await prisma.$transaction(async (tx) => {
+        const updated = await tx.pipelineStage.update({
+          where: { id: stageId },
+          data: validatedData,
+        });
+
+        // Keep the client list's stage column in step with a renamed stage
+        if (validatedData.name && validatedData.name !== stage.name) {
+          await tx.user.updateMany({
+            where: { pipelineStageId: stageId, deletedAt: undefined },
+            data: { stage: validatedData.name },
+          });
+        }
+
+        return updated;
+      });
+
+      res.json({
+        message: 'Stage updated successfully',
+        stage: updatedStage,
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Update stage error:', error);
+      res.status(500).json({ error: 'Failed to update stage', message: error.message });
+    }
+  }
+
+  // Replace the stages a client may move to from this stage
+  async updateStageTransitions(req, res) {
+    try {
+      const { stageId } = req.params;
+      const { toStageIds } = transitionsSchema.parse(req.body);
+      const targetIds = [...new Set(toStageIds)];
+
+      const stage = await prisma.pipelineStage.findUnique({ where: { id: stageId } });
+      if (!stage) {
+        return res.status(404).json({ error: 'Stage not found' });
+      }
+
+      if (targetIds.includes(stageId)) {
+        return res.status(400).json({ error: 'A stage cannot transition to itself' });
+      }
+
+      const targets = await prisma.pipelineStage.findMany({
+        where: { id: { in: targetIds }, clientType: stage.clientType },
+        select: { id: true },
+      });
+      if (targets.length !== targetIds.length) {
+        return res.status(400).json({ error: `Transitions must point to stages in the ${stage.clientType} pipeline` });
+      }
+
+      await prisma.$transaction([
+        prisma.pipelineTransition.deleteMany({ where: { fromStageId: stageId } }),
+        prisma.pipelineTransition.createMany({
+          data: targetIds.map(toStageId => ({ fromStageId: stageId, toStageId })),
+        }),
+      ]);
+
+      res.json({
+        message: 'Transitions updated successfully',
+        stageId,
+        allowedTransitions: targetIds,
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Update stage transitions error:', error);
+      res.status(500).json({ error: 'Failed to update transitions', message: error.message });
+    }
+  }
+
+  // Stages can only be removed once no client is in them; history keeps the name
+  async deleteStage(req, res) {
+    try {
+      const { stageId } = req.params;
+
+      const stage = await prisma.pipelineStage.findUnique({
+        where: { id: stageId },
+        include: { _count: { select: { clients: true } } },
+      });
+      if (!stage) {
+        return res.status(404).json({ error: 'Stage not found' });
+      }
+
+      if (stage._count.clients > 0) {
+        return res.status(400).json({
+          error: 'Stage is in use',
+          message: `Move the ${stage._count.clients} client(s) in "${stage.name}" to another stage first`,
+        });
+      }
+
+      await prisma.pipelineStage.delete({ where: { id: stageId } });
+
+      res.json({ message: 'Stage deleted successfully' });
+    } catch (error) {
+      console.error('Delete stage error:', error);
+      res.status(500).json({ error: 'Failed to delete stage', message: error.message });
+    }
+  }
+
+  // Conversion rates and time-in-stage for one client type (?clientType=SELLER&from=&to=)
+  async getFunnel(req, res) {
+    try {
+      const { clientType, from, to } = funnelQuerySchema.parse(req.query);
+
+      const report = await getFunnelReport(clientType, {
+        from,
+        to,
+        agentScope: await getAgentScope(req.user),
+      });
+
+      res.json(report);
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Get funnel report error:', error);
+      res.status(500).json({ error: 'Failed to build funnel report' });
+    }
+  }
+
+  // Move a client to another pipeline stage
+  async changeUserStage(req, res) {
+    try {
+      const { id } = req.params;
+      const { stageId, note } = changeStageSchema.parse(req.body);
+
+      const client = await prisma.user.findUnique({
+        where: { id },
+        select: { id: true, agentId: true },
+      });
+      if (!client || !isClientInScope(client, await getAgentScope(req.user))) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const { user, stageChange, fromStage, toStage } = await changeClientStage(id, stageId, {
+        performedBy: req.user?.id,
+        note,
+      });
+
+      try {
+        await createActivity({
+          type: 'USER_UPDATED',
+          title: 'Stage Changed',
+          description: fromStage
+            ? `Moved from "${fromStage.name}" to "${toStage.name}"`
+            : `Placed in stage "${toStage.name}"`,
+          userId: id,
+          performedBy: req.user?.id,
+          metadata: {
+            stageChangeId: stageChange.id,
+            fromStageId: fromStage?.id || null,
+            toStageId: toStage.id,
+            note,
+          },
+        });
+      } catch (activityError) {
+        console.error('Failed to create activity:', activityError);
+      }
+
+      res.json({
+        message: 'Stage changed successfully',
+        stage: {
+          id: toStage.id,
+          name: toStage.name,
+          clientType: user.clientType,
+          enteredAt: user.stageEnteredAt,
+        },
+        stageChange,
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      if (error instanceof PipelineError) {
+        return res.status(400).json({ error: 'Invalid stage change', message: error.message, ...error.details });
+      }
+      console.error('Change stage error:', error);
+      res.status(500).json({ error: 'Failed to change stage', message: error.message });
+    }
+  }
+
+  async getUserStageHistory(req, res) {
+    try {
+      const { id } = req.params;
+
+      const client = await prisma.user.findUnique({
+        where: { id },
+        select: { id: true, agentId: true, clientType: true, stage: true, pipelineStageId: true, stageEnteredAt: true },
+      });
+      if (!client || !isClientInScope(client, await getAgentScope(req.user))) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const history = await getStageHistory(id);
+
+      // changedBy holds a user id (or "System"); show names instead
+      const changerIds = [...new Set(history.map(change => change.changedBy))];
+      const changers = await prisma.user.findMany({
+        where: { id: { in: changerIds } },
+        select: { id: true, firstName: true, lastName: true },
+      });
+      const changerNames = new Map(changers.map(changer => [changer.id, `${changer.firstName} ${changer.lastName}`]));
+
+      res.json({
+        current: {
+          clientType: client.clientType,
+          stageId: client.pipelineStageId,
+          stage: client.stage,
+          enteredAt: client.stageEnteredAt,
+        },
+        history: history.map(change => ({
+          ...change,
+          changedByName: changerNames.get(change.changedBy) || change.changedBy,
+        })),
+      });
+    } catch (error) {
+      console.error('Get stage history error:', error);
+      res.status(500).json({ error: 'Failed to fetch stage history' });
+    }
+  }
+}
+
+module.exports = { PipelineController };
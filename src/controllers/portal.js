@@ -0,0 +1,521 @@
+// controllers/portal.controller.js
+//
+// Self-service endpoints for CLIENT users. The client is always req.user; nothing
+// here takes a user id from the URL or body.
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('../services/softDeleteService');
+const { z } = require('zod');
+const { formatRelativeTime } = require('../utils/helpers');
+const { queueEmail } = require('../services/outboxService');
+const { escapeHtml } = require('../utils/templateEngine');
+const { createActivity } = require('../services/activityService');
+const { validateFile, formatFileSize } = require('../utils/cloudinaryHelper');
+const {
+  DEAL_DOCUMENT_TYPES,
+  MAX_DEAL_DOCUMENT_SIZE,
+  DocumentUploadError,
+  storeStageDocument,
+} = require('../services/dealDocumentService');
+const { FormError, submitAssignedForm } = require('../services/formService');
+
+const prisma = withSoftDelete(new PrismaClient());
+
+// Scheduled emails stay in DRAFT until dispatched; clients only see what was sent
+const SENT_EMAILS = { status: { not: 'DRAFT' } };
+
+const STAFF_ROLES = ['SUPERADMIN', 'ADMIN', 'STAFF'];
+
+// Validation schemas
+const paginationSchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+});
+
+const replySchema = z.object({
+  subject: z.string().min(1, "Subject is required").max(500),
+  body: z.string().min(1, "Body is required"),
+  inReplyToId: z.string().optional(), // The thread message being answered
+});
+
+const appointmentsQuerySchema = z.object({
+  includePast: z.enum(['true', 'false']).optional(),
+});
+
+const submitFormSchema = z.object({
+  answers: z.record(z.any()),
+});
+
+const participantSelect = { id: true, firstName: true, lastName: true, role: true };
+
+function formatDocument(doc) {
+  return {
+    id: doc.id,
+    name: doc.name,
+    fileUrl: doc.fileUrl,
+    fileSize: formatFileSize(doc.fileSize),
+    mimeType: doc.mimeType,
+    status: doc.status.toLowerCase(),
+    uploadDate: doc.uploadDate,
+  };
+}
+
+function formatParticipant(user) {
+  return { id: user.id, name: `${user.firstName} ${user.lastName}`, isStaff: STAFF_ROLES.includes(user.role) };
+}
+
+class PortalController {
+  constructor() {
+    this.getProfile = this.getProfile.bind(this);
+    this.getDeals = this.getDeals.bind(this);
+    this.uploadDocument = this.uploadDocument.bind(this);
+    this.getEmails = this.getEmails.bind(this);
+    this.replyToEmail = this.replyToEmail.bind(this);
+    this.markEmailAsRead = this.markEmailAsRead.bind(this);
+    this.getAppointments = this.getAppointments.bind(this);
+    this.getForms = this.getForms.bind(this);
+    this.submitForm = this.submitForm.bind(this);
+  }
+
+  // The logged-in client's profile and who to contact
+  async getProfile(req, res) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: req.user.id },
+        include: {
+          agent: { select: { firstName: true, lastName: true, email: true, phone: true } },
+        },
+      });
+
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      res.json({
+        id: user.id,
+        name: `${user.firstName} ${user.lastName}`,
+        email: user.email,
+        phone: user.phone,
+        businessName: user.businessName,
+        stage: user.stage,
+        agent: user.agent && {
+          name: `${user.agent.firstName} ${user.agent.lastName}`,
+          email: user.agent.email,
+          phone: user.agent.phone,
+        },
+      });
+    } catch (error) {
+      console.error('Portal profile error:', error);
+      res.status(500).json({ error: 'Failed to fetch profile' });
+    }
+  }
+
+  // Own deals with stage progress and documents
+  async getDeals(req, res) {
+    try {
+      const deals = await prisma.deal.findMany({
+        where: { userId: req.user.id },
+        include: {
+          stages: {
+            orderBy: { order: 'asc' },
+            include: {
+              documents: {
+                where: { deletedAt: null },
+                orderBy: { createdAt: 'desc' },
+              },
+            },
+          },
+        },
+        orderBy: { updatedAt: 'desc' },
+      });
+
+      res.json({
+        deals: deals.map(deal => ({
+          id: deal.id,
+          name: deal.name,
+          description: deal.description,
+          status: deal.status.toLowerCase(),
+          progress: deal.stages.length
+            ? Math.round(deal.stages.reduce((sum, stage) => sum + stage.progress, 0) / deal.stages.length)
+            : 0,
+          currentStage: deal.stages.find(stage => stage.status !== 'COMPLETED')?.name || null,
+          stages: deal.stages.map(stage => ({
+            id: stage.id,
+            name: stage.name,
+            description: stage.description,
+            order: stage.order,
+            status: stage.status.toLowerCase(),
+            progress: stage.progress,
+            documents: stage.documents.map(formatDocument),
+          })),
+          updatedAt: deal.updatedAt,
+        })),
+      });
+    } catch (error) {
+      console.error('Portal deals error:', error);
+      res.status(500).json({ error: 'Failed to fetch deals' });
+    }
+  }
+
+  // Upload a requested document to one of the client's own deal stages.
+  // Documents always start PENDING; staff review them.
+  async uploadDocument(req, res) {
+    try {
+      const { dealId, stageId } = req.params;
+
+      if (!req.file) {
+        return res.status(400).json({
+          error: 'No file uploaded',
+          message: 'Please select a file to upload'
+        });
+      }
+
+      const validation = validateFile(req.file, DEAL_DOCUMENT_TYPES, MAX_DEAL_DOCUMENT_SIZE);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          error: 'File validation failed',
+          message: validation.errors.join(', ')
+        });
+      }
+
+      const deal = await prisma.deal.findFirst({
+        where: { id: dealId, userId: req.user.id },
+        include: { stages: { where: { id: stageId } } },
+      });
+
+      if (!deal || deal.stages.length === 0) {
+        return res.status(404).json({ error: 'Stage not found' });
+      }
+
+      const [stage] = deal.stages;
+      const document = await storeStageDocument(stage, req.file, { uploadedBy: req.user.id });
+
+      try {
+        await createActivity({
+          type: 'DEAL_DOCUMENT_UPLOADED',
+          title: 'Document Uploaded',
+          description: `Client uploaded "${document.name}" to stage "${stage.name}"`,
+          userId: req.user.id,
+          performedBy: req.user.id,
+          metadata: {
+            dealId: deal.id,
+            stageId: stage.id,
+            documentId: document.id,
+            fileName: document.name,
+            fileSize: document.fileSize,
+            source: 'portal',
+          },
+        });
+      } catch (activityError) {
+        console.error('Failed to create activity:', activityError);
+      }
+
+      res.status(201).json({
+        message: 'Document uploaded successfully',
+        document: formatDocument(document),
+      });
+    } catch (error) {
+      if (error instanceof DocumentUploadError) {
+        return res.status(500).json({ error: 'File upload failed', message: error.message });
+      }
+      console.error('Portal upload error:', error);
+      res.status(500).json({ error: 'Failed to upload document' });
+    }
+  }
+
+  // The client's email thread with staff, newest first
+  async getEmails(req, res) {
+    try {
+      const { page, limit } = paginationSchema.parse(req.query);
+      const where = { OR: [{ senderId: req.user.id }, { recipientId: req.user.id }], ...SENT_EMAILS };
+
+      const [emails, total, unread] = await Promise.all([
+        prisma.email.findMany({
+          where,
+          include: {
+            sender: { select: participantSelect },
+            recipient: { select: participantSelect },
+          },
+          orderBy: { sentAt: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit,
+        }),
+        prisma.email.count({ where }),
+        prisma.email.count({ where: { recipientId: req.user.id, readAt: null, ...SENT_EMAILS } }),
+      ]);
+
+      res.json({
+        emails: emails.map(email => ({
+          id: email.id,
+          subject: email.subject,
+          body: email.body,
+          htmlBody: email.htmlBody,
+          attachments: email.attachments,
+          sentAt: email.sentAt,
+          readAt: email.readAt,
+          timeAgo: formatRelativeTime(email.sentAt),
+          fromMe: email.senderId === req.user.id,
+          sender: formatParticipant(email.sender),
+          recipient: formatParticipant(email.recipient),
+        })),
+        pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+        unread,
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Portal emails error:', error);
+      res.status(500).json({ error: 'Failed to fetch emails' });
+    }
+  }
+
+  // Reply in the thread. Goes to the sender of the message being answered, or the
+  // client's agent; staff get a copy in their inbox.
+  async replyToEmail(req, res) {
+    try {
+      const { subject, body, inReplyToId } = replySchema.parse(req.body);
+      // Clients send plain text only; the HTML is built here so nothing they type is rendered as markup
+      const htmlBody = escapeHtml(body).replace(/\r?\n/g, '<br>');
+
+      let original = null;
+      if (inReplyToId) {
+        original = await prisma.email.findFirst({
+          where: { id: inReplyToId, recipientId: req.user.id, ...SENT_EMAILS },
+          include: { sender: { select: { id: true, role: true } } },
+        });
+        if (!original) {
+          return res.status(404).json({ error: 'Email not found' });
+        }
+      }
+
+      const client = await prisma.user.findUnique({
+        where: { id: req.user.id },
+        select: { id: true, firstName: true, lastName: true, email: true, agentId: true },
+      });
+
+      const recipientId = original && STAFF_ROLES.includes(original.sender.role)
+        ? original.sender.id
+        : client.agentId;
+
+      const recipient = recipientId && await prisma.user.findUnique({
+        where: { id: recipientId },
+        select: { id: true, email: true, role: true, status: true },
+      });
+
+      if (!recipient || !STAFF_ROLES.includes(recipient.role) || recipient.status !== 'ACTIVE') {
+        return res.status(400).json({
+          error: 'No contact available',
+          message: 'You do not have an assigned contact yet. Please reply to an email from our team.'
+        });
+      }
+
+      const email = await prisma.email.create({
+        data: {
+          subject,
+          body,
+          htmlBody,
+          direction: 'INBOUND',
+          threadId: original ? original.threadId || original.id : null,
+          inReplyTo: original?.messageId || null,
+          senderId: client.id,
+          recipientId: recipient.id,
+          status: 'DELIVERED',
+          deliveredAt: new Date(),
+          providerData: { source: 'portal' },
+        },
+      });
+
+      // Copy to the staff member's mailbox; the CRM record stands even if this fails
+      try {
+        await queueEmail({
+          to: recipient.email,
+          subject,
+          htmlBody,
+          plainBody: body,
+          replyTo: client.email,
+        });
+      } catch (emailError) {
+        console.error('Failed to forward portal reply:', emailError);
+      }
+
+      await prisma.user.update({
+        where: { id: client.id },
+        data: {
+          lastCommunication: new Date(),
+          lastCommunicationMessage: subject,
+        },
+      });
+
+      try {
+        await createActivity({
+          type: 'EMAIL_RECEIVED',
+          title: 'Email Received',
+          description: `Email received via portal: ${subject}`,
+          userId: client.id,
+          performedBy: client.id,
+          metadata: { emailId: email.id, subject, source: 'portal' },
+        });
+      } catch (activityError) {
+        console.error('Failed to create activity:', activityError);
+      }
+
+      res.status(201).json({
+        message: 'Message sent successfully',
+        email: { id: email.id, subject: email.subject, sentAt: email.sentAt },
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Portal reply error:', error);
+      res.status(500).json({ error: 'Failed to send message' });
+    }
+  }
+
+  async markEmailAsRead(req, res) {
+    try {
+      const result = await prisma.email.updateMany({
+        where: { id: req.params.emailId, recipientId: req.user.id, readAt: null, ...SENT_EMAILS },
+        data: { readAt: new Date() },
+      });
+
+      if (result.count === 0) {
+        const email = await prisma.email.findFirst({
+          where: { id: req.params.emailId, recipientId: req.user.id, ...SENT_EMAILS },
+          select: { id: true },
+        });
+        if (!email) {
+          return res.status(404).json({ error: 'Email not found' });
+        }
+      }
+
+      res.json({ message: 'Email marked as read' });
+    } catch (error) {
+      console.error('Portal mark email read error:', error);
+      res.status(500).json({ error: 'Failed to mark email as read' });
+    }
+  }
+
+  // Upcoming appointments (?includePast=true for all)
+  async getAppointments(req, res) {
+    try {
+      const { includePast } = appointmentsQuerySchema.parse(req.query);
+
+      const appointments = await prisma.appointment.findMany({
+        where: {
+          clientId: req.user.id,
+          ...(includePast !== 'true' && { status: 'SCHEDULED', endTime: { gte: new Date() } }),
+        },
+        orderBy: { startTime: 'asc' },
+      });
+
+      res.json({
+        appointments: appointments.map(appointment => ({
+          id: appointment.id,
+          title: appointment.title,
+          date: appointment.date,
+          startTime: appointment.startTime,
+          endTime: appointment.endTime,
+          type: appointment.type.toLowerCase(),
+          location: appointment.location,
+          status: appointment.status.toLowerCase(),
+        })),
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Portal appointments error:', error);
+      res.status(500).json({ error: 'Failed to fetch appointments' });
+    }
+  }
+
+  // Forms assigned to the client, outstanding first, with the schema to fill in
+  async getForms(req, res) {
+    try {
+      const forms = await prisma.userForm.findMany({
+        where: { userId: req.user.id },
+        include: {
+          formVersion: { select: { version: true, schema: true } },
+          submissions: {
+            select: { answers: true, submittedAt: true, reviewStatus: true, reviewNote: true },
+            orderBy: { submittedAt: 'desc' },
+            take: 1,
+          },
+        },
+        orderBy: [{ completedAt: { sort: 'desc', nulls: 'first' } }, { assignedAt: 'asc' }],
+      });
+
+      res.json({
+        forms: forms.map(form => ({
+          id: form.id,
+          formId: form.formId,
+          name: form.formName,
+          version: form.formVersion.version,
+          schema: form.formVersion.schema,
+          status: form.completedAt ? 'completed' : 'pending',
+          assignedAt: form.assignedAt,
+          dueDate: form.dueDate,
+          completedAt: form.completedAt,
+          // The last answers, e.g. to prefill a form sent back for changes
+          lastSubmission: form.submissions[0] || null,
+        })),
+      });
+    } catch (error) {
+      console.error('Portal forms error:', error);
+      res.status(500).json({ error: 'Failed to fetch forms' });
+    }
+  }
+
+  // Submit an assigned form. Answers are checked against the version the client was
+  // given; once submitted it stays closed unless staff request changes.
+  async submitForm(req, res) {
+    try {
+      const { id } = req.params;
+      const { answers } = submitFormSchema.parse(req.body);
+
+      const form = await prisma.userForm.findFirst({
+        where: { id, userId: req.user.id },
+      });
+
+      if (!form) {
+        return res.status(404).json({ error: 'Form not found' });
+      }
+      if (form.completedAt) {
+        return res.status(409).json({ error: 'This form has already been submitted' });
+      }
+
+      const submission = await submitAssignedForm(form, answers, { submittedBy: req.user.id });
+
+      try {
+        await createActivity({
+          type: 'FORM_SUBMITTED',
+          title: 'Form Submitted',
+          description: `Client completed "${form.formName}"`,
+          userId: req.user.id,
+          performedBy: req.user.id,
+          metadata: { userFormId: form.id, formId: form.formId, submissionId: submission.id },
+        });
+      } catch (activityError) {
+        console.error('Failed to create activity:', activityError);
+      }
+
+      res.json({
+        message: 'Form submitted successfully',
+        form: { id: form.id, name: form.formName, status: 'completed', completedAt: submission.submittedAt },
+        submissionId: submission.id,
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      if (error instanceof FormError) {
+        return res.status(409).json({ error: error.message });
+      }
+      console.error('Portal form submit error:', error);
+      res.status(500).json({ error: 'Failed to submit form' });
+    }
+  }
+}
+
+module.exports = { PortalController };
@@ -0,0 +1,462 @@
+// controllers/roles.controller.js
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('../services/softDeleteService');
+const { z } = require('zod');
+const {
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  isKnownPermission,
+  getUserPermissions,
+  invalidatePermissionCache,
+  ensurePermissions,
+} = require('../services/permissionService');
+const { createActivity } = require('../services/activityService');
+
+const prisma = withSoftDelete(new PrismaClient());
+
+const SYSTEM_ROLE_NAMES = Object.keys(DEFAULT_ROLE_PERMISSIONS);
+
+const permissionKeysSchema = z.array(
+  z.string().refine(isKnownPermission, (key) => ({ message: `Unknown permission: ${key}` }))
+);
+
+// Validation schemas
+const createRoleSchema = z.object({
+  name: z.string().min(1, "Role name is required").max(50),
+  description: z.string().optional(),
+  permissions: permissionKeysSchema.default([]),
+});
+
+const updateRoleSchema = z.object({
+  name: z.string().min(1, "Role name is required").max(50).optional(),
+  description: z.string().optional(),
+  permissions: permissionKeysSchema.optional(),
+});
+
+const setUserPermissionsSchema = z.object({
+  permissions: permissionKeysSchema,
+});
+
+const roleInclude = {
+  permissions: { include: { permission: true } },
+  _count: { select: { users: true } },
+};
+
+// Permissions in `keys` the caller does not hold. Nobody can hand out more access
+// than they have themselves; SUPERADMIN holds every permission.
+async function permissionsBeyondCaller(user, keys) {
+  const held = await getUserPermissions(user);
+  return keys.filter(key => !held.has(key));
+}
+
+function rejectUngranted(res, keys) {
+  return res.status(403).json({
+    error: 'Insufficient permissions',
+    message: `You cannot grant permissions you do not have: ${keys.join(', ')}`,
+  });
+}
+
+// System roles set the baseline for every user of a UserRole
+function rejectSystemRoleChange(res) {
+  return res.status(403).json({
+    error: 'Insufficient permissions',
+    message: 'Only a SUPERADMIN can change system roles',
+  });
+}
+
+function formatRole(role) {
+  return {
+    id: role.id,
+    name: role.name,
+    description: role.description,
+    isSystem: role.isSystem,
+    permissions: role.permissions.map(rp => rp.permission.key).sort(),
+    userCount: role._count?.users ?? 0,
+    createdAt: role.createdAt,
+    updatedAt: role.updatedAt,
+  };
+}
+
+class RolesController {
+  constructor() {
+    this.getPermissionCatalog = this.getPermissionCatalog.bind(this);
+    this.getRoles = this.getRoles.bind(this);
+    this.getRoleById = this.getRoleById.bind(this);
+    this.createRole = this.createRole.bind(this);
+    this.updateRole = this.updateRole.bind(this);
+    this.deleteRole = this.deleteRole.bind(this);
+    this.assignRole = this.assignRole.bind(this);
+    this.unassignRole = this.unassignRole.bind(this);
+    this.getUserPermissions = this.getUserPermissions.bind(this);
+    this.setUserPermissions = this.setUserPermissions.bind(this);
+  }
+
+  // List every permission the API knows about, with the built-in role defaults
+  async getPermissionCatalog(req, res) {
+    res.json({
+      permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description })),
+      defaults: DEFAULT_ROLE_PERMISSIONS,
+    });
+  }
+
+  async getRoles(req, res) {
+    try {
+      const roles = await prisma.role.findMany({
+        include: roleInclude,
+        orderBy: [{ isSystem: 'desc' }, { name: 'asc' }],
+      });
+
+      res.json({ roles: roles.map(formatRole) });
+    } catch (error) {
+      console.error('Get roles error:', error);
+      res.status(500).json({ error: 'Failed to fetch roles' });
+    }
+  }
+
+  async getRoleById(req, res) {
+    try {
+      const role = await prisma.role.findUnique({
+        where: { id: req.params.id },
+        include: {
+          ...roleInclude,
+          users: {
+            include: {
+              user: { select: { id: true, firstName: true, lastName: true, email: true, role: true } },
+            },
+          },
+        },
+      });
+
+      if (!role) {
+        return res.status(404).json({ error: 'Role not found' });
+      }
+
+      res.json({
+        ...formatRole(role),
+        users: role.users.map(assignment => ({
+          id: assignment.user.id,
+          name: `${assignment.user.firstName} ${assignment.user.lastName}`,
+          email: assignment.user.email,
+          role: assignment.user.role,
+          assignedAt: assignment.createdAt,
+        })),
+      });
+    } catch (error) {
+      console.error('Get role error:', error);
+      res.status(500).json({ error: 'Failed to fetch role' });
+    }
+  }
+
+  // Create a custom role. Using a UserRole name (ADMIN, STAFF, CLIENT) creates the
+  // system role that overrides that baseline.
+  async createRole(req, res) {
+    try {
+      const validatedData = createRoleSchema.parse(req.body);
+
+      const existing = await prisma.role.findUnique({ where: { name: validatedData.name } });
+      if (existing) {
+        return res.status(400).json({ error: 'A role with this name already exists' });
+      }
+
+      if (SYSTEM_ROLE_NAMES.includes(validatedData.name) && req.user.role !== 'SUPERADMIN') {
+        return rejectSystemRoleChange(res);
+      }
+      const ungranted = await permissionsBeyondCaller(req.user, validatedData.permissions);
+      if (ungranted.length > 0) {
+        return rejectUngranted(res, ungranted);
+      }
+
+      const permissionIds = await ensurePermissions(validatedData.permissions);
+
+      const role = await prisma.role.create({
+        data: {
+          name: validatedData.name,
+          description: validatedData.description,
+          isSystem: SYSTEM_ROLE_NAMES.includes(validatedData.name),
+          createdBy: req.user?.id,
+          permissions: {
+            create: permissionIds.map(permissionId => ({ permissionId })),
+          },
+        },
+        include: roleInclude,
+      });
+
+      invalidatePermissionCache();
+
+      res.status(201).json({
+        message: 'Role created successfully',
+        role: formatRole(role),
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Create role error:', error);
+      res.status(500).json({ error: 'Failed to create role' });
+    }
+  }
+
+  async updateRole(req, res) {
+    try {
+      const { id } = req.params;
+      const validatedData = updateRoleSchema.parse(req.body);
+
+      const existing = await prisma.role.findUnique({ where: { id }, include: roleInclude });
+      if (!existing) {
+        return res.status(404).json({ error: 'Role not found' });
+      }
+
+      if (existing.isSystem && req.user.role !== 'SUPERADMIN') {
+        return rejectSystemRoleChange(res);
+      }
+      if (existing.isSystem && validatedData.name && validatedData.name !== existing.name) {
+        return res.status(400).json({ error: 'System roles cannot be renamed' });
+      }
+
+      // Permissions the role already has may be kept; only additions are checked
+      if (validatedData.permissions) {
+        const current = new Set(formatRole(existing).permissions);
+        const ungranted = await permissionsBeyondCaller(
+          req.user,
+          validatedData.permissions.filter(key => !current.has(key))
+        );
+        if (ungranted.length > 0) {
+          return rejectUngranted(res, ungranted);
+        }
+      }
+
+      const role = await prisma.$transaction(async (tx) => {
+        if (validatedData.permissions) {
+          const permissionIds = await ensurePermissions(validatedData.permissions);
+          await tx.rolePermission.deleteMany({ where: { roleId: id } });
+          await tx.rolePermission.createMany({
+            data: permissionIds.map(permissionId => ({ roleId: id, permissionId })),
+          });
+        }
+
+        return tx.role.update({
+          where: { id },
+          data: {
+            ...(validatedData.name && { name: validatedData.name }),
+            ...(validatedData.description !== undefined && { description: validatedData.description }),
+          },
+          include: roleInclude,
+        });
+      });
+
+      invalidatePermissionCache();
+
+      res.json({
+        message: 'Role updated successfully',
+        role: formatRole(role),
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Update role error:', error);
+      res.status(500).json({ error: 'Failed to update role' });
+    }
+  }
+
+  // Deleting a system role restores the built-in defaults for that UserRole
+  async deleteRole(req, res) {
+    try {
+      const { id } = req.params;
+
+      const existing = await prisma.role.findUnique({ where: { id } });
+      if (!existing) {
+        return res.status(404).json({ error: 'Role not found' });
+      }
+      if (existing.isSystem && req.user.role !== 'SUPERADMIN') {
+        return rejectSystemRoleChange(res);
+      }
+
+      await prisma.role.delete({ where: { id } });
+      invalidatePermissionCache();
+
+      res.json({ message: 'Role deleted successfully' });
+    } catch (error) {
+      console.error('Delete role error:', error);
+      res.status(500).json({ error: 'Failed to delete role' });
+    }
+  }
+
+  async assignRole(req, res) {
+    try {
+      const { id, userId } = req.params;
+
+      const [role, user] = await Promise.all([
+        prisma.role.findUnique({ where: { id }, include: roleInclude }),
+        prisma.user.findUnique({ where: { id: userId }, select: { id: true } }),
+      ]);
+
+      if (!role) {
+        return res.status(404).json({ error: 'Role not found' });
+      }
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      if (role.isSystem) {
+        return res.status(400).json({ error: 'System roles follow the user\'s role and cannot be assigned directly' });
+      }
+
+      const ungranted = await permissionsBeyondCaller(req.user, formatRole(role).permissions);
+      if (ungranted.length > 0) {
+        return rejectUngranted(res, ungranted);
+      }
+
+      await prisma.userRoleAssignment.upsert({
+        where: { userId_roleId: { userId, roleId: id } },
+        update: {},
+        create: { userId, roleId: id, assignedBy: req.user?.id },
+      });
+
+      invalidatePermissionCache(userId);
+
+      try {
+        await createActivity({
+          type: 'USER_UPDATED',
+          title: 'Role Assigned',
+          description: `Role "${role.name}" assigned`,
+          userId,
+          performedBy: req.user?.id,
+          metadata: { roleId: role.id, roleName: role.name },
+        });
+      } catch (activityError) {
+        console.error('Failed to create activity:', activityError);
+      }
+
+      res.json({ message: 'Role assigned successfully' });
+    } catch (error) {
+      console.error('Assign role error:', error);
+      res.status(500).json({ error: 'Failed to assign role' });
+    }
+  }
+
+  async unassignRole(req, res) {
+    try {
+      const { id, userId } = req.params;
+
+      const result = await prisma.userRoleAssignment.deleteMany({
+        where: { userId, roleId: id },
+      });
+
+      if (result.count === 0) {
+        return res.status(404).json({ error: 'Role assignment not found' });
+      }
+
+      invalidatePermissionCache(userId);
+
+      try {
+        await createActivity({
+          type: 'USER_UPDATED',
+          title: 'Role Removed',
+          description: `Custom role removed`,
+          userId,
+          performedBy: req.user?.id,
+          metadata: { roleId: id },
+        });
+      } catch (activityError) {
+        console.error('Failed to create activity:', activityError);
+      }
+
+      res.json({ message: 'Role removed successfully' });
+    } catch (error) {
+      console.error('Unassign role error:', error);
+      res.status(500).json({ error: 'Failed to remove role' });
+    }
+  }
+
+  // Effective permissions for a user, with where each one comes from
+  async getUserPermissions(req, res) {
+    try {
+      const { userId } = req.params;
+
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: {
+          id: true,
+          role: true,
+          customRoles: { include: { role: { select: { id: true, name: true } } } },
+          grantedPermissions: { include: { permission: true } },
+        },
+      });
+
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      invalidatePermissionCache(userId);
+      const effective = await getUserPermissions(user);
+
+      res.json({
+        userId: user.id,
+        role: user.role,
+        customRoles: user.customRoles.map(assignment => assignment.role),
+        grantedPermissions: user.grantedPermissions.map(grant => grant.permission.key).sort(),
+        effectivePermissions: [...effective].sort(),
+      });
+    } catch (error) {
+      console.error('Get user permissions error:', error);
+      res.status(500).json({ error: 'Failed to fetch user permissions' });
+    }
+  }
+
+  // Replace the permissions granted directly to a user
+  async setUserPermissions(req, res) {
+    try {
+      const { userId } = req.params;
+      const { permissions } = setUserPermissionsSchema.parse(req.body);
+
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { id: true, grantedPermissions: { include: { permission: true } } },
+      });
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      // Grants the user already has may be kept; only additions are checked
+      const current = new Set(user.grantedPermissions.map(grant => grant.permission.key));
+      const ungranted = await permissionsBeyondCaller(req.user, permissions.filter(key => !current.has(key)));
+      if (ungranted.length > 0) {
+        return rejectUngranted(res, ungranted);
+      }
+
+      const permissionIds = await ensurePermissions(permissions);
+
+      await prisma.$transaction([
+        prisma.userPermission.deleteMany({ where: { userId } }),
+        prisma.userPermission.createMany({
+          data: permissionIds.map(permissionId => ({ userId, permissionId, grantedBy: req.user?.id })),
+        }),
+      ]);
+
+      invalidatePermissionCache(userId);
+
+      try {
+        await createActivity({
+          type: 'USER_UPDATED',
+          title: 'Permissions Updated',
+          description: `Direct permissions set to: ${permissions.join(', ') || 'none'}`,
+          userId,
+          performedBy: req.user?.id,
+          metadata: { permissions },
+        });
+      } catch (activityError) {
+        console.error('Failed to create activity:', activityError);
+      }
+
+      res.json({ message: 'Permissions updated successfully', permissions });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Set user permissions error:', error);
+      res.status(500).json({ error: 'Failed to update permissions' });
+    }
+  }
+}
+
+module.exports = { RolesController };
@@ -0,0 +1,182 @@
+// controllers/savedFilters.controller.js
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+const {
+  FilterError,
+  FILTER_FIELDS,
+  OPERATORS,
+  CUSTOM_FIELD_OPERATORS,
+  CUSTOM_FIELD_PREFIX,
+  SORTABLE_FIELDS,
+  parseFilter,
+  buildOrderBy,
+} = require('../services/userFilterService');
+const { getDefinitions, getCustomFieldMap } = require('../services/customFieldService');
+
+const prisma = new PrismaClient();
+
+// Validation schemas
+const createSavedFilterSchema = z.object({
+  name: z.string().min(1, "Filter name is required").max(100),
+  description: z.string().optional(),
+  filter: z.any(),
+  sortBy: z.string().optional(),
+  sortOrder: z.enum(['asc', 'desc']).optional(),
+});
+
+const updateSavedFilterSchema = createSavedFilterSchema.partial();
+
+class SavedFiltersController {
+  constructor() {
+    this.getFilterOptions = this.getFilterOptions.bind(this);
+    this.getSavedFilters = this.getSavedFilters.bind(this);
+    this.createSavedFilter = this.createSavedFilter.bind(this);
+    this.updateSavedFilter = this.updateSavedFilter.bind(this);
+    this.deleteSavedFilter = this.deleteSavedFilter.bind(this);
+  }
+
+  // Filterable fields, their operators and sortable columns, for building filter UIs
+  async getFilterOptions(req, res) {
+    try {
+      const customFields = await getDefinitions('USER');
+
+      res.json({
+        fields: Object.entries(FILTER_FIELDS).map(([field, definition]) => ({
+          field,
+          type: definition.type,
+          operators: OPERATORS[definition.type],
+          ...(definition.values && { values: definition.values }),
+        })),
+        customFields: customFields.map(definition => ({
+          field: `${CUSTOM_FIELD_PREFIX}${definition.key}`,
+          label: definition.label,
+          type: definition.type,
+          operators: CUSTOM_FIELD_OPERATORS[definition.type],
+          ...(definition.options.length > 0 && { values: definition.options }),
+        })),
+        sortable: Object.keys(SORTABLE_FIELDS),
+      });
+    } catch (error) {
+      console.error('Get filter options error:', error);
+      res.status(500).json({ error: 'Failed to fetch filter options' });
+    }
+  }
+
+  // The current user's saved filters
+  async getSavedFilters(req, res) {
+    try {
+      const savedFilters = await prisma.savedFilter.findMany({
+        where: { ownerId: req.user.id },
+        orderBy: { name: 'asc' },
+      });
+
+      res.json({ savedFilters });
+    } catch (error) {
+      console.error('Get saved filters error:', error);
+      res.status(500).json({ error: 'Failed to fetch saved filters' });
+    }
+  }
+
+  async createSavedFilter(req, res) {
+    try {
+      const validatedData = createSavedFilterSchema.parse(req.body);
+      const filter = parseFilter(validatedData.filter, { customFields: await getCustomFieldMap('USER') });
+      buildOrderBy(validatedData.sortBy, validatedData.sortOrder);
+
+      const existing = await prisma.savedFilter.findUnique({
+        where: { ownerId_name: { ownerId: req.user.id, name: validatedData.name } },
+      });
+      if (existing) {
+        return res.status(400).json({ error: 'You already have a filter with this name' });
+      }
+
+      const savedFilter = await prisma.savedFilter.create({
+        data: {
+          ...validatedData,
+          filter,
+          ownerId: req.user.id,
+        },
+      });
+
+      res.status(201).json({
+        message: 'Filter saved successfully',
+        savedFilter,
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      if (error instanceof FilterError) {
+        return res.status(400).json({ error: 'Invalid filter', message: error.message });
+      }
+      console.error('Create saved filter error:', error);
+      res.status(500).json({ error: 'Failed to save filter' });
+    }
+  }
+
+  async updateSavedFilter(req, res) {
+    try {
+      const { filterId } = req.params;
+      const validatedData = updateSavedFilterSchema.parse(req.body);
+
+      const existing = await prisma.savedFilter.findFirst({
+        where: { id: filterId, ownerId: req.user.id },
+      });
+      if (!existing) {
+        return res.status(404).json({ error: 'Saved filter not found' });
+      }
+
+      if (validatedData.filter !== undefined) {
+        validatedData.filter = parseFilter(validatedData.filter, { customFields: await getCustomFieldMap('USER') });
+      }
+      buildOrderBy(validatedData.sortBy ?? existing.sortBy ?? undefined, validatedData.sortOrder);
+
+      if (validatedData.name && validatedData.name !== existing.name) {
+        const duplicate = await prisma.savedFilter.findUnique({
+          where: { ownerId_name: { ownerId: req.user.id, name: validatedData.name } },
+        });
+        if (duplicate) {
+          return res.status(400).json({ error: 'You already have a filter with this name' });
+        }
+      }
+
+      const savedFilter = await prisma.savedFilter.update({
+        where: { id: filterId },
+        data: validatedData,
+      });
+
+      res.json({
+        message: 'Filter updated successfully',
+        savedFilter,
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      if (error instanceof FilterError) {
+        return res.status(400).json({ error: 'Invalid filter', message: error.message });
+      }
+      console.error('Update saved filter error:', error);
+      res.status(500).json({ error: 'Failed to update filter' });
+    }
+  }
+
+  async deleteSavedFilter(req, res) {
+    try {
+      const result = await prisma.savedFilter.deleteMany({
+        where: { id: req.params.filterId, ownerId: req.user.id },
+      });
+
+      if (result.count === 0) {
+        return res.status(404).json({ error: 'Saved filter not found' });
+      }
+
+      res.json({ message: 'Filter deleted successfully' });
+    } catch (error) {
+      console.error('Delete saved filter error:', error);
+      res.status(500).json({ error: 'Failed to delete filter' });
+    }
+  }
+}
+
+module.exports = { SavedFiltersController };
@@ -0,0 +1,307 @@
+// controllers/tags.controller.js
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('../services/softDeleteService');
+const { z } = require('zod');
+const { createBulkActivities } = require('../services/activityService');
+const { getAgentScope } = require('../services/clientScopeService');
+const {
+  DEFAULT_TAG_COLOR,
+  TagError,
+  normalizeTagName,
+  findOrCreateTags,
+  addTagsToUsers,
+  removeTagsFromUsers,
+  renameTag,
+  mergeTags,
+  getTagsWithCounts,
+} = require('../services/tagService');
+
+const prisma = withSoftDelete(new PrismaClient());
+
+// Validation schemas
+const colorSchema = z.string().regex(/^#[0-9a-fA-F]{6}$/, "Color must be a hex value like #1A2B3C");
+
+const createTagSchema = z.object({
+  name: z.string().trim().min(1, "Tag name is required").max(50),
+  color: colorSchema.optional(),
+  description: z.string().max(500).optional(),
+});
+
+const updateTagSchema = z.object({
+  name: z.string().trim().min(1, "Tag name is required").max(50).optional(),
+  color: colorSchema.optional(),
+  description: z.string().max(500).nullable().optional(),
+});
+
+const mergeTagsSchema = z.object({
+  sourceTagIds: z.array(z.string()).min(1, "At least one tag to merge is required"),
+});
+
+const bulkTagSchema = z.object({
+  userIds: z.array(z.string()).min(1, "At least one user is required").max(1000),
+  tagIds: z.array(z.string()).optional(),
+  tagNames: z.array(z.string().trim().min(1).max(50)).optional(),
+}).refine(data => (data.tagIds?.length || 0) + (data.tagNames?.length || 0) > 0, {
+  message: "At least one tag is required",
+});
+
+class TagsController {
+  constructor() {
+    this.getTags = this.getTags.bind(this);
+    this.createTag = this.createTag.bind(this);
+    this.updateTag = this.updateTag.bind(this);
+    this.deleteTag = this.deleteTag.bind(this);
+    this.mergeTags = this.mergeTags.bind(this);
+    this.bulkApplyTags = this.bulkApplyTags.bind(this);
+    this.bulkRemoveTags = this.bulkRemoveTags.bind(this);
+  }
+
+  // Load the clients for a bulk request; null when any is missing or out of scope
+  async findScopedClients(req, userIds) {
+    const agentScope = await getAgentScope(req.user);
+    const ids = [...new Set(userIds)];
+
+    const clients = await prisma.user.findMany({
+      where: {
+        id: { in: ids },
+        role: 'CLIENT',
+        ...(agentScope && { agentId: agentScope }),
+      },
+      select: { id: true },
+    });
+
+    return clients.length === ids.length ? ids : null;
+  }
+
+  // The tag catalog with usage counts (?search=)
+  async getTags(req, res) {
+    try {
+      const tags = await getTagsWithCounts({
+        search: req.query.search,
+        agentScope: await getAgentScope(req.user),
+      });
+
+      res.json({ tags });
+    } catch (error) {
+      console.error('Get tags error:', error);
+      res.status(500).json({ error: 'Failed to fetch tags' });
+    }
+  }
+
+  async createTag(req, res) {
+    try {
+      const validatedData = createTagSchema.parse(req.body);
+      const normalizedName = normalizeTagName(validatedData.name);
+
+      const existing = await prisma.tag.findUnique({ where: { normalizedName } });
+      if (existing) {
+        return res.status(400).json({ error: `Tag "${existing.name}" already exists` });
+      }
+
+      const tag = await prisma.tag.create({
+        data: {
+          name: validatedData.name,
+          normalizedName,
+          color: validatedData.color || DEFAULT_TAG_COLOR,
+          description: validatedData.description,
+        },
+      });
+
+      res.status(201).json({
+        message: 'Tag created successfully',
+        tag,
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Create tag error:', error);
+      res.status(500).json({ error: 'Failed to create tag', message: error.message });
+    }
+  }
+
+  // Rename or recolor a tag; renames apply to every tagged user
+  async updateTag(req, res) {
+    try {
+      const { id } = req.params;
+      const { name, ...details } = updateTagSchema.parse(req.body);
+
+      const existing = await prisma.tag.findUnique({ where: { id } });
+      if (!existing) {
+        return res.status(404).json({ error: 'Tag not found' });
+      }
+
+      if (name && name !== existing.name) {
+        await renameTag(id, name);
+      }
+
+      const tag = await prisma.tag.update({
+        where: { id },
+        data: details,
+      });
+
+      res.json({
+        message: 'Tag updated successfully',
+        tag,
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      if (error instanceof TagError) {
+        return res.status(400).json({ error: 'Invalid tag update', message: error.message });
+      }
+      console.error('Update tag error:', error);
+      res.status(500).json({ error: 'Failed to update tag', message: error.message });
+    }
+  }
+
+  // Delete a tag and remove it from every user
+  async deleteTag(req, res) {
+    try {
+      const { id } = req.params;
+
+      const tag = await prisma.tag.findUnique({
+        where: { id },
+        include: { _count: { select: { users: true } } },
+      });
+      if (!tag) {
+        return res.status(404).json({ error: 'Tag not found' });
+      }
+
+      await prisma.tag.delete({ where: { id } });
+
+      res.json({
+        message: 'Tag deleted successfully',
+        usersAffected: tag._count.users,
+      });
+    } catch (error) {
+      console.error('Delete tag error:', error);
+      res.status(500).json({ error: 'Failed to delete tag', message: error.message });
+    }
+  }
+
+  // Merge other tags into :id, e.g. "hot-lead" and "Hot Leads" into "Hot Lead"
+  async mergeTags(req, res) {
+    try {
+      const { id } = req.params;
+      const { sourceTagIds } = mergeTagsSchema.parse(req.body);
+
+      const result = await mergeTags(id, sourceTagIds);
+
+      res.json({
+        message: 'Tags merged successfully',
+        tag: result.target,
+        mergedTags: result.merged.map(tag => tag.name),
+        usersAffected: result.usersAffected,
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      if (error instanceof TagError) {
+        return res.status(400).json({ error: 'Merge failed', message: error.message });
+      }
+      console.error('Merge tags error:', error);
+      res.status(500).json({ error: 'Failed to merge tags', message: error.message });
+    }
+  }
+
+  // Tag a list of users; unknown tag names are added to the catalog
+  async bulkApplyTags(req, res) {
+    try {
+      const { userIds, tagIds = [], tagNames = [] } = bulkTagSchema.parse(req.body);
+
+      const clientIds = await this.findScopedClients(req, userIds);
+      if (!clientIds) {
+        return res.status(404).json({ error: 'One or more users were not found' });
+      }
+
+      const knownTags = await prisma.tag.findMany({ where: { id: { in: tagIds } } });
+      if (knownTags.length !== new Set(tagIds).size) {
+        return res.status(400).json({ error: 'One or more tags were not found' });
+      }
+
+      const namedTags = await findOrCreateTags(tagNames);
+      const tags = [...new Map([...knownTags, ...namedTags].map(tag => [tag.id, tag])).values()];
+      const added = await addTagsToUsers(clientIds, tags.map(tag => tag.id));
+
+      try {
+        await createBulkActivities(clientIds.map(userId => ({
+          type: 'USER_UPDATED',
+          title: 'Tags Added',
+          description: `Tagged ${tags.map(tag => tag.name).join(', ')}`,
+          userId,
+          performedBy: req.user?.id,
+          metadata: { tagIds: tags.map(tag => tag.id) },
+        })));
+      } catch (activityError) {
+        console.error('Failed to create activities:', activityError);
+      }
+
+      res.json({
+        message: 'Tags applied successfully',
+        tags: tags.map(tag => ({ id: tag.id, name: tag.name, color: tag.color })),
+        usersTagged: clientIds.length,
+        linksAdded: added,
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Bulk apply tags error:', error);
+      res.status(500).json({ error: 'Failed to apply tags', message: error.message });
+    }
+  }
+
+  async bulkRemoveTags(req, res) {
+    try {
+      const { userIds, tagIds = [], tagNames = [] } = bulkTagSchema.parse(req.body);
+
+      const clientIds = await this.findScopedClients(req, userIds);
+      if (!clientIds) {
+        return res.status(404).json({ error: 'One or more users were not found' });
+      }
+
+      const tags = await prisma.tag.findMany({
+        where: {
+          OR: [
+            { id: { in: tagIds } },
+            { normalizedName: { in: tagNames.map(normalizeTagName) } },
+          ],
+        },
+      });
+
+      const removed = await removeTagsFromUsers(clientIds, tags.map(tag => tag.id));
+
+      if (removed > 0) {
+        try {
+          await createBulkActivities(clientIds.map(userId => ({
+            type: 'USER_UPDATED',
+            title: 'Tags Removed',
+            description: `Removed ${tags.map(tag => tag.name).join(', ')}`,
+            userId,
+            performedBy: req.user?.id,
+            metadata: { tagIds: tags.map(tag => tag.id) },
+          })));
+        } catch (activityError) {
+          console.error('Failed to create activities:', activityError);
+        }
+      }
+
+      res.json({
+        message: 'Tags removed successfully',
+        tags: tags.map(tag => tag.name),
+        linksRemoved: removed,
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Bulk remove tags error:', error);
+      res.status(500).json({ error: 'Failed to remove tags', message: error.message });
+    }
+  }
+}
+
+module.exports = { TagsController };
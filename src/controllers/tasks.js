@@ -1,9 +1,12 @@
 // controllers/tasks.controller.js
 const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('../services/softDeleteService');
 const { z } = require('zod');
 const { createActivity } = require('../services/activityService');
+const { getAgentScope } = require('../services/clientScopeService');
+const { ExportError, parseExportOptions, streamExport } = require('../services/exportService');
 
-const prisma = new PrismaClient();
+const prisma = withSoftDelete(new PrismaClient());
 
 // Validation schemas
 const createTaskSchema = z.object({
@@ -37,6 +40,21 @@ const getTasksPaginationSchema = z.object({
   overdue: z.string().optional(),
 });
 
+const TASK_EXPORT_COLUMNS = [
+  { key: 'id', header: 'ID', value: task => task.id },
+  { key: 'title', header: 'Title', value: task => task.title },
+  { key: 'description', header: 'Description', value: task => task.description },
+  { key: 'status', header: 'Status', value: task => task.status },
+  { key: 'priority', header: 'Priority', value: task => task.priority },
+  { key: 'dueDate', header: 'Due Date', value: task => task.dueDate },
+  { key: 'relatedTo', header: 'Related To', value: task => task.relatedTo },
+  { key: 'client', header: 'Client', value: task => `${task.assignedTo.firstName} ${task.assignedTo.lastName}` },
+  { key: 'clientEmail', header: 'Client Email', value: task => task.assignedTo.email },
+  { key: 'createdBy', header: 'Created By', value: task => `${task.createdBy.firstName} ${task.createdBy.lastName}` },
+  { key: 'completedAt', header: 'Completed', value: task => task.completedAt },
+  { key: 'createdAt', header: 'Created', value: task => task.createdAt },
+];
+
 class TasksController {
   constructor() {
     // Bind all methods
@@ -48,52 +66,74 @@ class TasksController {
     this.getUserTasks = this.getUserTasks.bind(this);
     this.markTaskComplete = this.markTaskComplete.bind(this);
     this.getTaskStats = this.getTaskStats.bind(this);
+    this.buildTaskWhere = this.buildTaskWhere.bind(this);
+    this.exportTasks = this.exportTasks.bind(this);
+  }
+
+  // Where clause for the task list filters, shared by getTasks and exportTasks
+  async buildTaskWhere(query, user) {
+    const { search, assignedToId, createdById, status, priority, overdue } = query;
+
+    const whereClause = {};
+
+    if (search) {
+      whereClause.OR = [
+        { title: { contains: search, mode: 'insensitive' } },
+        { description: { contains: search, mode: 'insensitive' } },
+        { relatedTo: { contains: search, mode: 'insensitive' } },
+      ];
+    }
+
+    if (assignedToId) {
+      whereClause.assignedToId = assignedToId;
+    }
+
+    if (createdById) {
+      whereClause.createdById = createdById;
+    }
+
+    if (status) {
+      whereClause.status = status;
+    }
+
+    if (priority) {
+      whereClause.priority = priority;
+    }
+
+    if (overdue === 'true') {
+      whereClause.dueDate = {
+        lt: new Date(),
+      };
+      whereClause.status = {
+        not: 'COMPLETED'
+      };
+    }
+
+    // Staff only see tasks for their own clients, or tasks they are part of
+    const agentScope = await getAgentScope(user);
+    if (agentScope) {
+      whereClause.AND = [{
+        OR: [
+          { assignedTo: { agentId: agentScope } },
+          { assignedToId: agentScope },
+          { createdById: agentScope },
+        ],
+      }];
+    }
+
+    return whereClause;
   }
 
   // Get all tasks with pagination and filtering
   async getTasks(req, res) {
     try {
       const validatedQuery = getTasksPaginationSchema.parse(req.query);
-      const { page, limit, search, assignedToId, createdById, status, priority, overdue } = validatedQuery;
+      const { page, limit } = validatedQuery;
       
       const pageNum = parseInt(page);
       const limitNum = parseInt(limit);
 
-      // Build where clause
-      const whereClause = {};
-      
-      if (search) {
-        whereClause.OR = [
-          { title: { contains: search, mode: 'insensitive' } },
-          { description: { contains: search, mode: 'insensitive' } },
-          { relatedTo: { contains: search, mode: 'insensitive' } },
-        ];
-      }
-      
-      if (assignedToId) {
-        whereClause.assignedToId = assignedToId;
-      }
-      
-      if (createdById) {
-        whereClause.createdById = createdById;
-      }
-      
-      if (status) {
-        whereClause.status = status;
-      }
-      
-      if (priority) {
-        whereClause.priority = priority;
-      }
-      
-      if (overdue === 'true') {
-        whereClause.dueDate = {
-          lt: new Date(),
-        };
-        whereClause.status = {
-          not: 'COMPLETED'
-        };
-      }
+      const whereClause = await this.buildTaskWhere(validatedQuery, req.user);
 
       const tasks = await prisma.task.findMany({
         where: whereClause,
@@ -176,6 +216,40 @@ class TasksController {
     }
   }
 
+  // Export tasks matching the list filters as CSV or XLSX
+  async exportTasks(req, res) {
+    try {
+      const validatedQuery = getTasksPaginationSchema.parse(req.query);
+      const { format, columns } = parseExportOptions(req.query, TASK_EXPORT_COLUMNS);
+      const whereClause = await this.buildTaskWhere(validatedQuery, req.user);
+
+      await streamExport(res, {
+        filename: 'tasks',
+        format,
+        columns,
+        fetchBatch: (skip, take) => prisma.task.findMany({
+          where: whereClause,
+          include: {
+            assignedTo: { select: { firstName: true, lastName: true, email: true } },
+            createdBy: { select: { firstName: true, lastName: true } },
+          },
+          orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+          skip,
+          take,
+        }),
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      if (error instanceof ExportError) {
+        return res.status(400).json({ error: 'Invalid export request', message: error.message });
+      }
+      console.error('Export tasks error:', error);
+      res.status(500).json({ error: 'Failed to export tasks' });
+    }
+  }
+
  // Add this import at the top of the file if not already present
 
 // Create a new task
@@ -440,8 +514,10 @@ async createTask(req, res) {
         return res.status(404).json({ error: 'Task not found' });
       }
 
-      await prisma.task.delete({
+      // Soft delete; restorable from the trash until purged
+      await prisma.task.update({
         where: { id },
+        data: { deletedAt: new Date() },
       });
 
       // Create activity log
@@ -454,6 +530,7 @@ async createTask(req, res) {
           performedBy: req.user?.id || 'system',
           metadata: {
             taskId: id,
+            recordType: 'task',
             deletedTitle: existingTask.title,
           },
         });
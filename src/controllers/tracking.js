@@ -0,0 +1,52 @@
+// controllers/tracking.controller.js
+const { PIXEL, verifyOpen, verifyClick, recordOpen, recordClick } = require('../services/trackingService');
+
+function requestDetails(req) {
+  return { userAgent: req.get('user-agent') || null, ip: req.ip || null };
+}
+
+class TrackingController {
+  constructor() {
+    this.trackOpen = this.trackOpen.bind(this);
+    this.trackClick = this.trackClick.bind(this);
+  }
+
+  // The pixel is always returned so a bad signature or a database error never shows as a broken image
+  async trackOpen(req, res) {
+    const { emailId } = req.params;
+
+    if (verifyOpen(emailId, req.query.sig)) {
+      try {
+        await recordOpen(emailId, requestDetails(req));
+      } catch (error) {
+        console.error('Track email open error:', error);
+      }
+    }
+
+    res.set({
+      'Content-Type': 'image/gif',
+      'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+    });
+    res.send(PIXEL);
+  }
+
+  // Only signed URLs are redirected, so the endpoint cannot be used as an open redirect
+  async trackClick(req, res) {
+    const { emailId } = req.params;
+    const url = typeof req.query.url === 'string' ? req.query.url : '';
+
+    if (!/^https?:\/\//i.test(url) || !verifyClick(emailId, url, req.query.sig)) {
+      return res.status(400).json({ error: 'Invalid link' });
+    }
+
+    try {
+      await recordClick(emailId, url, requestDetails(req));
+    } catch (error) {
+      console.error('Track email click error:', error);
+    }
+
+    res.redirect(302, url);
+  }
+}
+
+module.exports = { TrackingController };
@@ -0,0 +1,110 @@
+// controllers/trash.controller.js
+const { z } = require('zod');
+const { refreshEmailListenerCache } = require('../services/clientService');
+const {
+  RETENTION_DAYS,
+  TRASH_TYPES,
+  TrashError,
+  countTrash,
+  listTrash,
+  restoreItem,
+  purgeItem,
+  purgeExpired,
+} = require('../services/softDeleteService');
+
+// Validation schemas
+const trashTypeSchema = z.enum(Object.keys(TRASH_TYPES));
+
+const listTrashSchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(200).default(50),
+});
+
+class TrashController {
+  constructor() {
+    this.getTrashSummary = this.getTrashSummary.bind(this);
+    this.getTrashItems = this.getTrashItems.bind(this);
+    this.restoreItem = this.restoreItem.bind(this);
+    this.purgeItem = this.purgeItem.bind(this);
+    this.purgeExpired = this.purgeExpired.bind(this);
+  }
+
+  handleError(res, error, action) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    if (error instanceof TrashError) {
+      const status = error.message === 'Record not found' ? 404 : 400;
+      return res.status(status).json({ error: `Failed to ${action}`, message: error.message });
+    }
+    console.error(`Trash ${action} error:`, error);
+    res.status(500).json({ error: `Failed to ${action}`, message: error.message });
+  }
+
+  // Deleted record counts per type
+  async getTrashSummary(req, res) {
+    try {
+      const counts = await countTrash();
+
+      res.json({ counts, retentionDays: RETENTION_DAYS });
+    } catch (error) {
+      this.handleError(res, error, 'fetch trash');
+    }
+  }
+
+  async getTrashItems(req, res) {
+    try {
+      const type = trashTypeSchema.parse(req.params.type);
+      const { page, limit } = listTrashSchema.parse(req.query);
+
+      const result = await listTrash(type, { page, limit });
+
+      res.json({ type, retentionDays: RETENTION_DAYS, ...result });
+    } catch (error) {
+      this.handleError(res, error, 'fetch trash');
+    }
+  }
+
+  async restoreItem(req, res) {
+    try {
+      const type = trashTypeSchema.parse(req.params.type);
+
+      const item = await restoreItem(type, req.params.id, { performedBy: req.user?.id });
+
+      // A restored client's mail is matched to their record again
+      if (type === 'user') {
+        await refreshEmailListenerCache();
+      }
+
+      res.json({ message: 'Record restored successfully', item });
+    } catch (error) {
+      this.handleError(res, error, 'restore record');
+    }
+  }
+
+  // Permanently delete one record; only allowed after the retention period
+  async purgeItem(req, res) {
+    try {
+      const type = trashTypeSchema.parse(req.params.type);
+
+      const item = await purgeItem(type, req.params.id, { performedBy: req.user?.id });
+
+      res.json({ message: 'Record permanently deleted', item });
+    } catch (error) {
+      this.handleError(res, error, 'purge record');
+    }
+  }
+
+  // Permanently delete everything past the retention period
+  async purgeExpired(req, res) {
+    try {
+      const result = await purgeExpired({ performedBy: req.user?.id });
+
+      res.json({ message: 'Expired records purged', retentionDays: RETENTION_DAYS, ...result });
+    } catch (error) {
+      this.handleError(res, error, 'purge trash');
+    }
+  }
+}
+
+module.exports = { TrashController };
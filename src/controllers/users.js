@@ -1,12 +1,37 @@
 // controllers/user.controller.js - Updated with better email conversation handling
 const { PrismaClient } = require('@prisma/client');
+const { RETENTION_DAYS, withSoftDelete, softDeleteUser } = require('../services/softDeleteService');
 const bcrypt = require('bcrypt');
 const { z } = require('zod');
-const { generatePassword, getInitials, formatRelativeTime, getFormNameById } = require('../utils/helpers');
-const { sendOnboardingEmail, sendRichTextEmail } = require('../services/emailService');
-const { createActivity } = require('../services/activityService');
-
-const prisma = new PrismaClient();
+const { getInitials, formatRelativeTime, isValidTimeZone } = require('../utils/helpers');
+const { queueEmail } = require('../services/outboxService');
+const { ScheduleError, resolveScheduledTime, clientTimeZone } = require('../services/scheduledEmailService');
+const { createActivity, createBulkActivities } = require('../services/activityService');
+const { isVerificationRequired } = require('../services/emailVerificationService');
+const { createClient, findAgent, refreshEmailListenerCache } = require('../services/clientService');
+const { getAgentScope, isClientInScope } = require('../services/clientScopeService');
+const {
+  FilterError,
+  parseFilter,
+  filterFromQuery,
+  buildFilterWhere,
+  buildOrderBy,
+} = require('../services/userFilterService');
+const { ExportError, parseExportOptions, streamExport } = require('../services/exportService');
+const { getTagCountsForUsers } = require('../services/tagService');
+const {
+  CUSTOM_FIELD_VALUES_INCLUDE,
+  getDefinitions,
+  getCustomFieldMap,
+  parseCustomFieldValues,
+  saveCustomFieldValues,
+  formatCustomFieldValues,
+  getCustomFieldValues,
+  customFieldExportColumns,
+} = require('../services/customFieldService');
+const { findUnassignableForms } = require('../services/formService');
+
+const prisma = withSoftDelete(new PrismaClient());
 
 // Add new schema for email conversation
 const getEmailConversationSchema = z.object({
@@ -15,6 +40,8 @@ const getEmailConversationSchema = z.object({
   type: z.enum(['all', 'sent', 'received']).optional().default('all'),
 });
 
+const timezoneField = z.string().refine(isValidTimeZone, { message: "Unknown timezone" });
+
 // Existing schemas...
 const createUserSchema = z.object({
   firstName: z.string().min(1, "First name is required"),
@@ -28,11 +55,28 @@ const createUserSchema = z.object({
   zipCode: z.string().optional(),
   businessName: z.string().optional(),
   stage: z.string().optional(),
+  clientType: z.enum(['BUYER', 'SELLER']).optional(),
   agentId: z.string().optional(),
   leadSource: z.string().optional(),
   preferredContact: z.string().optional(),
+  timezone: timezoneField.optional(),
   tags: z.array(z.string()).optional(),
   assignedForms: z.array(z.string()).optional(),
+  customFields: z.record(z.any()).optional(),
+});
+
+const updateCustomFieldsSchema = z.object({
+  customFields: z.record(z.any()),
+});
+
+const assignAgentSchema = z.object({
+  agentId: z.string().nullable(),
+});
+
+const reassignAgentSchema = z.object({
+  fromAgentId: z.string().min(1, "Current agent is required"),
+  toAgentId: z.string().nullable(),
+  userIds: z.array(z.string()).optional(), // Defaults to every client of fromAgentId
 });
 
 const sendEmailSchema = z.object({
@@ -40,8 +84,170 @@ const sendEmailSchema = z.object({
   body: z.string().min(1, "Body is required"),
   htmlBody: z.string().optional(),
   attachments: z.array(z.string()).optional(),
+  track: z.boolean().default(true), // Open/click tracking for this email
+  // Send later. A time without an offset, e.g. "2026-03-02T09:00", is read in the
+  // client's timezone unless `timezone` is given.
+  scheduledFor: z.string().optional(),
+  timezone: timezoneField.optional(),
+});
+
+const updateScheduledEmailSchema = z.object({
+  subject: z.string().min(1, "Subject is required").optional(),
+  body: z.string().min(1, "Body is required").optional(),
+  htmlBody: z.string().optional(),
+  attachments: z.array(z.string()).optional(),
+  track: z.boolean().optional(),
+  scheduledFor: z.string().optional(),
+  timezone: timezoneField.optional(),
+}).refine(data => !data.timezone || data.scheduledFor, {
+  message: "timezone can only be given with scheduledFor",
+  path: ['timezone'],
 });
 
+const listScheduledEmailsSchema = z.object({
+  recipientId: z.string().optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+});
+
+const updateTimezoneSchema = z.object({
+  timezone: timezoneField.nullable(),
+});
+
+const scheduledEmailInclude = {
+  sender: { select: { id: true, firstName: true, lastName: true, email: true } },
+  recipient: { select: { id: true, firstName: true, lastName: true, email: true, timezone: true } },
+};
+
+function formatScheduledEmail(email) {
+  return {
+    id: email.id,
+    subject: email.subject,
+    body: email.body,
+    htmlBody: email.htmlBody,
+    attachments: email.attachments,
+    trackingEnabled: email.trackingEnabled,
+    scheduledFor: email.scheduledFor,
+    status: email.status,
+    sender: `${email.sender.firstName} ${email.sender.lastName}`,
+    recipient: {
+      id: email.recipient.id,
+      name: `${email.recipient.firstName} ${email.recipient.lastName}`,
+      email: email.recipient.email,
+      timezone: clientTimeZone(email.recipient),
+    },
+    createdAt: email.createdAt,
+  };
+}
+
+// STAFF can manage scheduled emails they wrote or that go to their clients
+async function scheduledEmailWhere(user) {
+  const agentScope = await getAgentScope(user);
+  return {
+    status: 'DRAFT',
+    scheduledFor: { not: null },
+    ...(agentScope && { OR: [{ senderId: user.id }, { recipient: { agentId: agentScope } }] }),
+  };
+}
+
+// Build the where/orderBy for the client list from the request's filters, so the
+// list and its export always agree. Returns null when the saved filter is missing.
+async function buildClientListQuery(req) {
+  const { search = '', savedFilterId, filter } = req.query;
+  let { sortBy, sortOrder } = req.query;
+
+  // Custom fields are filterable as `custom.<key>`
+  const filterOptions = { customFields: await getCustomFieldMap('USER') };
+  const filterClauses = [buildFilterWhere(filterFromQuery(req.query, filterOptions), filterOptions)];
+
+  if (filter) {
+    let parsed;
+    try {
+      parsed = JSON.parse(filter);
+    } catch (parseError) {
+      throw new FilterError('filter must be valid JSON');
+    }
+    filterClauses.push(buildFilterWhere(parseFilter(parsed, filterOptions), filterOptions));
+  }
+
+  if (savedFilterId) {
+    const savedFilter = await prisma.savedFilter.findFirst({
+      where: { id: savedFilterId, ownerId: req.user.id },
+    });
+
+    if (!savedFilter) {
+      return null;
+    }
+
+    filterClauses.push(buildFilterWhere(parseFilter(savedFilter.filter, filterOptions), filterOptions));
+    sortBy = sortBy || savedFilter.sortBy || undefined;
+    sortOrder = sortOrder || savedFilter.sortOrder || undefined;
+  }
+
+  // STAFF only see their own clients unless they have clients:all
+  const agentScope = await getAgentScope(req.user);
+
+  return {
+    where: {
+      NOT: {
+        role: { in: ['SUPERADMIN', 'ADMIN'] },
+      },
+      AND: [
+        {
+          OR: [
+            { firstName: { contains: search, mode: 'insensitive' } },
+            { lastName: { contains: search, mode: 'insensitive' } },
+            { email: { contains: search, mode: 'insensitive' } },
+            { businessName: { contains: search, mode: 'insensitive' } },
+          ],
+        },
+        ...filterClauses,
+        ...(agentScope ? [{ agentId: agentScope }] : []),
+      ],
+    },
+    orderBy: buildOrderBy(sortBy, sortOrder),
+  };
+}
+
+const CLIENT_EXPORT_COLUMNS = [
+  { key: 'id', header: 'ID', value: user => user.id },
+  { key: 'firstName', header: 'First Name', value: user => user.firstName },
+  { key: 'lastName', header: 'Last Name', value: user => user.lastName },
+  { key: 'email', header: 'Email', value: user => user.email },
+  { key: 'phone', header: 'Phone', value: user => user.phone },
+  { key: 'title', header: 'Title', value: user => user.title },
+  { key: 'businessName', header: 'Business Name', value: user => user.businessName },
+  { key: 'address', header: 'Address', value: user => user.address },
+  { key: 'city', header: 'City', value: user => user.city },
+  { key: 'state', header: 'State', value: user => user.state },
+  { key: 'zipCode', header: 'Zip Code', value: user => user.zipCode },
+  { key: 'clientType', header: 'Client Type', value: user => user.clientType },
+  { key: 'stage', header: 'Stage', value: user => user.stage },
+  { key: 'stageEnteredAt', header: 'In Stage Since', value: user => user.stageEnteredAt },
+  { key: 'leadSource', header: 'Lead Source', value: user => user.leadSource },
+  { key: 'preferredContact', header: 'Preferred Contact', value: user => user.preferredContact },
+  { key: 'agent', header: 'Agent', value: user => (user.agent ? `${user.agent.firstName} ${user.agent.lastName}` : null) },
+  { key: 'tags', header: 'Tags', value: user => user.tags.map(link => link.tag.name) },
+  { key: 'buyerSellerNDA', header: 'NDA', value: user => user.buyerSellerNDA },
+  { key: 'buyerSellerWorksheet', header: 'Worksheet', value: user => user.buyerSellerWorksheet },
+  { key: 'listingAgreement', header: 'Listing Agreement', value: user => user.listingAgreement },
+  { key: 'bizBuySellId', header: 'BizBuySell ID', value: user => user.bizBuySellId },
+  { key: 'bizBenId', header: 'BizBen ID', value: user => user.bizBenId },
+  { key: 'dealStreamId', header: 'DealStream ID', value: user => user.dealStreamId },
+  { key: 'businessesForSaleId', header: 'BusinessesForSale ID', value: user => user.businessesForSaleId },
+  { key: 'lastCommunication', header: 'Last Communication', value: user => user.lastCommunication },
+  { key: 'createdAt', header: 'Created', value: user => user.createdAt },
+];
+
+const ACTIVITY_EXPORT_COLUMNS = [
+  { key: 'id', header: 'ID', value: activity => activity.id },
+  { key: 'type', header: 'Type', value: activity => activity.type },
+  { key: 'title', header: 'Title', value: activity => activity.title },
+  { key: 'description', header: 'Description', value: activity => activity.description },
+  { key: 'performedBy', header: 'Performed By', value: activity => activity.performedByName },
+  { key: 'createdAt', header: 'Date', value: activity => activity.createdAt },
+];
+
 class UserController {
   constructor() {
     // Bind all methods to maintain 'this' context
@@ -55,42 +261,59 @@ class UserController {
     this.getUserActivities = this.getUserActivities.bind(this);
     this.getEmailConversation = this.getEmailConversation.bind(this);
     this.markEmailAsRead = this.markEmailAsRead.bind(this);
+    this.getScheduledEmails = this.getScheduledEmails.bind(this);
+    this.updateScheduledEmail = this.updateScheduledEmail.bind(this);
+    this.cancelScheduledEmail = this.cancelScheduledEmail.bind(this);
+    this.updateTimezone = this.updateTimezone.bind(this);
+    this.assignAgent = this.assignAgent.bind(this);
+    this.reassignAgentClients = this.reassignAgentClients.bind(this);
+    this.exportUsers = this.exportUsers.bind(this);
+    this.exportUserActivities = this.exportUserActivities.bind(this);
+    this.getTagCounts = this.getTagCounts.bind(this);
+    this.deleteUser = this.deleteUser.bind(this);
+    this.updateCustomFields = this.updateCustomFields.bind(this);
   }
 
   // Get all users (Admin/Staff only)
+  //
+  // Supports shorthand filters (?stage=&state=&tags=&agentId=...&match=any), a full
+  // filter definition as JSON in ?filter=, a saved filter (?savedFilterId=), sorting
+  // on any listed column (?sortBy=&sortOrder=) and either page or cursor pagination.
   async getUsers(req, res) {
     try {
-      const { page = 1, limit = 10, search = '' } = req.query;
-      
+      const { page = 1, limit = 10, cursor } = req.query;
+      const pageSize = Math.min(Math.max(Number(limit) || 10, 1), 100);
+
+      const query = await buildClientListQuery(req);
+      if (!query) {
+        return res.status(404).json({ error: 'Saved filter not found' });
+      }
+      const { where: whereClause, orderBy } = query;
+
       const users = await prisma.user.findMany({
-        where: {
-          NOT: {
-            role: { in: ['SUPERADMIN', 'ADMIN'] },
-          },
-          OR: [
-            { firstName: { contains: search, mode: 'insensitive' } },
-            { lastName: { contains: search, mode: 'insensitive' } },
-            { email: { contains: search, mode: 'insensitive' } },
-            { businessName: { contains: search, mode: 'insensitive' } },
-          ],
-        },
+        where: whereClause,
         include: {
-          tags: true,
+          tags: { include: { tag: true } },
           assignedForms: true,
+          agent: {
+            select: { id: true, firstName: true, lastName: true },
+          },
+          customFieldValues: CUSTOM_FIELD_VALUES_INCLUDE,
         },
-        skip: (Number(page) - 1) * Number(limit),
-        take: Number(limit),
-        orderBy: { createdAt: 'desc' },
+        orderBy,
+        take: pageSize + 1,
+        ...(cursor
+          ? { cursor: { id: cursor }, skip: 1 }
+          : { skip: (Number(page) - 1) * pageSize }),
       });
 
+      const hasMore = users.length > pageSize;
+      if (hasMore) {
+        users.pop();
+      }
+
       const total = await prisma.user.count({
-        where: {
-          OR: [
-            { firstName: { contains: search, mode: 'insensitive' } },
-            { lastName: { contains: search, mode: 'insensitive' } },
-            { email: { contains: search, mode: 'insensitive' } },
-          ],
-        },
+        where: whereClause,
       });
 
       // Format for frontend (matching the DataGrid structure)
@@ -99,6 +322,10 @@ class UserController {
         name: `${user.firstName} ${user.lastName}`,
         email: user.email,
         businessName: user.businessName || '',
+        stage: user.stage,
+        state: user.state,
+        leadSource: user.leadSource,
+        tags: user.tags.map(link => link.tag.name),
         buyerSellerNDA: user.buyerSellerNDA,
         buyerSellerWorksheet: user.buyerSellerWorksheet,
         listingAgreement: user.listingAgreement,
@@ -108,18 +335,26 @@ class UserController {
         dealStreamId: user.dealStreamId || '',
         lastCommunication: user.lastCommunication ? formatRelativeTime(user.lastCommunication) : 'Never',
         lastCommunicationMessage: user.lastCommunicationMessage,
+        agentId: user.agentId,
+        agentName: user.agent ? `${user.agent.firstName} ${user.agent.lastName}` : null,
+        customFields: formatCustomFieldValues(user.customFieldValues),
+        createdAt: user.createdAt,
       }));
 
       res.json({
         users: formattedUsers,
         pagination: {
-          page: Number(page),
-          limit: Number(limit),
+          page: cursor ? null : Number(page),
+          limit: pageSize,
           total,
-          totalPages: Math.ceil(total / Number(limit)),
+          totalPages: Math.ceil(total / pageSize),
+          nextCursor: hasMore ? users[users.length - 1].id : null,
         },
       });
     } catch (error) {
+      if (error instanceof FilterError) {
+        return res.status(400).json({ error: 'Invalid filter', message: error.message });
+      }
       console.error('Get users error:', error);
       res.status(500).json({ error: 'Failed to fetch users' });
     }
@@ -129,123 +364,41 @@ class UserController {
   async createUser(req, res) {
     try {
       const validatedData = createUserSchema.parse(req.body);
+      validatedData.customFields = await parseCustomFieldValues('USER', validatedData.customFields);
       
-      // Check if user already exists
+      // Check if user already exists, including users in the trash
       const existingUser = await prisma.user.findUnique({
-        where: { email: validatedData.email },
+        where: { email: validatedData.email, deletedAt: undefined },
       });
 
+      if (existingUser?.deletedAt) {
+        return res.status(400).json({ error: 'A deleted user with this email exists; restore them from the trash instead' });
+      }
       if (existingUser) {
         return res.status(400).json({ error: 'User with this email already exists' });
       }
 
-      // Generate secure password
-      const tempPassword = generatePassword();
-      const hashedPassword = await bcrypt.hash(tempPassword, 10);
-
-      // Separate tags and assignedForms from main user data
-      const { tags, assignedForms, ...userData } = validatedData;
-
-      // Create user WITHOUT tags and assignedForms first
-      const user = await prisma.user.create({
-        data: {
-          ...userData,
-          password: hashedPassword,
-          stage: validatedData.stage || 'New Lead',
-        },
-      });
+      const { tags, assignedForms } = validatedData;
+      const userData = { ...validatedData };
 
-      // Add tags if provided (create them separately)
-      if (tags && tags.length > 0) {
-        const tagData = tags.map(tag => ({
-          name: tag,
-          userId: user.id,
-        }));
-        
-        await prisma.userTag.createMany({
-          data: tagData,
-        });
+      // Staff creating a client become its agent unless one is given
+      if (!userData.agentId && req.user?.role === 'STAFF') {
+        userData.agentId = req.user.id;
       }
 
-      // Add assigned forms if provided (create them separately)
-      if (assignedForms && assignedForms.length > 0) {
-        const formData = assignedForms.map(formId => ({
-          formId,
-          formName: getFormNameById(formId),
-          userId: user.id,
-        }));
-        
-        await prisma.userForm.createMany({
-          data: formData,
-        });
+      if (userData.agentId && !(await findAgent(userData.agentId))) {
+        return res.status(400).json({ error: 'Assigned agent must be an active staff user' });
       }
 
-      // ADDED: Refresh email listener cache with new user
-      try {
-        const { emailListenerService } = require('../services/emailListener');
-        await emailListenerService.refreshUserCache();
-        console.log('✅ Email listener cache refreshed with new user');
-      } catch (emailCacheError) {
-        console.error('⚠️  Failed to refresh email cache:', emailCacheError);
-        // Don't fail user creation if cache refresh fails
-      }
-
-      // Send onboarding email
-      try {
-        await sendOnboardingEmail(user.email, {
-          name: `${user.firstName} ${user.lastName}`,
-          email: user.email,
-          tempPassword,
-          loginUrl: process.env.FRONTEND_URL + '/login',
-        });
-      } catch (emailError) {
-        console.error('Failed to send onboarding email:', emailError);
-        // Continue even if email fails
-      }
-
-      // Create default deal with all stages for the new user
-      try {
-        const defaultStages = [
-          { name: 'Initial Assessment', description: 'Gather client information and business details', order: 1 },
-          { name: 'Business Valuation', description: 'Analyze financials and determine business value', order: 2 },
-          { name: 'Marketing Preparation', description: 'Prepare marketing materials and listing', order: 3 },
-          { name: 'Buyer Qualification', description: 'Screen potential buyers for financial capability', order: 4 },
-          { name: 'Due Diligence', description: 'Facilitate buyer review of business information', order: 5 },
-          { name: 'Purchase Agreement', description: 'Negotiate and finalize purchase terms', order: 6 },
-          { name: 'Financing & Escrow', description: 'Secure funding and establish escrow', order: 7 },
-          { name: 'Closing & Transition', description: 'Complete sale and transition ownership', order: 8 },
-        ];
-
-        const deal = await prisma.deal.create({
-          data: {
-            name: `${user.firstName} ${user.lastName} - Business Sale`,
-            description: `Deal for ${user.firstName} ${user.lastName}'s business sale`,
-            userId: user.id,
-            stages: {
-              create: defaultStages
-            }
-          }
-        });
-
-        console.log(`✅ Created default deal with ${defaultStages.length} stages for user ${user.id}`);
-      } catch (dealError) {
-        console.error('Failed to create default deal:', dealError);
-        // Continue even if deal creation fails
+      const unknownForms = await findUnassignableForms(assignedForms || []);
+      if (unknownForms.length > 0) {
+        return res.status(400).json({ error: `Unknown or archived form(s): ${unknownForms.join(', ')}` });
       }
 
-      // Create activity log
-      try {
-        await createActivity({
-          type: 'USER_CREATED',
-          title: 'User Created',
-          description: `New user ${user.firstName} ${user.lastName} created`,
-          userId: user.id,
-          performedBy: req.user?.id || 'System',
-        });
-      } catch (activityError) {
-        console.error('Failed to create activity:', activityError);
-        // Continue even if activity logging fails
-      }
+      // Tags, forms, default deal, onboarding email and activity log
+      const { user } = await createClient(userData, {
+        performedBy: req.user?.id,
+      });
 
       res.status(201).json({
         message: 'User created successfully and onboarding email sent',
@@ -274,6 +427,314 @@ class UserController {
     }
   }
 
+  // Set or clear custom field values on a client; fields not sent are left alone
+  async updateCustomFields(req, res) {
+    try {
+      const { id } = req.params;
+      const { customFields } = updateCustomFieldsSchema.parse(req.body);
+      const values = await parseCustomFieldValues('USER', customFields, { partial: true });
+
+      const user = await prisma.user.findUnique({
+        where: { id },
+        select: { id: true, agentId: true },
+      });
+
+      if (!user || !isClientInScope(user, await getAgentScope(req.user))) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      await prisma.$transaction(tx => saveCustomFieldValues('USER', id, values, tx));
+
+      try {
+        await createActivity({
+          type: 'USER_UPDATED',
+          title: 'Custom Fields Updated',
+          description: `Updated ${Object.keys(values).join(', ')}`,
+          userId: id,
+          performedBy: req.user?.id,
+          metadata: { customFields: values },
+        });
+      } catch (activityError) {
+        console.error('Failed to create activity:', activityError);
+      }
+
+      res.json({
+        message: 'Custom fields updated successfully',
+        customFields: await getCustomFieldValues('USER', id),
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Update custom fields error:', error);
+      res.status(500).json({ error: 'Failed to update custom fields', message: error.message });
+    }
+  }
+
+  // Move a client to the trash along with their deals, files, notes and tasks
+  async deleteUser(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (id === req.user?.id) {
+        return res.status(400).json({ error: 'You cannot delete your own account' });
+      }
+
+      const user = await prisma.user.findUnique({
+        where: { id },
+        select: { id: true, role: true, agentId: true },
+      });
+
+      if (!user || !isClientInScope(user, await getAgentScope(req.user))) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      if (user.role !== 'CLIENT') {
+        return res.status(400).json({ error: 'Only client records can be deleted' });
+      }
+
+      const { deletedAt, related } = await softDeleteUser(id, { performedBy: req.user?.id });
+
+      // Mail from the deleted client is no longer matched to a record
+      await refreshEmailListenerCache();
+
+      res.json({
+        message: 'User moved to trash',
+        deletedAt,
+        related,
+        retentionDays: RETENTION_DAYS,
+      });
+    } catch (error) {
+      console.error('Delete user error:', error);
+      res.status(500).json({ error: 'Failed to delete user', message: error.message });
+    }
+  }
+
+  // Assign (or clear) the agent for a single client
+  async assignAgent(req, res) {
+    try {
+      const { id } = req.params;
+      const { agentId } = assignAgentSchema.parse(req.body);
+
+      const client = await prisma.user.findUnique({
+        where: { id },
+        select: { id: true, firstName: true, lastName: true, agentId: true },
+      });
+
+      if (!client) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const agent = agentId ? await findAgent(agentId) : null;
+      if (agentId && !agent) {
+        return res.status(400).json({ error: 'Assigned agent must be an active staff user' });
+      }
+
+      if (client.agentId === agentId) {
+        return res.json({ message: 'Agent unchanged', agentId });
+      }
+
+      await prisma.user.update({
+        where: { id },
+        data: { agentId },
+      });
+
+      try {
+        await createActivity({
+          type: 'USER_UPDATED',
+          title: client.agentId ? 'Agent Reassigned' : 'Agent Assigned',
+          description: agent
+            ? `Client assigned to ${agent.firstName} ${agent.lastName}`
+            : 'Client unassigned from agent',
+          userId: id,
+          performedBy: req.user?.id,
+          metadata: {
+            previousAgentId: client.agentId,
+            agentId,
+          },
+        });
+      } catch (activityError) {
+        console.error('Failed to create activity:', activityError);
+      }
+
+      res.json({
+        message: 'Agent assigned successfully',
+        agent: agent ? { id: agent.id, name: `${agent.firstName} ${agent.lastName}` } : null,
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Assign agent error:', error);
+      res.status(500).json({ error: 'Failed to assign agent' });
+    }
+  }
+
+  // Move clients from one agent to another, e.g. when an agent leaves
+  async reassignAgentClients(req, res) {
+    try {
+      const { fromAgentId, toAgentId, userIds } = reassignAgentSchema.parse(req.body);
+
+      const toAgent = toAgentId ? await findAgent(toAgentId) : null;
+      if (toAgentId && !toAgent) {
+        return res.status(400).json({ error: 'Assigned agent must be an active staff user' });
+      }
+
+      const clients = await prisma.user.findMany({
+        where: {
+          agentId: fromAgentId,
+          ...(userIds && { id: { in: userIds } }),
+        },
+        select: { id: true },
+      });
+
+      if (clients.length === 0) {
+        return res.json({ message: 'No clients to reassign', reassigned: 0 });
+      }
+
+      const clientIds = clients.map(client => client.id);
+
+      await prisma.user.updateMany({
+        where: { id: { in: clientIds } },
+        data: { agentId: toAgentId },
+      });
+
+      try {
+        await createBulkActivities(clientIds.map(clientId => ({
+          type: 'USER_UPDATED',
+          title: 'Agent Reassigned',
+          description: toAgent
+            ? `Client reassigned to ${toAgent.firstName} ${toAgent.lastName}`
+            : 'Client unassigned from agent',
+          userId: clientId,
+          performedBy: req.user?.id,
+          metadata: {
+            previousAgentId: fromAgentId,
+            agentId: toAgentId,
+            bulk: true,
+          },
+        })));
+      } catch (activityError) {
+        console.error('Failed to create activities:', activityError);
+      }
+
+      res.json({
+        message: 'Clients reassigned successfully',
+        reassigned: clientIds.length,
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Reassign agent error:', error);
+      res.status(500).json({ error: 'Failed to reassign clients' });
+    }
+  }
+
+  // Tag counts across the filtered client list (same filters as getUsers)
+  async getTagCounts(req, res) {
+    try {
+      const query = await buildClientListQuery(req);
+      if (!query) {
+        return res.status(404).json({ error: 'Saved filter not found' });
+      }
+
+      const tags = await getTagCountsForUsers(query.where);
+
+      res.json({ tags });
+    } catch (error) {
+      if (error instanceof FilterError) {
+        return res.status(400).json({ error: 'Invalid filter', message: error.message });
+      }
+      console.error('Get tag counts error:', error);
+      res.status(500).json({ error: 'Failed to fetch tag counts' });
+    }
+  }
+
+  // Export the client list (same filters as getUsers) as CSV or XLSX
+  async exportUsers(req, res) {
+    try {
+      const customColumns = customFieldExportColumns(await getDefinitions('USER'));
+      const { format, columns } = parseExportOptions(req.query, [...CLIENT_EXPORT_COLUMNS, ...customColumns]);
+
+      const query = await buildClientListQuery(req);
+      if (!query) {
+        return res.status(404).json({ error: 'Saved filter not found' });
+      }
+
+      await streamExport(res, {
+        filename: 'clients',
+        format,
+        columns,
+        fetchBatch: (skip, take) => prisma.user.findMany({
+          where: query.where,
+          include: {
+            tags: { include: { tag: true } },
+            agent: { select: { firstName: true, lastName: true } },
+            customFieldValues: CUSTOM_FIELD_VALUES_INCLUDE,
+          },
+          orderBy: query.orderBy,
+          skip,
+          take,
+        }),
+      });
+    } catch (error) {
+      if (error instanceof FilterError || error instanceof ExportError) {
+        return res.status(400).json({ error: 'Invalid export request', message: error.message });
+      }
+      console.error('Export users error:', error);
+      res.status(500).json({ error: 'Failed to export users' });
+    }
+  }
+
+  // Export a client's full activity timeline as CSV or XLSX
+  async exportUserActivities(req, res) {
+    try {
+      const { id } = req.params;
+      const { format, columns } = parseExportOptions(req.query, ACTIVITY_EXPORT_COLUMNS);
+
+      const user = await prisma.user.findUnique({
+        where: { id },
+        select: { id: true, agentId: true },
+      });
+
+      if (!user || !isClientInScope(user, await getAgentScope(req.user))) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      await streamExport(res, {
+        filename: `activities-${id}`,
+        format,
+        columns,
+        fetchBatch: async (skip, take) => {
+          const activities = await prisma.activity.findMany({
+            where: { userId: id },
+            orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+            skip,
+            take,
+          });
+
+          // performedBy holds a user id (or "System"); show names instead
+          const performers = await prisma.user.findMany({
+            where: { id: { in: [...new Set(activities.map(activity => activity.performedBy))] } },
+            select: { id: true, firstName: true, lastName: true },
+          });
+          const names = new Map(performers.map(performer => [performer.id, `${performer.firstName} ${performer.lastName}`]));
+
+          return activities.map(activity => ({
+            ...activity,
+            performedByName: names.get(activity.performedBy) || activity.performedBy,
+          }));
+        },
+      });
+    } catch (error) {
+      if (error instanceof ExportError) {
+        return res.status(400).json({ error: 'Invalid export request', message: error.message });
+      }
+      console.error('Export activities error:', error);
+      res.status(500).json({ error: 'Failed to export activities' });
+    }
+  }
+
   // Get user details with activity data
   async getUserById(req, res) {
     try {
@@ -282,9 +743,10 @@ class UserController {
       const user = await prisma.user.findUnique({
         where: { id },
         include: {
-          tags: true,
+          tags: { include: { tag: true } },
           assignedForms: true,
           assignedTasks: {
+            where: { deletedAt: null },
             include: {
               createdBy: true,
             },
@@ -295,12 +757,18 @@ class UserController {
             take: 30,
           },
           notes: {
+            where: { deletedAt: null },
             orderBy: { createdAt: 'desc' },
           },
+          agent: {
+            select: { id: true, firstName: true, lastName: true },
+          },
+          customFieldValues: CUSTOM_FIELD_VALUES_INCLUDE,
         },
       });
 
-      if (!user) {
+      // Clients outside a staff member's book of business look like missing records
+      if (!user || !isClientInScope(user, await getAgentScope(req.user))) {
         return res.status(404).json({ error: 'User not found' });
       }
 
@@ -315,8 +783,10 @@ class UserController {
         businessName: user.businessName,
         stage: user.stage,
         agentId: user.agentId,
+        agentName: user.agent ? `${user.agent.firstName} ${user.agent.lastName}` : null,
         lastCommunication: user.lastCommunication,
-        tags: user.tags.map(tag => tag.name),
+        tags: user.tags.map(link => link.tag.name),
+        customFields: formatCustomFieldValues(user.customFieldValues),
         
         // Activity tab data - formatted for frontend components
         tasks: user.assignedTasks.map(task => ({
@@ -415,48 +885,76 @@ class UserController {
         return res.status(404).json({ error: 'User not found' });
       }
 
-      // Create email record
-      const email = await prisma.email.create({
-        data: {
-          subject: validatedData.subject,
-          body: validatedData.body,
-          htmlBody: validatedData.htmlBody || validatedData.body,
-          direction: 'OUTBOUND',
-          senderId,
-          recipientId: id,
-          attachments: validatedData.attachments?.length ? validatedData.attachments : null,
-        },
-        include: {
-          sender: true,
-          recipient: true,
-        },
-      });
+      if (isVerificationRequired('outbound_email') && !recipient.isEmailVerified) {
+        return res.status(409).json({
+          error: 'Email not verified',
+          message: 'The recipient has not verified their email address yet'
+        });
+      }
 
-      // Send actual email using email service
-      try {
-        await sendRichTextEmail({
+      // Send later: the email waits as a DRAFT until the dispatcher queues it
+      if (validatedData.scheduledFor) {
+        const scheduledFor = resolveScheduledTime(
+          validatedData.scheduledFor,
+          validatedData.timezone || clientTimeZone(recipient)
+        );
+
+        const scheduled = await prisma.email.create({
+          data: {
+            subject: validatedData.subject,
+            body: validatedData.body,
+            htmlBody: validatedData.htmlBody || validatedData.body,
+            direction: 'OUTBOUND',
+            status: 'DRAFT',
+            senderId,
+            recipientId: id,
+            attachments: validatedData.attachments?.length ? validatedData.attachments : null,
+            trackingEnabled: validatedData.track,
+            scheduledFor,
+            sentAt: scheduledFor,
+          },
+          include: scheduledEmailInclude,
+        });
+
+        return res.status(201).json({
+          message: 'Email scheduled',
+          email: formatScheduledEmail(scheduled),
+        });
+      }
+
+      // Create the email record and hand it to the outbox together, so a failure
+      // cannot leave an email that is never delivered. The worker delivers it,
+      // retrying on SMTP errors, and moves the email to DELIVERED or FAILED
+      const email = await prisma.$transaction(async (tx) => {
+        const created = await tx.email.create({
+          data: {
+            subject: validatedData.subject,
+            body: validatedData.body,
+            htmlBody: validatedData.htmlBody || validatedData.body,
+            direction: 'OUTBOUND',
+            senderId,
+            recipientId: id,
+            attachments: validatedData.attachments?.length ? validatedData.attachments : null,
+            trackingEnabled: validatedData.track,
+          },
+          include: {
+            sender: true,
+            recipient: true,
+          },
+        });
+
+        await queueEmail({
           to: recipient.email,
           subject: validatedData.subject,
           htmlBody: validatedData.htmlBody || validatedData.body,
           plainBody: validatedData.body,
           attachments: validatedData.attachments || [],
           replyTo: sender.email,
-        });
-
-        // Update email status to delivered
-        await prisma.email.update({
-          where: { id: email.id },
-          data: { status: 'DELIVERED', deliveredAt: new Date() },
-        });
+          track: validatedData.track,
+        }, { emailId: created.id }, tx);
 
-      } catch (emailError) {
-        console.error('Email sending failed:', emailError);
-        // Update email status to failed
-        await prisma.email.update({
-          where: { id: email.id },
-          data: { status: 'FAILED' },
-        });
-      }
+        return created;
+      });
 
       // Update last communication
       await prisma.user.update({
@@ -486,7 +984,7 @@ class UserController {
       }
 
       res.status(201).json({
-        message: 'Email sent successfully',
+        message: 'Email queued for delivery',
         email: {
           id: email.id,
           subject: email.subject,
@@ -503,6 +1001,9 @@ class UserController {
           details: error.errors 
         });
       }
+      if (error instanceof ScheduleError) {
+        return res.status(400).json({ error: 'Invalid schedule', message: error.message });
+      }
       console.error('Send email error:', error);
       res.status(500).json({ 
         error: 'Failed to send email',
@@ -657,6 +1158,7 @@ class UserController {
         direction: email.direction,
         status: email.status,
         sentAt: email.sentAt,
+        scheduledFor: email.scheduledFor, // Set while a send-later email is still a DRAFT
         readAt: email.readAt,
         deliveredAt: email.deliveredAt,
         attachments: email.attachments,
@@ -737,6 +1239,187 @@ class UserController {
     }
   }
 
+  // Emails waiting to be sent, soonest first
+  async getScheduledEmails(req, res) {
+    try {
+      const { recipientId, page, limit } = listScheduledEmailsSchema.parse(req.query);
+
+      const where = {
+        ...(await scheduledEmailWhere(req.user)),
+        ...(recipientId && { recipientId }),
+      };
+
+      const [emails, total] = await Promise.all([
+        prisma.email.findMany({
+          where,
+          include: scheduledEmailInclude,
+          orderBy: { scheduledFor: 'asc' },
+          skip: (page - 1) * limit,
+          take: limit,
+        }),
+        prisma.email.count({ where }),
+      ]);
+
+      res.json({
+        emails: emails.map(formatScheduledEmail),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Get scheduled emails error:', error);
+      res.status(500).json({ error: 'Failed to fetch scheduled emails' });
+    }
+  }
+
+  // Edit a scheduled email or move its send time, as long as it has not been dispatched
+  async updateScheduledEmail(req, res) {
+    try {
+      const validatedData = updateScheduledEmailSchema.parse(req.body);
+
+      const email = await prisma.email.findFirst({
+        where: { id: req.params.emailId, ...(await scheduledEmailWhere(req.user)) },
+        include: scheduledEmailInclude,
+      });
+
+      if (!email) {
+        return res.status(404).json({ error: 'Scheduled email not found' });
+      }
+
+      const data = {
+        ...(validatedData.subject && { subject: validatedData.subject }),
+        ...(validatedData.body && { body: validatedData.body }),
+        ...(validatedData.htmlBody !== undefined && { htmlBody: validatedData.htmlBody || validatedData.body || email.body }),
+        // A body-only edit also replaces an HTML body that was just a copy of the old body
+        ...(validatedData.body && validatedData.htmlBody === undefined && email.htmlBody === email.body && { htmlBody: validatedData.body }),
+        ...(validatedData.attachments && { attachments: validatedData.attachments.length ? validatedData.attachments : null }),
+        ...(validatedData.track !== undefined && { trackingEnabled: validatedData.track }),
+      };
+
+      if (validatedData.scheduledFor) {
+        data.scheduledFor = resolveScheduledTime(
+          validatedData.scheduledFor,
+          validatedData.timezone || clientTimeZone(email.recipient)
+        );
+        data.sentAt = data.scheduledFor;
+      }
+
+      // The dispatcher may have picked it up since it was read
+      const { count } = await prisma.email.updateMany({
+        where: { id: email.id, status: 'DRAFT' },
+        data,
+      });
+
+      if (count === 0) {
+        return res.status(409).json({ error: 'Email has already been sent' });
+      }
+
+      const updated = await prisma.email.findUnique({
+        where: { id: email.id },
+        include: scheduledEmailInclude,
+      });
+
+      res.json({
+        message: 'Scheduled email updated',
+        email: formatScheduledEmail(updated),
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      if (error instanceof ScheduleError) {
+        return res.status(400).json({ error: 'Invalid schedule', message: error.message });
+      }
+      console.error('Update scheduled email error:', error);
+      res.status(500).json({ error: 'Failed to update scheduled email', message: error.message });
+    }
+  }
+
+  async cancelScheduledEmail(req, res) {
+    try {
+      const email = await prisma.email.findFirst({
+        where: { id: req.params.emailId, ...(await scheduledEmailWhere(req.user)) },
+        select: { id: true },
+      });
+
+      if (!email) {
+        return res.status(404).json({ error: 'Scheduled email not found' });
+      }
+
+      const { count } = await prisma.email.deleteMany({
+        where: { id: email.id, status: 'DRAFT' },
+      });
+
+      if (count === 0) {
+        return res.status(409).json({ error: 'Email has already been sent' });
+      }
+
+      res.json({ message: 'Scheduled email cancelled' });
+    } catch (error) {
+      console.error('Cancel scheduled email error:', error);
+      res.status(500).json({ error: 'Failed to cancel scheduled email', message: error.message });
+    }
+  }
+
+  // Set or clear the client's timezone
+  async updateTimezone(req, res) {
+    try {
+      const { id } = req.params;
+      const { timezone } = updateTimezoneSchema.parse(req.body);
+
+      const client = await prisma.user.findUnique({
+        where: { id },
+        select: { id: true, agentId: true, timezone: true },
+      });
+
+      if (!client || !isClientInScope(client, await getAgentScope(req.user))) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      if (client.timezone === timezone) {
+        return res.json({ message: 'Timezone unchanged', timezone });
+      }
+
+      await prisma.user.update({
+        where: { id },
+        data: { timezone },
+      });
+
+      try {
+        await createActivity({
+          type: 'USER_UPDATED',
+          title: 'Timezone Updated',
+          description: timezone ? `Timezone set to ${timezone}` : 'Timezone cleared',
+          userId: id,
+          performedBy: req.user?.id,
+          metadata: {
+            previousTimezone: client.timezone,
+            timezone,
+          },
+        });
+      } catch (activityError) {
+        console.error('Failed to create activity:', activityError);
+      }
+
+      res.json({
+        message: 'Timezone updated successfully',
+        timezone,
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Validation failed', details: error.errors });
+      }
+      console.error('Update timezone error:', error);
+      res.status(500).json({ error: 'Failed to update timezone' });
+    }
+  }
+
   // Add note to user (supports rich text)
   async addNote(req, res) {
     try {
@@ -1,14 +1,66 @@
 // middleware/auth.middleware.js
 const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('../services/softDeleteService');
+const { isSessionActive } = require('../services/sessionService');
+const { hasPermission } = require('../services/permissionService');
+const { authenticateApiKey, scopeForMethod } = require('../services/apiKeyService');
+const {
+  PUBLIC,
+  WEBHOOK,
+  findRoutePermission,
+  findUnmappedRoutes,
+} = require('../config/permissions');
 
-const prisma = new PrismaClient();
+const prisma = withSoftDelete(new PrismaClient());
+
+// Authenticate a request made with a personal API key (X-API-Key header)
+async function authenticateWithApiKey(req, res, next, key) {
+  const apiKey = await authenticateApiKey(key, req.ip);
+
+  if (!apiKey) {
+    return res.status(401).json({
+      error: 'Invalid API key',
+      message: 'The provided API key is invalid, expired or revoked'
+    });
+  }
+
+  if (apiKey.user.status !== 'ACTIVE') {
+    return res.status(401).json({ 
+      error: 'User account inactive',
+      message: 'Your account has been deactivated'
+    });
+  }
+
+  const requiredScope = scopeForMethod(req.method);
+  if (!apiKey.scopes.includes(requiredScope)) {
+    return res.status(403).json({
+      error: 'Insufficient API key scope',
+      message: `This API key does not have the ${requiredScope} scope`
+    });
+  }
+
+  req.user = {
+    id: apiKey.user.id,
+    email: apiKey.user.email,
+    role: apiKey.user.role,
+    firstName: apiKey.user.firstName,
+    lastName: apiKey.user.lastName,
+    apiKeyId: apiKey.id,
+  };
+
+  next();
+}
 
 async function authenticateToken(req, res, next) {
   try {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
+    if (!token && req.headers['x-api-key']) {
+      return await authenticateWithApiKey(req, res, next, req.headers['x-api-key']);
+    }
+
     if (!token) {
       return res.status(401).json({ 
         error: 'Access token required',
@@ -18,6 +70,14 @@ async function authenticateToken(req, res, next) {
 
     // Verify JWT token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens are bound to a server-side session that can be revoked
+    if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        error: 'Session revoked',
+        message: 'Your session is no longer valid. Please login again.'
+      });
+    }
     
     // Optional: Verify user still exists and is active
     const user = await prisma.user.findUnique({
@@ -53,6 +113,7 @@ async function authenticateToken(req, res, next) {
       role: user.role,
       firstName: user.firstName,
       lastName: user.lastName,
+      sessionId: decoded.sid,
     };
 
     next();
@@ -105,22 +166,56 @@ function requireRole(allowedRoles) {
   };
 }
 
+// Fine-grained check against the user's effective permissions
+// (UserRole baseline + custom roles + direct grants). SUPERADMIN has everything.
+function requirePermission(permission) {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ 
+        error: 'Authentication required',
+        message: 'You must be logged in to access this resource'
+      });
+    }
+
+    try {
+      if (await hasPermission(req.user, permission)) {
+        return next();
+      }
+
+      return res.status(403).json({ 
+        error: 'Insufficient permissions',
+        message: `Access denied. Required permission: ${permission}`,
+        userRole: req.user.role
+      });
+    } catch (error) {
+      console.error('Permission check error:', error);
+      res.status(500).json({ 
+        error: 'Authorization failed',
+        message: 'An error occurred while checking permissions'
+      });
+    }
+  };
+}
+
+// Staff can access any user; clients only themselves
+function canAccessUser(user, targetUserId) {
+  if (['SUPERADMIN', 'ADMIN', 'STAFF'].includes(user.role)) {
+    return true;
+  }
+
+  return user.role === 'CLIENT' && user.id === targetUserId;
+}
+
 // Middleware to check if user can access specific user data
 function requireUserAccess(req, res, next) {
-  const { id } = req.params;
+  const id = req.params.id || req.params.userId;
   const user = req.user;
 
   if (!user) {
     return res.status(401).json({ error: 'Authentication required' });
   }
 
-  // Admin and Staff can access any user
-  if (user.role === 'ADMIN' || user.role === 'STAFF') {
-    return next();
-  }
-
-  // Clients can only access their own data
-  if (user.role === 'CLIENT' && user.id === id) {
+  if (canAccessUser(user, id)) {
     return next();
   }
 
@@ -130,6 +225,54 @@ function requireUserAccess(req, res, next) {
   });
 }
 
+// Apply the central permission map (config/permissions.js) to everything mounted
+// under `mountPath`. Passing the router lets us warn at startup about routes that
+// were added without a permission entry.
+function enforceRoutePermissions(mountPath, router) {
+  if (router) {
+    const unmapped = findUnmappedRoutes(mountPath, router);
+    if (unmapped.length > 0) {
+      console.warn(`⚠️  Routes without a permission entry (SUPERADMIN only): ${unmapped.join(', ')}`);
+    }
+  }
+
+  return (req, res, next) => {
+    if (req.method === 'OPTIONS') {
+      return next();
+    }
+
+    const match = findRoutePermission(mountPath, req.method, req.path);
+    const rule = match ? match.rule : { roles: [] };
+
+    if (rule.roles === PUBLIC) {
+      return next();
+    }
+
+    if (rule.roles === WEBHOOK) {
+      return validateWebhookSignature(req, res, next);
+    }
+
+    authenticateToken(req, res, () => {
+      // CLIENT users may reach their own records on routes marked `own`
+      if (rule.own && req.user.role === 'CLIENT') {
+        if (canAccessUser(req.user, match.params[rule.own])) {
+          return next();
+        }
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only access your own information'
+        });
+      }
+
+      if (rule.permission) {
+        return requirePermission(rule.permission)(req, res, next);
+      }
+
+      requireRole(rule.roles)(req, res, next);
+    });
+  };
+}
+
 // Optional middleware to log user actions
 function logUserAction(action) {
   return (req, res, next) => {
@@ -201,7 +344,10 @@ function rateLimit(maxRequests = 100, windowMs = 15 * 60 * 1000) {
 module.exports = {
   authenticateToken,
   requireRole,
+  requirePermission,
   requireUserAccess,
+  canAccessUser,
+  enforceRoutePermissions,
   logUserAction,
   validateWebhookSignature,
   rateLimit,
@@ -0,0 +1,15 @@
+// middleware/rateLimiters.middleware.js
+//
+// express-rate-limit instances shared by routers, so every signup path counts
+// against the same per-IP budget.
+const rateLimit = require('express-rate-limit');
+
+const registerLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // limit each IP to 5 registration attempts per windowMs
+  message: { error: 'Too many registration attempts, please try again later.' }
+});
+
+module.exports = {
+  registerLimiter,
+};
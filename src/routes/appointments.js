@@ -8,6 +8,7 @@ const appointmentsController = new AppointmentsController();
 // Appointment management routes
 router.get('/', appointmentsController.getAppointments);
 router.post('/', appointmentsController.createAppointment);
+router.get('/export', appointmentsController.exportAppointments);
 router.get('/:id', appointmentsController.getAppointmentById);
 router.put('/:id', appointmentsController.updateAppointment);
 router.delete('/:id', appointmentsController.deleteAppointment);
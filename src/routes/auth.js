@@ -1,13 +1,74 @@
 const { Router } = require('express');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('../services/softDeleteService');
 const { z } = require('zod');
-const { sendPasswordResetEmail } = require('../services/emailService');
-const { authenticateToken } = require('../middleware/authMiddleware');
+const { sendPasswordResetEmail, sendAccountLockedEmail } = require('../services/emailService');
+const { getPasswordStrength } = require('../utils/helpers');
+const { createClient } = require('../services/clientService');
+const { authenticateToken, requireRole } = require('../middleware/authMiddleware');
+const { registerLimiter } = require('../middleware/rateLimiters');
+const {
+  SessionError,
+  hashToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeAllUserSessions,
+  getActiveSessions,
+} = require('../services/sessionService');
+const {
+  LOCKOUT_MINUTES,
+  getLoginDelay,
+  getIpRetryAfter,
+  isLocked,
+  registerFailedLogin,
+  registerSuccessfulLogin,
+  unlockWithToken,
+  unlockUser,
+} = require('../services/loginThrottleService');
+const {
+  isTwoFactorRequired,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+} = require('../services/twoFactorService');
+const {
+  API_KEY_SCOPES,
+  MAX_KEYS_PER_USER,
+  countActiveKeys,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+} = require('../services/apiKeyService');
+const {
+  LOGIN_STATE_TTL_MS,
+  OidcError,
+  isOidcEnabled,
+  createAuthorizationUrl,
+  completeAuthorization,
+} = require('../services/oidcService');
+const { oidcConfig } = require('../config/auth0');
+const {
+  isVerificationRequired,
+  sendVerificationLink,
+  verifyEmailToken,
+} = require('../services/emailVerificationService');
 
 const router = Router();
-const prisma = new PrismaClient();
+const prisma = withSoftDelete(new PrismaClient());
+
+const resendVerificationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // limit each IP to 5 resend requests per windowMs
+  message: { error: 'Too many verification requests, please try again later.' }
+});
 
 // Validation schemas
 const loginSchema = z.object({
@@ -15,43 +76,459 @@ const loginSchema = z.object({
   password: z.string().min(1, "Password is required"),
 });
 
+const createApiKeySchema = z.object({
+  name: z.string().min(1, "Key name is required").max(100),
+  scopes: z.array(z.enum(API_KEY_SCOPES)).min(1, "At least one scope is required").default(['read']),
+  expiresInDays: z.number().int().min(1).max(365).nullable().default(90), // null = never expires
+});
+
 const resetPasswordSchema = z.object({
   email: z.string().email("Invalid email address"),
 });
 
+const confirmResetPasswordSchema = z.object({
+  token: z.string().min(1, "Token is required"),
+  newPassword: z.string().min(1, "New password is required"),
+});
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+const registerSchema = z.object({
+  firstName: z.string().min(1, "First name is required"),
+  lastName: z.string().min(1, "Last name is required"),
+  email: z.string().email("Invalid email address"),
+  password: z.string().min(1, "Password is required"),
+  phone: z.string().optional(),
+  businessName: z.string().optional(),
+});
+
+const verifyEmailSchema = z.object({
+  token: z.string().min(1, "Token is required"),
+});
+
+const resendVerificationSchema = z.object({
+  email: z.string().email("Invalid email address"),
+});
+
+const refreshTokenSchema = z.object({
+  refreshToken: z.string().min(1, "Refresh token is required"),
+});
+
+const unlockAccountSchema = z.object({
+  token: z.string().min(1, "Token is required"),
+});
+
+const twoFactorLoginSchema = z.object({
+  challengeToken: z.string().min(1, "Challenge token is required"),
+  code: z.string().optional(),
+  recoveryCode: z.string().optional(),
+}).refine(data => data.code || data.recoveryCode, {
+  message: "Either code or recoveryCode is required",
+});
+
+const twoFactorCodeSchema = z.object({
+  code: z.string().min(6, "Authentication code is required"),
+  challengeToken: z.string().optional(),
+});
+
+const disableTwoFactorSchema = z.object({
+  password: z.string().min(1, "Password is required"),
+  code: z.string().min(6, "Authentication code is required"),
+});
+
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+
+// Short-lived token proving the password step passed. It carries no session id,
+// so authenticateToken never accepts it as an access token.
+function signTwoFactorChallenge(user, purpose) {
+  return jwt.sign(
+    { id: user.id, purpose },
+    process.env.JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+  );
+}
+
+function verifyTwoFactorChallenge(token, purpose) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// The response asking for a second step once the first factor has passed, or null
+// when the user can be logged in straight away
+function secondFactorChallenge(user) {
+  // Second step: verify an authenticator code
+  if (user.twoFactorEnabled) {
+    return {
+      message: 'Two-factor authentication required',
+      twoFactorRequired: true,
+      challengeToken: signTwoFactorChallenge(user, '2fa_login'),
+    };
+  }
+
+  // Privileged roles must enroll before they can get a session
+  if (isTwoFactorRequired(user.role)) {
+    return {
+      message: 'Two-factor authentication setup required',
+      twoFactorSetupRequired: true,
+      challengeToken: signTwoFactorChallenge(user, '2fa_setup'),
+    };
+  }
+
+  return null;
+}
+
+// Finish a login once every factor has been verified: clear throttling state,
+// start a session and respond with the token pair
+async function completeLogin(req, user, method = 'password') {
+  await registerSuccessfulLogin({ email: user.email, user });
+
+  // Update last login
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { lastLogin: new Date() },
+  });
+
+  // Start a server-side session and issue the token pair
+  const { session, accessToken, refreshToken } = await createSession(user, {
+    userAgent: req.headers['user-agent'],
+    ipAddress: req.ip,
+  });
+
+  // Create activity log
+  try {
+    const { createActivity } = require('../services/activityService');
+    await createActivity({
+      type: 'LOGIN',
+      title: 'User Login',
+      description: `User logged in successfully`,
+      userId: user.id,
+      performedBy: user.id,
+      metadata: {
+        sessionId: session.id,
+        ipAddress: req.ip,
+        method,
+      },
+    });
+  } catch (activityError) {
+    console.error('Failed to create login activity:', activityError);
+  }
+
+  return {
+    message: 'Login successful',
+    user: {
+      id: user.id,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      role: user.role,
+      name: `${user.firstName} ${user.lastName}`,
+    },
+    token: accessToken,
+    refreshToken,
+    expiresAt: session.expiresAt,
+  };
+}
+
+const loginUserSelect = {
+  id: true,
+  email: true,
+  password: true,
+  firstName: true,
+  lastName: true,
+  role: true,
+  status: true,
+  lastLogin: true,
+  failedLoginAttempts: true,
+  lockedUntil: true,
+  twoFactorEnabled: true,
+  isEmailVerified: true,
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Record a failed login, log it on the user's timeline and email an unlock link
+// when the attempt tips the account into lockout
+async function handleFailedLogin(req, email, user, reason) {
+  const result = await registerFailedLogin({ email, ip: req.ip, user });
+
+  if (!user) {
+    return result;
+  }
+
+  try {
+    const { createActivity } = require('../services/activityService');
+    await createActivity({
+      type: 'LOGIN_FAILED',
+      title: result.locked ? 'Account Locked' : 'Failed Login Attempt',
+      description: result.locked
+        ? `Account locked for ${LOCKOUT_MINUTES} minutes after ${result.attempts} failed login attempts`
+        : `Failed login attempt (${reason})`,
+      userId: user.id,
+      performedBy: user.id,
+      metadata: {
+        reason,
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+        attempts: result.attempts,
+        locked: result.locked,
+      },
+    });
+  } catch (activityError) {
+    console.error('Failed to create failed login activity:', activityError);
+  }
+
+  if (result.unlockToken) {
+    try {
+      await sendAccountLockedEmail(user.email, {
+        name: `${user.firstName} ${user.lastName}`,
+        lockoutMinutes: LOCKOUT_MINUTES,
+        unlockUrl: `${process.env.FRONTEND_URL}/unlock-account?token=${result.unlockToken}`,
+      });
+    } catch (emailError) {
+      console.error('Failed to send account locked email:', emailError);
+    }
+  }
+
+  return result;
+}
+
+function accountLockedResponse(res, lockedUntil) {
+  return res.status(423).json({
+    error: 'Account locked',
+    message: 'Too many failed login attempts. Check your email for an unlock link or try again later.',
+    lockedUntil,
+  });
+}
+
 const changePasswordSchema = z.object({
   currentPassword: z.string().min(1, "Current password is required"),
   newPassword: z.string().min(8, "New password must be at least 8 characters"),
 });
 
-// Login endpoint
-router.post('/login', async (req, res) => {
+// Self-registration for clients
+router.post('/register', registerLimiter, async (req, res) => {
   try {
-    const validatedData = loginSchema.parse(req.body);
-    const { email, password } = validatedData;
+    const { password, ...profile } = registerSchema.parse(req.body);
+    const email = profile.email.toLowerCase();
+
+    const { score, feedback } = getPasswordStrength(password);
+    if (score < 5) {
+      return res.status(400).json({
+        error: 'Weak password',
+        message: 'Password does not meet the strength requirements',
+        feedback,
+      });
+    }
+
+    // Deleted accounts still hold their email until purged
+    const existingUser = await prisma.user.findUnique({
+      where: { email, deletedAt: undefined },
+      select: { id: true },
+    });
+
+    if (existingUser) {
+      return res.status(400).json({
+        error: 'Registration failed',
+        message: 'An account with this email already exists'
+      });
+    }
+
+    // Same setup as a client added by staff (default deal, listener cache, timeline),
+    // but with the chosen password and a verification link instead of the onboarding email
+    const { user } = await createClient({
+      ...profile,
+      email,
+      role: 'CLIENT',
+      leadSource: 'Self Registration',
+    }, {
+      password,
+      sendOnboarding: false,
+      activityDescription: `User ${profile.firstName} ${profile.lastName} registered`,
+    });
+
+    try {
+      await sendVerificationLink(user);
+    } catch (emailError) {
+      console.error('Failed to send verification email:', emailError);
+    }
+
+    res.status(201).json({
+      message: 'Registration successful. Please check your email to verify your address.',
+      user: {
+        id: user.id,
+        email: user.email,
+        name: `${user.firstName} ${user.lastName}`,
+        isEmailVerified: user.isEmailVerified,
+      },
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.errors
+      });
+    }
+    console.error('Register error:', error);
+    res.status(500).json({
+      error: 'Registration failed',
+      message: 'An error occurred during registration'
+    });
+  }
+});
+
+// Confirm an email address from the signed verification link
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = verifyEmailSchema.parse(req.body);
+
+    const user = await verifyEmailToken(token);
+    if (!user) {
+      return res.status(400).json({
+        error: 'Invalid token',
+        message: 'Invalid email verification link.'
+      });
+    }
+
+    if (!user.alreadyVerified) {
+      try {
+        const { createActivity } = require('../services/activityService');
+        await createActivity({
+          type: 'PROFILE_UPDATED',
+          title: 'Email Verified',
+          description: `Email address ${user.email} was verified`,
+          userId: user.id,
+          performedBy: user.id,
+        });
+      } catch (activityError) {
+        console.error('Failed to create email verification activity:', activityError);
+      }
+    }
+
+    res.json({
+      message: user.alreadyVerified ? 'Email already verified' : 'Email verified successfully'
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.errors
+      });
+    }
+    if (error.name === 'TokenExpiredError') {
+      return res.status(400).json({
+        error: 'Token expired',
+        message: 'Email verification link has expired. Please request a new one.'
+      });
+    }
+    if (error.name === 'JsonWebTokenError') {
+      return res.status(400).json({
+        error: 'Invalid token',
+        message: 'Invalid email verification link.'
+      });
+    }
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      error: 'Email verification failed',
+      message: 'An error occurred during email verification'
+    });
+  }
+});
+
+// Send a fresh verification link
+router.post('/resend-verification', resendVerificationLimiter, async (req, res) => {
+  try {
+    const { email } = resendVerificationSchema.parse(req.body);
 
-    // Find user by email
     const user = await prisma.user.findUnique({
       where: { email: email.toLowerCase() },
       select: {
         id: true,
         email: true,
-        password: true,
         firstName: true,
         lastName: true,
-        role: true,
         status: true,
-        lastLogin: true,
+        isEmailVerified: true,
       },
     });
 
+    // Don't reveal whether the account exists or is already verified
+    if (user && user.status === 'ACTIVE' && !user.isEmailVerified) {
+      try {
+        await sendVerificationLink(user);
+      } catch (emailError) {
+        console.error('Failed to send verification email:', emailError);
+        return res.status(500).json({
+          error: 'Failed to send verification email',
+          message: 'Please try again later'
+        });
+      }
+    }
+
+    res.json({
+      message: 'If this address needs verification, a new link has been sent.'
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.errors
+      });
+    }
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      error: 'Failed to resend verification',
+      message: 'An error occurred while sending the verification email'
+    });
+  }
+});
+
+// Login endpoint
+router.post('/login', async (req, res) => {
+  try {
+    const validatedData = loginSchema.parse(req.body);
+    const { password } = validatedData;
+    const email = validatedData.email.toLowerCase();
+
+    // Block IPs that are spraying failed logins
+    const retryAfter = getIpRetryAfter(req.ip);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Too many requests',
+        message: 'Too many failed login attempts. Please try again later.',
+        retryAfter,
+      });
+    }
+
+    // Slow down repeated failures for this email or IP
+    const delay = getLoginDelay(email, req.ip);
+    if (delay > 0) {
+      await sleep(delay);
+    }
+
+    // Find user by email
+    const user = await prisma.user.findUnique({
+      where: { email },
+      select: loginUserSelect,
+    });
+
     if (!user) {
+      await handleFailedLogin(req, email, null, 'unknown_email');
       return res.status(401).json({
         error: 'Invalid credentials',
         message: 'Email or password is incorrect'
       });
     }
 
+    // Locked accounts are rejected before any password comparison
+    if (isLocked(user)) {
+      return accountLockedResponse(res, user.lockedUntil);
+    }
+
     // Check if user is active
     if (user.status !== 'ACTIVE') {
       return res.status(401).json({
@@ -63,56 +540,582 @@ router.post('/login', async (req, res) => {
     // Verify password
     const isPasswordValid = await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
+      const failure = await handleFailedLogin(req, email, user, 'invalid_password');
+      if (failure.locked) {
+        return accountLockedResponse(res, failure.lockedUntil);
+      }
       return res.status(401).json({
         error: 'Invalid credentials',
         message: 'Email or password is incorrect'
       });
     }
 
-    // Update last login
-    await prisma.user.update({
-      where: { id: user.id },
-      data: { lastLogin: new Date() },
+    if (isVerificationRequired('login') && !user.isEmailVerified) {
+      return res.status(403).json({
+        error: 'Email not verified',
+        message: 'Please verify your email address before logging in.'
+      });
+    }
+
+    const challenge = secondFactorChallenge(user);
+    if (challenge) {
+      return res.json(challenge);
+    }
+
+    res.json(await completeLogin(req, user));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.errors
+      });
+    }
+    console.error('Login error:', error);
+    res.status(500).json({
+      error: 'Login failed',
+      message: 'An error occurred during login'
+    });
+  }
+});
+
+// Complete a login with an authenticator or recovery code
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = twoFactorLoginSchema.parse(req.body);
+
+    const challenge = verifyTwoFactorChallenge(challengeToken, '2fa_login');
+    if (!challenge) {
+      return res.status(401).json({
+        error: 'Invalid challenge',
+        message: 'Your login attempt has expired. Please login again.'
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: challenge.id },
+      select: loginUserSelect,
+    });
+
+    if (!user || user.status !== 'ACTIVE') {
+      return res.status(401).json({
+        error: 'Account inactive',
+        message: 'Your account has been deactivated. Please contact support.'
+      });
+    }
+
+    if (isLocked(user)) {
+      return accountLockedResponse(res, user.lockedUntil);
+    }
+
+    const result = await verifySecondFactor(user.id, { code, recoveryCode });
+    if (!result.valid) {
+      const failure = await handleFailedLogin(req, user.email, user, 'invalid_2fa_code');
+      if (failure.locked) {
+        return accountLockedResponse(res, failure.lockedUntil);
+      }
+      return res.status(401).json({
+        error: 'Invalid code',
+        message: 'The authentication code is incorrect'
+      });
+    }
+
+    const response = await completeLogin(req, user, result.method);
+    if (result.method === 'recovery_code') {
+      response.remainingRecoveryCodes = result.remainingRecoveryCodes;
+    }
+
+    res.json(response);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.errors
+      });
+    }
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      error: 'Login failed',
+      message: 'An error occurred during login'
+    });
+  }
+});
+
+// Find the local user for an SSO identity, linking the account by email the first
+// time. Only provider-verified emails are linked, and only for the roles in
+// OIDC_EMAIL_LINK_ROLES (clients by default); there is no self-provisioning.
+async function findOidcUser(req, identity) {
+  const linked = await prisma.user.findUnique({
+    where: { oidcSubject: identity.subject },
+    select: loginUserSelect,
+  });
+
+  if (linked) {
+    return linked;
+  }
+
+  if (!identity.email || !identity.emailVerified) {
+    return null;
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { email: identity.email },
+    select: { ...loginUserSelect, oidcSubject: true },
+  });
+
+  // Never re-link an account that already belongs to another SSO identity
+  if (!user || user.oidcSubject || !oidcConfig.emailLinkRoles.includes(user.role)) {
+    return null;
+  }
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      oidcIssuer: identity.issuer,
+      oidcSubject: identity.subject,
+      isEmailVerified: true,
+    },
+  });
+
+  try {
+    const { createActivity } = require('../services/activityService');
+    await createActivity({
+      type: 'USER_UPDATED',
+      title: 'Single Sign-On Linked',
+      description: `Account linked to single sign-on identity`,
+      userId: user.id,
+      performedBy: user.id,
+      metadata: {
+        issuer: identity.issuer,
+        subject: identity.subject,
+        ipAddress: req.ip,
+      },
+    });
+  } catch (activityError) {
+    console.error('Failed to create SSO link activity:', activityError);
+  }
+
+  return user;
+}
+
+// Send the SSO result to the frontend (tokens in the URL fragment) when a
+// post-login redirect is configured, otherwise respond with JSON
+function sendOidcResult(res, status, body) {
+  if (!oidcConfig.postLoginRedirect) {
+    return res.status(status).json(body);
+  }
+
+  let fragment;
+  if (body.challengeToken) {
+    fragment = {
+      challengeToken: body.challengeToken,
+      ...(body.twoFactorRequired ? { twoFactorRequired: 'true' } : { twoFactorSetupRequired: 'true' }),
+    };
+  } else if (status === 200) {
+    fragment = { token: body.token, refreshToken: body.refreshToken, expiresAt: new Date(body.expiresAt).toISOString() };
+  } else {
+    fragment = { error: body.error, message: body.message };
+  }
+
+  res.redirect(`${oidcConfig.postLoginRedirect}#${new URLSearchParams(fragment)}`);
+}
+
+// Ties an SSO login to the browser that started it (see completeAuthorization)
+const OIDC_LOGIN_COOKIE = 'oidc_login';
+
+function oidcCookieOptions(req) {
+  return {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax', // Sent on the provider's top-level redirect back to the callback
+    path: `${req.baseUrl}/oidc`,
+  };
+}
+
+function readCookie(req, name) {
+  const pair = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+}
+
+// Start single sign-on. Redirects to the provider, or returns the URL with ?format=json
+router.get('/oidc/login', async (req, res) => {
+  try {
+    if (!isOidcEnabled()) {
+      return res.status(404).json({
+        error: 'SSO not configured',
+        message: 'Single sign-on is not enabled on this server'
+      });
+    }
+
+    const { authorizationUrl, state, browserKey } = await createAuthorizationUrl();
+    res.cookie(OIDC_LOGIN_COOKIE, browserKey, { ...oidcCookieOptions(req), maxAge: LOGIN_STATE_TTL_MS });
+
+    if (req.query.format === 'json') {
+      return res.json({ authorizationUrl, state });
+    }
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    console.error('SSO login error:', error);
+    res.status(502).json({
+      error: 'SSO unavailable',
+      message: 'Could not reach the single sign-on provider'
+    });
+  }
+});
+
+// Authorization-code callback. The provider redirects here (GET); single-page apps
+// that receive the redirect themselves may POST { code, state } instead, sending
+// the cookie set by /oidc/login (fetch with credentials).
+async function handleOidcCallback(req, res) {
+  const params = req.method === 'POST' ? req.body : req.query;
+
+  try {
+    if (!isOidcEnabled()) {
+      return res.status(404).json({
+        error: 'SSO not configured',
+        message: 'Single sign-on is not enabled on this server'
+      });
+    }
+
+    if (params.error) {
+      return sendOidcResult(res, 401, {
+        error: 'SSO login failed',
+        message: params.error_description || params.error,
+      });
+    }
+
+    if (!params.code || !params.state) {
+      return sendOidcResult(res, 400, {
+        error: 'Invalid callback',
+        message: 'Authorization code and state are required',
+      });
+    }
+
+    const browserKey = readCookie(req, OIDC_LOGIN_COOKIE);
+    res.clearCookie(OIDC_LOGIN_COOKIE, oidcCookieOptions(req));
+
+    const identity = await completeAuthorization({ code: params.code, state: params.state, browserKey });
+    const user = await findOidcUser(req, identity);
+
+    if (!user) {
+      return sendOidcResult(res, 403, {
+        error: 'No matching account',
+        message: 'No CRM account matches this single sign-on identity. Please contact support.',
+      });
+    }
+
+    if (isLocked(user)) {
+      return sendOidcResult(res, 423, {
+        error: 'Account locked',
+        message: 'Too many failed login attempts. Check your email for an unlock link or try again later.',
+      });
+    }
+
+    if (user.status !== 'ACTIVE') {
+      return sendOidcResult(res, 401, {
+        error: 'Account inactive',
+        message: 'Your account has been deactivated. Please contact support.',
+      });
+    }
+
+    // SSO replaces the password only; accounts that need a second factor still go
+    // through /login/2fa (or enroll first) with the challenge token
+    const challenge = secondFactorChallenge(user);
+    if (challenge) {
+      return sendOidcResult(res, 200, challenge);
+    }
+
+    sendOidcResult(res, 200, await completeLogin(req, user, 'oidc'));
+  } catch (error) {
+    if (error instanceof OidcError) {
+      console.warn(`SSO callback rejected (${error.code}):`, error.message);
+      return sendOidcResult(res, 401, {
+        error: 'SSO login failed',
+        message: error.message,
+      });
+    }
+
+    console.error('SSO callback error:', error);
+    res.status(500).json({
+      error: 'Login failed',
+      message: 'An error occurred during single sign-on'
+    });
+  }
+}
+
+router.get('/oidc/callback', handleOidcCallback);
+router.post('/oidc/callback', handleOidcCallback);
+
+// Resolve the user for 2FA enrollment: either a logged-in user or a pending
+// login that must enroll before a session is issued
+async function authenticateTwoFactorSetup(req, res, next) {
+  const challengeToken = req.body?.challengeToken;
+  if (!challengeToken) {
+    return authenticateToken(req, res, next);
+  }
+
+  const challenge = verifyTwoFactorChallenge(challengeToken, '2fa_setup');
+  if (!challenge) {
+    return res.status(401).json({
+      error: 'Invalid challenge',
+      message: 'Your login attempt has expired. Please login again.'
+    });
+  }
+
+  req.user = { id: challenge.id };
+  req.twoFactorSetupChallenge = true;
+  next();
+}
+
+// Start TOTP enrollment: returns the secret, otpauth URI and QR code URL
+router.post('/2fa/setup', authenticateTwoFactorSetup, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { id: true, email: true, twoFactorEnabled: true },
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User account not found'
+      });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        error: 'Already enabled',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const enrollment = await beginEnrollment(user);
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      ...enrollment,
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      error: 'Two-factor setup failed',
+      message: 'An error occurred during two-factor setup'
+    });
+  }
+});
+
+// Confirm enrollment with a code. During a setup-required login this also
+// completes the login.
+router.post('/2fa/enable', authenticateTwoFactorSetup, async (req, res) => {
+  try {
+    const { code } = twoFactorCodeSchema.parse(req.body);
+
+    const recoveryCodes = await confirmEnrollment(req.user.id, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        error: 'Invalid code',
+        message: 'The authentication code is incorrect'
+      });
+    }
+
+    try {
+      const { createActivity } = require('../services/activityService');
+      await createActivity({
+        type: 'PROFILE_UPDATED',
+        title: 'Two-Factor Enabled',
+        description: `Two-factor authentication was enabled`,
+        userId: req.user.id,
+        performedBy: req.user.id,
+      });
+    } catch (activityError) {
+      console.error('Failed to create two-factor activity:', activityError);
+    }
+
+    const response = {
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      recoveryCodes,
+    };
+
+    if (req.twoFactorSetupChallenge) {
+      const user = await prisma.user.findUnique({
+        where: { id: req.user.id },
+        select: loginUserSelect,
+      });
+      Object.assign(response, await completeLogin(req, user, 'totp'));
+    }
+
+    res.json(response);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.errors
+      });
+    }
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      error: 'Two-factor enable failed',
+      message: 'An error occurred while enabling two-factor authentication'
+    });
+  }
+});
+
+// Replace all recovery codes (requires a current authenticator code)
+router.post('/2fa/recovery-codes', authenticateToken, async (req, res) => {
+  try {
+    const { code } = twoFactorCodeSchema.parse(req.body);
+
+    const result = await verifySecondFactor(req.user.id, { code });
+    if (!result.valid) {
+      return res.status(400).json({
+        error: 'Invalid code',
+        message: 'The authentication code is incorrect'
+      });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user.id);
+
+    res.json({
+      message: 'Recovery codes regenerated',
+      recoveryCodes,
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.errors
+      });
+    }
+    console.error('Recovery code regeneration error:', error);
+    res.status(500).json({
+      error: 'Recovery code regeneration failed',
+      message: 'An error occurred while regenerating recovery codes'
+    });
+  }
+});
+
+// Turn off 2FA for the current user (not allowed for roles where it is mandatory)
+router.post('/2fa/disable', authenticateToken, async (req, res) => {
+  try {
+    const { password, code } = disableTwoFactorSchema.parse(req.body);
+
+    if (isTwoFactorRequired(req.user.role)) {
+      return res.status(403).json({
+        error: 'Two-factor required',
+        message: 'Two-factor authentication is mandatory for your role'
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { password: true },
+    });
+
+    const isPasswordValid = user && await bcrypt.compare(password, user.password);
+    const result = isPasswordValid ? await verifySecondFactor(req.user.id, { code }) : { valid: false };
+
+    if (!result.valid) {
+      return res.status(400).json({
+        error: 'Invalid credentials',
+        message: 'Password or authentication code is incorrect'
+      });
+    }
+
+    await disableTwoFactor(req.user.id);
+
+    try {
+      const { createActivity } = require('../services/activityService');
+      await createActivity({
+        type: 'PROFILE_UPDATED',
+        title: 'Two-Factor Disabled',
+        description: `Two-factor authentication was disabled`,
+        userId: req.user.id,
+        performedBy: req.user.id,
+      });
+    } catch (activityError) {
+      console.error('Failed to create two-factor activity:', activityError);
+    }
+
+    res.json({
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.errors
+      });
+    }
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      error: 'Two-factor disable failed',
+      message: 'An error occurred while disabling two-factor authentication'
+    });
+  }
+});
+
+// Reset a user's 2FA so they can re-enroll, e.g. after losing their device (Admin only)
+router.delete('/2fa/user/:userId', authenticateToken, requireRole(['ADMIN']), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const existing = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true },
     });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      {
-        id: user.id,
-        email: user.email,
-        role: user.role,
-        firstName: user.firstName,
-        lastName: user.lastName,
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    if (!existing) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User account not found'
+      });
+    }
+
+    await disableTwoFactor(userId);
+    await revokeAllUserSessions(userId, '2fa_reset');
 
-    // Create activity log
     try {
       const { createActivity } = require('../services/activityService');
       await createActivity({
-        type: 'LOGIN',
-        title: 'User Login',
-        description: `User logged in successfully`,
-        userId: user.id,
-        performedBy: user.id,
+        type: 'PROFILE_UPDATED',
+        title: 'Two-Factor Reset',
+        description: `Two-factor authentication was reset by an administrator`,
+        userId,
+        performedBy: req.user.id,
       });
     } catch (activityError) {
-      console.error('Failed to create login activity:', activityError);
+      console.error('Failed to create two-factor activity:', activityError);
     }
 
     res.json({
-      message: 'Login successful',
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        role: user.role,
-        name: `${user.firstName} ${user.lastName}`,
-      },
-      token,
+      message: 'Two-factor authentication reset'
+    });
+  } catch (error) {
+    console.error('Two-factor reset error:', error);
+    res.status(500).json({
+      error: 'Two-factor reset failed',
+      message: 'An error occurred while resetting two-factor authentication'
+    });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = refreshTokenSchema.parse(req.body);
+
+    const result = await rotateSession(refreshToken, {
+      userAgent: req.headers['user-agent'],
+      ipAddress: req.ip,
+    });
+
+    res.json({
+      message: 'Token refreshed',
+      token: result.accessToken,
+      refreshToken: result.refreshToken,
+      expiresAt: result.session.expiresAt,
     });
   } catch (error) {
     if (error instanceof z.ZodError) {
@@ -121,10 +1124,17 @@ router.post('/login', async (req, res) => {
         details: error.errors
       });
     }
-    console.error('Login error:', error);
+    if (error instanceof SessionError) {
+      return res.status(401).json({
+        error: 'Invalid refresh token',
+        code: error.code,
+        message: error.message
+      });
+    }
+    console.error('Refresh token error:', error);
     res.status(500).json({
-      error: 'Login failed',
-      message: 'An error occurred during login'
+      error: 'Token refresh failed',
+      message: 'An error occurred while refreshing the session'
     });
   }
 });
@@ -134,10 +1144,20 @@ router.post('/logout', async (req, res) => {
   try {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
+    const { refreshToken } = req.body || {};
+
+    if (refreshToken) {
+      await revokeSessionByRefreshToken(refreshToken, 'logout');
+    }
 
     if (token) {
       try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        // Expired access tokens still identify the session to revoke
+        const decoded = jwt.verify(token, process.env.JWT_SECRET, { ignoreExpiration: true });
+
+        if (decoded.sid) {
+          await revokeSession(decoded.sid, 'logout');
+        }
         
         // Create logout activity log
         try {
@@ -148,6 +1168,9 @@ router.post('/logout', async (req, res) => {
             description: `User logged out successfully`,
             userId: decoded.id,
             performedBy: decoded.id,
+            metadata: {
+              sessionId: decoded.sid,
+            },
           });
         } catch (activityError) {
           console.error('Failed to create logout activity:', activityError);
@@ -170,6 +1193,68 @@ router.post('/logout', async (req, res) => {
   }
 });
 
+// Unlock an account using the emailed unlock token
+router.post('/unlock', async (req, res) => {
+  try {
+    const { token } = unlockAccountSchema.parse(req.body);
+
+    const user = await unlockWithToken(token);
+    if (!user) {
+      return res.status(400).json({
+        error: 'Invalid token',
+        message: 'Invalid or already used unlock link.'
+      });
+    }
+
+    res.json({
+      message: 'Account unlocked. You can now log in.'
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.errors
+      });
+    }
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      error: 'Unlock failed',
+      message: 'An error occurred while unlocking the account'
+    });
+  }
+});
+
+// Unlock a user's account (Admin only)
+router.post('/unlock/:userId', authenticateToken, requireRole(['ADMIN']), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const existing = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true },
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User account not found'
+      });
+    }
+
+    await unlockUser(userId);
+
+    res.json({
+      message: 'Account unlocked'
+    });
+  } catch (error) {
+    console.error('Admin unlock error:', error);
+    res.status(500).json({
+      error: 'Unlock failed',
+      message: 'An error occurred while unlocking the account'
+    });
+  }
+});
+
 // Request password reset
 router.post('/forgot-password', async (req, res) => {
   try {
@@ -201,12 +1286,24 @@ router.post('/forgot-password', async (req, res) => {
       });
     }
 
-    // Generate reset token
-    const resetToken = jwt.sign(
-      { id: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
+    // Generate a single-use reset token; only its hash is stored
+    const resetToken = crypto.randomBytes(32).toString('base64url');
+
+    await prisma.$transaction([
+      // Issuing a new token invalidates any earlier outstanding ones
+      prisma.passwordResetToken.updateMany({
+        where: { userId: user.id, usedAt: null, invalidatedAt: null },
+        data: { invalidatedAt: new Date() },
+      }),
+      prisma.passwordResetToken.create({
+        data: {
+          userId: user.id,
+          tokenHash: hashToken(resetToken),
+          expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MS),
+          requestedIp: req.ip,
+        },
+      }),
+    ]);
 
     // Send password reset email
     try {
@@ -244,27 +1341,75 @@ router.post('/forgot-password', async (req, res) => {
 // Reset password with token
 router.post('/reset-password', async (req, res) => {
   try {
-    const { token, newPassword } = req.body;
+    const { token, newPassword } = confirmResetPasswordSchema.parse(req.body);
+
+    const resetToken = await prisma.passwordResetToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+    });
 
-    if (!token || !newPassword) {
+    if (!resetToken || resetToken.usedAt || resetToken.invalidatedAt) {
       return res.status(400).json({
-        error: 'Missing required fields',
-        message: 'Token and new password are required'
+        error: 'Invalid token',
+        message: 'Invalid password reset link.'
       });
     }
 
-    // Verify reset token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (resetToken.expiresAt < new Date()) {
+      return res.status(400).json({
+        error: 'Token expired',
+        message: 'Password reset link has expired. Please request a new one.'
+      });
+    }
+
+    // Enforce the same strength rules shown to users in the UI
+    const { score, feedback } = getPasswordStrength(newPassword);
+    if (score < 5) {
+      return res.status(400).json({
+        error: 'Weak password',
+        message: 'Password does not meet the strength requirements',
+        feedback,
+      });
+    }
     
     // Hash new password
     const hashedPassword = await bcrypt.hash(newPassword, 10);
 
-    // Update user password
-    await prisma.user.update({
-      where: { id: decoded.id },
-      data: { password: hashedPassword },
+    // Consume the token and update the password atomically. The usedAt guard
+    // makes a concurrent second use of the same token fail.
+    const consumed = await prisma.$transaction(async (tx) => {
+      const marked = await tx.passwordResetToken.updateMany({
+        where: { id: resetToken.id, usedAt: null, invalidatedAt: null },
+        data: { usedAt: new Date() },
+      });
+
+      if (marked.count === 0) {
+        return false;
+      }
+
+      // A successful reset also clears any login lockout
+      await tx.user.update({
+        where: { id: resetToken.userId },
+        data: {
+          password: hashedPassword,
+          failedLoginAttempts: 0,
+          lockedUntil: null,
+          unlockTokenHash: null,
+        },
+      });
+
+      return true;
     });
 
+    if (!consumed) {
+      return res.status(400).json({
+        error: 'Invalid token',
+        message: 'Invalid password reset link.'
+      });
+    }
+
+    // End every existing session so a stolen login can't outlive the reset
+    const revokedSessions = await revokeAllUserSessions(resetToken.userId, 'password_reset');
+
     // Create activity log
     try {
       const { createActivity } = require('../services/activityService');
@@ -272,8 +1417,12 @@ router.post('/reset-password', async (req, res) => {
         type: 'PROFILE_UPDATED',
         title: 'Password Reset',
         description: `Password was reset successfully`,
-        userId: decoded.id,
-        performedBy: decoded.id,
+        userId: resetToken.userId,
+        performedBy: resetToken.userId,
+        metadata: {
+          revokedSessions,
+          ipAddress: req.ip,
+        },
       });
     } catch (activityError) {
       console.error('Failed to create password reset activity:', activityError);
@@ -283,16 +1432,10 @@ router.post('/reset-password', async (req, res) => {
       message: 'Password reset successful'
     });
   } catch (error) {
-    if (error.name === 'TokenExpiredError') {
-      return res.status(400).json({
-        error: 'Token expired',
-        message: 'Password reset link has expired. Please request a new one.'
-      });
-    }
-    if (error.name === 'JsonWebTokenError') {
+    if (error instanceof z.ZodError) {
       return res.status(400).json({
-        error: 'Invalid token',
-        message: 'Invalid password reset link.'
+        error: 'Validation failed',
+        details: error.errors
       });
     }
     console.error('Reset password error:', error);
@@ -349,6 +1492,11 @@ router.post('/change-password', authenticateToken, async (req, res) => {
       data: { password: hashedPassword },
     });
 
+    // Sign out every other device; the session making this request stays valid
+    const revokedSessions = await revokeAllUserSessions(userId, 'password_change', {
+      exceptSessionId: req.user.sessionId,
+    });
+
     // Create activity log
     try {
       const { createActivity } = require('../services/activityService');
@@ -358,6 +1506,10 @@ router.post('/change-password', authenticateToken, async (req, res) => {
         description: `Password was changed successfully`,
         userId: userId,
         performedBy: userId,
+        metadata: {
+          revokedSessions,
+          ipAddress: req.ip,
+        },
       });
     } catch (activityError) {
       console.error('Failed to create password change activity:', activityError);
@@ -409,6 +1561,8 @@ router.get('/profile', authenticateToken, async (req, res) => {
         zipCode: true,
         businessName: true,
         lastLogin: true,
+        twoFactorEnabled: true,
+        isEmailVerified: true,
         createdAt: true,
       },
     });
@@ -435,4 +1589,234 @@ router.get('/profile', authenticateToken, async (req, res) => {
   }
 });
 
+// List the current user's active sessions
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await getActiveSessions(req.user.id);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        isCurrent: session.id === req.user.sessionId,
+      })),
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to get sessions',
+      message: 'An error occurred while fetching sessions'
+    });
+  }
+});
+
+// List a user's active sessions (Admin only)
+router.get('/sessions/user/:userId', authenticateToken, requireRole(['ADMIN']), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true },
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User account not found'
+      });
+    }
+
+    const sessions = await getActiveSessions(userId);
+
+    res.json({ userId, sessions });
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to get sessions',
+      message: 'An error occurred while fetching sessions'
+    });
+  }
+});
+
+// Revoke every active session of a user (Admin only)
+router.delete('/sessions/user/:userId', authenticateToken, requireRole(['ADMIN']), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const revoked = await revokeAllUserSessions(userId, 'admin');
+
+    try {
+      const { createActivity } = require('../services/activityService');
+      await createActivity({
+        type: 'LOGOUT',
+        title: 'Sessions Revoked',
+        description: `All active sessions were revoked by an administrator`,
+        userId,
+        performedBy: req.user.id,
+        metadata: { revoked },
+      });
+    } catch (activityError) {
+      console.error('Failed to create session revoke activity:', activityError);
+    }
+
+    res.json({
+      message: 'Sessions revoked',
+      revoked,
+    });
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke sessions',
+      message: 'An error occurred while revoking sessions'
+    });
+  }
+});
+
+// Revoke a single session. Users may end their own sessions; admins may end any.
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const session = await prisma.session.findUnique({
+      where: { id: sessionId },
+      select: { id: true, userId: true },
+    });
+
+    const isAdmin = ['SUPERADMIN', 'ADMIN'].includes(req.user.role);
+
+    if (!session || (!isAdmin && session.userId !== req.user.id)) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(session.id, session.userId === req.user.id ? 'logout' : 'admin');
+
+    res.json({
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke session',
+      message: 'An error occurred while revoking the session'
+    });
+  }
+});
+
+// API keys are managed from an interactive login, never with another API key
+function requireInteractiveSession(req, res, next) {
+  if (req.user.apiKeyId) {
+    return res.status(403).json({
+      error: 'Login required',
+      message: 'API keys cannot be used to manage API keys'
+    });
+  }
+  next();
+}
+
+// List the current user's API keys (the key itself is never returned)
+router.get('/api-keys', authenticateToken, requireInteractiveSession, async (req, res) => {
+  try {
+    const apiKeys = await listApiKeys(req.user.id);
+    res.json({ apiKeys });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      error: 'Failed to get API keys',
+      message: 'An error occurred while fetching API keys'
+    });
+  }
+});
+
+// Create an API key. The plaintext key is only included in this response.
+router.post('/api-keys', authenticateToken, requireInteractiveSession, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = createApiKeySchema.parse(req.body);
+
+    if (await countActiveKeys(req.user.id) >= MAX_KEYS_PER_USER) {
+      return res.status(400).json({
+        error: 'Too many API keys',
+        message: `You can have at most ${MAX_KEYS_PER_USER} active API keys. Revoke one first.`
+      });
+    }
+
+    const expiresAt = expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      : null;
+
+    const { apiKey, key } = await createApiKey(req.user.id, { name, scopes, expiresAt });
+
+    try {
+      const { createActivity } = require('../services/activityService');
+      await createActivity({
+        type: 'USER_UPDATED',
+        title: 'API Key Created',
+        description: `API key "${name}" created with ${scopes.join(', ')} access`,
+        userId: req.user.id,
+        performedBy: req.user.id,
+        metadata: { apiKeyId: apiKey.id, scopes, expiresAt },
+      });
+    } catch (activityError) {
+      console.error('Failed to create API key activity:', activityError);
+    }
+
+    res.status(201).json({
+      message: 'API key created. Copy it now, it will not be shown again.',
+      apiKey,
+      key,
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.errors
+      });
+    }
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      error: 'Failed to create API key',
+      message: 'An error occurred while creating the API key'
+    });
+  }
+});
+
+// Revoke one of the current user's API keys
+router.delete('/api-keys/:keyId', authenticateToken, requireInteractiveSession, async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(req.user.id, req.params.keyId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        error: 'API key not found',
+        message: 'API key not found'
+      });
+    }
+
+    try {
+      const { createActivity } = require('../services/activityService');
+      await createActivity({
+        type: 'USER_UPDATED',
+        title: 'API Key Revoked',
+        description: 'An API key was revoked',
+        userId: req.user.id,
+        performedBy: req.user.id,
+        metadata: { apiKeyId: req.params.keyId },
+      });
+    } catch (activityError) {
+      console.error('Failed to create API key activity:', activityError);
+    }
+
+    res.json({
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke API key',
+      message: 'An error occurred while revoking the API key'
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
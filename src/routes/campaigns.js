@@ -0,0 +1,23 @@
+// routes/campaigns.js
+const { Router } = require('express');
+const { CampaignsController } = require('../controllers/campaigns');
+
+const router = Router();
+const campaignsController = new CampaignsController();
+
+// Public links from campaign emails and provider callbacks
+router.get('/unsubscribe', campaignsController.unsubscribePage);
+router.post('/unsubscribe', campaignsController.unsubscribe);
+router.post('/bounces', campaignsController.recordBounce);
+
+router.get('/', campaignsController.getCampaigns);
+router.post('/', campaignsController.createCampaign);
+router.post('/preview-audience', campaignsController.previewAudience);
+router.get('/:id', campaignsController.getCampaign);
+router.put('/:id', campaignsController.updateCampaign);
+router.delete('/:id', campaignsController.deleteCampaign);
+router.get('/:id/recipients', campaignsController.getRecipients);
+router.post('/:id/send', campaignsController.sendCampaign);
+router.post('/:id/cancel', campaignsController.cancelCampaign);
+
+module.exports = router;
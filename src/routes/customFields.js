@@ -0,0 +1,14 @@
+// routes/customFields.js
+const { Router } = require('express');
+const { CustomFieldsController } = require('../controllers/customFields');
+
+const router = Router();
+const customFieldsController = new CustomFieldsController();
+
+// Admin-defined client and deal fields
+router.get('/', customFieldsController.getCustomFields);
+router.post('/', customFieldsController.createCustomField);
+router.put('/:id', customFieldsController.updateCustomField);
+router.delete('/:id', customFieldsController.deleteCustomField);
+
+module.exports = router;
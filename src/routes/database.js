@@ -158,12 +158,14 @@ router.post('/reset', async (req, res) => {
       prisma.email.deleteMany(),
       prisma.appointment.deleteMany(),
       prisma.userTag.deleteMany(),
+      prisma.tag.deleteMany(),
       prisma.userForm.deleteMany(),
       prisma.userFile.deleteMany(),
       prisma.dealDocument.deleteMany(),
       prisma.dealStage.deleteMany(),
       prisma.deal.deleteMany(),
       prisma.business.deleteMany(),
+      prisma.emailCampaign.deleteMany(),
       prisma.emailTemplate.deleteMany(),
       prisma.user.deleteMany()
     ]);
@@ -193,12 +195,14 @@ router.post('/delete-all', async (req, res) => {
       prisma.email.deleteMany(),
       prisma.appointment.deleteMany(),
       prisma.userTag.deleteMany(),
+      prisma.tag.deleteMany(),
       prisma.userForm.deleteMany(),
       prisma.userFile.deleteMany(),
       prisma.dealDocument.deleteMany(),
       prisma.dealStage.deleteMany(),
       prisma.deal.deleteMany(),
       prisma.business.deleteMany(),
+      prisma.emailCampaign.deleteMany(),
       prisma.emailTemplate.deleteMany(),
       prisma.user.deleteMany()
     ]);
@@ -1,7 +1,6 @@
 const express = require('express');
 const multer = require('multer');
 const dealsController = require('../controllers/deals');
-const { authenticateToken } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
@@ -32,18 +31,21 @@ const upload = multer({
   }
 });
 
-// Apply authentication middleware to all routes
-// router.use(authenticateToken);
-
 // Get user's deals
 router.get('/user/:userId', dealsController.getUserDeals);
 
+// Export deals (?userId=&status=&search=&format=csv|xlsx&columns=...)
+router.get('/export', dealsController.exportDeals);
+
 // Create new deal
 router.post('/', dealsController.createDeal);
 
 // Update deal
 router.put('/:dealId', dealsController.updateDeal);
 
+// Delete deal (moves it to the trash)
+router.delete('/:dealId', dealsController.deleteDeal);
+
 // Update stage status
 router.put('/:dealId/stages/:stageId', dealsController.updateStage);
 
@@ -0,0 +1,17 @@
+// routes/emailTemplates.js
+const { Router } = require('express');
+const { EmailTemplatesController } = require('../controllers/emailTemplates');
+
+const router = Router();
+const emailTemplatesController = new EmailTemplatesController();
+
+router.get('/', emailTemplatesController.getTemplates);
+router.get('/variables', emailTemplatesController.getTemplateVariables);
+router.get('/stats', emailTemplatesController.getTemplateStats);
+router.post('/', emailTemplatesController.createTemplate);
+router.get('/:id', emailTemplatesController.getTemplate);
+router.put('/:id', emailTemplatesController.updateTemplate);
+router.delete('/:id', emailTemplatesController.deleteTemplate);
+router.post('/:id/preview', emailTemplatesController.previewTemplate);
+
+module.exports = router;
@@ -2,7 +2,6 @@
 const express = require('express');
 const multer = require('multer');
 const filesController = require('../controllers/files');
-const { authenticateToken } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
@@ -33,9 +32,6 @@ const upload = multer({
   }
 });
 
-// Apply authentication middleware to all routes
-// router.use(authenticateToken);
-
 // Get user's files
 router.get('/user/:userId', filesController.getUserFiles);
 
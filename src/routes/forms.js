@@ -0,0 +1,27 @@
+// routes/forms.js
+const { Router } = require('express');
+const { FormsController } = require('../controllers/forms');
+
+const router = Router();
+const formsController = new FormsController();
+
+// Assignments
+router.post('/assign', formsController.assignForms);
+router.get('/user/:userId', formsController.getUserForms);
+router.delete('/assignments/:assignmentId', formsController.deleteAssignment);
+
+// Submissions and review
+router.get('/submissions', formsController.getSubmissions);
+router.get('/submissions/:submissionId', formsController.getSubmission);
+router.get('/submissions/:submissionId/pdf', formsController.downloadSubmissionPdf);
+router.put('/submissions/:submissionId/review', formsController.reviewSubmission);
+
+// Form definitions and versions
+router.get('/', formsController.getForms);
+router.post('/', formsController.createForm);
+router.get('/:id', formsController.getForm);
+router.put('/:id', formsController.updateForm);
+router.post('/:id/versions', formsController.publishVersion);
+router.get('/:id/submissions/export', formsController.exportSubmissions);
+
+module.exports = router;
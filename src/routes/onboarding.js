@@ -14,13 +14,6 @@ const subdomainCheckLimiter = rateLimit({
 });
 
 
-const registerLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // limit each IP to 5 registration attempts per windowMs
-  message: { error: 'Too many registration attempts, please try again later.' }
-});
-
-
 // GET /api/onboarding/check-subdomain
 router.get('/check-subdomain', subdomainCheckLimiter, async (req, res) => {
   try {
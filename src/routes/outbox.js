@@ -0,0 +1,15 @@
+// routes/outbox.js
+const { Router } = require('express');
+const { OutboxController } = require('../controllers/outbox');
+
+const router = Router();
+const outboxController = new OutboxController();
+
+// Outgoing email queue: inspect deliveries and retry failures
+router.get('/', outboxController.getMessages);
+router.get('/stats', outboxController.getStats);
+router.post('/retry-failed', outboxController.retryFailed);
+router.get('/:id', outboxController.getMessage);
+router.post('/:id/retry', outboxController.retryMessage);
+
+module.exports = router;
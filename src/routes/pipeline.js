@@ -0,0 +1,20 @@
+// routes/pipeline.js
+const { Router } = require('express');
+const { PipelineController } = require('../controllers/pipeline');
+
+const router = Router();
+const pipelineController = new PipelineController();
+
+// Pipeline definitions per client type
+router.get('/', pipelineController.getPipelines);
+
+// Funnel report
+router.get('/funnel', pipelineController.getFunnel);
+
+// Stage configuration
+router.post('/stages', pipelineController.createStage);
+router.put('/stages/:stageId', pipelineController.updateStage);
+router.delete('/stages/:stageId', pipelineController.deleteStage);
+router.put('/stages/:stageId/transitions', pipelineController.updateStageTransitions);
+
+module.exports = router;
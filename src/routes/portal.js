@@ -0,0 +1,64 @@
+// routes/portal.js - Self-service API for CLIENT users; the client always comes from the token
+const { Router } = require('express');
+const multer = require('multer');
+const { PortalController } = require('../controllers/portal');
+const { DEAL_DOCUMENT_TYPES, MAX_DEAL_DOCUMENT_SIZE } = require('../services/dealDocumentService');
+
+const router = Router();
+const portalController = new PortalController();
+
+// Requested documents (parsed in memory, then uploaded to storage)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_DEAL_DOCUMENT_SIZE,
+  },
+  fileFilter: (req, file, cb) => {
+    if (DEAL_DOCUMENT_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only PDF, DOC, DOCX, XLS, XLSX, and image files are allowed.'), false);
+    }
+  }
+});
+
+router.get('/me', portalController.getProfile);
+
+// Deals, stage progress and document uploads
+router.get('/deals', portalController.getDeals);
+router.post('/deals/:dealId/stages/:stageId/documents',
+  upload.single('file'),
+  portalController.uploadDocument
+);
+
+// Email thread with staff
+router.get('/emails', portalController.getEmails);
+router.post('/emails', portalController.replyToEmail);
+router.patch('/emails/:emailId/read', portalController.markEmailAsRead);
+
+router.get('/appointments', portalController.getAppointments);
+
+// Assigned forms
+router.get('/forms', portalController.getForms);
+router.post('/forms/:id/submit', portalController.submitForm);
+
+// Error handling for multer
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+    return res.status(400).json({
+      error: 'File too large',
+      message: 'File size exceeds 10MB limit'
+    });
+  }
+
+  if (error.message.includes('Invalid file type')) {
+    return res.status(400).json({
+      error: 'Invalid file type',
+      message: error.message
+    });
+  }
+
+  next(error);
+});
+
+module.exports = router;
@@ -0,0 +1,25 @@
+// routes/protectedRouters.js
+//
+// Routers mounted behind enforceRoutePermissions(), keyed by mount path. Every
+// route they define needs an entry under the same key in src/config/permissions.js.
+module.exports = {
+  '/api/users': require('./users'),
+  '/api/notes': require('./notes'),
+  '/api/tasks': require('./tasks'),
+  '/api/appointments': require('./appointments'),
+  '/api/deals': require('./deals'),
+  '/api/files': require('./files'),
+  '/api/businesses': require('./businesses'),
+  '/api/db': require('./database'),
+  '/api/roles': require('./roles'),
+  '/api/pipeline': require('./pipeline'),
+  '/api/tags': require('./tags'),
+  '/api/trash': require('./trash'),
+  '/api/custom-fields': require('./customFields'),
+  '/api/portal': require('./portal'),
+  '/api/forms': require('./forms'),
+  '/api/email-templates': require('./emailTemplates'),
+  '/api/campaigns': require('./campaigns'),
+  '/api/outbox': require('./outbox'),
+  '/api/tracking': require('./tracking'),
+};
@@ -0,0 +1,26 @@
+// routes/roles.js
+const { Router } = require('express');
+const { RolesController } = require('../controllers/roles');
+
+const router = Router();
+const rolesController = new RolesController();
+
+// Permission catalog
+router.get('/permissions', rolesController.getPermissionCatalog);
+
+// Direct permission grants for a user
+router.get('/users/:userId/permissions', rolesController.getUserPermissions);
+router.put('/users/:userId/permissions', rolesController.setUserPermissions);
+
+// Role definitions
+router.get('/', rolesController.getRoles);
+router.post('/', rolesController.createRole);
+router.get('/:id', rolesController.getRoleById);
+router.put('/:id', rolesController.updateRole);
+router.delete('/:id', rolesController.deleteRole);
+
+// Role assignment
+router.post('/:id/users/:userId', rolesController.assignRole);
+router.delete('/:id/users/:userId', rolesController.unassignRole);
+
+module.exports = router;
@@ -1,12 +1,14 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('../services/softDeleteService');
 const stripe = require('../config/stripe');
 const auth0Management = require('../config/auth0');
 const { sendWelcomeEmail } = require('../services/emailService');
+const { sendVerificationLink } = require('../services/emailVerificationService');
 const { generateTempPassword, generateTransactionId } = require('../utils/helpers');
 
 const router = express.Router();
-const prisma = new PrismaClient();
+const prisma = withSoftDelete(new PrismaClient());
 
 // Stripe webhook endpoint
 router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
@@ -97,7 +99,7 @@ async function handleSuccessfulPayment(session) {
     console.log(`👤 Auth0 user created: ${auth0User.user_id}`);
 
     // Step 3: Create local user record
-    await prisma.user.create({
+    const user = await prisma.user.create({
       data: {
         companyId: company.id,
         auth0UserId: auth0User.user_id,
@@ -109,6 +111,13 @@ async function handleSuccessfulPayment(session) {
       }
     });
 
+    // The address came from the checkout form, so it still needs confirming
+    try {
+      await sendVerificationLink(user);
+    } catch (emailError) {
+      console.error('Failed to send verification email:', emailError);
+    }
+
     // Step 4: Record payment history
     await prisma.paymentHistory.create({
       data: {
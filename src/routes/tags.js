@@ -0,0 +1,21 @@
+// routes/tags.js
+const { Router } = require('express');
+const { TagsController } = require('../controllers/tags');
+
+const router = Router();
+const tagsController = new TagsController();
+
+// Tag catalog
+router.get('/', tagsController.getTags);
+router.post('/', tagsController.createTag);
+
+// Bulk tag/untag a list of users
+router.post('/bulk/apply', tagsController.bulkApplyTags);
+router.post('/bulk/remove', tagsController.bulkRemoveTags);
+
+// Rename, recolor, delete and merge
+router.put('/:id', tagsController.updateTag);
+router.delete('/:id', tagsController.deleteTag);
+router.post('/:id/merge', tagsController.mergeTags);
+
+module.exports = router;
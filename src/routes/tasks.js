@@ -16,6 +16,9 @@ router.post('/', tasksController.createTask);
 // Get task statistics
 router.get('/stats', tasksController.getTaskStats);
 
+// Export tasks matching the list filters (?format=csv|xlsx&columns=...)
+router.get('/export', tasksController.exportTasks);
+
 // Get a specific task by ID
 router.get('/:id', tasksController.getTaskById);
 
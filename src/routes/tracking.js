@@ -0,0 +1,12 @@
+// routes/tracking.js
+const { Router } = require('express');
+const { TrackingController } = require('../controllers/tracking');
+
+const router = Router();
+const trackingController = new TrackingController();
+
+// Open pixel and click redirect embedded in outbound email
+router.get('/open/:emailId', trackingController.trackOpen);
+router.get('/click/:emailId', trackingController.trackClick);
+
+module.exports = router;
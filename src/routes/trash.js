@@ -0,0 +1,19 @@
+// routes/trash.js
+const { Router } = require('express');
+const { TrashController } = require('../controllers/trash');
+
+const router = Router();
+const trashController = new TrashController();
+
+// Counts per type and the retention period
+router.get('/', trashController.getTrashSummary);
+
+// Purge everything past the retention period
+router.post('/purge', trashController.purgeExpired);
+
+// Deleted records of one type (user, deal, dealDocument, userFile, note, task)
+router.get('/:type', trashController.getTrashItems);
+router.post('/:type/:id/restore', trashController.restoreItem);
+router.delete('/:type/:id', trashController.purgeItem);
+
+module.exports = router;
@@ -1,45 +1,154 @@
 // routes/user.routes.js - Updated with new email conversation endpoints
 const { Router } = require('express');
+const multer = require('multer');
 const { UserController } = require('../controllers/users');
-const { authenticateToken, requireRole } = require('../middleware/authMiddleware');
+const { SavedFiltersController } = require('../controllers/savedFilters');
+const { ClientImportController } = require('../controllers/clientImport');
+const { DuplicatesController } = require('../controllers/duplicates');
+const { PipelineController } = require('../controllers/pipeline');
 
 const router = Router();
 const userController = new UserController();
+const savedFiltersController = new SavedFiltersController();
+const clientImportController = new ClientImportController();
+const duplicatesController = new DuplicatesController();
+const pipelineController = new PipelineController();
+
+// Client import uploads (CSV/XLSX, parsed in memory)
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+  },
+});
 
 // User management routes (Admin/Staff only)
 router.get('/', 
-  // authenticateToken, 
-  // requireRole(['SUPERADMIN', 'ADMIN', 'STAFF']), 
   userController.getUsers
 );
 
 router.post('/', 
-  // authenticateToken, 
-  // requireRole(['SUPERADMIN', 'ADMIN', 'STAFF']), 
   userController.createUser
 );
 
+// Client list filtering - available fields and per-user saved filters
+router.get('/filter-options', 
+  savedFiltersController.getFilterOptions
+);
+
+router.get('/saved-filters', 
+  savedFiltersController.getSavedFilters
+);
+
+router.post('/saved-filters', 
+  savedFiltersController.createSavedFilter
+);
+
+router.put('/saved-filters/:filterId', 
+  savedFiltersController.updateSavedFilter
+);
+
+router.delete('/saved-filters/:filterId', 
+  savedFiltersController.deleteSavedFilter
+);
+
+// Tag counts for the filtered client list
+router.get('/tag-counts', 
+  userController.getTagCounts
+);
+
+// Export the filtered client list (?format=csv|xlsx&columns=...)
+router.get('/export', 
+  userController.exportUsers
+);
+
+// Bulk import from CSV/XLSX (dry run by default)
+router.get('/import/fields', 
+  clientImportController.getImportFields
+);
+
+router.post('/import', 
+  importUpload.single('file'),
+  clientImportController.importClients
+);
+
+// Duplicate detection across the client list
+router.get('/duplicates', 
+  duplicatesController.getDuplicateCandidates
+);
+
+// Move clients between agents
+router.post('/reassign-agent', 
+  userController.reassignAgentClients
+);
+
+// Send-later emails: list, edit or cancel before the dispatcher sends them
+router.get('/scheduled-emails', 
+  userController.getScheduledEmails
+);
+
+router.put('/scheduled-emails/:emailId', 
+  userController.updateScheduledEmail
+);
+
+router.delete('/scheduled-emails/:emailId', 
+  userController.cancelScheduledEmail
+);
+
 router.get('/:id', 
-  // authenticateToken, 
   userController.getUserById
 );
 
+// Move the client to the trash (restorable until purged)
+router.delete('/:id', 
+  userController.deleteUser
+);
+
+// Set or clear custom field values
+router.put('/:id/custom-fields', 
+  userController.updateCustomFields
+);
+
+// Set or clear the client's timezone (used for scheduled emails)
+router.put('/:id/timezone', 
+  userController.updateTimezone
+);
+
+// Assign or clear the client's agent
+router.put('/:id/agent', 
+  userController.assignAgent
+);
+
+// Pipeline stage changes and history
+router.post('/:id/stage', 
+  pipelineController.changeUserStage
+);
+
+router.get('/:id/stage-history', 
+  pipelineController.getUserStageHistory
+);
+
+// Duplicates of one client, and merging a duplicate into it
+router.get('/:id/duplicates', 
+  duplicatesController.getUserDuplicates
+);
+
+router.post('/:id/merge', 
+  duplicatesController.mergeUser
+);
+
 // Activity tab routes - Email functionality (UPDATED)
 router.post('/:id/send-email', 
-  // authenticateToken, 
-  // requireRole(['SUPERADMIN', 'ADMIN', 'STAFF']), 
   userController.sendEmailToUser
 );
 
 // NEW: Get email conversation with filtering and pagination
 router.get('/:id/emails', 
-  // authenticateToken, 
   userController.getEmailConversation
 );
 
 // NEW: Mark specific email as read
 router.patch('/emails/:emailId/read', 
-  // authenticateToken, 
   userController.markEmailAsRead
 );
 
@@ -50,22 +159,33 @@ router.post('/webhook/email',
 
 // Activity tab routes - Notes functionality
 router.post('/:id/notes', 
-  // authenticateToken, 
-  // requireRole(['SUPERADMIN', 'ADMIN', 'STAFF']), 
   userController.addNote
 );
 
 // Activity tab routes - Tasks functionality
 router.post('/:id/tasks', 
-  // authenticateToken, 
-  // requireRole(['SUPERADMIN', 'ADMIN', 'STAFF']), 
   userController.createTask
 );
 
 // Activity tab routes - Activity timeline
 router.get('/:id/activities', 
-  // authenticateToken, 
   userController.getUserActivities
 );
 
+router.get('/:id/activities/export', 
+  userController.exportUserActivities
+);
+
+// Error handling for multer
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+    return res.status(400).json({
+      error: 'File too large',
+      message: 'File size exceeds 10MB limit'
+    });
+  }
+
+  next(error);
+});
+
 module.exports = router;
\ No newline at end of file
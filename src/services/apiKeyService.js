@@ -0,0 +1,137 @@
+// services/apiKey.service.js
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { hashToken } = require('./sessionService');
+
+const prisma = new PrismaClient();
+
+const KEY_PREFIX = 'hbb_';
+const API_KEY_SCOPES = ['read', 'write'];
+const MAX_KEYS_PER_USER = Number(process.env.API_KEY_MAX_PER_USER) || 10;
+
+// Avoid a database write on every request from a busy script
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000;
+
+const apiKeySelect = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  lastUsedIp: true,
+  createdAt: true,
+};
+
+function generateKey() {
+  return KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+// Read requests need the `read` scope, everything else `write`
+function scopeForMethod(method) {
+  return ['GET', 'HEAD', 'OPTIONS'].includes(method) ? 'read' : 'write';
+}
+
+function isKeyActive(apiKey) {
+  return !apiKey.revokedAt && (!apiKey.expiresAt || apiKey.expiresAt > new Date());
+}
+
+async function countActiveKeys(userId) {
+  return prisma.apiKey.count({
+    where: {
+      userId,
+      revokedAt: null,
+      OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }],
+    },
+  });
+}
+
+// Create a key and return it with the plaintext, which is never shown again
+async function createApiKey(userId, { name, scopes, expiresAt }) {
+  const key = generateKey();
+
+  const apiKey = await prisma.apiKey.create({
+    data: {
+      userId,
+      name,
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      keyHash: hashToken(key),
+      scopes,
+      expiresAt: expiresAt || null,
+    },
+    select: apiKeySelect,
+  });
+
+  return { apiKey, key };
+}
+
+// Resolve a presented key to its record and owner, recording where it was used.
+// Returns null for unknown, revoked or expired keys.
+async function authenticateApiKey(key, ipAddress) {
+  if (!key || !key.startsWith(KEY_PREFIX)) {
+    return null;
+  }
+
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { keyHash: hashToken(key) },
+    include: {
+      user: {
+        select: {
+          id: true,
+          email: true,
+          role: true,
+          firstName: true,
+          lastName: true,
+          status: true,
+        },
+      },
+    },
+  });
+
+  if (!apiKey || !isKeyActive(apiKey)) {
+    return null;
+  }
+
+  const lastUsedAge = apiKey.lastUsedAt ? Date.now() - apiKey.lastUsedAt.getTime() : Infinity;
+  if (lastUsedAge > LAST_USED_WRITE_INTERVAL_MS || apiKey.lastUsedIp !== ipAddress) {
+    await prisma.apiKey.update({
+      where: { id: apiKey.id },
+      data: { lastUsedAt: new Date(), lastUsedIp: ipAddress || null },
+    });
+  }
+
+  return apiKey;
+}
+
+async function listApiKeys(userId) {
+  const apiKeys = await prisma.apiKey.findMany({
+    where: { userId, revokedAt: null },
+    select: apiKeySelect,
+    orderBy: { createdAt: 'desc' },
+  });
+
+  return apiKeys.map(apiKey => ({
+    ...apiKey,
+    isExpired: !isKeyActive(apiKey),
+  }));
+}
+
+// Revoke a key owned by the user. Returns false when there is no such key.
+async function revokeApiKey(userId, apiKeyId) {
+  const result = await prisma.apiKey.updateMany({
+    where: { id: apiKeyId, userId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+  return result.count > 0;
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  MAX_KEYS_PER_USER,
+  scopeForMethod,
+  countActiveKeys,
+  createApiKey,
+  authenticateApiKey,
+  listApiKeys,
+  revokeApiKey,
+};
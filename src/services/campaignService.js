@@ -0,0 +1,414 @@
+// services/campaign.service.js
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('./softDeleteService');
+const { queueEmail } = require('./outboxService');
+const { createActivity } = require('./activityService');
+const { isVerificationRequired } = require('./emailVerificationService');
+const { renderEmailTemplate, resolveClientVariables } = require('./emailTemplateService');
+const { escapeHtml } = require('../utils/templateEngine');
+const { getCustomFieldMap } = require('./customFieldService');
+const { buildFilterWhere, parseFilter, filterFromQuery } = require('./userFilterService');
+
+const prisma = withSoftDelete(new PrismaClient());
+
+// Emails per minute handed to the outbox, to stay under provider limits
+const SEND_RATE_PER_MINUTE = Math.max(1, Number(process.env.CAMPAIGN_SEND_RATE_PER_MINUTE) || 60);
+const BATCH_SIZE = 50;
+
+// Shorthand segment keys, passed through filterFromQuery
+const SEGMENT_KEYS = ['stage', 'clientType', 'pipelineStageId', 'leadSource', 'state', 'agentId', 'tags', 'tagMatch', 'match'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class CampaignError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CampaignError';
+  }
+}
+
+// Combine the shorthand segment ({ tags, stage, state, agentId, ... }) and an
+// optional advanced filter into one filter group. Staff segments are pinned to
+// their own clients. Throws FilterError for invalid filters.
+async function buildSegment({ segment = {}, filter, agentScope }) {
+  const customFields = await getCustomFieldMap('USER');
+  const query = Object.fromEntries(Object.entries(segment).filter(([key]) => SEGMENT_KEYS.includes(key)));
+
+  const conditions = [filterFromQuery(query, { customFields })];
+  if (filter) {
+    conditions.push(parseFilter(filter, { customFields }));
+  }
+  if (agentScope) {
+    conditions.push({ field: 'agentId', operator: 'eq', value: agentScope });
+  }
+
+  return parseFilter({ match: 'all', conditions }, { customFields });
+}
+
+// Where clause for the clients a segment reaches. Opted-out clients are
+// excluded unless `includeOptedOut` (for reporting how many were left out).
+async function segmentWhere(segment, { includeOptedOut = false } = {}) {
+  const customFields = await getCustomFieldMap('USER');
+  return {
+    role: 'CLIENT',
+    ...(!includeOptedOut && { emailOptOut: false }),
+    ...(isVerificationRequired('outbound_email') && { isEmailVerified: true }),
+    AND: [buildFilterWhere(segment, { customFields })],
+  };
+}
+
+// How many clients a segment reaches, how many opted out, and a few examples
+async function previewSegment(segment) {
+  const [where, allWhere] = await Promise.all([
+    segmentWhere(segment),
+    segmentWhere(segment, { includeOptedOut: true }),
+  ]);
+
+  const [count, total, sample] = await Promise.all([
+    prisma.user.count({ where }),
+    prisma.user.count({ where: allWhere }),
+    prisma.user.findMany({
+      where,
+      select: { id: true, firstName: true, lastName: true, email: true, stage: true, state: true },
+      orderBy: [{ lastName: 'asc' }, { firstName: 'asc' }],
+      take: 10,
+    }),
+  ]);
+
+  return { count, excluded: total - count, sample };
+}
+
+function signUnsubscribeToken(userId, campaignId) {
+  return jwt.sign({ id: userId, campaignId, purpose: 'unsubscribe' }, process.env.JWT_SECRET);
+}
+
+function buildUnsubscribeUrl(userId, campaignId) {
+  const baseUrl = process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return `${baseUrl}/api/campaigns/unsubscribe?token=${signUnsubscribeToken(userId, campaignId)}`;
+}
+
+// Decoded payload of an unsubscribe token. Throws jsonwebtoken errors for bad
+// tokens and returns null when the token is not an unsubscribe token.
+function verifyUnsubscribeToken(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  return decoded.purpose === 'unsubscribe' ? decoded : null;
+}
+
+// Opt the client out of campaign emails. Same errors as verifyUnsubscribeToken.
+async function unsubscribe(token) {
+  const decoded = verifyUnsubscribeToken(token);
+  if (!decoded) {
+    return null;
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: decoded.id },
+    select: { id: true, email: true, emailOptOut: true },
+  });
+  if (!user) {
+    return null;
+  }
+
+  if (!user.emailOptOut) {
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { emailOptOut: true, emailOptOutAt: new Date() },
+    });
+
+    if (decoded.campaignId) {
+      await prisma.emailCampaign.updateMany({
+        where: { id: decoded.campaignId },
+        data: { unsubscribedCount: { increment: 1 } },
+      });
+    }
+
+    try {
+      await createActivity({
+        type: 'USER_UPDATED',
+        title: 'Unsubscribed',
+        description: 'Client unsubscribed from campaign emails',
+        userId: user.id,
+        performedBy: user.id,
+        metadata: { campaignId: decoded.campaignId },
+      });
+    } catch (activityError) {
+      console.error('Failed to create activity:', activityError);
+    }
+  }
+
+  return user;
+}
+
+function withUnsubscribeFooter({ html, text }, unsubscribeUrl) {
+  return {
+    html: `${html}
+<p style="margin-top:24px;font-size:12px;color:#6B7280;">
+  You are receiving this email from Healthcare Biz Brokers.
+  <a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a>
+</p>`,
+    text: `${text}\n\n--\nUnsubscribe: ${unsubscribeUrl}`,
+  };
+}
+
+// Queue one recipient's email, recorded as an Email row plus an EMAIL_SENT activity.
+// The outbox worker moves the recipient to SENT, FAILED or BOUNCED and updates the counts.
+async function sendToRecipient(campaign, recipient) {
+  const client = await prisma.user.findUnique({
+    where: { id: recipient.userId },
+    select: { id: true, email: true, emailOptOut: true, isEmailVerified: true },
+  });
+
+  // Clients may unsubscribe, be deleted or change address while the campaign runs
+  if (!client || client.emailOptOut || (isVerificationRequired('outbound_email') && !client.isEmailVerified)) {
+    await prisma.campaignRecipient.update({
+      where: { id: recipient.id },
+      data: { status: 'SKIPPED', error: !client ? 'Client deleted' : client.emailOptOut ? 'Unsubscribed' : 'Email not verified' },
+    });
+    return 'SKIPPED';
+  }
+
+  const variables = await resolveClientVariables(campaign.template, client.id, campaign.variables || {});
+  const rendered = renderEmailTemplate(campaign.template, variables);
+  const unsubscribeUrl = buildUnsubscribeUrl(client.id, campaign.id);
+  const { html, text } = withUnsubscribeFooter(rendered, unsubscribeUrl);
+
+  const email = await prisma.$transaction(async (tx) => {
+    const created = await tx.email.create({
+      data: {
+        subject: rendered.subject,
+        body: text,
+        htmlBody: html,
+        direction: 'OUTBOUND',
+        senderId: campaign.createdBy,
+        recipientId: client.id,
+        campaignId: campaign.id,
+        templateId: campaign.templateId,
+        trackingEnabled: campaign.trackingEnabled,
+      },
+    });
+
+    await queueEmail({
+      to: client.email,
+      subject: rendered.subject,
+      htmlBody: html,
+      plainBody: text,
+      headers: {
+        'List-Unsubscribe': `<${unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+        'X-Campaign-Id': campaign.id,
+      },
+      track: campaign.trackingEnabled,
+    }, { emailId: created.id }, tx);
+
+    await tx.campaignRecipient.update({
+      where: { id: recipient.id },
+      data: { status: 'QUEUED', emailId: created.id, email: client.email },
+    });
+
+    return created;
+  });
+
+  await prisma.user.update({
+    where: { id: client.id },
+    data: { lastCommunication: new Date(), lastCommunicationMessage: rendered.subject },
+  });
+
+  try {
+    await createActivity({
+      type: 'EMAIL_SENT',
+      title: 'Campaign Email Sent',
+      description: `Campaign "${campaign.name}": ${rendered.subject}`,
+      userId: client.id,
+      performedBy: campaign.createdBy,
+      metadata: { emailId: email.id, campaignId: campaign.id, subject: rendered.subject },
+    });
+  } catch (activityError) {
+    console.error('Failed to create activity:', activityError);
+  }
+
+  return 'QUEUED';
+}
+
+// Outcomes counted here; delivery results are counted by the outbox worker
+const COUNTER_BY_STATUS = {
+  FAILED: 'failedCount',
+  SKIPPED: 'skippedCount',
+};
+
+// Work through a campaign's pending recipients at the configured rate. Stops
+// early if the campaign is cancelled; safe to call again to resume.
+async function processCampaign(campaignId) {
+  const delay = Math.ceil(60000 / SEND_RATE_PER_MINUTE);
+
+  for (;;) {
+    const campaign = await prisma.emailCampaign.findUnique({
+      where: { id: campaignId },
+      include: { template: true },
+    });
+    if (!campaign || campaign.status !== 'SENDING') return;
+
+    const recipients = await prisma.campaignRecipient.findMany({
+      where: { campaignId, status: 'PENDING' },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+    });
+
+    if (recipients.length === 0) {
+      await prisma.emailCampaign.update({
+        where: { id: campaignId },
+        data: { status: 'COMPLETED', completedAt: new Date() },
+      });
+      console.log(`✅ Campaign "${campaign.name}" completed`);
+      return;
+    }
+
+    for (const recipient of recipients) {
+      let status;
+      try {
+        status = await sendToRecipient(campaign, recipient);
+      } catch (error) {
+        console.error(`Campaign ${campaignId} failed for recipient ${recipient.userId}:`, error);
+        await prisma.campaignRecipient.update({
+          where: { id: recipient.id },
+          data: { status: 'FAILED', error: error.message },
+        });
+        status = 'FAILED';
+      }
+
+      if (COUNTER_BY_STATUS[status]) {
+        await prisma.emailCampaign.update({
+          where: { id: campaignId },
+          data: { [COUNTER_BY_STATUS[status]]: { increment: 1 } },
+        });
+      }
+
+      if (status === 'QUEUED') await sleep(delay);
+    }
+  }
+}
+
+// Snapshot the segment into recipients and start sending in the background
+async function startCampaign(campaignId) {
+  const campaign = await prisma.emailCampaign.findUnique({
+    where: { id: campaignId },
+    include: { template: true },
+  });
+  if (!campaign) {
+    throw new CampaignError('Campaign not found');
+  }
+  if (campaign.status !== 'DRAFT') {
+    throw new CampaignError(`Campaign is already ${campaign.status.toLowerCase()}`);
+  }
+  if (!campaign.template.isActive) {
+    throw new CampaignError(`Template "${campaign.template.name}" is inactive`);
+  }
+
+  const clients = await prisma.user.findMany({
+    where: await segmentWhere(campaign.segment),
+    select: { id: true, email: true },
+  });
+  if (clients.length === 0) {
+    throw new CampaignError('The segment does not match any clients who can be emailed');
+  }
+
+  const started = await prisma.$transaction(async (tx) => {
+    // Another request may have started it in the meantime
+    const { count } = await tx.emailCampaign.updateMany({
+      where: { id: campaignId, status: 'DRAFT' },
+      data: { status: 'SENDING', startedAt: new Date(), recipientCount: clients.length },
+    });
+    if (count === 0) {
+      throw new CampaignError('Campaign has already been started');
+    }
+
+    await tx.campaignRecipient.createMany({
+      data: clients.map(client => ({ campaignId, userId: client.id, email: client.email })),
+      skipDuplicates: true,
+    });
+
+    return tx.emailCampaign.findUnique({ where: { id: campaignId } });
+  });
+
+  processCampaign(campaignId).catch(error => {
+    console.error(`Campaign ${campaignId} stopped:`, error);
+  });
+
+  return started;
+}
+
+// Pick up campaigns that were sending when the server last stopped
+async function resumeCampaigns() {
+  const campaigns = await prisma.emailCampaign.findMany({
+    where: { status: 'SENDING' },
+    select: { id: true },
+  });
+
+  campaigns.forEach(campaign => {
+    processCampaign(campaign.id).catch(error => {
+      console.error(`Campaign ${campaign.id} stopped:`, error);
+    });
+  });
+
+  if (campaigns.length > 0) {
+    console.log(`📨 Resumed ${campaigns.length} sending campaign(s)`);
+  }
+}
+
+// Stop sending; recipients not yet reached stay PENDING
+async function cancelCampaign(campaignId) {
+  const { count } = await prisma.emailCampaign.updateMany({
+    where: { id: campaignId, status: { in: ['DRAFT', 'SENDING'] } },
+    data: { status: 'CANCELLED', completedAt: new Date() },
+  });
+  if (count === 0) {
+    throw new CampaignError('Only draft or sending campaigns can be cancelled');
+  }
+}
+
+// Record a bounce reported by the mail provider after the message was accepted
+async function recordBounce({ email, campaignId, reason }) {
+  const recipient = await prisma.campaignRecipient.findFirst({
+    where: {
+      email: { equals: email, mode: 'insensitive' },
+      status: 'SENT',
+      ...(campaignId && { campaignId }),
+    },
+    orderBy: { sentAt: 'desc' },
+  });
+  if (!recipient) {
+    return null;
+  }
+
+  await prisma.$transaction([
+    prisma.campaignRecipient.update({
+      where: { id: recipient.id },
+      data: { status: 'BOUNCED', error: reason || 'Bounced' },
+    }),
+    prisma.emailCampaign.update({
+      where: { id: recipient.campaignId },
+      data: { sentCount: { decrement: 1 }, bouncedCount: { increment: 1 } },
+    }),
+    ...(recipient.emailId ? [prisma.email.update({
+      where: { id: recipient.emailId },
+      data: { status: 'BOUNCED', providerData: { bounceReason: reason || null } },
+    })] : []),
+  ]);
+
+  return recipient;
+}
+
+module.exports = {
+  SEGMENT_KEYS,
+  CampaignError,
+  buildSegment,
+  previewSegment,
+  buildUnsubscribeUrl,
+  verifyUnsubscribeToken,
+  unsubscribe,
+  processCampaign,
+  startCampaign,
+  resumeCampaigns,
+  cancelCampaign,
+  recordBounce,
+};
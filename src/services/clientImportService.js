@@ -0,0 +1,398 @@
+// services/clientImport.service.js
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('./softDeleteService');
+const { parseCsv } = require('../utils/csv');
+const { isValidEmail, isValidTimeZone } = require('../utils/helpers');
+const { createActivity } = require('./activityService');
+const { createClient, refreshEmailListenerCache } = require('./clientService');
+const { normalizeTagName, findOrCreateTags, addTagsToUsers } = require('./tagService');
+
+const prisma = withSoftDelete(new PrismaClient());
+
+const MAX_IMPORT_ROWS = Number(process.env.IMPORT_MAX_ROWS) || 5000;
+
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+// Importable client fields and the column headers recognised for each. Headers are
+// compared case-insensitively, ignoring spaces and punctuation.
+const IMPORT_FIELDS = {
+  firstName: ['First Name', 'First', 'Given Name'],
+  lastName: ['Last Name', 'Last', 'Surname', 'Family Name'],
+  name: ['Name', 'Full Name', 'Contact Name', 'Contact'],
+  email: ['Email', 'E-mail', 'Email Address'],
+  phone: ['Phone', 'Phone Number', 'Telephone', 'Mobile'],
+  title: ['Title', 'Job Title'],
+  address: ['Address', 'Street', 'Street Address'],
+  city: ['City'],
+  state: ['State', 'Province', 'Region'],
+  zipCode: ['Zip', 'Zip Code', 'Postal Code'],
+  businessName: ['Business Name', 'Business', 'Company', 'Company Name'],
+  stage: ['Stage'],
+  leadSource: ['Lead Source', 'Source'],
+  preferredContact: ['Preferred Contact'],
+  timezone: ['Timezone', 'Time Zone', 'TZ'],
+  bizBuySellId: ['BizBuySell ID', 'BizBuySell', 'BBS ID'],
+  bizBenId: ['BizBen ID', 'BizBen'],
+  dealStreamId: ['DealStream ID', 'DealStream'],
+  businessesForSaleId: ['BusinessesForSale ID', 'BusinessesForSale', 'BFS ID'],
+  buyerSellerNDA: ['NDA', 'Buyer Seller NDA'],
+  buyerSellerWorksheet: ['Worksheet', 'Buyer Seller Worksheet'],
+  listingAgreement: ['Listing Agreement'],
+  tags: ['Tags', 'Tag', 'Labels'],
+};
+
+// Marketplace listing ids that identify the same lead across exports
+const MARKETPLACE_ID_FIELDS = ['bizBuySellId', 'bizBenId', 'dealStreamId', 'businessesForSaleId'];
+
+const BOOLEAN_FIELDS = ['buyerSellerNDA', 'buyerSellerWorksheet'];
+
+// Fields compared against the existing client when planning an update
+const UPDATABLE_FIELDS = Object.keys(IMPORT_FIELDS).filter(field => !['name', 'email', 'tags'].includes(field));
+
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+const HEADER_LOOKUP = new Map();
+Object.entries(IMPORT_FIELDS).forEach(([field, aliases]) => {
+  [field, ...aliases].forEach(alias => HEADER_LOOKUP.set(normalizeHeader(alias), field));
+});
+
+// Read an uploaded CSV or XLSX file into a header row and data rows of strings
+async function parseImportFile(file) {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  let rows;
+
+  if (extension === '.xlsx' || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(file.buffer);
+    } catch (error) {
+      throw new ImportError('Could not read the spreadsheet. Is it a valid .xlsx file?');
+    }
+
+    const worksheet = workbook.worksheets[0];
+    rows = [];
+    worksheet?.eachRow({ includeEmpty: false }, (row) => {
+      const cells = [];
+      for (let column = 1; column <= worksheet.columnCount; column++) {
+        cells.push(row.getCell(column).text || '');
+      }
+      rows.push(cells);
+    });
+  } else if (extension === '.csv' || ['text/csv', 'application/csv', 'text/plain'].includes(file.mimetype)) {
+    rows = parseCsv(file.buffer.toString('utf8'));
+  } else {
+    throw new ImportError('Unsupported file type. Upload a .csv or .xlsx file.');
+  }
+
+  if (rows.length < 2) {
+    throw new ImportError('The file needs a header row and at least one client row');
+  }
+  if (rows.length - 1 > MAX_IMPORT_ROWS) {
+    throw new ImportError(`Imports are limited to ${MAX_IMPORT_ROWS} rows`);
+  }
+
+  return { headers: rows[0].map(header => String(header).trim()), rows: rows.slice(1) };
+}
+
+// Map column positions to client fields. Explicit mappings ({ "Header": "field" },
+// or null to ignore a column) win over the recognised header names.
+function buildColumnMapping(headers, customMapping = {}) {
+  const mapping = {};
+  const unmappedColumns = [];
+
+  Object.entries(customMapping).forEach(([header, field]) => {
+    if (field !== null && !IMPORT_FIELDS[field]) {
+      throw new ImportError(`Cannot map "${header}" to unknown field "${field}"`);
+    }
+    if (!headers.includes(header)) {
+      throw new ImportError(`Mapped column "${header}" is not in the file`);
+    }
+  });
+
+  headers.forEach((header, index) => {
+    const field = Object.prototype.hasOwnProperty.call(customMapping, header)
+      ? customMapping[header]
+      : HEADER_LOOKUP.get(normalizeHeader(header));
+
+    if (field) {
+      mapping[index] = field;
+    } else if (header) {
+      unmappedColumns.push(header);
+    }
+  });
+
+  const mappedFields = Object.values(mapping);
+  if (!mappedFields.includes('email')) {
+    throw new ImportError('No column is mapped to email');
+  }
+  if (!mappedFields.includes('name') && !(mappedFields.includes('firstName') && mappedFields.includes('lastName'))) {
+    throw new ImportError('Map either a full name column or both first and last name columns');
+  }
+
+  return { mapping, unmappedColumns };
+}
+
+function parseBoolean(value) {
+  if (/^(yes|y|true|1|x)$/i.test(value)) return true;
+  if (/^(no|n|false|0)$/i.test(value)) return false;
+  return null;
+}
+
+// Convert one row into client data, collecting validation problems
+function rowToClient(cells, mapping) {
+  const data = {};
+  const errors = [];
+
+  Object.entries(mapping).forEach(([index, field]) => {
+    const value = String(cells[index] ?? '').trim();
+    if (value) data[field] = value;
+  });
+
+  // Full names come as "First Last" or "Last, First"
+  if (data.name) {
+    const [first, ...rest] = data.name.includes(',')
+      ? data.name.split(',').map(part => part.trim()).reverse()
+      : data.name.split(/\s+/);
+    data.firstName = data.firstName || first;
+    data.lastName = data.lastName || rest.join(' ');
+    delete data.name;
+  }
+
+  if (data.email) {
+    data.email = data.email.toLowerCase();
+    if (!isValidEmail(data.email)) errors.push(`Invalid email "${data.email}"`);
+  } else {
+    errors.push('Email is required');
+  }
+  if (!data.firstName) errors.push('First name is required');
+  if (!data.lastName) errors.push('Last name is required');
+
+  BOOLEAN_FIELDS.forEach(field => {
+    if (data[field] === undefined) return;
+    const parsed = parseBoolean(data[field]);
+    if (parsed === null) errors.push(`${field} must be yes or no`);
+    else data[field] = parsed;
+  });
+
+  if (data.listingAgreement) {
+    const value = data.listingAgreement.toUpperCase().replace(/[^A-Z]/g, '');
+    if (['YES', 'NO', 'NA'].includes(value)) data.listingAgreement = value;
+    else errors.push('listingAgreement must be YES, NO or NA');
+  }
+
+  if (data.timezone && !isValidTimeZone(data.timezone)) {
+    errors.push(`Unknown timezone "${data.timezone}"`);
+  }
+
+  if (data.tags) {
+    data.tags = data.tags.split(/[;,|]/).map(tag => tag.trim()).filter(Boolean);
+  }
+
+  return { data, errors };
+}
+
+// Existing users sharing an email or marketplace id with any row in the file
+async function findExistingMatches(clients) {
+  const emails = clients.map(client => client.email).filter(Boolean);
+  const or = [{ email: { in: emails } }];
+
+  MARKETPLACE_ID_FIELDS.forEach(field => {
+    const ids = clients.map(client => client[field]).filter(Boolean);
+    if (ids.length > 0) or.push({ [field]: { in: ids } });
+  });
+
+  // Deleted clients are matched too so the import cannot collide with them
+  return prisma.user.findMany({
+    where: { OR: or, deletedAt: undefined },
+    select: {
+      id: true,
+      email: true,
+      role: true,
+      agentId: true,
+      deletedAt: true,
+      ...Object.fromEntries(UPDATABLE_FIELDS.map(field => [field, true])),
+      tags: { select: { tag: { select: { normalizedName: true } } } },
+    },
+  });
+}
+
+// Decide what happens to every row: create, update, skip, conflict or error.
+// Nothing is written, so the same plan doubles as the dry-run report.
+async function planImport(file, { mapping: customMapping, updateExisting = true, agentScope } = {}) {
+  const { headers, rows } = await parseImportFile(file);
+  const { mapping, unmappedColumns } = buildColumnMapping(headers, customMapping);
+
+  const parsed = rows.map(cells => rowToClient(cells, mapping));
+  const existingUsers = await findExistingMatches(parsed.map(row => row.data));
+
+  const seenKeys = new Map();
+  const plan = parsed.map(({ data, errors }, index) => {
+    const row = index + 2; // 1-based, after the header row
+    const entry = { row, email: data.email || null, data };
+
+    if (errors.length > 0) {
+      return { ...entry, action: 'error', reason: errors.join('; ') };
+    }
+
+    // The same lead appearing twice in one file
+    const keys = [`email:${data.email}`, ...MARKETPLACE_ID_FIELDS.filter(f => data[f]).map(f => `${f}:${data[f]}`)];
+    const duplicateOf = keys.map(key => seenKeys.get(key)).find(Boolean);
+    keys.forEach(key => seenKeys.set(key, seenKeys.get(key) || row));
+    if (duplicateOf) {
+      return { ...entry, action: 'conflict', reason: `Duplicate of row ${duplicateOf} in this file` };
+    }
+
+    const matches = existingUsers.filter(user =>
+      user.email === data.email || MARKETPLACE_ID_FIELDS.some(field => data[field] && user[field] === data[field])
+    );
+
+    if (matches.length === 0) {
+      return { ...entry, action: 'create' };
+    }
+
+    if (matches.length > 1) {
+      return {
+        ...entry,
+        action: 'conflict',
+        reason: 'Matches more than one existing client',
+        matchedUserIds: matches.map(user => user.id),
+      };
+    }
+
+    const [existing] = matches;
+    const matched = { ...entry, matchedUserId: existing.id };
+
+    if (existing.deletedAt) {
+      return { ...matched, action: 'conflict', reason: 'Matches a deleted client; restore it from the trash first' };
+    }
+
+    if (existing.role !== 'CLIENT') {
+      return { ...matched, action: 'conflict', reason: 'Matches a staff account' };
+    }
+    if (agentScope && existing.agentId !== agentScope) {
+      return { ...matched, action: 'conflict', reason: 'Client is assigned to another agent' };
+    }
+    if (existing.email !== data.email) {
+      return { ...matched, action: 'conflict', reason: `Marketplace id belongs to ${existing.email}` };
+    }
+
+    const idConflict = MARKETPLACE_ID_FIELDS.find(field => data[field] && existing[field] && existing[field] !== data[field]);
+    if (idConflict) {
+      return { ...matched, action: 'conflict', reason: `${idConflict} differs from the existing client (${existing[idConflict]})` };
+    }
+
+    if (!updateExisting) {
+      return { ...matched, action: 'skip', reason: 'Client already exists' };
+    }
+
+    const changes = UPDATABLE_FIELDS.filter(field => data[field] !== undefined && data[field] !== existing[field]);
+    const existingTags = existing.tags.map(link => link.tag.normalizedName);
+    const newTags = (data.tags || []).filter(tag => !existingTags.includes(normalizeTagName(tag)));
+
+    if (changes.length === 0 && newTags.length === 0) {
+      return { ...matched, action: 'skip', reason: 'No changes' };
+    }
+
+    return { ...matched, action: 'update', changes, newTags };
+  });
+
+  const summary = { total: plan.length, create: 0, update: 0, skip: 0, conflict: 0, error: 0 };
+  plan.forEach(entry => { summary[entry.action]++; });
+
+  return {
+    mapping: Object.fromEntries(Object.entries(mapping).map(([index, field]) => [headers[index], field])),
+    unmappedColumns,
+    summary,
+    rows: plan,
+  };
+}
+
+// Apply a plan. Creates go through createClient so imported clients get the same
+// tags, forms, default deal and activity as clients added by hand.
+async function executeImport(plan, {
+  performedBy,
+  agentId,
+  tags = [],
+  assignedForms = [],
+  sendOnboardingEmails = false,
+} = {}) {
+  const results = [];
+
+  for (const entry of plan.rows) {
+    const { data, ...report } = entry;
+
+    try {
+      if (entry.action === 'create') {
+        const { user, onboardingEmailSent } = await createClient({
+          ...data,
+          agentId: agentId || undefined,
+          tags: [...new Set([...(data.tags || []), ...tags])],
+          assignedForms,
+        }, {
+          performedBy,
+          activityDescription: `Client ${data.firstName} ${data.lastName} created by import`,
+          sendOnboarding: sendOnboardingEmails,
+          refreshEmailCache: false,
+        });
+
+        results.push({ ...report, userId: user.id, onboardingEmailSent });
+      } else if (entry.action === 'update') {
+        await prisma.user.update({
+          where: { id: entry.matchedUserId },
+          data: Object.fromEntries(entry.changes.map(field => [field, data[field]])),
+        });
+
+        if (entry.newTags.length > 0) {
+          const tagRecords = await findOrCreateTags(entry.newTags);
+          await addTagsToUsers([entry.matchedUserId], tagRecords.map(tag => tag.id));
+        }
+
+        try {
+          await createActivity({
+            type: 'USER_UPDATED',
+            title: 'Updated by Import',
+            description: `Updated ${entry.changes.join(', ') || 'tags'} from an imported file`,
+            userId: entry.matchedUserId,
+            performedBy,
+            metadata: { changes: entry.changes, newTags: entry.newTags },
+          });
+        } catch (activityError) {
+          console.error('Failed to create activity:', activityError);
+        }
+
+        results.push(report);
+      } else {
+        results.push(report);
+      }
+    } catch (error) {
+      console.error(`Import row ${entry.row} failed:`, error);
+      results.push({ ...report, action: 'error', reason: error.message });
+    }
+  }
+
+  if (results.some(result => result.action === 'create')) {
+    await refreshEmailListenerCache();
+  }
+
+  const summary = { total: results.length, create: 0, update: 0, skip: 0, conflict: 0, error: 0 };
+  results.forEach(result => { summary[result.action]++; });
+
+  return { ...plan, summary, rows: results };
+}
+
+module.exports = {
+  ImportError,
+  IMPORT_FIELDS,
+  MARKETPLACE_ID_FIELDS,
+  planImport,
+  executeImport,
+};
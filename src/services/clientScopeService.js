@@ -0,0 +1,27 @@
+// services/clientScope.service.js
+const { hasPermission } = require('./permissionService');
+
+// STAFF users work their own book of business by default. Returns the agent id
+// that list queries must be limited to, or null when the user may see every
+// client (admins, or anyone granted clients:all).
+async function getAgentScope(user) {
+  if (!user || user.role !== 'STAFF') {
+    return null;
+  }
+
+  if (await hasPermission(user, 'clients:all')) {
+    return null;
+  }
+
+  return user.id;
+}
+
+// Whether a client record falls inside the given scope
+function isClientInScope(client, agentScope) {
+  return !agentScope || client.agentId === agentScope;
+}
+
+module.exports = {
+  getAgentScope,
+  isClientInScope,
+};
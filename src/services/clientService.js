@@ -0,0 +1,177 @@
+// services/client.service.js
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('./softDeleteService');
+const bcrypt = require('bcrypt');
+const { generatePassword } = require('../utils/helpers');
+const { sendOnboardingEmail } = require('./emailService');
+const { createActivity } = require('./activityService');
+const { buildVerificationUrl } = require('./emailVerificationService');
+const { getEntryStage, recordInitialStage } = require('./pipelineService');
+const { findOrCreateTags, addTagsToUsers } = require('./tagService');
+const { saveCustomFieldValues } = require('./customFieldService');
+const { assignForms } = require('./formService');
+
+const prisma = withSoftDelete(new PrismaClient());
+
+const DEFAULT_DEAL_STAGES = [
+  { name: 'Initial Assessment', description: 'Gather client information and business details', order: 1 },
+  { name: 'Business Valuation', description: 'Analyze financials and determine business value', order: 2 },
+  { name: 'Marketing Preparation', description: 'Prepare marketing materials and listing', order: 3 },
+  { name: 'Buyer Qualification', description: 'Screen potential buyers for financial capability', order: 4 },
+  { name: 'Due Diligence', description: 'Facilitate buyer review of business information', order: 5 },
+  { name: 'Purchase Agreement', description: 'Negotiate and finalize purchase terms', order: 6 },
+  { name: 'Financing & Escrow', description: 'Secure funding and establish escrow', order: 7 },
+  { name: 'Closing & Transition', description: 'Complete sale and transition ownership', order: 8 },
+];
+
+const AGENT_ROLES = ['SUPERADMIN', 'ADMIN', 'STAFF'];
+
+// Load a user that can be assigned clients, or null
+async function findAgent(agentId) {
+  const agent = await prisma.user.findUnique({
+    where: { id: agentId },
+    select: { id: true, firstName: true, lastName: true, role: true, status: true },
+  });
+
+  if (!agent || !AGENT_ROLES.includes(agent.role) || agent.status !== 'ACTIVE') {
+    return null;
+  }
+  return agent;
+}
+
+async function createDefaultDeal(user) {
+  const deal = await prisma.deal.create({
+    data: {
+      name: `${user.firstName} ${user.lastName} - Business Sale`,
+      description: `Deal for ${user.firstName} ${user.lastName}'s business sale`,
+      userId: user.id,
+      stages: {
+        create: DEFAULT_DEAL_STAGES
+      }
+    }
+  });
+
+  console.log(`✅ Created default deal with ${DEFAULT_DEAL_STAGES.length} stages for user ${user.id}`);
+  return deal;
+}
+
+// Refresh the email listener's address cache so replies from new clients are matched
+async function refreshEmailListenerCache() {
+  try {
+    const { emailListenerService } = require('./emailListener');
+    await emailListenerService.refreshUserCache();
+    console.log('✅ Email listener cache refreshed with new user');
+  } catch (emailCacheError) {
+    console.error('⚠️  Failed to refresh email cache:', emailCacheError);
+    // Don't fail user creation if cache refresh fails
+  }
+}
+
+// Create a client with everything a new client gets: tags, assigned forms, custom
+// field values (already validated), a default deal and a timeline entry. The
+// onboarding email and the listener cache refresh can be skipped, e.g. for bulk imports.
+// Self-registered clients pass the password they chose instead of getting a temporary one.
+async function createClient(data, {
+  performedBy,
+  activityDescription,
+  password,
+  sendOnboarding = true,
+  refreshEmailCache = true,
+} = {}) {
+  const { tags, assignedForms, customFields, ...userData } = data;
+
+  // Generate secure password
+  const tempPassword = password ? null : generatePassword();
+  const hashedPassword = await bcrypt.hash(password || tempPassword, 10);
+
+  // Buyers and sellers start in their pipeline's entry stage, or the stage named in the request
+  const entryStage = userData.clientType
+    ? await getEntryStage(userData.clientType, userData.stage)
+    : null;
+
+  // Create user WITHOUT tags and assignedForms first
+  const user = await prisma.user.create({
+    data: {
+      ...userData,
+      password: hashedPassword,
+      stage: entryStage?.name || userData.stage || 'New Lead',
+      ...(entryStage && { pipelineStageId: entryStage.id, stageEnteredAt: new Date() }),
+    },
+  });
+
+  if (entryStage) {
+    try {
+      await recordInitialStage(user, entryStage, performedBy);
+    } catch (stageError) {
+      console.error('Failed to record initial stage:', stageError);
+    }
+  }
+
+  // Add tags if provided, adding any new names to the tag catalog
+  if (tags && tags.length > 0) {
+    const tagRecords = await findOrCreateTags(tags);
+    await addTagsToUsers([user.id], tagRecords.map(tag => tag.id));
+  }
+
+  if (customFields) {
+    await saveCustomFieldValues('USER', user.id, customFields);
+  }
+
+  // Assign the current version of each form
+  if (assignedForms && assignedForms.length > 0) {
+    await assignForms([user.id], assignedForms, { assignedBy: performedBy });
+  }
+
+  if (refreshEmailCache) {
+    await refreshEmailListenerCache();
+  }
+
+  let onboardingEmailSent = false;
+  if (sendOnboarding) {
+    try {
+      await sendOnboardingEmail(user.email, {
+        name: `${user.firstName} ${user.lastName}`,
+        email: user.email,
+        tempPassword,
+        loginUrl: process.env.FRONTEND_URL + '/login',
+        verifyUrl: buildVerificationUrl(user),
+      });
+      onboardingEmailSent = true;
+    } catch (emailError) {
+      console.error('Failed to send onboarding email:', emailError);
+      // Continue even if email fails
+    }
+  }
+
+  // Create default deal with all stages for the new user
+  try {
+    await createDefaultDeal(user);
+  } catch (dealError) {
+    console.error('Failed to create default deal:', dealError);
+    // Continue even if deal creation fails
+  }
+
+  // Create activity log
+  try {
+    await createActivity({
+      type: 'USER_CREATED',
+      title: 'User Created',
+      description: activityDescription || `New user ${user.firstName} ${user.lastName} created`,
+      userId: user.id,
+      performedBy: performedBy || 'System',
+    });
+  } catch (activityError) {
+    console.error('Failed to create activity:', activityError);
+    // Continue even if activity logging fails
+  }
+
+  return { user, onboardingEmailSent };
+}
+
+module.exports = {
+  DEFAULT_DEAL_STAGES,
+  findAgent,
+  createDefaultDeal,
+  createClient,
+  refreshEmailListenerCache,
+};
@@ -0,0 +1,185 @@
+// services/customField.service.js
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+
+const prisma = new PrismaClient();
+
+const ENTITY_TYPES = ['USER', 'DEAL'];
+const FIELD_TYPES = ['TEXT', 'NUMBER', 'CURRENCY', 'DATE', 'SELECT', 'MULTISELECT', 'BOOLEAN'];
+const CHOICE_TYPES = ['SELECT', 'MULTISELECT'];
+
+// Which record column a value belongs to, per entity type
+const OWNER_COLUMNS = { USER: 'userId', DEAL: 'dealId' };
+
+// Include for loading a record's values with enough of the definition to read them
+const CUSTOM_FIELD_VALUES_INCLUDE = {
+  include: { definition: { select: { key: true, type: true } } },
+};
+
+// "Payer Mix (%)" -> "payer_mix"
+function toFieldKey(label) {
+  return String(label)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .replace(/^(\d)/, 'f_$1')
+    .slice(0, 50);
+}
+
+async function getDefinitions(entityType, { includeArchived = false } = {}) {
+  return prisma.customFieldDefinition.findMany({
+    where: { entityType, ...(!includeArchived && { archived: false }) },
+    orderBy: [{ order: 'asc' }, { label: 'asc' }],
+  });
+}
+
+// Active definitions keyed by field key, as the filter builder expects them
+async function getCustomFieldMap(entityType) {
+  const definitions = await getDefinitions(entityType);
+  return Object.fromEntries(definitions.map(definition => [definition.key, definition]));
+}
+
+// Zod schema for one field's value. null clears the value.
+function valueSchema(definition) {
+  let schema;
+  switch (definition.type) {
+    case 'TEXT': schema = z.string().trim().max(5000); break;
+    case 'NUMBER': schema = z.number().finite(); break;
+    case 'CURRENCY': schema = z.number().finite().transform(value => Math.round(value * 100) / 100); break;
+    case 'DATE': schema = z.coerce.date(); break;
+    case 'SELECT': schema = z.enum(definition.options); break;
+    case 'MULTISELECT': schema = z.array(z.enum(definition.options)).transform(values => [...new Set(values)]); break;
+    case 'BOOLEAN': schema = z.boolean(); break;
+  }
+  return definition.required ? schema : schema.nullable();
+}
+
+// Validate submitted values against the entity's active definitions. Unknown keys
+// are rejected; required fields must be present unless `partial` (an update).
+async function parseCustomFieldValues(entityType, values, { partial = false } = {}) {
+  const definitions = await getDefinitions(entityType);
+  const shape = Object.fromEntries(definitions.map(definition => {
+    const schema = valueSchema(definition);
+    return [definition.key, partial || !definition.required ? schema.optional() : schema];
+  }));
+
+  return z.object(shape).strict().parse(values || {});
+}
+
+function toValueColumns(type, value) {
+  switch (type) {
+    case 'TEXT':
+    case 'SELECT':
+      return { textValue: value };
+    case 'NUMBER':
+    case 'CURRENCY':
+      return { numberValue: value };
+    case 'DATE':
+      return { dateValue: value };
+    case 'BOOLEAN':
+      return { booleanValue: value };
+    case 'MULTISELECT':
+      return { listValue: value };
+  }
+}
+
+function fromValueRow(type, row) {
+  switch (type) {
+    case 'TEXT':
+    case 'SELECT':
+      return row.textValue;
+    case 'NUMBER':
+    case 'CURRENCY':
+      return row.numberValue === null ? null : Number(row.numberValue);
+    case 'DATE':
+      return row.dateValue;
+    case 'BOOLEAN':
+      return row.booleanValue;
+    case 'MULTISELECT':
+      return row.listValue;
+  }
+}
+
+// Write values already checked by parseCustomFieldValues; null removes a value.
+// Pass a transaction client as `client` to run inside a transaction.
+async function saveCustomFieldValues(entityType, recordId, values, client = prisma) {
+  const keys = Object.keys(values || {});
+  if (keys.length === 0) return;
+
+  const ownerColumn = OWNER_COLUMNS[entityType];
+  const definitions = await client.customFieldDefinition.findMany({
+    where: { entityType, key: { in: keys } },
+    select: { id: true, key: true, type: true },
+  });
+
+  for (const definition of definitions) {
+    const value = values[definition.key];
+    const where = { definitionId: definition.id, [ownerColumn]: recordId };
+
+    await client.customFieldValue.deleteMany({ where });
+    if (value !== null && value !== undefined) {
+      await client.customFieldValue.create({
+        data: { ...where, ...toValueColumns(definition.type, value) },
+      });
+    }
+  }
+}
+
+// { key: value } from value rows loaded with CUSTOM_FIELD_VALUES_INCLUDE
+function formatCustomFieldValues(rows = []) {
+  return Object.fromEntries(rows.map(row => [row.definition.key, fromValueRow(row.definition.type, row)]));
+}
+
+async function getCustomFieldValues(entityType, recordId) {
+  const rows = await prisma.customFieldValue.findMany({
+    where: { [OWNER_COLUMNS[entityType]]: recordId },
+    ...CUSTOM_FIELD_VALUES_INCLUDE,
+  });
+  return formatCustomFieldValues(rows);
+}
+
+// Export columns for the entity's custom fields. Records must be loaded with
+// `customFieldValues: CUSTOM_FIELD_VALUES_INCLUDE`.
+function customFieldExportColumns(definitions) {
+  return definitions.map(definition => ({
+    key: `custom.${definition.key}`,
+    header: definition.label,
+    value: record => {
+      const row = record.customFieldValues.find(value => value.definition.key === definition.key);
+      return row ? fromValueRow(definition.type, row) : null;
+    },
+  }));
+}
+
+// Choices that records still use, so options cannot be removed from under them
+async function findOptionsInUse(definition, options) {
+  if (!CHOICE_TYPES.includes(definition.type) || options.length === 0) return [];
+
+  const rows = await prisma.customFieldValue.findMany({
+    where: {
+      definitionId: definition.id,
+      OR: [{ textValue: { in: options } }, { listValue: { hasSome: options } }],
+    },
+    select: { textValue: true, listValue: true },
+  });
+
+  const used = new Set(rows.flatMap(row => [row.textValue, ...row.listValue]));
+  return options.filter(option => used.has(option));
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  FIELD_TYPES,
+  CHOICE_TYPES,
+  CUSTOM_FIELD_VALUES_INCLUDE,
+  toFieldKey,
+  getDefinitions,
+  getCustomFieldMap,
+  parseCustomFieldValues,
+  saveCustomFieldValues,
+  formatCustomFieldValues,
+  getCustomFieldValues,
+  customFieldExportColumns,
+  findOptionsInUse,
+};
@@ -0,0 +1,135 @@
+// services/dealDocument.service.js
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('./softDeleteService');
+const { uploadToCloudinary } = require('../utils/cloudinaryHelper');
+
+const prisma = withSoftDelete(new PrismaClient());
+
+// File types accepted for deal documents
+const DEAL_DOCUMENT_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'image/jpeg',
+  'image/png',
+  'image/gif'
+];
+
+const MAX_DEAL_DOCUMENT_SIZE = 10 * 1024 * 1024; // 10MB limit
+
+class DocumentUploadError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DocumentUploadError';
+  }
+}
+
+// Helper function to calculate and update stage progress
+async function updateStageProgress(stageId) {
+  try {
+    // Get all documents for this stage
+    const documents = await prisma.dealDocument.findMany({
+      where: { stageId: stageId }
+    });
+
+    if (documents.length === 0) {
+      // No documents, stage is pending
+      await prisma.dealStage.update({
+        where: { id: stageId },
+        data: {
+          status: 'PENDING',
+          progress: 0
+        }
+      });
+      return;
+    }
+
+    // Calculate progress based on document statuses
+    const totalDocuments = documents.length;
+    const completedDocuments = documents.filter(doc => doc.status === 'COMPLETED').length;
+    const inProgressDocuments = documents.filter(doc => doc.status === 'IN_PROGRESS').length;
+
+    // Calculate progress percentage
+    let progress = 0;
+    let status = 'PENDING';
+
+    if (completedDocuments === totalDocuments) {
+      // All documents completed
+      progress = 100;
+      status = 'COMPLETED';
+    } else if (completedDocuments > 0 || inProgressDocuments > 0) {
+      // Some documents are completed or in progress
+      progress = Math.round(((completedDocuments + (inProgressDocuments * 0.5)) / totalDocuments) * 100);
+      status = 'IN_PROGRESS';
+    } else {
+      // All documents are pending
+      progress = 0;
+      status = 'PENDING';
+    }
+
+    // Update stage
+    await prisma.dealStage.update({
+      where: { id: stageId },
+      data: {
+        status: status,
+        progress: progress
+      }
+    });
+
+    console.log(`✅ Updated stage ${stageId}: ${status} (${progress}%)`);
+  } catch (error) {
+    console.error('Error updating stage progress:', error);
+  }
+}
+
+// Upload a validated file to a deal stage, save the document and refresh the
+// stage's progress
+async function storeStageDocument(stage, file, { status = 'PENDING', uploadedBy }) {
+  let fileUrl;
+
+  // Check if Cloudinary is configured
+  if (process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET) {
+    try {
+      const uploadResult = await uploadToCloudinary(file.buffer, {
+        folder: `deals/${stage.dealId}/stages/${stage.id}`,
+        public_id: `${Date.now()}_${file.originalname.replace(/\.[^/.]+$/, '')}`
+      });
+      fileUrl = uploadResult.url;
+    } catch (uploadError) {
+      console.error('Cloudinary upload failed:', uploadError);
+      throw new DocumentUploadError('Failed to upload file to cloud storage. Please try again.');
+    }
+  } else {
+    // Fallback: Store file info without Cloudinary URL
+    console.log('⚠️  Cloudinary not configured, using fallback storage');
+    fileUrl = `local://${Date.now()}_${file.originalname}`;
+  }
+
+  const document = await prisma.dealDocument.create({
+    data: {
+      name: file.originalname,
+      originalName: file.originalname,
+      fileUrl: fileUrl,
+      fileSize: file.size,
+      mimeType: file.mimetype,
+      status,
+      dealId: stage.dealId,
+      stageId: stage.id,
+      uploadedBy,
+    }
+  });
+
+  await updateStageProgress(stage.id);
+
+  return document;
+}
+
+module.exports = {
+  DEAL_DOCUMENT_TYPES,
+  MAX_DEAL_DOCUMENT_SIZE,
+  DocumentUploadError,
+  updateStageProgress,
+  storeStageDocument,
+};
@@ -0,0 +1,319 @@
+// services/duplicate.service.js
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('./softDeleteService');
+const { isValidPhone } = require('../utils/helpers');
+
+const prisma = withSoftDelete(new PrismaClient());
+
+// Points per matching signal; candidates below MIN_SCORE are not reported
+const MATCH_SCORES = {
+  email: 100,
+  phone: 80,
+  name: 40,
+  businessName: 30,
+};
+const MIN_SCORE = 40;
+
+// Scalar fields the survivor inherits from the duplicate when its own value is empty
+const MERGEABLE_FIELDS = [
+  'title', 'phone', 'address', 'city', 'state', 'zipCode', 'businessName',
+  'bizBenId', 'bizBuySellId', 'businessesForSaleId', 'dealStreamId',
+  'clientType', 'stage', 'agentId', 'leadSource', 'preferredContact', 'timezone',
+];
+
+const CANDIDATE_SELECT = {
+  id: true,
+  email: true,
+  firstName: true,
+  lastName: true,
+  phone: true,
+  businessName: true,
+  agentId: true,
+  status: true,
+  createdAt: true,
+};
+
+class MergeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MergeError';
+  }
+}
+
+// Lowercase, drop "+tag" suffixes, and ignore dots in Gmail local parts
+function normalizeEmail(email) {
+  if (!email) return null;
+  const [local, domain] = email.trim().toLowerCase().split('@');
+  if (!local || !domain) return null;
+
+  let normalizedLocal = local.split('+')[0];
+  let normalizedDomain = domain;
+  if (domain === 'gmail.com' || domain === 'googlemail.com') {
+    normalizedLocal = normalizedLocal.replace(/\./g, '');
+    normalizedDomain = 'gmail.com';
+  }
+  return `${normalizedLocal}@${normalizedDomain}`;
+}
+
+// Reduce a valid US phone number to its ten digits so formatting differences don't matter
+function normalizePhone(phone) {
+  if (!phone || !isValidPhone(phone.trim())) return null;
+  return phone.replace(/\D/g, '').slice(-10);
+}
+
+function normalizeName(firstName, lastName) {
+  const name = `${firstName || ''} ${lastName || ''}`.toLowerCase().replace(/[^a-z0-9]/g, '');
+  return name || null;
+}
+
+// "The Acme Co., LLC" and "acme co" compare equal
+function normalizeBusinessName(businessName) {
+  if (!businessName) return null;
+  const words = businessName
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !['the', 'llc', 'inc', 'corp', 'corporation', 'co', 'ltd', 'company'].includes(word));
+  return words.length > 0 ? words.join(' ') : null;
+}
+
+function matchKeys(user) {
+  return {
+    email: normalizeEmail(user.email),
+    phone: normalizePhone(user.phone),
+    name: normalizeName(user.firstName, user.lastName),
+    businessName: normalizeBusinessName(user.businessName),
+  };
+}
+
+// Compare two users; returns { score, reasons } where reasons lists the matching signals
+function compareUsers(a, b) {
+  const keysA = a.keys || matchKeys(a);
+  const keysB = b.keys || matchKeys(b);
+
+  const reasons = Object.keys(MATCH_SCORES).filter(field => keysA[field] && keysA[field] === keysB[field]);
+  const score = reasons.reduce((total, field) => total + MATCH_SCORES[field], 0);
+  return { score, reasons };
+}
+
+function toCandidate(user) {
+  const { keys, ...rest } = user;
+  return rest;
+}
+
+async function loadClients(agentScope) {
+  const clients = await prisma.user.findMany({
+    where: {
+      role: 'CLIENT',
+      ...(agentScope && { agentId: agentScope }),
+    },
+    select: CANDIDATE_SELECT,
+    orderBy: { createdAt: 'asc' },
+  });
+
+  return clients.map(client => ({ ...client, keys: matchKeys(client) }));
+}
+
+// Possible duplicates of one client, best match first
+async function findDuplicatesForUser(user, { agentScope, minScore = MIN_SCORE } = {}) {
+  const clients = await loadClients(agentScope);
+  const target = { ...user, keys: matchKeys(user) };
+
+  return clients
+    .filter(client => client.id !== user.id)
+    .map(client => ({ user: toCandidate(client), ...compareUsers(target, client) }))
+    .filter(candidate => candidate.score >= minScore)
+    .sort((a, b) => b.score - a.score);
+}
+
+// Candidate pairs across all clients in scope. Clients are bucketed by each
+// normalized key so only users sharing at least one key are compared.
+async function findDuplicateCandidates({ agentScope, minScore = MIN_SCORE, limit = 50 } = {}) {
+  const clients = await loadClients(agentScope);
+
+  const buckets = new Map();
+  clients.forEach(client => {
+    Object.keys(MATCH_SCORES).forEach(field => {
+      const key = client.keys[field];
+      if (!key) return;
+      const bucketKey = `${field}:${key}`;
+      if (!buckets.has(bucketKey)) buckets.set(bucketKey, []);
+      buckets.get(bucketKey).push(client);
+    });
+  });
+
+  const pairs = new Map();
+  buckets.forEach(members => {
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const pairKey = `${members[i].id}:${members[j].id}`;
+        if (pairs.has(pairKey)) continue;
+
+        const match = compareUsers(members[i], members[j]);
+        if (match.score >= minScore) {
+          // The older record is suggested as the survivor
+          pairs.set(pairKey, {
+            survivor: toCandidate(members[i]),
+            duplicate: toCandidate(members[j]),
+            ...match,
+          });
+        }
+      }
+    }
+  });
+
+  const candidates = [...pairs.values()].sort((a, b) => b.score - a.score);
+  return {
+    total: candidates.length,
+    candidates: candidates.slice(0, limit),
+  };
+}
+
+// Merge duplicateId into survivorId. Every record owned by the duplicate is
+// re-parented to the survivor, empty survivor fields are filled from the
+// duplicate (or taken from it for fields listed in preferDuplicate), the
+// duplicate is deleted and an audit activity is written - all in one transaction.
+async function mergeUsers(survivorId, duplicateId, { performedBy, preferDuplicate = [] } = {}) {
+  if (survivorId === duplicateId) {
+    throw new MergeError('A user cannot be merged into itself');
+  }
+
+  const unknownFields = preferDuplicate.filter(field => !MERGEABLE_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    throw new MergeError(`Fields cannot be merged: ${unknownFields.join(', ')}`);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const [survivor, duplicate] = await Promise.all([
+      tx.user.findUnique({ where: { id: survivorId }, include: { tags: true, assignedForms: true } }),
+      tx.user.findUnique({ where: { id: duplicateId }, include: { tags: true, assignedForms: true } }),
+    ]);
+
+    if (!survivor || !duplicate) {
+      throw new MergeError('User not found');
+    }
+    if (survivor.role !== 'CLIENT' || duplicate.role !== 'CLIENT') {
+      throw new MergeError('Only client records can be merged');
+    }
+
+    // Scalar fields
+    const updates = {};
+    MERGEABLE_FIELDS.forEach(field => {
+      const fromDuplicate = duplicate[field];
+      if (fromDuplicate === null || fromDuplicate === undefined || fromDuplicate === '') return;
+      if (preferDuplicate.includes(field) || survivor[field] === null || survivor[field] === '') {
+        if (survivor[field] !== fromDuplicate) updates[field] = fromDuplicate;
+      }
+    });
+
+    // The pipeline stage travels with the stage name
+    if (updates.stage) {
+      updates.clientType = duplicate.clientType;
+      updates.pipelineStageId = duplicate.pipelineStageId;
+      updates.stageEnteredAt = duplicate.stageEnteredAt;
+    }
+    if (duplicate.buyerSellerNDA && !survivor.buyerSellerNDA) updates.buyerSellerNDA = true;
+    if (duplicate.buyerSellerWorksheet && !survivor.buyerSellerWorksheet) updates.buyerSellerWorksheet = true;
+    // An opt-out on either record must survive the merge
+    if (duplicate.emailOptOut && !survivor.emailOptOut) {
+      updates.emailOptOut = true;
+      updates.emailOptOutAt = duplicate.emailOptOutAt;
+    }
+    if (survivor.listingAgreement === 'NA' && duplicate.listingAgreement !== 'NA') {
+      updates.listingAgreement = duplicate.listingAgreement;
+    }
+    if (duplicate.lastCommunication && (!survivor.lastCommunication || duplicate.lastCommunication > survivor.lastCommunication)) {
+      updates.lastCommunication = duplicate.lastCommunication;
+      updates.lastCommunicationMessage = duplicate.lastCommunicationMessage;
+    }
+
+    // Related records. Trashed ones move too (deletedAt: undefined lifts the soft
+    // delete filter) so they are not lost when the duplicate is deleted.
+    const from = { userId: duplicateId };
+    const to = { userId: survivorId };
+    const withTrash = { deletedAt: undefined };
+    const moved = {};
+
+    moved.sentEmails = (await tx.email.updateMany({ where: { senderId: duplicateId }, data: { senderId: survivorId } })).count;
+    moved.receivedEmails = (await tx.email.updateMany({ where: { recipientId: duplicateId }, data: { recipientId: survivorId } })).count;
+    moved.assignedTasks = (await tx.task.updateMany({ where: { assignedToId: duplicateId, ...withTrash }, data: { assignedToId: survivorId } })).count;
+    moved.createdTasks = (await tx.task.updateMany({ where: { createdById: duplicateId, ...withTrash }, data: { createdById: survivorId } })).count;
+    moved.appointments = (await tx.appointment.updateMany({ where: { clientId: duplicateId }, data: { clientId: survivorId } })).count;
+    moved.notes = (await tx.note.updateMany({ where: { ...from, ...withTrash }, data: to })).count;
+    await tx.note.updateMany({ where: { createdBy: duplicateId, ...withTrash }, data: { createdBy: survivorId } });
+    moved.activities = (await tx.activity.updateMany({ where: from, data: to })).count;
+    await tx.activity.updateMany({ where: { performedBy: duplicateId }, data: { performedBy: survivorId } });
+    moved.deals = (await tx.deal.updateMany({ where: { ...from, ...withTrash }, data: to })).count;
+    moved.files = (await tx.userFile.updateMany({ where: { ...from, ...withTrash }, data: to })).count;
+    moved.stageChanges = (await tx.stageChange.updateMany({ where: from, data: to })).count;
+
+    // Tags and forms the survivor already has are dropped rather than duplicated
+    const survivorTags = new Set(survivor.tags.map(link => link.tagId));
+    const newTagLinkIds = duplicate.tags.filter(link => !survivorTags.has(link.tagId)).map(link => link.id);
+    moved.tags = (await tx.userTag.updateMany({ where: { id: { in: newTagLinkIds } }, data: to })).count;
+    await tx.userTag.deleteMany({ where: from });
+
+    const survivorForms = new Set(survivor.assignedForms.map(form => form.formId));
+    const newFormIds = duplicate.assignedForms.filter(form => !survivorForms.has(form.formId)).map(form => form.id);
+    moved.forms = (await tx.userForm.updateMany({ where: { id: { in: newFormIds } }, data: to })).count;
+    await tx.userForm.deleteMany({ where: from });
+    // Submissions are kept even when their assignment was dropped
+    moved.formSubmissions = (await tx.formSubmission.updateMany({ where: from, data: to })).count;
+
+    // Campaign history moves over unless the survivor was in the same campaign
+    const survivorCampaigns = await tx.campaignRecipient.findMany({ where: to, select: { campaignId: true } });
+    moved.campaignRecipients = (await tx.campaignRecipient.updateMany({
+      where: { ...from, campaignId: { notIn: survivorCampaigns.map(recipient => recipient.campaignId) } },
+      data: to,
+    })).count;
+
+    // Custom field values fill the survivor's empty fields; the rest cascade with the duplicate
+    const survivorFields = await tx.customFieldValue.findMany({ where: to, select: { definitionId: true } });
+    moved.customFields = (await tx.customFieldValue.updateMany({
+      where: { ...from, definitionId: { notIn: survivorFields.map(value => value.definitionId) } },
+      data: to,
+    })).count;
+
+    // Sessions, API keys and other per-login records cascade with the duplicate
+    await tx.user.delete({ where: { id: duplicateId } });
+
+    const user = await tx.user.update({
+      where: { id: survivorId },
+      data: updates,
+    });
+
+    const activity = await tx.activity.create({
+      data: {
+        type: 'USER_MERGED',
+        title: 'Duplicate record merged',
+        description: `${duplicate.firstName} ${duplicate.lastName} (${duplicate.email}) was merged into this record`,
+        userId: survivorId,
+        performedBy: performedBy || 'System',
+        metadata: {
+          mergedUserId: duplicate.id,
+          mergedEmail: duplicate.email,
+          mergedName: `${duplicate.firstName} ${duplicate.lastName}`,
+          mergedCreatedAt: duplicate.createdAt,
+          fieldsUpdated: Object.keys(updates),
+          moved,
+        },
+      },
+    });
+
+    return { user, moved, fieldsUpdated: Object.keys(updates), activity };
+  });
+}
+
+module.exports = {
+  MergeError,
+  MATCH_SCORES,
+  MERGEABLE_FIELDS,
+  normalizeEmail,
+  normalizePhone,
+  normalizeName,
+  normalizeBusinessName,
+  compareUsers,
+  findDuplicatesForUser,
+  findDuplicateCandidates,
+  mergeUsers,
+};
@@ -1,9 +1,10 @@
 // services/emailListener.js - FINAL FIXED VERSION
 const MailListener = require('mail-listener2');
 const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('./softDeleteService');
 const { createActivity } = require('./activityService');
 
-const prisma = new PrismaClient();
+const prisma = withSoftDelete(new PrismaClient());
 
 class EmailListenerService {
   constructor() {
@@ -1,5 +1,7 @@
 // services/email.service.js
 const nodemailer = require('nodemailer');
+const { getTemplateByName, checkVariables, renderEmailTemplate } = require('./emailTemplateService');
+const { instrumentHtml } = require('./trackingService');
 
 const transporter = nodemailer.createTransport({
   host: process.env.SMTP_HOST,
@@ -105,6 +107,10 @@ async function sendOnboardingEmail(email, data) {
         </ul>
         
         <a href="${data.loginUrl}" class="btn">Login to Your Account</a>
+        ${data.verifyUrl ? `
+        <p style="margin-top: 30px;">Please also confirm your email address so we know we can reach you:</p>
+        <a href="${data.verifyUrl}" class="btn">Verify Email Address</a>
+        ` : ''}
         
         <p style="margin-top: 30px;">If you have any questions or need assistance, don't hesitate to reach out to your assigned agent or our support team.</p>
         
@@ -140,7 +146,9 @@ async function sendOnboardingEmail(email, data) {
         Temporary Password: ${data.tempPassword}
         
         Please change your password after logging in for the first time.
-        
+        ${data.verifyUrl ? `
+        Verify your email address: ${data.verifyUrl}
+        ` : ''}
         Best regards,
         Healthcare Biz Brokers Team
       `,
@@ -153,13 +161,14 @@ async function sendOnboardingEmail(email, data) {
   }
 }
 
+// Pass `trackingId` (the Email row's id) to add open/click tracking to the HTML
 async function sendRichTextEmail(data) {
   try {
     const mailOptions = {
       from: `"Healthcare Biz Brokers" <${process.env.SMTP_USER}>`,
       to: data.to,
       subject: data.subject,
-      html: data.htmlBody,
+      html: data.trackingId ? instrumentHtml(data.htmlBody, data.trackingId) : data.htmlBody,
       text: data.plainBody,
     };
 
@@ -180,6 +189,7 @@ async function sendRichTextEmail(data) {
     mailOptions.headers = {
       'X-Healthcare-CRM': 'true',
       'X-Sender-Type': 'crm-system',
+      ...data.headers,
     };
 
     const result = await transporter.sendMail(mailOptions);
@@ -192,57 +202,28 @@ async function sendRichTextEmail(data) {
   }
 }
 
-// Function to send email using templates
-async function sendTemplateEmail(to, templateName, variables, attachments) {
+// Send a stored email template (see emailTemplateService). Every variable the
+// template prints without a default must be given.
+async function sendTemplateEmail(to, templateName, variables = {}, attachments) {
   try {
-    // This would fetch the template from database
-    // For now, we'll use a simple template system
-    const templates = {
-      'follow-up': {
-        subject: 'Follow-up: {{subject}}',
-        html: `
-          <p>Hi {{name}},</p>
-          <p>{{message}}</p>
-          <p>Best regards,<br>{{senderName}}</p>
-        `,
-      },
-      'appointment-reminder': {
-        subject: 'Appointment Reminder - {{date}}',
-        html: `
-          <p>Hi {{name}},</p>
-          <p>This is a reminder about your upcoming appointment:</p>
-          <p><strong>Date:</strong> {{date}}<br>
-          <strong>Time:</strong> {{time}}<br>
-          <strong>Type:</strong> {{type}}</p>
-          <p>Best regards,<br>Healthcare Biz Brokers</p>
-        `,
-      },
-    };
-
-    const template = templates[templateName];
+    const template = await getTemplateByName(templateName);
     if (!template) {
       throw new Error(`Template ${templateName} not found`);
     }
 
-    // Replace variables in template
-    let subject = template.subject;
-    let html = template.html;
+    checkVariables(template, variables);
+    const { subject, html, text } = renderEmailTemplate(template, variables, { strict: true });
 
-    Object.keys(variables).forEach(key => {
-      const regex = new RegExp(`{{${key}}}`, 'g');
-      subject = subject.replace(regex, variables[key]);
-      html = html.replace(regex, variables[key]);
-    });
-
-    await sendRichTextEmail({
+    const result = await sendRichTextEmail({
       to,
       subject,
       htmlBody: html,
-      plainBody: html.replace(/<[^>]*>/g, ''), // Strip HTML for plain text
+      plainBody: text,
       attachments,
     });
 
     console.log(`Template email '${templateName}' sent to ${to}`);
+    return result;
   } catch (error) {
     console.error('Failed to send template email:', error);
     throw error;
@@ -367,6 +348,227 @@ async function sendPasswordResetEmail(email, data) {
   }
 }
 
+async function sendVerificationEmail(email, data) {
+  const htmlTemplate = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <title>Verify Your Email - Healthcare Biz Brokers</title>
+      <style>
+        body { 
+          font-family: Arial, sans-serif; 
+          background: #f6f6f6; 
+          color: #333; 
+          padding: 20px; 
+          margin: 0;
+        }
+        .container { 
+          background: #ffffff; 
+          max-width: 600px; 
+          margin: auto; 
+          padding: 30px; 
+          border-radius: 8px; 
+          box-shadow: 0 0 10px rgba(0,0,0,0.05); 
+        }
+        .header {
+          background: #305464;
+          color: white;
+          padding: 20px;
+          border-radius: 8px 8px 0 0;
+          margin: -30px -30px 30px -30px;
+        }
+        .btn { 
+          display: inline-block; 
+          padding: 12px 20px; 
+          background: #305464; 
+          color: white; 
+          text-decoration: none; 
+          border-radius: 5px; 
+          margin-top: 20px; 
+        }
+        .footer { 
+          font-size: 12px; 
+          color: #999; 
+          margin-top: 30px; 
+          border-top: 1px solid #eee;
+          padding-top: 20px;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h2 style="margin: 0;">Verify Your Email Address</h2>
+        </div>
+        
+        <p>Hi <strong>${data.name}</strong>,</p>
+        <p>Please confirm this is the right email address for your Healthcare Biz Brokers account.</p>
+        
+        <a href="${data.verifyUrl}" class="btn">Verify Email Address</a>
+        
+        <p>If the button above doesn't work, you can copy and paste this link into your browser:</p>
+        <p style="word-break: break-all; color: #666;">${data.verifyUrl}</p>
+        
+        <div class="footer">
+          Best regards,<br>
+          <strong>Healthcare Biz Brokers Team</strong><br>
+          Email: support@healthcarebizbrokers.com<br>
+          Phone: (555) 123-4567<br>
+          <br>
+          <em>This email was sent automatically. Please do not reply to this email address.</em>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  try {
+    await transporter.sendMail({
+      from: '"Healthcare Biz Brokers" <no-reply@healthcarebizbrokers.com>',
+      to: email,
+      subject: 'Verify Your Email - Healthcare Biz Brokers',
+      html: htmlTemplate,
+      // Plain text fallback
+      text: `
+        Verify Your Email - Healthcare Biz Brokers
+        
+        Hi ${data.name},
+        
+        Please confirm this is the right email address for your account:
+        
+        ${data.verifyUrl}
+        
+        Best regards,
+        Healthcare Biz Brokers Team
+      `,
+    });
+    
+    console.log(`Verification email sent successfully to ${email}`);
+  } catch (error) {
+    console.error('Failed to send verification email:', error);
+    throw error;
+  }
+}
+
+async function sendAccountLockedEmail(email, data) {
+  const htmlTemplate = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <title>Account Locked - Healthcare Biz Brokers</title>
+      <style>
+        body { 
+          font-family: Arial, sans-serif; 
+          background: #f6f6f6; 
+          color: #333; 
+          padding: 20px; 
+          margin: 0;
+        }
+        .container { 
+          background: #ffffff; 
+          max-width: 600px; 
+          margin: auto; 
+          padding: 30px; 
+          border-radius: 8px; 
+          box-shadow: 0 0 10px rgba(0,0,0,0.05); 
+        }
+        .header {
+          background: #305464;
+          color: white;
+          padding: 20px;
+          border-radius: 8px 8px 0 0;
+          margin: -30px -30px 30px -30px;
+        }
+        .btn { 
+          display: inline-block; 
+          padding: 12px 20px; 
+          background: #305464; 
+          color: white; 
+          text-decoration: none; 
+          border-radius: 5px; 
+          margin-top: 20px; 
+        }
+        .warning {
+          background: #fff3cd;
+          border: 1px solid #ffeaa7;
+          color: #856404;
+          padding: 10px;
+          border-radius: 4px;
+          margin: 15px 0;
+        }
+        .footer { 
+          font-size: 12px; 
+          color: #999; 
+          margin-top: 30px; 
+          border-top: 1px solid #eee;
+          padding-top: 20px;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h2 style="margin: 0;">Your Account Has Been Locked</h2>
+        </div>
+        
+        <p>Hi <strong>${data.name}</strong>,</p>
+        <p>We locked your Healthcare Biz Brokers account after several failed sign-in attempts. It will unlock automatically in ${data.lockoutMinutes} minutes, or you can unlock it now:</p>
+        
+        <a href="${data.unlockUrl}" class="btn">Unlock Your Account</a>
+        
+        <div class="warning">
+          <strong>⚠️ Security Notice:</strong> If these attempts weren't you, we recommend resetting your password after unlocking your account.
+        </div>
+        
+        <p>If the button above doesn't work, you can copy and paste this link into your browser:</p>
+        <p style="word-break: break-all; color: #666;">${data.unlockUrl}</p>
+        
+        <div class="footer">
+          Best regards,<br>
+          <strong>Healthcare Biz Brokers Team</strong><br>
+          Email: support@healthcarebizbrokers.com<br>
+          Phone: (555) 123-4567<br>
+          <br>
+          <em>This email was sent automatically. Please do not reply to this email address.</em>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  try {
+    await transporter.sendMail({
+      from: '"Healthcare Biz Brokers" <no-reply@healthcarebizbrokers.com>',
+      to: email,
+      subject: 'Account Locked - Healthcare Biz Brokers',
+      html: htmlTemplate,
+      // Plain text fallback
+      text: `
+        Account Locked - Healthcare Biz Brokers
+        
+        Hi ${data.name},
+        
+        We locked your account after several failed sign-in attempts.
+        It will unlock automatically in ${data.lockoutMinutes} minutes, or you can unlock it now:
+        
+        ${data.unlockUrl}
+        
+        If these attempts weren't you, we recommend resetting your password.
+        
+        Best regards,
+        Healthcare Biz Brokers Team
+      `,
+    });
+    
+    console.log(`Account locked email sent successfully to ${email}`);
+  } catch (error) {
+    console.error('Failed to send account locked email:', error);
+    throw error;
+  }
+}
+
 // Verify email configuration
 async function verifyEmailConfig() {
   try {
@@ -384,5 +586,7 @@ module.exports = {
   sendRichTextEmail,
   sendTemplateEmail,
   sendPasswordResetEmail,
+  sendAccountLockedEmail,
+  sendVerificationEmail,
   verifyEmailConfig,
 };
\ No newline at end of file
@@ -0,0 +1,173 @@
+// services/emailTemplate.service.js
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('./softDeleteService');
+const { TemplateError, parseTemplate, collectVariables, renderTemplate, htmlToText } = require('../utils/templateEngine');
+const { CUSTOM_FIELD_VALUES_INCLUDE, formatCustomFieldValues } = require('./customFieldService');
+
+const prisma = withSoftDelete(new PrismaClient());
+
+// Variables filled in from a client record when rendering for a client
+const CLIENT_VARIABLES = {
+  firstName: 'Client first name',
+  lastName: 'Client last name',
+  fullName: 'Client first and last name',
+  email: 'Client email address',
+  phone: 'Client phone number',
+  businessName: 'Business name',
+  city: 'City',
+  state: 'State',
+  stage: 'Pipeline stage',
+  clientType: 'BUYER or SELLER',
+  agent: 'Assigned agent: agent.firstName, agent.lastName, agent.email, agent.phone',
+  deals: 'Active deals, for {{#each deals}}: name, status, description',
+  customFields: 'Custom field values by key, e.g. customFields.payer_mix',
+  today: "Today's date",
+};
+
+// The templates that used to live in emailService, seeded on first use
+const DEFAULT_TEMPLATES = [
+  {
+    name: 'follow-up',
+    subject: 'Follow-up: {{subject}}',
+    htmlBody: `<p>Hi {{name | default: "there"}},</p>
+<p>{{message}}</p>
+<p>Best regards,<br>{{senderName | default: "Healthcare Biz Brokers"}}</p>`,
+    variables: ['subject', 'name', 'message', 'senderName'],
+  },
+  {
+    name: 'appointment-reminder',
+    subject: 'Appointment Reminder - {{date}}',
+    htmlBody: `<p>Hi {{name | default: "there"}},</p>
+<p>This is a reminder about your upcoming appointment:</p>
+<p><strong>Date:</strong> {{date}}<br>
+<strong>Time:</strong> {{time}}<br>
+<strong>Type:</strong> {{type}}</p>
+<p>Best regards,<br>Healthcare Biz Brokers</p>`,
+    variables: ['name', 'date', 'time', 'type'],
+  },
+];
+
+async function ensureDefaultTemplates() {
+  const existing = await prisma.emailTemplate.count();
+  if (existing > 0) return;
+
+  await prisma.emailTemplate.createMany({
+    data: DEFAULT_TEMPLATES.map(template => ({ ...template, createdBy: 'system' })),
+    skipDuplicates: true,
+  });
+
+  console.log('✅ Created default email templates');
+}
+
+// Parse subject and body and check every variable they read is declared. When no
+// variables are declared they are taken from the template. Returns the variable list.
+function prepareTemplate({ subject, htmlBody, variables }) {
+  const used = collectVariables(parseTemplate(htmlBody), collectVariables(parseTemplate(subject)));
+
+  if (!variables) {
+    return [...used].sort();
+  }
+
+  const undeclared = [...used].filter(name => !variables.includes(name));
+  if (undeclared.length > 0) {
+    throw new TemplateError(`Template uses undeclared variable(s): ${undeclared.join(', ')}`);
+  }
+  return variables;
+}
+
+// Reject values for variables the template does not declare
+function checkVariables(template, variables = {}) {
+  const unknown = Object.keys(variables).filter(name => !template.variables.includes(name));
+  if (unknown.length > 0) {
+    throw new TemplateError(
+      `Unknown variable(s) for template "${template.name}": ${unknown.join(', ')}. Declared: ${template.variables.join(', ') || 'none'}`
+    );
+  }
+}
+
+/**
+ * Render a stored template. Returns subject, html, a plain-text body and the
+ * variables that rendered empty. With `strict`, empty variables without a
+ * default are an error instead.
+ */
+function renderEmailTemplate(template, variables = {}, { strict = false } = {}) {
+  const subject = renderTemplate(template.subject, variables, { escape: false });
+  const body = renderTemplate(template.htmlBody, variables);
+  const missing = [...new Set([...subject.missing, ...body.missing])];
+
+  if (strict && missing.length > 0) {
+    throw new TemplateError(`Missing value for variable(s): ${missing.join(', ')}`);
+  }
+
+  return {
+    subject: subject.output.replace(/\s+/g, ' ').trim(),
+    html: body.output,
+    text: htmlToText(body.output),
+    missing,
+  };
+}
+
+async function getTemplateByName(name) {
+  await ensureDefaultTemplates();
+  return prisma.emailTemplate.findFirst({ where: { name, isActive: true } });
+}
+
+// CLIENT_VARIABLES for one client, or null when the client does not exist
+async function buildClientVariables(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    include: {
+      agent: { select: { firstName: true, lastName: true, email: true, phone: true } },
+      deals: {
+        where: { deletedAt: null, status: 'ACTIVE' },
+        select: { name: true, status: true, description: true },
+        orderBy: { createdAt: 'asc' },
+      },
+      customFieldValues: CUSTOM_FIELD_VALUES_INCLUDE,
+    },
+  });
+  if (!user) return null;
+
+  return {
+    firstName: user.firstName,
+    lastName: user.lastName,
+    fullName: `${user.firstName} ${user.lastName}`.trim(),
+    email: user.email,
+    phone: user.phone,
+    businessName: user.businessName,
+    city: user.city,
+    state: user.state,
+    stage: user.stage,
+    clientType: user.clientType,
+    agent: user.agent,
+    deals: user.deals,
+    customFields: formatCustomFieldValues(user.customFieldValues),
+    today: new Date(),
+  };
+}
+
+// Client variables the template declares, overridden by explicit values
+async function resolveClientVariables(template, userId, overrides = {}) {
+  checkVariables(template, overrides);
+
+  const clientVariables = await buildClientVariables(userId);
+  if (!clientVariables) return null;
+
+  const declared = Object.fromEntries(
+    Object.entries(clientVariables).filter(([name]) => template.variables.includes(name))
+  );
+  return { ...declared, ...overrides };
+}
+
+module.exports = {
+  CLIENT_VARIABLES,
+  DEFAULT_TEMPLATES,
+  TemplateError,
+  ensureDefaultTemplates,
+  prepareTemplate,
+  checkVariables,
+  renderEmailTemplate,
+  getTemplateByName,
+  buildClientVariables,
+  resolveClientVariables,
+};
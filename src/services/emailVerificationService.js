@@ -0,0 +1,74 @@
+// services/emailVerification.service.js
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('./softDeleteService');
+const { sendVerificationEmail } = require('./emailService');
+
+const prisma = withSoftDelete(new PrismaClient());
+
+const VERIFICATION_TOKEN_TTL = process.env.EMAIL_VERIFICATION_TTL || '24h';
+
+// Actions blocked for unverified addresses: "login" and/or "outbound_email"
+const REQUIRED_FOR = (process.env.EMAIL_VERIFICATION_REQUIRED_FOR || '')
+  .split(',')
+  .map(action => action.trim())
+  .filter(Boolean);
+
+function isVerificationRequired(action) {
+  return REQUIRED_FOR.includes(action);
+}
+
+// The token is bound to the address it was issued for, so changing the
+// email invalidates any outstanding links
+function signVerificationToken(user) {
+  return jwt.sign(
+    { id: user.id, email: user.email, purpose: 'email_verification' },
+    process.env.JWT_SECRET,
+    { expiresIn: VERIFICATION_TOKEN_TTL }
+  );
+}
+
+function buildVerificationUrl(user) {
+  return `${process.env.FRONTEND_URL}/verify-email?token=${signVerificationToken(user)}`;
+}
+
+async function sendVerificationLink(user) {
+  await sendVerificationEmail(user.email, {
+    name: `${user.firstName} ${user.lastName}`,
+    verifyUrl: buildVerificationUrl(user),
+  });
+}
+
+// Mark the address verified. Throws jsonwebtoken errors for bad/expired tokens
+// and returns null when the token no longer matches the user's address.
+async function verifyEmailToken(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== 'email_verification') {
+    return null;
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: decoded.id },
+    select: { id: true, email: true, isEmailVerified: true },
+  });
+
+  if (!user || user.email !== decoded.email) {
+    return null;
+  }
+
+  if (!user.isEmailVerified) {
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { isEmailVerified: true },
+    });
+  }
+
+  return { ...user, alreadyVerified: user.isEmailVerified };
+}
+
+module.exports = {
+  isVerificationRequired,
+  buildVerificationUrl,
+  sendVerificationLink,
+  verifyEmailToken,
+};
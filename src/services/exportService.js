@@ -0,0 +1,107 @@
+// services/export.service.js
+const ExcelJS = require('exceljs');
+const { formatCsvRow } = require('../utils/csv');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const BATCH_SIZE = 500;
+
+class ExportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ExportError';
+  }
+}
+
+// Pick the requested columns (?columns=email,stage) from an entity's column list.
+// Each column is { key, header, value: (record) => any }.
+function parseExportOptions(query, columnDefinitions) {
+  const format = (query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new ExportError(`Unsupported export format "${query.format}". Use csv or xlsx.`);
+  }
+
+  if (!query.columns) {
+    return { format, columns: columnDefinitions };
+  }
+
+  const keys = String(query.columns).split(',').map(key => key.trim()).filter(Boolean);
+  const unknown = keys.filter(key => !columnDefinitions.some(column => column.key === key));
+  if (unknown.length > 0) {
+    throw new ExportError(
+      `Unknown export column(s): ${unknown.join(', ')}. Available: ${columnDefinitions.map(column => column.key).join(', ')}`
+    );
+  }
+
+  return { format, columns: keys.map(key => columnDefinitions.find(column => column.key === key)) };
+}
+
+function toCellValue(value, format) {
+  if (value === null || value === undefined) return format === 'csv' ? '' : null;
+  if (Array.isArray(value)) return value.join('; ');
+  if (value instanceof Date) return format === 'csv' ? value.toISOString() : value;
+  return value;
+}
+
+// Stream records to the response in batches so large exports never sit in memory.
+// fetchBatch(skip, take) returns the next page of records in a stable order.
+async function streamExport(res, { filename, format, columns, fetchBatch }) {
+  // Load the first batch before sending headers so query errors still return JSON
+  let batch = await fetchBatch(0, BATCH_SIZE);
+  let fetched = batch.length;
+
+  const timestamp = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}-${timestamp}.${format}"`);
+
+  try {
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+      const worksheet = workbook.addWorksheet(filename);
+      worksheet.addRow(columns.map(column => column.header)).commit();
+
+      while (batch.length > 0) {
+        batch.forEach(record => {
+          worksheet.addRow(columns.map(column => toCellValue(column.value(record), format))).commit();
+        });
+        batch = batch.length < BATCH_SIZE ? [] : await fetchBatch(fetched, BATCH_SIZE);
+        fetched += batch.length;
+      }
+
+      worksheet.commit();
+      await workbook.commit();
+      return;
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.write('\uFEFF'); // Byte order mark so Excel detects UTF-8
+    res.write(formatCsvRow(columns.map(column => column.header)));
+
+    while (batch.length > 0) {
+      const chunk = batch
+        .map(record => formatCsvRow(columns.map(column => toCellValue(column.value(record), format))))
+        .join('');
+
+      // Respect backpressure from slow clients
+      if (!res.write(chunk)) {
+        await new Promise(resolve => res.once('drain', resolve));
+      }
+
+      batch = batch.length < BATCH_SIZE ? [] : await fetchBatch(fetched, BATCH_SIZE);
+      fetched += batch.length;
+    }
+
+    res.end();
+  } catch (error) {
+    // Headers are gone; all we can do is cut the download short
+    console.error(`Export of ${filename} failed after ${fetched} rows:`, error);
+    res.destroy(error);
+  }
+}
+
+module.exports = {
+  ExportError,
+  EXPORT_FORMATS,
+  parseExportOptions,
+  streamExport,
+};
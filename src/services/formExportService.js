@@ -0,0 +1,72 @@
+// services/formExport.service.js
+const PDFDocument = require('pdfkit');
+const { getFields, formatAnswers, displayAnswer } = require('./formService');
+
+// Export columns for a form's submissions. Answer columns cover every field in
+// every version, newest labels first, so older submissions keep their answers.
+// Submissions must be loaded with `user` and `formVersion`.
+function submissionExportColumns(versions) {
+  const answerFields = new Map();
+  [...versions]
+    .sort((a, b) => b.version - a.version)
+    .forEach(version => getFields(version.schema).forEach(field => {
+      if (!answerFields.has(field.key)) answerFields.set(field.key, field);
+    }));
+
+  return [
+    { key: 'id', header: 'Submission ID', value: submission => submission.id },
+    { key: 'submittedAt', header: 'Submitted At', value: submission => submission.submittedAt },
+    { key: 'email', header: 'Client Email', value: submission => submission.user.email },
+    { key: 'clientName', header: 'Client Name', value: submission => `${submission.user.firstName} ${submission.user.lastName}` },
+    { key: 'version', header: 'Form Version', value: submission => submission.formVersion.version },
+    { key: 'reviewStatus', header: 'Review Status', value: submission => submission.reviewStatus },
+    { key: 'reviewedAt', header: 'Reviewed At', value: submission => submission.reviewedAt },
+    ...[...answerFields.values()].map(field => ({
+      key: `answers.${field.key}`,
+      header: field.label,
+      value: submission => displayAnswer(field, submission.answers?.[field.key]),
+    })),
+  ];
+}
+
+// Render one submission as a PDF straight to the response. The submission must be
+// loaded with `user` and `formVersion: { include: { form: true } }`.
+function streamSubmissionPdf(res, submission) {
+  const { form, schema, version } = submission.formVersion;
+  const filename = `${form.name.replace(/[^\w-]+/g, '-')}-${submission.id.slice(0, 8)}.pdf`;
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  const doc = new PDFDocument({ margin: 50, size: 'LETTER' });
+  doc.pipe(res);
+
+  doc.fontSize(18).font('Helvetica-Bold').text(form.name);
+  doc.moveDown(0.3);
+  doc.fontSize(10).font('Helvetica').fillColor('#555555')
+    .text(`${submission.user.firstName} ${submission.user.lastName} <${submission.user.email}>`)
+    .text(`Submitted ${submission.submittedAt.toISOString().slice(0, 10)} · Version ${version} · ${submission.reviewStatus.replace('_', ' ').toLowerCase()}`);
+  if (submission.reviewNote) {
+    doc.text(`Review note: ${submission.reviewNote}`);
+  }
+  doc.fillColor('black');
+
+  formatAnswers(schema, submission.answers).forEach(section => {
+    doc.moveDown();
+    doc.fontSize(13).font('Helvetica-Bold').text(section.title);
+    doc.moveDown(0.3);
+
+    section.fields.forEach(field => {
+      doc.fontSize(10).font('Helvetica-Bold').text(field.label);
+      doc.font('Helvetica').text(displayAnswer(field, field.value) || '—');
+      doc.moveDown(0.4);
+    });
+  });
+
+  doc.end();
+}
+
+module.exports = {
+  submissionExportColumns,
+  streamSubmissionPdf,
+};
@@ -0,0 +1,394 @@
+// services/form.service.js
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+
+const prisma = new PrismaClient();
+
+const FORM_CATEGORIES = ['buyer', 'seller', 'general'];
+const FIELD_TYPES = ['text', 'textarea', 'number', 'currency', 'date', 'email', 'phone', 'select', 'multiselect', 'checkbox'];
+const CHOICE_TYPES = ['select', 'multiselect'];
+const REVIEW_STATUSES = ['PENDING', 'APPROVED', 'CHANGES_REQUESTED'];
+
+// The forms that used to be hard-coded. Their ids are kept so existing
+// assignments and API callers that send 'form-1'..'form-10' keep working.
+const LEGACY_FORMS = [
+  { id: 'form-1', name: 'Healthcare Buyer Questionnaire', category: 'buyer' },
+  { id: 'form-2', name: 'Insurance Preference Form', category: 'buyer' },
+  { id: 'form-3', name: 'Provider Selection Form', category: 'buyer' },
+  { id: 'form-4', name: 'Medical History Form', category: 'buyer' },
+  { id: 'form-5', name: 'Coverage Needs Assessment', category: 'buyer' },
+  { id: 'form-6', name: 'Budget Planning Worksheet', category: 'general' },
+  { id: 'form-7', name: 'Business Valuation Form', category: 'seller' },
+  { id: 'form-8', name: 'Financial Disclosure Form', category: 'seller' },
+  { id: 'form-9', name: 'Legal Documentation Checklist', category: 'general' },
+  { id: 'form-10', name: 'Confidentiality Agreement', category: 'general' },
+];
+
+class FormError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FormError';
+  }
+}
+
+// Form schema: { sections: [{ title, description?, fields: [field] }] }
+const fieldKeySchema = z.string().regex(/^[a-z][a-z0-9_]*$/, "Field keys must be lowercase letters, numbers and underscores").max(50);
+
+const formFieldSchema = z.object({
+  key: fieldKeySchema,
+  label: z.string().trim().min(1, "Field label is required").max(200),
+  type: z.enum(FIELD_TYPES),
+  required: z.boolean().default(false),
+  // Required only when another field has the given answer (or includes it, for multiselect)
+  requiredIf: z.object({
+    field: fieldKeySchema,
+    equals: z.union([z.string(), z.number(), z.boolean()]),
+  }).optional(),
+  helpText: z.string().max(500).optional(),
+  placeholder: z.string().max(200).optional(),
+  options: z.array(z.string().trim().min(1).max(200)).max(100).optional(),
+  min: z.number().finite().optional(),
+  max: z.number().finite().optional(),
+  maxLength: z.number().int().min(1).max(20000).optional(),
+}).strict();
+
+const formSchemaSchema = z.object({
+  sections: z.array(z.object({
+    title: z.string().trim().min(1, "Section title is required").max(200),
+    description: z.string().max(1000).optional(),
+    fields: z.array(formFieldSchema).min(1, "Each section needs at least one field"),
+  }).strict()).min(1, "A form needs at least one section"),
+}).strict().superRefine((schema, ctx) => {
+  const fields = schema.sections.flatMap(section => section.fields);
+  const keys = new Set();
+
+  schema.sections.forEach((section, sectionIndex) => {
+    section.fields.forEach((field, fieldIndex) => {
+      const path = ['sections', sectionIndex, 'fields', fieldIndex];
+
+      if (keys.has(field.key)) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: [...path, 'key'], message: `Duplicate field key "${field.key}"` });
+      }
+      keys.add(field.key);
+
+      const hasOptions = field.options && field.options.length > 0;
+      if (CHOICE_TYPES.includes(field.type) && !hasOptions) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: [...path, 'options'], message: "Select fields need at least one option" });
+      }
+      if (!CHOICE_TYPES.includes(field.type) && field.options) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: [...path, 'options'], message: "Only select fields have options" });
+      }
+      if (hasOptions && new Set(field.options).size !== field.options.length) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: [...path, 'options'], message: "Options must be unique" });
+      }
+      if (field.min !== undefined && field.max !== undefined && field.min > field.max) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: [...path, 'min'], message: "min cannot be greater than max" });
+      }
+    });
+  });
+
+  // Conditions can point at fields in any section, but not at the field itself
+  schema.sections.forEach((section, sectionIndex) => {
+    section.fields.forEach((field, fieldIndex) => {
+      if (!field.requiredIf) return;
+      const target = fields.find(other => other.key === field.requiredIf.field);
+      if (!target || target.key === field.key) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['sections', sectionIndex, 'fields', fieldIndex, 'requiredIf', 'field'],
+          message: `requiredIf must reference another field in the form`,
+        });
+      }
+    });
+  });
+});
+
+// Validate a form schema from staff input; throws ZodError
+function parseFormSchema(schema) {
+  return formSchemaSchema.parse(schema);
+}
+
+function getFields(schema) {
+  return schema.sections.flatMap(section => section.fields);
+}
+
+// Placeholder for the legacy forms until staff publish real questions
+function legacySchema(name) {
+  return {
+    sections: [{
+      title: name,
+      fields: [{ key: 'responses', label: 'Responses', type: 'textarea', required: true }],
+    }],
+  };
+}
+
+async function ensureDefaultForms() {
+  const existing = await prisma.formDefinition.count();
+  if (existing > 0) return;
+
+  await prisma.$transaction(async (tx) => {
+    for (const form of LEGACY_FORMS) {
+      await tx.formDefinition.create({
+        data: {
+          ...form,
+          versions: { create: { version: 1, schema: legacySchema(form.name) } },
+        },
+      });
+    }
+  });
+
+  console.log('✅ Created default forms');
+}
+
+// Zod schema for a single answer. Bounds come from the field definition.
+function answerSchema(field) {
+  switch (field.type) {
+    case 'text':
+      return z.string().trim().max(field.maxLength || 1000);
+    case 'textarea':
+      return z.string().trim().max(field.maxLength || 20000);
+    case 'email':
+      return z.string().trim().email("Invalid email address");
+    case 'phone':
+      return z.string().trim().regex(/^\+?[\d\s().-]{7,20}$/, "Invalid phone number");
+    case 'number':
+    case 'currency': {
+      let schema = z.number().finite();
+      if (field.min !== undefined) schema = schema.min(field.min);
+      if (field.max !== undefined) schema = schema.max(field.max);
+      return field.type === 'currency' ? schema.transform(value => Math.round(value * 100) / 100) : schema;
+    }
+    case 'date':
+      return z.string().date("Use a YYYY-MM-DD date");
+    case 'select':
+      return z.enum(field.options);
+    case 'multiselect':
+      return z.array(z.enum(field.options)).transform(values => [...new Set(values)]);
+    case 'checkbox':
+      return z.boolean();
+  }
+}
+
+const isBlank = value => value === undefined || value === null || value === ''
+  || (typeof value === 'string' && value.trim() === '')
+  || (Array.isArray(value) && value.length === 0);
+
+function conditionMet(condition, answers) {
+  const answer = answers[condition.field];
+  return Array.isArray(answer) ? answer.includes(condition.equals) : answer === condition.equals;
+}
+
+// Check answers against a form version's schema. Unknown keys are rejected, blank
+// answers are dropped, and required / requiredIf rules are enforced. Required
+// checkboxes (consent, acknowledgements) must be ticked. Throws ZodError.
+function validateAnswers(schema, answers) {
+  const fields = getFields(schema);
+
+  const shape = Object.fromEntries(fields.map(field => [
+    field.key,
+    z.preprocess(value => (isBlank(value) ? undefined : value), answerSchema(field).optional()),
+  ]));
+
+  return z.object(shape).strict().superRefine((parsed, ctx) => {
+    fields.forEach(field => {
+      const required = field.required || (field.requiredIf && conditionMet(field.requiredIf, parsed));
+      if (!required) return;
+
+      const value = parsed[field.key];
+      if (value === undefined || (field.type === 'checkbox' && value !== true)) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: [field.key], message: `${field.label} is required` });
+      }
+    });
+  }).transform(parsed => Object.fromEntries(
+    Object.entries(parsed).filter(([, value]) => value !== undefined)
+  )).parse(answers || {});
+}
+
+// Answers grouped by section in schema order, for review screens and PDFs
+function formatAnswers(schema, answers) {
+  return schema.sections.map(section => ({
+    title: section.title,
+    fields: section.fields.map(field => ({
+      key: field.key,
+      label: field.label,
+      type: field.type,
+      value: answers?.[field.key] ?? null,
+    })),
+  }));
+}
+
+// Human-readable answer for exports
+function displayAnswer(field, value) {
+  if (value === null || value === undefined) return '';
+  if (field.type === 'checkbox') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) return value.join('; ');
+  return String(value);
+}
+
+async function getFormVersion(formId, version) {
+  return prisma.formVersion.findUnique({
+    where: { formId_version: { formId, version } },
+  });
+}
+
+async function createForm({ name, description, category, schema }, createdBy) {
+  return prisma.formDefinition.create({
+    data: {
+      name,
+      description,
+      category,
+      createdBy,
+      versions: { create: { version: 1, schema, createdBy } },
+    },
+    include: { versions: true },
+  });
+}
+
+// Publish a new schema version. Existing assignments keep the version they were
+// given; forms assigned from now on use the new one.
+async function publishVersion(formId, schema, createdBy) {
+  return prisma.$transaction(async (tx) => {
+    const form = await tx.formDefinition.findUnique({ where: { id: formId } });
+    if (!form) {
+      throw new FormError('Form not found');
+    }
+
+    const version = await tx.formVersion.create({
+      data: { formId, version: form.currentVersion + 1, schema, createdBy },
+    });
+    await tx.formDefinition.update({
+      where: { id: formId },
+      data: { currentVersion: version.version },
+    });
+
+    return version;
+  });
+}
+
+// Ids from the list that cannot be assigned (unknown or archived)
+async function findUnassignableForms(formIds) {
+  const ids = [...new Set(formIds)];
+  if (ids.length === 0) return [];
+
+  await ensureDefaultForms();
+  const forms = await prisma.formDefinition.findMany({
+    where: { id: { in: ids }, archived: false },
+    select: { id: true },
+  });
+  const found = new Set(forms.map(form => form.id));
+  return ids.filter(id => !found.has(id));
+}
+
+// Assign the current version of each form to each user. Users who already have an
+// open (unsubmitted) assignment of a form are skipped. Returns the number created.
+async function assignForms(userIds, formIds, { assignedBy, dueDate } = {}) {
+  const ids = [...new Set(formIds)];
+  if (userIds.length === 0 || ids.length === 0) return 0;
+
+  await ensureDefaultForms();
+  const forms = await prisma.formDefinition.findMany({
+    where: { id: { in: ids }, archived: false },
+  });
+  if (forms.length !== ids.length) {
+    const found = new Set(forms.map(form => form.id));
+    throw new FormError(`Unknown or archived form(s): ${ids.filter(id => !found.has(id)).join(', ')}`);
+  }
+
+  const versions = await prisma.formVersion.findMany({
+    where: { OR: forms.map(form => ({ formId: form.id, version: form.currentVersion })) },
+    select: { id: true, formId: true },
+  });
+  const versionByForm = new Map(versions.map(version => [version.formId, version.id]));
+
+  const open = await prisma.userForm.findMany({
+    where: { userId: { in: userIds }, formId: { in: ids }, completedAt: null },
+    select: { userId: true, formId: true },
+  });
+  const openKeys = new Set(open.map(assignment => `${assignment.userId}:${assignment.formId}`));
+
+  const data = userIds.flatMap(userId => forms
+    .filter(form => !openKeys.has(`${userId}:${form.id}`))
+    .map(form => ({
+      userId,
+      formId: form.id,
+      formName: form.name,
+      formVersionId: versionByForm.get(form.id),
+      assignedBy,
+      dueDate,
+    })));
+
+  if (data.length === 0) return 0;
+  const result = await prisma.userForm.createMany({ data });
+  return result.count;
+}
+
+// Validate answers against the assignment's pinned version and record the submission.
+// Throws ZodError for invalid answers and FormError if it was already submitted.
+async function submitAssignedForm(assignment, answers, { submittedBy } = {}) {
+  const version = await prisma.formVersion.findUnique({ where: { id: assignment.formVersionId } });
+  const validAnswers = validateAnswers(version.schema, answers);
+
+  return prisma.$transaction(async (tx) => {
+    // Guard against a double submit racing past the caller's completedAt check
+    const { count } = await tx.userForm.updateMany({
+      where: { id: assignment.id, completedAt: null },
+      data: { completedAt: new Date() },
+    });
+    if (count === 0) {
+      throw new FormError('This form has already been submitted');
+    }
+
+    return tx.formSubmission.create({
+      data: {
+        userFormId: assignment.id,
+        formVersionId: version.id,
+        userId: assignment.userId,
+        answers: validAnswers,
+        submittedBy,
+      },
+    });
+  });
+}
+
+// Record a staff review. Requesting changes reopens the assignment so the client
+// can submit again; the earlier submission is kept.
+async function reviewSubmission(submissionId, { status, note, reviewedBy }) {
+  return prisma.$transaction(async (tx) => {
+    const submission = await tx.formSubmission.update({
+      where: { id: submissionId },
+      data: { reviewStatus: status, reviewNote: note, reviewedBy, reviewedAt: new Date() },
+    });
+
+    if (status === 'CHANGES_REQUESTED' && submission.userFormId) {
+      await tx.userForm.update({
+        where: { id: submission.userFormId },
+        data: { completedAt: null },
+      });
+    }
+
+    return submission;
+  });
+}
+
+module.exports = {
+  FORM_CATEGORIES,
+  FIELD_TYPES,
+  CHOICE_TYPES,
+  REVIEW_STATUSES,
+  LEGACY_FORMS,
+  legacySchema,
+  FormError,
+  parseFormSchema,
+  getFields,
+  ensureDefaultForms,
+  validateAnswers,
+  formatAnswers,
+  displayAnswer,
+  getFormVersion,
+  createForm,
+  publishVersion,
+  findUnassignableForms,
+  assignForms,
+  submitAssignedForm,
+  reviewSubmission,
+};
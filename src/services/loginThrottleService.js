@@ -0,0 +1,168 @@
+// services/loginThrottle.service.js
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('./softDeleteService');
+const { hashToken } = require('./sessionService');
+
+const prisma = withSoftDelete(new PrismaClient());
+
+const LOCKOUT_THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+const FAILURE_WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+const DELAY_FREE_ATTEMPTS = 2;
+const MAX_DELAY_MS = 8000;
+// Oldest counters are dropped beyond this, so a flood of random emails can't grow memory
+const MAX_TRACKED_KEYS = 50000;
+
+// Recent failures keyed by "email:<address>" or "ip:<address>". Email counters
+// also cover addresses without an account so responses don't reveal which exist.
+const failureCounts = new Map();
+
+// Drop expired counters that were never looked up again
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, record] of failureCounts) {
+    if (now > record.resetTime) failureCounts.delete(key);
+  }
+}, FAILURE_WINDOW_MS).unref();
+
+function getFailures(key) {
+  const record = failureCounts.get(key);
+  if (!record || Date.now() > record.resetTime) {
+    failureCounts.delete(key);
+    return 0;
+  }
+  return record.count;
+}
+
+function recordFailure(key) {
+  const now = Date.now();
+  const record = failureCounts.get(key);
+
+  if (!record || now > record.resetTime) {
+    failureCounts.delete(key);
+    if (failureCounts.size >= MAX_TRACKED_KEYS) {
+      failureCounts.delete(failureCounts.keys().next().value);
+    }
+    failureCounts.set(key, { count: 1, resetTime: now + FAILURE_WINDOW_MS });
+    return 1;
+  }
+
+  record.count++;
+  return record.count;
+}
+
+// Progressive delay: free attempts first, then 1s, 2s, 4s... capped at MAX_DELAY_MS
+function getLoginDelay(email, ip) {
+  const failures = Math.max(getFailures(`email:${email}`), getFailures(`ip:${ip}`));
+  if (failures <= DELAY_FREE_ATTEMPTS) return 0;
+  return Math.min(1000 * 2 ** (failures - DELAY_FREE_ATTEMPTS - 1), MAX_DELAY_MS);
+}
+
+// Seconds until the IP may try again, or 0 if it is not blocked
+function getIpRetryAfter(ip) {
+  if (getFailures(`ip:${ip}`) < IP_MAX_FAILURES) return 0;
+  const record = failureCounts.get(`ip:${ip}`);
+  return Math.ceil((record.resetTime - Date.now()) / 1000);
+}
+
+function isLocked(user) {
+  return Boolean(user.lockedUntil && user.lockedUntil > new Date());
+}
+
+// Record a failed attempt. For existing users this bumps the persisted counter and
+// locks the account once the threshold is hit; the unlock token is returned (to the
+// one attempt that set the lock) so the caller can email it.
+async function registerFailedLogin({ email, ip, user }) {
+  recordFailure(`email:${email}`);
+  recordFailure(`ip:${ip}`);
+
+  if (!user) {
+    return { locked: false };
+  }
+
+  // A lock that has run out starts a fresh count, so one more typo doesn't re-lock
+  // the account. Only the request that still sees the old lock resets it.
+  if (user.lockedUntil && user.lockedUntil <= new Date()) {
+    await prisma.user.updateMany({
+      where: { id: user.id, lockedUntil: user.lockedUntil },
+      data: { failedLoginAttempts: 0, lockedUntil: null, unlockTokenHash: null },
+    });
+  }
+
+  // Counted in the database so parallel attempts cannot all write the same number
+  const { failedLoginAttempts: attempts } = await prisma.user.update({
+    where: { id: user.id },
+    data: { failedLoginAttempts: { increment: 1 } },
+    select: { failedLoginAttempts: true },
+  });
+
+  if (attempts < LOCKOUT_THRESHOLD) {
+    return { locked: false, attempts };
+  }
+
+  const now = new Date();
+  const unlockToken = crypto.randomBytes(32).toString('base64url');
+  const lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+
+  // Only the attempt that sets the lock gets an unlock token to email
+  const { count } = await prisma.user.updateMany({
+    where: { id: user.id, OR: [{ lockedUntil: null }, { lockedUntil: { lte: now } }] },
+    data: { lockedUntil, unlockTokenHash: hashToken(unlockToken) },
+  });
+
+  if (count === 0) {
+    const current = await prisma.user.findUnique({ where: { id: user.id }, select: { lockedUntil: true } });
+    return { locked: true, attempts, lockedUntil: current?.lockedUntil || lockedUntil };
+  }
+
+  return { locked: true, attempts, lockedUntil, unlockToken };
+}
+
+async function registerSuccessfulLogin({ email, user }) {
+  failureCounts.delete(`email:${email}`);
+
+  if (user.failedLoginAttempts > 0 || user.lockedUntil) {
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { failedLoginAttempts: 0, lockedUntil: null, unlockTokenHash: null },
+    });
+  }
+}
+
+// Clear a lockout using the emailed token. Returns the unlocked user or null.
+async function unlockWithToken(token) {
+  const user = await prisma.user.findUnique({
+    where: { unlockTokenHash: hashToken(token) },
+    select: { id: true, email: true },
+  });
+
+  if (!user) {
+    return null;
+  }
+
+  return unlockUser(user.id);
+}
+
+async function unlockUser(userId) {
+  const user = await prisma.user.update({
+    where: { id: userId },
+    data: { failedLoginAttempts: 0, lockedUntil: null, unlockTokenHash: null },
+    select: { id: true, email: true },
+  });
+
+  failureCounts.delete(`email:${user.email}`);
+  return user;
+}
+
+module.exports = {
+  LOCKOUT_MINUTES,
+  getLoginDelay,
+  getIpRetryAfter,
+  isLocked,
+  registerFailedLogin,
+  registerSuccessfulLogin,
+  unlockWithToken,
+  unlockUser,
+};
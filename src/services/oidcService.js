@@ -0,0 +1,210 @@
+// services/oidc.service.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { oidcConfig } = require('../config/auth0');
+
+const LOGIN_STATE_TTL_MS = 10 * 60 * 1000;
+const MAX_PENDING_LOGINS = 10000;
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+const JWKS_MIN_REFRESH_MS = 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'];
+
+class OidcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'OidcError';
+    this.code = code;
+  }
+}
+
+// Pending logins keyed by the `state` parameter. They only live for the few
+// seconds between the redirect to the provider and the callback. Each is bound
+// to the browser that started it by a cookie holding `browserKey`.
+const pendingLogins = new Map();
+
+let metadataCache = null;
+let jwksCache = null;
+
+function isOidcEnabled() {
+  return Boolean(oidcConfig.issuer && oidcConfig.clientId && oidcConfig.redirectUri);
+}
+
+function issuerUrl() {
+  return oidcConfig.issuer.replace(/\/+$/, '');
+}
+
+async function fetchJson(url, options) {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const detail = body?.error_description || body?.error || response.statusText;
+    throw new OidcError('provider_error', `OIDC provider request failed (${response.status}): ${detail}`);
+  }
+  return body;
+}
+
+// Provider endpoints from the discovery document
+async function getProviderMetadata() {
+  if (metadataCache && metadataCache.expiresAt > Date.now()) {
+    return metadataCache.metadata;
+  }
+
+  const metadata = await fetchJson(`${issuerUrl()}/.well-known/openid-configuration`);
+  metadataCache = { metadata, expiresAt: Date.now() + METADATA_CACHE_MS };
+  return metadata;
+}
+
+// Signing keys, refetched when a token names a key id we have not seen (key rotation)
+async function getSigningKey(kid) {
+  const findKey = () => jwksCache.keys.find(key => !kid || key.kid === kid);
+
+  if (jwksCache) {
+    const cached = findKey();
+    if (cached || Date.now() - jwksCache.fetchedAt < JWKS_MIN_REFRESH_MS) {
+      return cached;
+    }
+  }
+
+  const { jwks_uri: jwksUri } = await getProviderMetadata();
+  const { keys = [] } = await fetchJson(jwksUri);
+  jwksCache = {
+    keys: keys.filter(key => !key.use || key.use === 'sig'),
+    fetchedAt: Date.now(),
+  };
+  return findKey();
+}
+
+function cleanupPendingLogins() {
+  const now = Date.now();
+  for (const [state, login] of pendingLogins) {
+    if (login.expiresAt <= now) pendingLogins.delete(state);
+  }
+}
+
+const hashKey = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+// Start a login: remember state, nonce and PKCE verifier and build the provider URL.
+// The caller stores `browserKey` in a cookie and hands it back to completeAuthorization.
+async function createAuthorizationUrl() {
+  cleanupPendingLogins();
+
+  const metadata = await getProviderMetadata();
+  const state = crypto.randomBytes(24).toString('base64url');
+  const nonce = crypto.randomBytes(24).toString('base64url');
+  const codeVerifier = crypto.randomBytes(48).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  const browserKey = crypto.randomBytes(24).toString('base64url');
+
+  // The login endpoint is public, so drop the oldest pending logins rather than grow without bound
+  while (pendingLogins.size >= MAX_PENDING_LOGINS) {
+    pendingLogins.delete(pendingLogins.keys().next().value);
+  }
+  pendingLogins.set(state, {
+    nonce,
+    codeVerifier,
+    browserKeyHash: hashKey(browserKey),
+    expiresAt: Date.now() + LOGIN_STATE_TTL_MS,
+  });
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: oidcConfig.clientId,
+    redirect_uri: oidcConfig.redirectUri,
+    scope: oidcConfig.scope,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  }).toString();
+
+  return { authorizationUrl: url.toString(), state, browserKey };
+}
+
+async function exchangeCode(code, codeVerifier) {
+  const metadata = await getProviderMetadata();
+
+  return fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: oidcConfig.redirectUri,
+      client_id: oidcConfig.clientId,
+      code_verifier: codeVerifier,
+      ...(oidcConfig.clientSecret && { client_secret: oidcConfig.clientSecret }),
+    }).toString(),
+  });
+}
+
+// Verify an ID token against the provider's published keys
+async function verifyIdToken(idToken, expectedNonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new OidcError('invalid_id_token', 'ID token is malformed');
+  }
+
+  const jwk = await getSigningKey(decoded.header.kid);
+  if (!jwk) {
+    throw new OidcError('invalid_id_token', 'ID token is signed with an unknown key');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: [oidcConfig.issuer, issuerUrl()],
+      audience: oidcConfig.clientId,
+    });
+  } catch (error) {
+    throw new OidcError('invalid_id_token', `ID token verification failed: ${error.message}`);
+  }
+
+  if (claims.nonce !== expectedNonce) {
+    throw new OidcError('invalid_id_token', 'ID token nonce does not match');
+  }
+
+  return claims;
+}
+
+// Finish a login from the callback parameters and return the verified identity.
+// `browserKey` comes from the cookie set when the login started; a callback from
+// another browser (e.g. a victim sent an attacker's callback link) is rejected.
+async function completeAuthorization({ code, state, browserKey }) {
+  const pending = pendingLogins.get(state);
+  pendingLogins.delete(state);
+
+  if (!pending || pending.expiresAt <= Date.now()) {
+    throw new OidcError('invalid_state', 'Login request expired or is unknown. Please start again.');
+  }
+  if (!browserKey || !crypto.timingSafeEqual(hashKey(browserKey), pending.browserKeyHash)) {
+    throw new OidcError('invalid_state', 'Login was started in a different browser. Please start again.');
+  }
+
+  const tokens = await exchangeCode(code, pending.codeVerifier);
+  if (!tokens.id_token) {
+    throw new OidcError('invalid_id_token', 'Provider did not return an ID token');
+  }
+
+  const claims = await verifyIdToken(tokens.id_token, pending.nonce);
+
+  return {
+    issuer: claims.iss,
+    subject: claims.sub,
+    email: claims.email ? claims.email.toLowerCase() : null,
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    firstName: claims.given_name,
+    lastName: claims.family_name,
+  };
+}
+
+module.exports = {
+  LOGIN_STATE_TTL_MS,
+  OidcError,
+  isOidcEnabled,
+  createAuthorizationUrl,
+  completeAuthorization,
+  verifyIdToken,
+};
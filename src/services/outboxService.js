@@ -0,0 +1,269 @@
+// services/outbox.service.js
+//
+// Outgoing email is written to the email_outbox table and sent by a worker loop,
+// so an SMTP outage delays messages instead of losing them. Failed attempts are
+// retried with exponential backoff; once out of attempts the message and its
+// Email row are marked FAILED and staff can retry them through /api/outbox.
+const { PrismaClient } = require('@prisma/client');
+const { sendRichTextEmail } = require('./emailService');
+
+const prisma = new PrismaClient();
+
+const POLL_INTERVAL_MS = Number(process.env.OUTBOX_POLL_INTERVAL_MS) || 5000;
+const MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = Number(process.env.OUTBOX_RETRY_BASE_MS) || 30 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const RETENTION_DAYS = Number(process.env.OUTBOX_RETENTION_DAYS) || 30;
+const BATCH_SIZE = 20;
+// A message still SENDING after this long belongs to a worker that died
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+const CAMPAIGN_COUNTERS = { SENT: 'sentCount', FAILED: 'failedCount', BOUNCED: 'bouncedCount' };
+
+let timer = null;
+let running = false;
+
+// 30s, 1m, 2m, 4m, ... capped at an hour
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+// SMTP 5xx replies are permanent rejections (unknown mailbox, blocked); retrying will not help
+function isPermanentFailure(error) {
+  return Number(error?.responseCode) >= 500 && Number(error?.responseCode) < 600;
+}
+
+/**
+ * Queue a message for the worker. `data` takes the same fields as
+ * sendRichTextEmail, plus `track` to add open/click tracking for the Email row.
+ * Pass `emailId` to have the Email row's status follow the delivery, and a
+ * transaction client as `client` to queue inside a transaction.
+ */
+async function queueEmail(data, { emailId, maxAttempts = MAX_ATTEMPTS } = {}, client = prisma) {
+  const message = await client.emailOutbox.create({
+    data: {
+      emailId,
+      to: data.to,
+      replyTo: data.replyTo,
+      subject: data.subject,
+      htmlBody: data.htmlBody,
+      plainBody: data.plainBody,
+      attachments: data.attachments?.length ? data.attachments : undefined,
+      headers: data.headers,
+      tracked: Boolean(emailId && data.track),
+      maxAttempts,
+    },
+  });
+
+  // Send promptly rather than waiting for the next poll
+  if (timer) setImmediate(() => processOutbox().catch(error => console.error('Outbox run failed:', error)));
+
+  return message;
+}
+
+// Reflect the final outcome on the Email row and, for campaign emails, the recipient
+async function recordOutcome(message, outcome) {
+  if (!message.emailId) return;
+
+  const email = await prisma.email.findUnique({
+    where: { id: message.emailId },
+    select: { id: true, campaignId: true, providerData: true },
+  });
+  if (!email) return;
+
+  if (outcome.status === 'SENT') {
+    await prisma.email.update({
+      where: { id: email.id },
+      data: { status: 'DELIVERED', deliveredAt: outcome.sentAt, messageId: outcome.messageId },
+    });
+  } else {
+    await prisma.email.update({
+      where: { id: email.id },
+      data: {
+        status: outcome.bounced ? 'BOUNCED' : 'FAILED',
+        providerData: {
+          ...(email.providerData || {}),
+          error: outcome.error,
+          responseCode: outcome.responseCode || null,
+          attempts: message.attempts + 1,
+          failedAt: new Date().toISOString(),
+        },
+      },
+    });
+  }
+
+  if (email.campaignId) {
+    const recipient = await prisma.campaignRecipient.findFirst({ where: { emailId: email.id } });
+    const status = outcome.status === 'SENT' ? 'SENT' : outcome.bounced ? 'BOUNCED' : 'FAILED';
+    if (!recipient || recipient.status === status) return;
+
+    // A staff retry can turn an earlier failure into a send
+    const previousCounter = CAMPAIGN_COUNTERS[recipient.status];
+    await prisma.$transaction([
+      prisma.campaignRecipient.update({
+        where: { id: recipient.id },
+        data: { status, error: outcome.error || null, sentAt: outcome.sentAt },
+      }),
+      prisma.emailCampaign.update({
+        where: { id: email.campaignId },
+        data: {
+          [CAMPAIGN_COUNTERS[status]]: { increment: 1 },
+          ...(previousCounter && { [previousCounter]: { decrement: 1 } }),
+        },
+      }),
+    ]);
+  }
+}
+
+async function deliver(message) {
+  try {
+    const result = await sendRichTextEmail({
+      to: message.to,
+      subject: message.subject,
+      htmlBody: message.htmlBody,
+      plainBody: message.plainBody,
+      replyTo: message.replyTo,
+      attachments: message.attachments || [],
+      headers: message.headers || undefined,
+      trackingId: message.tracked ? message.emailId : undefined,
+    });
+
+    const sentAt = new Date();
+    await prisma.emailOutbox.update({
+      where: { id: message.id },
+      data: {
+        status: 'SENT',
+        attempts: { increment: 1 },
+        sentAt,
+        messageId: result?.messageId,
+        lastError: null,
+        lockedAt: null,
+      },
+    });
+    await recordOutcome(message, { status: 'SENT', sentAt, messageId: result?.messageId });
+  } catch (error) {
+    const attempts = message.attempts + 1;
+    const bounced = isPermanentFailure(error);
+    const exhausted = bounced || attempts >= message.maxAttempts;
+
+    await prisma.emailOutbox.update({
+      where: { id: message.id },
+      data: {
+        status: exhausted ? 'FAILED' : 'PENDING',
+        attempts,
+        lastError: error.message,
+        lockedAt: null,
+        ...(!exhausted && { nextAttemptAt: new Date(Date.now() + retryDelay(attempts)) }),
+      },
+    });
+
+    if (exhausted) {
+      console.error(`Outbox message ${message.id} to ${message.to} failed after ${attempts} attempt(s):`, error.message);
+      await recordOutcome(message, { status: 'FAILED', bounced, error: error.message, responseCode: error.responseCode });
+    }
+  }
+}
+
+/**
+ * Send every message that is due. Returns how many were attempted. Only one run
+ * happens at a time within the process; rows are claimed individually so
+ * several processes can share the table.
+ */
+async function processOutbox() {
+  if (running) return 0;
+  running = true;
+
+  try {
+    const now = new Date();
+
+    await prisma.emailOutbox.updateMany({
+      where: { status: 'SENDING', lockedAt: { lt: new Date(now.getTime() - STALE_LOCK_MS) } },
+      data: { status: 'PENDING', lockedAt: null },
+    });
+
+    let attempted = 0;
+    for (;;) {
+      const due = await prisma.emailOutbox.findMany({
+        where: { status: 'PENDING', nextAttemptAt: { lte: new Date() } },
+        orderBy: { nextAttemptAt: 'asc' },
+        take: BATCH_SIZE,
+      });
+      if (due.length === 0) break;
+
+      for (const message of due) {
+        const { count } = await prisma.emailOutbox.updateMany({
+          where: { id: message.id, status: 'PENDING' },
+          data: { status: 'SENDING', lockedAt: new Date() },
+        });
+        if (count === 0) continue; // Claimed elsewhere
+
+        await deliver(message);
+        attempted += 1;
+      }
+    }
+
+    await prisma.emailOutbox.deleteMany({
+      where: { status: 'SENT', sentAt: { lt: new Date(now.getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000) } },
+    });
+
+    return attempted;
+  } finally {
+    running = false;
+  }
+}
+
+function startOutboxWorker() {
+  if (timer) return;
+
+  const tick = async () => {
+    try {
+      await processOutbox();
+    } catch (error) {
+      console.error('Outbox run failed:', error);
+    }
+    if (timer) timer = setTimeout(tick, POLL_INTERVAL_MS);
+  };
+
+  timer = setTimeout(tick, 0);
+  console.log(`📤 Outbox worker started (polling every ${POLL_INTERVAL_MS}ms)`);
+}
+
+function stopOutboxWorker() {
+  if (timer) clearTimeout(timer);
+  timer = null;
+}
+
+// Put failed messages back in the queue with a fresh set of attempts.
+// Returns how many were requeued.
+async function retryMessages(where) {
+  const messages = await prisma.emailOutbox.findMany({
+    where: { ...where, status: 'FAILED' },
+    select: { id: true, emailId: true },
+  });
+  if (messages.length === 0) return 0;
+
+  const emailIds = messages.map(message => message.emailId).filter(Boolean);
+  await prisma.$transaction([
+    prisma.emailOutbox.updateMany({
+      where: { id: { in: messages.map(message => message.id) }, status: 'FAILED' },
+      data: { status: 'PENDING', attempts: 0, nextAttemptAt: new Date(), lastError: null },
+    }),
+    prisma.email.updateMany({
+      where: { id: { in: emailIds } },
+      data: { status: 'SENT' },
+    }),
+  ]);
+
+  if (timer) setImmediate(() => processOutbox().catch(error => console.error('Outbox run failed:', error)));
+  return messages.length;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  retryDelay,
+  queueEmail,
+  processOutbox,
+  startOutboxWorker,
+  stopOutboxWorker,
+  retryMessages,
+};
@@ -0,0 +1,134 @@
+// services/permission.service.js
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Every permission the API checks. Role definitions may only use these keys.
+const PERMISSIONS = {
+  'users:read': 'View client records',
+  'users:write': 'Create and edit client records',
+  'users:delete': 'Move client records to the trash',
+  'clients:all': 'See every client, not only the clients assigned to you',
+  'clients:assign': 'Assign and reassign clients to agents',
+  'pipeline:manage': 'Configure client pipeline stages and transition rules',
+  'tags:manage': 'Rename, merge and delete tags in the tag catalog',
+  'trash:manage': 'Restore and permanently purge deleted records',
+  'customFields:manage': 'Define custom fields for clients and deals',
+  'forms:manage': 'Build forms and publish new form versions',
+  'emailTemplates:manage': 'Create, edit and delete email templates',
+  'campaigns:send': 'Create and send email campaigns to client segments',
+  'deals:read': 'View deals and deal documents',
+  'deals:write': 'Create and edit deals, stages and documents',
+  'documents:approve': 'Change the review status of deal documents',
+  'emails:send': 'Send emails to clients from the CRM',
+  'tasks:write': 'Create and edit tasks',
+  'appointments:write': 'Schedule and edit appointments',
+  'notes:write': 'Create and edit notes',
+  'files:write': 'Upload and delete client files',
+  'db:inspect': 'Use the read-only database inspector',
+  'roles:manage': 'Manage role definitions and permission grants',
+};
+
+// Baseline for each UserRole value. A system Role with the same name in the
+// database overrides these, so admins can tune the baseline without a deploy.
+const DEFAULT_ROLE_PERMISSIONS = {
+  ADMIN: Object.keys(PERMISSIONS),
+  STAFF: [
+    'users:read',
+    'users:write',
+    'deals:read',
+    'deals:write',
+    'documents:approve',
+    'emails:send',
+    'tasks:write',
+    'appointments:write',
+    'notes:write',
+    'files:write',
+  ],
+  CLIENT: [],
+};
+
+const CACHE_TTL_MS = 60 * 1000;
+const permissionCache = new Map();
+
+function isKnownPermission(key) {
+  return Object.prototype.hasOwnProperty.call(PERMISSIONS, key);
+}
+
+// Resolve the effective permissions for a user: baseline for their UserRole,
+// plus any custom roles and direct grants
+async function getUserPermissions(user) {
+  if (user.role === 'SUPERADMIN') {
+    return new Set(Object.keys(PERMISSIONS));
+  }
+
+  const cached = permissionCache.get(user.id);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const [systemRole, assignments, grants] = await Promise.all([
+    prisma.role.findFirst({
+      where: { name: user.role, isSystem: true },
+      include: { permissions: { include: { permission: true } } },
+    }),
+    prisma.userRoleAssignment.findMany({
+      where: { userId: user.id },
+      include: { role: { include: { permissions: { include: { permission: true } } } } },
+    }),
+    prisma.userPermission.findMany({
+      where: { userId: user.id },
+      include: { permission: true },
+    }),
+  ]);
+
+  const permissions = new Set(
+    systemRole
+      ? systemRole.permissions.map(rp => rp.permission.key)
+      : DEFAULT_ROLE_PERMISSIONS[user.role] || []
+  );
+
+  assignments.forEach(assignment => {
+    assignment.role.permissions.forEach(rp => permissions.add(rp.permission.key));
+  });
+  grants.forEach(grant => permissions.add(grant.permission.key));
+
+  permissionCache.set(user.id, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+  return permissions;
+}
+
+async function hasPermission(user, key) {
+  const permissions = await getUserPermissions(user);
+  return permissions.has(key);
+}
+
+// Drop cached permissions after role or grant changes (all users when no id given)
+function invalidatePermissionCache(userId) {
+  if (userId) {
+    permissionCache.delete(userId);
+  } else {
+    permissionCache.clear();
+  }
+}
+
+// Upsert permission rows for the given keys and return their ids
+async function ensurePermissions(keys) {
+  const permissions = await Promise.all(
+    keys.map(key => prisma.permission.upsert({
+      where: { key },
+      update: {},
+      create: { key, description: PERMISSIONS[key] },
+    }))
+  );
+  return permissions.map(permission => permission.id);
+}
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  isKnownPermission,
+  getUserPermissions,
+  hasPermission,
+  invalidatePermissionCache,
+  ensurePermissions,
+};
@@ -0,0 +1,362 @@
+// services/pipeline.service.js
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('./softDeleteService');
+
+const prisma = withSoftDelete(new PrismaClient());
+
+const CLIENT_TYPES = ['BUYER', 'SELLER'];
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Client fields a stage can require before a client may enter it, and what counts as filled in
+const hasText = value => typeof value === 'string' && value.trim() !== '';
+const REQUIRABLE_FIELDS = {
+  phone: user => hasText(user.phone),
+  title: user => hasText(user.title),
+  address: user => hasText(user.address),
+  city: user => hasText(user.city),
+  state: user => hasText(user.state),
+  zipCode: user => hasText(user.zipCode),
+  businessName: user => hasText(user.businessName),
+  leadSource: user => hasText(user.leadSource),
+  agentId: user => Boolean(user.agentId),
+  buyerSellerNDA: user => user.buyerSellerNDA === true,
+  buyerSellerWorksheet: user => user.buyerSellerWorksheet === true,
+  listingAgreement: user => user.listingAgreement === 'YES',
+  bizBuySellId: user => hasText(user.bizBuySellId),
+  bizBenId: user => hasText(user.bizBenId),
+  dealStreamId: user => hasText(user.dealStreamId),
+  businessesForSaleId: user => hasText(user.businessesForSaleId),
+};
+
+// Pipelines created the first time a client type's pipeline is used. Each open
+// stage moves on to the next one or to "Lost"; lost clients can be reopened.
+const DEFAULT_PIPELINES = {
+  SELLER: [
+    { name: 'New Lead', description: 'Seller lead not yet contacted' },
+    { name: 'Contacted', description: 'First conversation held', requiredFields: ['phone'] },
+    { name: 'NDA Signed', description: 'Confidentiality agreement in place', requiredFields: ['buyerSellerNDA'] },
+    { name: 'Valuation', description: 'Financials collected and business being valued', requiredFields: ['businessName'] },
+    { name: 'Listing Agreement', description: 'Listing agreement signed', requiredFields: ['listingAgreement'] },
+    { name: 'Listed', description: 'Business marketed to buyers' },
+    { name: 'Under Contract', description: 'Purchase agreement signed with a buyer' },
+    { name: 'Closed', description: 'Sale completed' },
+    { name: 'Lost', description: 'Seller withdrew or went elsewhere', isLost: true },
+  ],
+  BUYER: [
+    { name: 'New Lead', description: 'Buyer inquiry not yet contacted' },
+    { name: 'Contacted', description: 'First conversation held', requiredFields: ['phone'] },
+    { name: 'NDA Signed', description: 'Confidentiality agreement in place', requiredFields: ['buyerSellerNDA'] },
+    { name: 'Qualified', description: 'Buyer worksheet and financial capability reviewed', requiredFields: ['buyerSellerWorksheet'] },
+    { name: 'Offer Submitted', description: 'Letter of intent or offer submitted' },
+    { name: 'Under Contract', description: 'Purchase agreement signed' },
+    { name: 'Closed', description: 'Purchase completed' },
+    { name: 'Lost', description: 'Buyer stopped searching or went elsewhere', isLost: true },
+  ],
+};
+
+class PipelineError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'PipelineError';
+    this.details = details;
+  }
+}
+
+async function ensureDefaultPipeline(clientType) {
+  const existing = await prisma.pipelineStage.count({ where: { clientType } });
+  if (existing > 0) return;
+
+  await prisma.$transaction(async (tx) => {
+    const stages = [];
+    for (const [index, definition] of DEFAULT_PIPELINES[clientType].entries()) {
+      stages.push(await tx.pipelineStage.create({
+        data: {
+          clientType,
+          name: definition.name,
+          description: definition.description,
+          order: index + 1,
+          requiredFields: definition.requiredFields || [],
+          isLost: definition.isLost || false,
+        },
+      }));
+    }
+
+    const openStages = stages.filter(stage => !stage.isLost);
+    const lostStage = stages.find(stage => stage.isLost);
+    const transitions = [];
+    openStages.forEach((stage, index) => {
+      const next = openStages[index + 1];
+      if (next) transitions.push({ fromStageId: stage.id, toStageId: next.id });
+      if (next && lostStage) transitions.push({ fromStageId: stage.id, toStageId: lostStage.id });
+    });
+    if (lostStage) transitions.push({ fromStageId: lostStage.id, toStageId: openStages[0].id });
+
+    await tx.pipelineTransition.createMany({ data: transitions });
+  });
+
+  console.log(`✅ Created default ${clientType} pipeline`);
+}
+
+function formatStage(stage) {
+  return {
+    id: stage.id,
+    clientType: stage.clientType,
+    name: stage.name,
+    description: stage.description,
+    order: stage.order,
+    requiredFields: stage.requiredFields,
+    isLost: stage.isLost,
+    allowedTransitions: (stage.transitionsFrom || []).map(transition => transition.toStageId),
+    clientCount: stage._count?.clients ?? 0,
+  };
+}
+
+// Ordered stages for a client type, with allowed transitions and client counts
+async function getPipeline(clientType) {
+  await ensureDefaultPipeline(clientType);
+
+  const stages = await prisma.pipelineStage.findMany({
+    where: { clientType },
+    include: {
+      transitionsFrom: { select: { toStageId: true } },
+      _count: { select: { clients: true } },
+    },
+    orderBy: { order: 'asc' },
+  });
+
+  return stages.map(formatStage);
+}
+
+// Where a new client starts: the stage matching `stageName`, else the first open stage
+async function getEntryStage(clientType, stageName) {
+  await ensureDefaultPipeline(clientType);
+
+  if (stageName) {
+    const named = await prisma.pipelineStage.findUnique({
+      where: { clientType_name: { clientType, name: stageName } },
+    });
+    if (named) return named;
+  }
+
+  return prisma.pipelineStage.findFirst({
+    where: { clientType, isLost: false },
+    orderBy: { order: 'asc' },
+  });
+}
+
+function missingRequiredFields(stage, user) {
+  return stage.requiredFields.filter(field => REQUIRABLE_FIELDS[field] && !REQUIRABLE_FIELDS[field](user));
+}
+
+// Move a client to a stage. Clients with no pipeline stage yet may be placed in
+// any stage of their type; after that only configured transitions are allowed.
+async function changeClientStage(userId, toStageId, { performedBy, note } = {}) {
+  const [user, toStage] = await Promise.all([
+    prisma.user.findUnique({ where: { id: userId }, include: { pipelineStage: true } }),
+    prisma.pipelineStage.findUnique({ where: { id: toStageId } }),
+  ]);
+
+  if (!user || user.role !== 'CLIENT') {
+    throw new PipelineError('Client not found');
+  }
+  if (!toStage) {
+    throw new PipelineError('Stage not found');
+  }
+  if (user.clientType && user.clientType !== toStage.clientType) {
+    throw new PipelineError(`Stage "${toStage.name}" belongs to the ${toStage.clientType} pipeline, but this client is a ${user.clientType}`);
+  }
+
+  const fromStage = user.pipelineStage;
+  if (fromStage && fromStage.id === toStage.id) {
+    throw new PipelineError(`Client is already in stage "${toStage.name}"`);
+  }
+
+  if (fromStage) {
+    const transition = await prisma.pipelineTransition.findUnique({
+      where: { fromStageId_toStageId: { fromStageId: fromStage.id, toStageId: toStage.id } },
+    });
+    if (!transition) {
+      throw new PipelineError(`Clients cannot move from "${fromStage.name}" to "${toStage.name}"`);
+    }
+  }
+
+  const missingFields = missingRequiredFields(toStage, user);
+  if (missingFields.length > 0) {
+    throw new PipelineError(`Stage "${toStage.name}" requires: ${missingFields.join(', ')}`, { missingFields });
+  }
+
+  const now = new Date();
+  const timeInStageSeconds = fromStage && user.stageEnteredAt
+    ? Math.round((now.getTime() - user.stageEnteredAt.getTime()) / 1000)
+    : null;
+
+  const [updatedUser, stageChange] = await prisma.$transaction([
+    prisma.user.update({
+      where: { id: userId },
+      data: {
+        clientType: toStage.clientType,
+        pipelineStageId: toStage.id,
+        stage: toStage.name,
+        stageEnteredAt: now,
+      },
+    }),
+    prisma.stageChange.create({
+      data: {
+        userId,
+        clientType: toStage.clientType,
+        fromStageId: fromStage?.id || null,
+        fromStageName: fromStage?.name || user.stage || null,
+        toStageId: toStage.id,
+        toStageName: toStage.name,
+        timeInStageSeconds,
+        note,
+        changedBy: performedBy || 'System',
+        changedAt: now,
+      },
+    }),
+  ]);
+
+  return { user: updatedUser, stageChange, fromStage, toStage };
+}
+
+// Record a new client's entry stage
+async function recordInitialStage(user, stage, performedBy) {
+  return prisma.stageChange.create({
+    data: {
+      userId: user.id,
+      clientType: stage.clientType,
+      toStageId: stage.id,
+      toStageName: stage.name,
+      changedBy: performedBy || 'System',
+      changedAt: user.stageEnteredAt || user.createdAt,
+    },
+  });
+}
+
+async function getStageHistory(userId) {
+  return prisma.stageChange.findMany({
+    where: { userId },
+    orderBy: { changedAt: 'desc' },
+  });
+}
+
+function toDays(seconds) {
+  return Math.round((seconds / DAY_SECONDS) * 10) / 10;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function rate(numerator, denominator) {
+  return denominator > 0 ? Math.round((numerator / denominator) * 1000) / 10 : null;
+}
+
+// Funnel for one client type: per stage, how many clients entered it in the
+// period, how many went on to a later open stage, how many were lost from it,
+// how many are in it now and how long clients spent in it.
+async function getFunnelReport(clientType, { from, to, agentScope } = {}) {
+  const stages = await getPipeline(clientType);
+  const stageById = new Map(stages.map(stage => [stage.id, stage]));
+
+  const changedAt = {};
+  if (from) changedAt.gte = from;
+  if (to) changedAt.lte = to;
+
+  const changes = await prisma.stageChange.findMany({
+    where: {
+      clientType,
+      ...(Object.keys(changedAt).length > 0 && { changedAt }),
+      ...(agentScope && { user: { agentId: agentScope } }),
+    },
+    select: { userId: true, fromStageId: true, toStageId: true, timeInStageSeconds: true, changedAt: true },
+    orderBy: { changedAt: 'asc' },
+  });
+
+  const currentCounts = await prisma.user.groupBy({
+    by: ['pipelineStageId'],
+    where: {
+      role: 'CLIENT',
+      clientType,
+      pipelineStageId: { not: null },
+      ...(agentScope && { agentId: agentScope }),
+    },
+    _count: { _all: true },
+  });
+  const currentByStage = new Map(currentCounts.map(row => [row.pipelineStageId, row._count._all]));
+
+  const changesByUser = new Map();
+  changes.forEach(change => {
+    if (!changesByUser.has(change.userId)) changesByUser.set(change.userId, []);
+    changesByUser.get(change.userId).push(change);
+  });
+
+  const report = stages.map(stage => {
+    let entered = 0;
+    let advanced = 0;
+    let lost = 0;
+
+    changesByUser.forEach(userChanges => {
+      const entryIndex = userChanges.findIndex(change => change.toStageId === stage.id);
+      if (entryIndex === -1) return;
+      entered++;
+
+      const later = userChanges.slice(entryIndex + 1).map(change => stageById.get(change.toStageId)).filter(Boolean);
+      if (later.some(next => !next.isLost && next.order > stage.order)) advanced++;
+      if (userChanges.slice(entryIndex + 1).some(change => change.fromStageId === stage.id && stageById.get(change.toStageId)?.isLost)) lost++;
+    });
+
+    const durations = changes
+      .filter(change => change.fromStageId === stage.id && change.timeInStageSeconds !== null)
+      .map(change => change.timeInStageSeconds);
+
+    return {
+      stageId: stage.id,
+      name: stage.name,
+      order: stage.order,
+      isLost: stage.isLost,
+      current: currentByStage.get(stage.id) || 0,
+      entered,
+      advanced,
+      lost,
+      conversionRate: stage.isLost ? null : rate(advanced, entered),
+      averageDaysInStage: durations.length > 0
+        ? toDays(durations.reduce((total, seconds) => total + seconds, 0) / durations.length)
+        : null,
+      medianDaysInStage: durations.length > 0 ? toDays(median(durations)) : null,
+    };
+  });
+
+  const openStages = report.filter(stage => !stage.isLost);
+  const first = openStages[0];
+  const last = openStages[openStages.length - 1];
+
+  return {
+    clientType,
+    from: from || null,
+    to: to || null,
+    stages: report,
+    overall: {
+      entered: first?.entered || 0,
+      completed: last?.entered || 0,
+      conversionRate: first && last ? rate(last.entered, first.entered) : null,
+    },
+  };
+}
+
+module.exports = {
+  CLIENT_TYPES,
+  REQUIRABLE_FIELDS,
+  DEFAULT_PIPELINES,
+  PipelineError,
+  ensureDefaultPipeline,
+  getPipeline,
+  getEntryStage,
+  changeClientStage,
+  recordInitialStage,
+  getStageHistory,
+  getFunnelReport,
+};
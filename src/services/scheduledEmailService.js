@@ -0,0 +1,223 @@
+// services/scheduledEmail.service.js
+//
+// Send-later for one-to-one emails. A scheduled email is an Email row in DRAFT
+// with scheduledFor set; the dispatcher hands it to the outbox once it is due.
+// Until then it can be edited or cancelled.
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('./softDeleteService');
+const { queueEmail } = require('./outboxService');
+const { createActivity } = require('./activityService');
+const { isVerificationRequired } = require('./emailVerificationService');
+const { isValidTimeZone } = require('../utils/helpers');
+
+const prisma = withSoftDelete(new PrismaClient());
+
+const POLL_INTERVAL_MS = Number(process.env.SCHEDULED_EMAIL_POLL_INTERVAL_MS) || 60 * 1000;
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+const BATCH_SIZE = 50;
+
+let timer = null;
+let running = false;
+
+class ScheduleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScheduleError';
+  }
+}
+
+// Milliseconds the zone is ahead of UTC at the given instant
+function zoneOffset(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric',
+  }).formatToParts(date).map(part => [part.type, Number(part.value)]));
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Turn the requested send time into a Date. Times with an offset or "Z" are
+ * taken as given; a plain local time such as "2026-03-02T09:00" is read in
+ * `timeZone`, so 9am means 9am for the client.
+ */
+function resolveScheduledTime(value, timeZone = DEFAULT_TIMEZONE) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(String(value).trim());
+
+  let date;
+  if (match) {
+    if (!isValidTimeZone(timeZone)) {
+      throw new ScheduleError(`Unknown timezone "${timeZone}"`);
+    }
+    const [, year, month, day, hour, minute, second = '0'] = match;
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+    // Correct with the offset at the first guess, then again in case that crossed a DST change
+    let utc = wallClock - zoneOffset(new Date(wallClock), timeZone);
+    utc = wallClock - zoneOffset(new Date(utc), timeZone);
+    date = new Date(utc);
+  } else {
+    date = new Date(value);
+  }
+
+  if (Number.isNaN(date.getTime())) {
+    throw new ScheduleError('scheduledFor must be an ISO date-time');
+  }
+  if (date <= new Date()) {
+    throw new ScheduleError('scheduledFor must be in the future');
+  }
+  return date;
+}
+
+// The client's zone, falling back to DEFAULT_TIMEZONE
+function clientTimeZone(client) {
+  return isValidTimeZone(client?.timezone) ? client.timezone : DEFAULT_TIMEZONE;
+}
+
+async function failScheduledEmail(email, reason) {
+  await prisma.email.update({
+    where: { id: email.id },
+    data: {
+      status: 'FAILED',
+      providerData: { ...(email.providerData || {}), error: reason, failedAt: new Date().toISOString() },
+    },
+  });
+}
+
+// Move one due email out of DRAFT and into the outbox. Returns false when it was
+// cancelled, moved to a later time or claimed by another process in the meantime.
+async function dispatchEmail(email) {
+  const [sender, recipient] = await Promise.all([
+    prisma.user.findUnique({ where: { id: email.senderId }, select: { email: true } }),
+    prisma.user.findUnique({ where: { id: email.recipientId }, select: { id: true, email: true, isEmailVerified: true } }),
+  ]);
+
+  if (!recipient) {
+    await failScheduledEmail(email, 'Recipient deleted before the scheduled time');
+    return false;
+  }
+
+  // The rule may have been switched on after the email was scheduled
+  if (isVerificationRequired('outbound_email') && !recipient.isEmailVerified) {
+    await failScheduledEmail(email, 'Recipient has not verified their email address');
+    return false;
+  }
+
+  const now = new Date();
+  const dispatched = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.email.updateMany({
+      where: { id: email.id, status: 'DRAFT', scheduledFor: { lte: now } },
+      data: { status: 'SENT', sentAt: now },
+    });
+    if (count === 0) return null;
+
+    // Queue what is stored now, not what was loaded before the claim: an edit
+    // may have been saved in between
+    const claimed = await tx.email.findUnique({ where: { id: email.id } });
+
+    await queueEmail({
+      to: recipient.email,
+      subject: claimed.subject,
+      htmlBody: claimed.htmlBody || claimed.body,
+      plainBody: claimed.body,
+      attachments: claimed.attachments || [],
+      replyTo: sender?.email,
+      track: claimed.trackingEnabled,
+    }, { emailId: claimed.id }, tx);
+
+    return claimed;
+  });
+  if (!dispatched) return false;
+
+  await prisma.user.update({
+    where: { id: recipient.id },
+    data: { lastCommunication: now, lastCommunicationMessage: dispatched.subject },
+  });
+
+  try {
+    await createActivity({
+      type: 'EMAIL_SENT',
+      title: 'Scheduled Email Sent',
+      description: `Email sent: ${dispatched.subject}`,
+      userId: recipient.id,
+      performedBy: dispatched.senderId,
+      metadata: {
+        emailId: dispatched.id,
+        subject: dispatched.subject,
+        scheduledFor: dispatched.scheduledFor,
+        hasAttachments: dispatched.attachments?.length > 0,
+      },
+    });
+  } catch (activityError) {
+    console.error('Failed to create activity:', activityError);
+  }
+
+  return true;
+}
+
+/**
+ * Queue every scheduled email that is due. Returns how many were dispatched.
+ */
+async function dispatchScheduledEmails() {
+  if (running) return 0;
+  running = true;
+
+  try {
+    let dispatched = 0;
+    // Emails that errored stay DRAFT and are retried on the next run, not this one
+    const attempted = [];
+    for (;;) {
+      const due = await prisma.email.findMany({
+        where: { status: 'DRAFT', scheduledFor: { lte: new Date() }, id: { notIn: attempted } },
+        orderBy: { scheduledFor: 'asc' },
+        take: BATCH_SIZE,
+      });
+      if (due.length === 0) break;
+
+      for (const email of due) {
+        attempted.push(email.id);
+        try {
+          if (await dispatchEmail(email)) dispatched += 1;
+        } catch (error) {
+          console.error(`Failed to dispatch scheduled email ${email.id}:`, error);
+        }
+      }
+    }
+    return dispatched;
+  } finally {
+    running = false;
+  }
+}
+
+function startScheduledEmailDispatcher() {
+  if (timer) return;
+
+  const tick = async () => {
+    try {
+      await dispatchScheduledEmails();
+    } catch (error) {
+      console.error('Scheduled email dispatch failed:', error);
+    }
+    if (timer) timer = setTimeout(tick, POLL_INTERVAL_MS);
+  };
+
+  timer = setTimeout(tick, 0);
+  console.log(`⏰ Scheduled email dispatcher started (checking every ${POLL_INTERVAL_MS}ms)`);
+}
+
+function stopScheduledEmailDispatcher() {
+  if (timer) clearTimeout(timer);
+  timer = null;
+}
+
+module.exports = {
+  ScheduleError,
+  resolveScheduledTime,
+  clientTimeZone,
+  dispatchScheduledEmails,
+  startScheduledEmailDispatcher,
+  stopScheduledEmailDispatcher,
+};
@@ -0,0 +1,232 @@
+// services/session.service.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+class SessionError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SessionError';
+    this.code = code;
+  }
+}
+
+// Refresh tokens are opaque random strings; only their SHA-256 is persisted
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Short-lived access token bound to a session via the `sid` claim
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      sid: sessionId,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Create a new session for a user and return the token pair
+async function createSession(user, { userAgent, ipAddress } = {}) {
+  const refreshToken = generateRefreshToken();
+
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashToken(refreshToken),
+      userAgent: userAgent || null,
+      ipAddress: ipAddress || null,
+      expiresAt: refreshExpiry(),
+    },
+  });
+
+  return {
+    session,
+    accessToken: signAccessToken(user, session.id),
+    refreshToken,
+  };
+}
+
+// Exchange a refresh token for a new token pair. The old session is revoked and
+// replaced; presenting an already-rotated token revokes every session of the user.
+async function rotateSession(refreshToken, { userAgent, ipAddress } = {}) {
+  const session = await prisma.session.findUnique({
+    where: { refreshTokenHash: hashToken(refreshToken) },
+    include: {
+      user: {
+        select: {
+          id: true,
+          email: true,
+          role: true,
+          firstName: true,
+          lastName: true,
+          status: true,
+        },
+      },
+    },
+  });
+
+  if (!session) {
+    throw new SessionError('INVALID_REFRESH_TOKEN', 'Refresh token is invalid');
+  }
+
+  if (session.revokedAt) {
+    if (session.revokedReason === 'rotated') {
+      await revokeAllUserSessions(session.userId, 'reuse_detected');
+      console.warn(`⚠️  Refresh token reuse detected for user ${session.userId}; all sessions revoked`);
+    }
+    throw new SessionError('SESSION_REVOKED', 'This session has been revoked. Please login again.');
+  }
+
+  if (session.expiresAt < new Date()) {
+    throw new SessionError('SESSION_EXPIRED', 'Your session has expired. Please login again.');
+  }
+
+  if (session.user.status !== 'ACTIVE') {
+    await revokeSession(session.id, 'account_inactive');
+    throw new SessionError('ACCOUNT_INACTIVE', 'Your account has been deactivated. Please contact support.');
+  }
+
+  const nextRefreshToken = generateRefreshToken();
+
+  const nextSession = await prisma.$transaction(async (tx) => {
+    const created = await tx.session.create({
+      data: {
+        userId: session.userId,
+        refreshTokenHash: hashToken(nextRefreshToken),
+        userAgent: userAgent || session.userAgent,
+        ipAddress: ipAddress || session.ipAddress,
+        expiresAt: refreshExpiry(),
+      },
+    });
+
+    await tx.session.update({
+      where: { id: session.id },
+      data: {
+        revokedAt: new Date(),
+        revokedReason: 'rotated',
+        replacedById: created.id,
+        lastUsedAt: new Date(),
+      },
+    });
+
+    return created;
+  });
+
+  return {
+    user: session.user,
+    session: nextSession,
+    accessToken: signAccessToken(session.user, nextSession.id),
+    refreshToken: nextRefreshToken,
+  };
+}
+
+// Check that the session behind an access token is still usable
+async function isSessionActive(sessionId) {
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    select: { revokedAt: true, expiresAt: true },
+  });
+
+  return Boolean(session && !session.revokedAt && session.expiresAt > new Date());
+}
+
+async function revokeSession(sessionId, reason = 'logout') {
+  const result = await prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+  return result.count;
+}
+
+async function revokeSessionByRefreshToken(refreshToken, reason = 'logout') {
+  const result = await prisma.session.updateMany({
+    where: { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+  return result.count;
+}
+
+// Pass exceptSessionId to keep the caller's own session signed in
+async function revokeAllUserSessions(userId, reason = 'admin', { exceptSessionId } = {}) {
+  const result = await prisma.session.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId && { id: { not: exceptSessionId } }),
+    },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+  return result.count;
+}
+
+// List sessions that can still be refreshed
+async function getActiveSessions(userId) {
+  return prisma.session.findMany({
+    where: {
+      userId,
+      revokedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+    select: {
+      id: true,
+      userAgent: true,
+      ipAddress: true,
+      createdAt: true,
+      lastUsedAt: true,
+      expiresAt: true,
+    },
+    orderBy: { lastUsedAt: 'desc' },
+  });
+}
+
+// Remove expired and long-revoked sessions (optional maintenance function)
+async function cleanupSessions(olderThanDays = 30) {
+  const cutoffDate = new Date();
+  cutoffDate.setDate(cutoffDate.getDate() - olderThanDays);
+
+  const result = await prisma.session.deleteMany({
+    where: {
+      OR: [
+        { expiresAt: { lt: cutoffDate } },
+        { revokedAt: { lt: cutoffDate } },
+      ],
+    },
+  });
+
+  console.log(`Cleaned up ${result.count} old sessions`);
+  return result;
+}
+
+module.exports = {
+  SessionError,
+  hashToken,
+  signAccessToken,
+  createSession,
+  rotateSession,
+  isSessionActive,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeAllUserSessions,
+  getActiveSessions,
+  cleanupSessions,
+};
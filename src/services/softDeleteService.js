@@ -0,0 +1,388 @@
+// services/softDelete.service.js
+const { PrismaClient } = require('@prisma/client');
+const { createActivity } = require('./activityService');
+const { revokeAllUserSessions } = require('./sessionService');
+const { deleteFromCloudinary, getFileInfoFromUrl } = require('../utils/cloudinaryHelper');
+
+// Unfiltered client: the trash has to see deleted rows
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETENTION_DAYS = parseInt(process.env.SOFT_DELETE_RETENTION_DAYS || '30', 10);
+
+const SOFT_DELETE_MODELS = ['user', 'deal', 'dealDocument', 'userFile', 'note', 'task'];
+const FILTERED_OPERATIONS = [
+  'findMany', 'findFirst', 'findFirstOrThrow', 'findUnique', 'findUniqueOrThrow',
+  'count', 'aggregate', 'groupBy',
+  'update', 'updateMany', 'delete', 'deleteMany',
+];
+
+class TrashError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TrashError';
+  }
+}
+
+// Extend a client so reads and writes of soft-deletable models skip deleted rows;
+// an update or delete of a trashed record fails as not found. Queries that name
+// deletedAt in their where clause are left alone, so `deletedAt: { not: null }`
+// reads the trash and `deletedAt: undefined` reaches everything. Nested includes
+// are not filtered; add `where: { deletedAt: null }`. upsert is not filtered
+// either, as it would try to create a row that clashes with the trashed one.
+function withSoftDelete(client) {
+  const query = {};
+  SOFT_DELETE_MODELS.forEach(model => {
+    query[model] = {};
+    FILTERED_OPERATIONS.forEach(operation => {
+      query[model][operation] = ({ args, query: runQuery }) => {
+        const where = args.where || {};
+        if (!Object.prototype.hasOwnProperty.call(where, 'deletedAt')) {
+          args.where = { ...where, deletedAt: null };
+        }
+        return runQuery(args);
+      };
+    });
+  });
+
+  return client.$extends({ query });
+}
+
+// How each trash type is loaded, which client it belongs to and how it is labelled
+const TRASH_TYPES = {
+  user: {
+    model: 'user',
+    select: { id: true, firstName: true, lastName: true, email: true, role: true, deletedAt: true },
+    ownerId: record => record.id,
+    label: record => `${record.firstName} ${record.lastName} (${record.email})`,
+  },
+  deal: {
+    model: 'deal',
+    select: { id: true, name: true, userId: true, deletedAt: true },
+    ownerId: record => record.userId,
+    label: record => record.name,
+  },
+  dealDocument: {
+    model: 'dealDocument',
+    select: { id: true, name: true, fileUrl: true, dealId: true, stageId: true, deletedAt: true, deal: { select: { userId: true, deletedAt: true } } },
+    ownerId: record => record.deal.userId,
+    label: record => record.name,
+  },
+  userFile: {
+    model: 'userFile',
+    select: { id: true, name: true, fileUrl: true, userId: true, deletedAt: true },
+    ownerId: record => record.userId,
+    label: record => record.name,
+  },
+  note: {
+    model: 'note',
+    select: { id: true, content: true, userId: true, deletedAt: true },
+    ownerId: record => record.userId,
+    label: record => record.content.replace(/<[^>]*>/g, '').slice(0, 80),
+  },
+  task: {
+    model: 'task',
+    select: { id: true, title: true, assignedToId: true, deletedAt: true },
+    ownerId: record => record.assignedToId,
+    label: record => record.title,
+  },
+};
+
+function purgeCutoff() {
+  return new Date(Date.now() - RETENTION_DAYS * DAY_MS);
+}
+
+function purgeableAt(deletedAt) {
+  return new Date(deletedAt.getTime() + RETENTION_DAYS * DAY_MS);
+}
+
+async function logActivity(data) {
+  try {
+    await createActivity(data);
+  } catch (activityError) {
+    console.error('Failed to create activity:', activityError);
+  }
+}
+
+// Best effort: remove uploaded files from storage once their rows are purged
+async function deleteStoredFiles(fileUrls) {
+  for (const fileUrl of fileUrls) {
+    if (!fileUrl || fileUrl.startsWith('local://')) continue;
+    try {
+      const fileInfo = getFileInfoFromUrl(fileUrl);
+      if (fileInfo) {
+        await deleteFromCloudinary(fileInfo.publicId);
+      }
+    } catch (cloudinaryError) {
+      console.error('Failed to delete from Cloudinary:', cloudinaryError);
+    }
+  }
+}
+
+// Soft delete a client together with their deals, documents, files, notes and
+// tasks. Everything shares one deletedAt so a restore brings back the same set.
+async function softDeleteUser(userId, { performedBy } = {}) {
+  const deletedAt = new Date();
+
+  const [, deals, documents, files, notes, tasks] = await prisma.$transaction([
+    prisma.user.update({ where: { id: userId }, data: { deletedAt } }),
+    prisma.deal.updateMany({ where: { userId, deletedAt: null }, data: { deletedAt } }),
+    prisma.dealDocument.updateMany({ where: { deal: { userId }, deletedAt: null }, data: { deletedAt } }),
+    prisma.userFile.updateMany({ where: { userId, deletedAt: null }, data: { deletedAt } }),
+    prisma.note.updateMany({ where: { userId, deletedAt: null }, data: { deletedAt } }),
+    prisma.task.updateMany({ where: { assignedToId: userId, deletedAt: null }, data: { deletedAt } }),
+    prisma.apiKey.updateMany({ where: { userId, revokedAt: null }, data: { revokedAt: deletedAt } }),
+  ]);
+
+  await revokeAllUserSessions(userId, 'user_deleted');
+
+  const related = {
+    deals: deals.count,
+    documents: documents.count,
+    files: files.count,
+    notes: notes.count,
+    tasks: tasks.count,
+  };
+
+  await logActivity({
+    type: 'USER_DELETED',
+    title: 'User Deleted',
+    description: `Client moved to trash; can be purged after ${purgeableAt(deletedAt).toISOString().slice(0, 10)}`,
+    userId,
+    performedBy,
+    metadata: { recordType: 'user', recordId: userId, deletedAt, related },
+  });
+
+  return { deletedAt, related };
+}
+
+// Soft delete a deal and its documents
+async function softDeleteDeal(deal, { performedBy } = {}) {
+  const deletedAt = new Date();
+
+  const [, documents] = await prisma.$transaction([
+    prisma.deal.update({ where: { id: deal.id }, data: { deletedAt } }),
+    prisma.dealDocument.updateMany({ where: { dealId: deal.id, deletedAt: null }, data: { deletedAt } }),
+  ]);
+
+  await logActivity({
+    type: 'RECORD_DELETED',
+    title: 'Deal Deleted',
+    description: `Deal "${deal.name}" moved to trash`,
+    userId: deal.userId,
+    performedBy,
+    metadata: { recordType: 'deal', recordId: deal.id, deletedAt, documents: documents.count },
+  });
+
+  return { deletedAt, documents: documents.count };
+}
+
+function formatTrashItem(type, record) {
+  const definition = TRASH_TYPES[type];
+  return {
+    type,
+    id: record.id,
+    label: definition.label(record),
+    ownerId: definition.ownerId(record),
+    deletedAt: record.deletedAt,
+    purgeableAt: purgeableAt(record.deletedAt),
+  };
+}
+
+async function countTrash() {
+  const counts = {};
+  for (const [type, definition] of Object.entries(TRASH_TYPES)) {
+    counts[type] = await prisma[definition.model].count({ where: { deletedAt: { not: null } } });
+  }
+  return counts;
+}
+
+async function listTrash(type, { page = 1, limit = 50 } = {}) {
+  const definition = TRASH_TYPES[type];
+  const where = { deletedAt: { not: null } };
+
+  const [records, total] = await Promise.all([
+    prisma[definition.model].findMany({
+      where,
+      select: definition.select,
+      orderBy: { deletedAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma[definition.model].count({ where }),
+  ]);
+
+  return {
+    items: records.map(record => formatTrashItem(type, record)),
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  };
+}
+
+async function findTrashedRecord(type, id) {
+  const definition = TRASH_TYPES[type];
+  const record = await prisma[definition.model].findUnique({
+    where: { id },
+    select: definition.select,
+  });
+
+  if (!record) {
+    throw new TrashError('Record not found');
+  }
+  if (!record.deletedAt) {
+    throw new TrashError('Record is not deleted');
+  }
+  return record;
+}
+
+// Bring a record back. Restoring a client or deal also restores what was deleted with it.
+async function restoreItem(type, id, { performedBy } = {}) {
+  const record = await findTrashedRecord(type, id);
+  const ownerId = TRASH_TYPES[type].ownerId(record);
+  const { deletedAt } = record;
+  const restore = { deletedAt: null };
+
+  if (type !== 'user') {
+    const owner = await prisma.user.findUnique({ where: { id: ownerId }, select: { deletedAt: true } });
+    if (owner?.deletedAt) {
+      throw new TrashError('The client this belongs to is deleted; restore the client first');
+    }
+  }
+  if (type === 'dealDocument' && record.deal.deletedAt) {
+    throw new TrashError('The deal this document belongs to is deleted; restore the deal first');
+  }
+
+  if (type === 'user') {
+    await prisma.$transaction([
+      prisma.user.update({ where: { id }, data: restore }),
+      prisma.deal.updateMany({ where: { userId: id, deletedAt }, data: restore }),
+      prisma.dealDocument.updateMany({ where: { deal: { userId: id }, deletedAt }, data: restore }),
+      prisma.userFile.updateMany({ where: { userId: id, deletedAt }, data: restore }),
+      prisma.note.updateMany({ where: { userId: id, deletedAt }, data: restore }),
+      prisma.task.updateMany({ where: { assignedToId: id, deletedAt }, data: restore }),
+    ]);
+  } else if (type === 'deal') {
+    await prisma.$transaction([
+      prisma.deal.update({ where: { id }, data: restore }),
+      prisma.dealDocument.updateMany({ where: { dealId: id, deletedAt }, data: restore }),
+    ]);
+  } else {
+    await prisma[TRASH_TYPES[type].model].update({ where: { id }, data: restore });
+  }
+
+  await logActivity({
+    type: 'RECORD_RESTORED',
+    title: 'Record Restored',
+    description: `Restored ${type} "${TRASH_TYPES[type].label(record)}" from trash`,
+    userId: ownerId,
+    performedBy,
+    metadata: { recordType: type, recordId: id, deletedAt },
+  });
+
+  return formatTrashItem(type, record);
+}
+
+// Permanently delete a client and everything that references them
+async function purgeUser(userId) {
+  const [files, documents] = await Promise.all([
+    prisma.userFile.findMany({ where: { userId }, select: { fileUrl: true } }),
+    prisma.dealDocument.findMany({ where: { deal: { userId } }, select: { fileUrl: true } }),
+  ]);
+
+  await prisma.$transaction([
+    prisma.activity.deleteMany({ where: { userId } }),
+    prisma.email.deleteMany({ where: { OR: [{ senderId: userId }, { recipientId: userId }] } }),
+    prisma.task.deleteMany({ where: { OR: [{ assignedToId: userId }, { createdById: userId }] } }),
+    prisma.appointment.deleteMany({ where: { clientId: userId } }),
+    prisma.note.deleteMany({ where: { userId } }),
+    prisma.userTag.deleteMany({ where: { userId } }),
+    prisma.userForm.deleteMany({ where: { userId } }),
+    prisma.deal.deleteMany({ where: { userId } }), // Stages and documents cascade
+    prisma.user.delete({ where: { id: userId } }), // Files, sessions, keys and history cascade
+  ]);
+
+  await deleteStoredFiles([...files, ...documents].map(file => file.fileUrl));
+}
+
+// Permanently delete a trashed record once its retention period has passed
+async function purgeItem(type, id, { performedBy } = {}) {
+  const record = await findTrashedRecord(type, id);
+
+  if (record.deletedAt > purgeCutoff()) {
+    throw new TrashError(`Deleted records are kept for ${RETENTION_DAYS} days; this one can be purged after ${purgeableAt(record.deletedAt).toISOString().slice(0, 10)}`);
+  }
+
+  const ownerId = TRASH_TYPES[type].ownerId(record);
+
+  if (type === 'user') {
+    await purgeUser(id);
+  } else if (type === 'deal') {
+    const documents = await prisma.dealDocument.findMany({ where: { dealId: id }, select: { fileUrl: true } });
+    await prisma.deal.delete({ where: { id } });
+    await deleteStoredFiles(documents.map(document => document.fileUrl));
+  } else {
+    await prisma[TRASH_TYPES[type].model].delete({ where: { id } });
+    if (record.fileUrl) {
+      await deleteStoredFiles([record.fileUrl]);
+    }
+  }
+
+  // A purged client's own timeline is gone, so their purge is logged on the admin
+  const logUserId = type === 'user' ? performedBy : ownerId;
+  if (logUserId && logUserId !== 'System') {
+    await logActivity({
+      type: 'RECORD_PURGED',
+      title: 'Record Purged',
+      description: `Permanently deleted ${type} "${TRASH_TYPES[type].label(record)}"`,
+      userId: logUserId,
+      performedBy,
+      metadata: { recordType: type, recordId: id, deletedAt: record.deletedAt },
+    });
+  }
+
+  return formatTrashItem(type, record);
+}
+
+// Purge everything past the retention period. Clients go first so their
+// records are removed with them rather than one by one.
+async function purgeExpired({ performedBy } = {}) {
+  const cutoff = purgeCutoff();
+  const purged = {};
+  const failed = [];
+
+  for (const [type, definition] of Object.entries(TRASH_TYPES)) {
+    const records = await prisma[definition.model].findMany({
+      where: { deletedAt: { not: null, lte: cutoff } },
+      select: { id: true },
+    });
+
+    purged[type] = 0;
+    for (const { id } of records) {
+      try {
+        await purgeItem(type, id, { performedBy });
+        purged[type]++;
+      } catch (error) {
+        // Already removed along with its client or deal
+        if (error instanceof TrashError && error.message === 'Record not found') continue;
+        console.error(`Failed to purge ${type} ${id}:`, error);
+        failed.push({ type, id, error: error.message });
+      }
+    }
+  }
+
+  return { cutoff, purged, failed };
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  SOFT_DELETE_MODELS,
+  TRASH_TYPES,
+  TrashError,
+  withSoftDelete,
+  softDeleteUser,
+  softDeleteDeal,
+  countTrash,
+  listTrash,
+  restoreItem,
+  purgeItem,
+  purgeExpired,
+};
@@ -0,0 +1,163 @@
+// services/tag.service.js
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const DEFAULT_TAG_COLOR = '#6B7280';
+
+class TagError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TagError';
+  }
+}
+
+// "Hot Lead", "hot-lead" and "hot_lead" are the same tag
+function normalizeTagName(name) {
+  return String(name).trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+}
+
+// Tags for the given names, creating catalog entries for names not seen before.
+// Pass a transaction client as `client` to run inside a transaction.
+async function findOrCreateTags(names, client = prisma) {
+  const byNormalized = new Map();
+  names
+    .map(name => String(name).trim())
+    .filter(Boolean)
+    .forEach(name => {
+      const normalizedName = normalizeTagName(name);
+      if (!byNormalized.has(normalizedName)) byNormalized.set(normalizedName, name);
+    });
+
+  if (byNormalized.size === 0) return [];
+
+  const existing = await client.tag.findMany({
+    where: { normalizedName: { in: [...byNormalized.keys()] } },
+  });
+  const known = new Set(existing.map(tag => tag.normalizedName));
+
+  const created = [];
+  for (const [normalizedName, name] of byNormalized) {
+    if (known.has(normalizedName)) continue;
+    created.push(await client.tag.upsert({
+      where: { normalizedName },
+      update: {},
+      create: { name, normalizedName, color: DEFAULT_TAG_COLOR },
+    }));
+  }
+
+  return [...existing, ...created];
+}
+
+// Link tags to users; links that already exist are left alone. Returns the number added.
+async function addTagsToUsers(userIds, tagIds, client = prisma) {
+  if (userIds.length === 0 || tagIds.length === 0) return 0;
+
+  const result = await client.userTag.createMany({
+    data: userIds.flatMap(userId => tagIds.map(tagId => ({ userId, tagId }))),
+    skipDuplicates: true,
+  });
+  return result.count;
+}
+
+async function removeTagsFromUsers(userIds, tagIds, client = prisma) {
+  const result = await client.userTag.deleteMany({
+    where: { userId: { in: userIds }, tagId: { in: tagIds } },
+  });
+  return result.count;
+}
+
+// Rename a tag. Every user picks up the new name through the link.
+async function renameTag(tagId, name) {
+  const normalizedName = normalizeTagName(name);
+  const clash = await prisma.tag.findUnique({ where: { normalizedName } });
+  if (clash && clash.id !== tagId) {
+    throw new TagError(`Tag "${clash.name}" already exists; merge the tags instead`);
+  }
+
+  return prisma.tag.update({
+    where: { id: tagId },
+    data: { name: name.trim(), normalizedName },
+  });
+}
+
+// Fold the source tags into the target: their users get the target tag and the
+// sources are deleted. Returns how many users gained the target tag.
+async function mergeTags(targetId, sourceIds) {
+  const ids = [...new Set(sourceIds)].filter(id => id !== targetId);
+  if (ids.length === 0) {
+    throw new TagError('Choose at least one other tag to merge');
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const [target, sources] = await Promise.all([
+      tx.tag.findUnique({ where: { id: targetId } }),
+      tx.tag.findMany({ where: { id: { in: ids } } }),
+    ]);
+    if (!target || sources.length !== ids.length) {
+      throw new TagError('Tag not found');
+    }
+
+    const links = await tx.userTag.findMany({
+      where: { tagId: { in: ids } },
+      select: { userId: true },
+    });
+    const userIds = [...new Set(links.map(link => link.userId))];
+
+    const added = await addTagsToUsers(userIds, [targetId], tx);
+    await tx.tag.deleteMany({ where: { id: { in: ids } } });
+
+    return { target, merged: sources, usersAffected: userIds.length, linksAdded: added };
+  });
+}
+
+// Catalog with how many clients carry each tag, limited to an agent's clients if scoped
+async function getTagsWithCounts({ search, agentScope } = {}) {
+  const tags = await prisma.tag.findMany({
+    where: search ? { name: { contains: search, mode: 'insensitive' } } : undefined,
+    include: {
+      _count: {
+        select: {
+          users: { where: { user: { deletedAt: null, ...(agentScope && { agentId: agentScope }) } } },
+        },
+      },
+    },
+    orderBy: { name: 'asc' },
+  });
+
+  return tags.map(({ _count, normalizedName, ...tag }) => ({ ...tag, userCount: _count.users }));
+}
+
+// Tag counts across the users matching a client-list where clause
+async function getTagCountsForUsers(userWhere) {
+  const counts = await prisma.userTag.groupBy({
+    by: ['tagId'],
+    where: { user: { ...userWhere, deletedAt: null } },
+    _count: { _all: true },
+  });
+  if (counts.length === 0) return [];
+
+  const tags = await prisma.tag.findMany({
+    where: { id: { in: counts.map(row => row.tagId) } },
+    select: { id: true, name: true, color: true },
+  });
+  const tagById = new Map(tags.map(tag => [tag.id, tag]));
+
+  return counts
+    .filter(row => tagById.has(row.tagId))
+    .map(row => ({ ...tagById.get(row.tagId), count: row._count._all }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  DEFAULT_TAG_COLOR,
+  TagError,
+  normalizeTagName,
+  findOrCreateTags,
+  addTagsToUsers,
+  removeTagsFromUsers,
+  renameTag,
+  mergeTags,
+  getTagsWithCounts,
+  getTagCountsForUsers,
+};
@@ -0,0 +1,215 @@
+// services/tracking.service.js
+//
+// Open and click tracking for outbound email. sendRichTextEmail adds a 1x1 pixel
+// and routes links through /api/tracking so opens and clicks can be recorded
+// against the Email row. Tracking URLs are signed so they cannot be forged for
+// other emails or turned into an open redirect.
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { createActivity } = require('./activityService');
+
+const prisma = new PrismaClient();
+
+// Transparent 1x1 GIF
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+// Emails that have already failed keep their status when opened
+const READABLE_STATUSES = ['SENT', 'DELIVERED'];
+
+function getBaseUrl() {
+  return process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 3000}`;
+}
+
+function sign(value) {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET)
+    .update(`email-tracking:${value}`)
+    .digest('base64url')
+    .slice(0, 22);
+}
+
+function verify(value, signature) {
+  const expected = Buffer.from(sign(value));
+  const given = Buffer.from(String(signature || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function buildOpenUrl(emailId) {
+  return `${getBaseUrl()}/api/tracking/open/${emailId}?sig=${sign(`open:${emailId}`)}`;
+}
+
+function buildClickUrl(emailId, url) {
+  return `${getBaseUrl()}/api/tracking/click/${emailId}?url=${encodeURIComponent(url)}&sig=${sign(`click:${emailId}:${url}`)}`;
+}
+
+const verifyOpen = (emailId, signature) => verify(`open:${emailId}`, signature);
+const verifyClick = (emailId, url, signature) => verify(`click:${emailId}:${url}`, signature);
+
+/**
+ * Rewrite http(s) links to go through the click redirect and add the open pixel.
+ * Links back to this server (e.g. unsubscribe) and links marked data-notrack are
+ * left alone.
+ */
+function instrumentHtml(html, emailId) {
+  if (!html) return html;
+  const baseUrl = getBaseUrl();
+
+  const linked = html.replace(/<a\b[^>]*>/gi, (tag) => {
+    if (/\sdata-notrack\b/i.test(tag)) return tag;
+
+    return tag.replace(/(\shref\s*=\s*)(["'])(.*?)\2/i, (attribute, prefix, quote, value) => {
+      const url = value.trim().replace(/&amp;/g, '&');
+      if (!/^https?:\/\//i.test(url) || url.startsWith(baseUrl)) return attribute;
+      return `${prefix}${quote}${buildClickUrl(emailId, url).replace(/&/g, '&amp;')}${quote}`;
+    });
+  });
+
+  const pixel = `<img src="${buildOpenUrl(emailId).replace(/&/g, '&amp;')}" width="1" height="1" alt="" style="display:block;width:1px;height:1px;border:0;" />`;
+  return /<\/body>/i.test(linked) ? linked.replace(/<\/body>/i, `${pixel}</body>`) : `${linked}${pixel}`;
+}
+
+async function findTrackedEmail(emailId) {
+  const email = await prisma.email.findUnique({
+    where: { id: emailId },
+    select: { id: true, subject: true, status: true, recipientId: true, campaignId: true, templateId: true, trackingEnabled: true },
+  });
+  return email?.trackingEnabled ? email : null;
+}
+
+// Mark the email read the first time it is opened (or clicked). Returns true for the first open.
+async function markRead(email, now) {
+  const { count } = await prisma.email.updateMany({
+    where: { id: email.id, readAt: null },
+    data: { readAt: now },
+  });
+
+  if (READABLE_STATUSES.includes(email.status)) {
+    await prisma.email.updateMany({
+      where: { id: email.id, status: { in: READABLE_STATUSES } },
+      data: { status: 'READ' },
+    });
+  }
+
+  return count === 1;
+}
+
+// Pixel loads repeat whenever the message is viewed; only the first is logged as an activity
+async function recordOpen(emailId, { userAgent, ip } = {}) {
+  const email = await findTrackedEmail(emailId);
+  if (!email) return;
+
+  const now = new Date();
+  const firstOpen = await markRead(email, now);
+  await prisma.email.update({
+    where: { id: email.id },
+    data: { openCount: { increment: 1 } },
+  });
+
+  if (!firstOpen) return;
+
+  try {
+    await createActivity({
+      type: 'EMAIL_OPENED',
+      title: 'Email Opened',
+      description: `Email opened: ${email.subject}`,
+      userId: email.recipientId,
+      metadata: {
+        emailId: email.id,
+        subject: email.subject,
+        campaignId: email.campaignId,
+        templateId: email.templateId,
+        openedAt: now.toISOString(),
+        userAgent,
+        ip,
+      },
+    });
+  } catch (activityError) {
+    console.error('Failed to create activity:', activityError);
+  }
+}
+
+async function recordClick(emailId, url, { userAgent, ip } = {}) {
+  const email = await findTrackedEmail(emailId);
+  if (!email) return;
+
+  const now = new Date();
+  await markRead(email, now);
+  await prisma.email.updateMany({
+    where: { id: email.id, firstClickedAt: null },
+    data: { firstClickedAt: now },
+  });
+  await prisma.email.update({
+    where: { id: email.id },
+    data: { clickCount: { increment: 1 } },
+  });
+
+  try {
+    await createActivity({
+      type: 'EMAIL_CLICKED',
+      title: 'Email Link Clicked',
+      description: `Link clicked in "${email.subject}": ${url}`,
+      userId: email.recipientId,
+      metadata: {
+        emailId: email.id,
+        subject: email.subject,
+        url,
+        campaignId: email.campaignId,
+        templateId: email.templateId,
+        clickedAt: now.toISOString(),
+        userAgent,
+        ip,
+      },
+    });
+  } catch (activityError) {
+    console.error('Failed to create activity:', activityError);
+  }
+}
+
+const rate = (count, total) => (total ? Math.round((count / total) * 1000) / 10 : 0);
+
+/**
+ * Open and click rates per template over tracked emails that were not
+ * rejected, optionally limited to emails sent in [from, to].
+ */
+async function getTemplateStats({ from, to } = {}) {
+  const groups = await prisma.email.groupBy({
+    by: ['templateId'],
+    where: {
+      templateId: { not: null },
+      trackingEnabled: true,
+      status: { notIn: ['FAILED', 'BOUNCED'] },
+      ...((from || to) && { sentAt: { ...(from && { gte: from }), ...(to && { lte: to }) } }),
+    },
+    _count: { _all: true, readAt: true, firstClickedAt: true },
+  });
+  if (groups.length === 0) return [];
+
+  const templates = await prisma.emailTemplate.findMany({
+    where: { id: { in: groups.map(group => group.templateId) } },
+    select: { id: true, name: true },
+  });
+  const names = new Map(templates.map(template => [template.id, template.name]));
+
+  return groups
+    .map(group => ({
+      templateId: group.templateId,
+      templateName: names.get(group.templateId) || null,
+      sent: group._count._all,
+      opened: group._count.readAt,
+      clicked: group._count.firstClickedAt,
+      openRate: rate(group._count.readAt, group._count._all),
+      clickRate: rate(group._count.firstClickedAt, group._count._all),
+    }))
+    .sort((a, b) => b.sent - a.sent);
+}
+
+module.exports = {
+  PIXEL,
+  buildOpenUrl,
+  buildClickUrl,
+  verifyOpen,
+  verifyClick,
+  instrumentHtml,
+  recordOpen,
+  recordClick,
+  getTemplateStats,
+};
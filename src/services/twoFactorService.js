@@ -0,0 +1,297 @@
+// services/twoFactor.service.js
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { withSoftDelete } = require('./softDeleteService');
+const { hashToken } = require('./sessionService');
+
+const prisma = withSoftDelete(new PrismaClient());
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Healthcare Biz Brokers';
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+const ALLOWED_DRIFT_STEPS = 1; // Accept the previous and next 30s window
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Roles that must have 2FA enabled before they can finish logging in
+const REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || 'SUPERADMIN,ADMIN,STAFF')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+
+function isTwoFactorRequired(role) {
+  return REQUIRED_ROLES.includes(role);
+}
+
+/**
+ * Base32 (RFC 4648) encoding used by authenticator apps
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function base32Decode(encoded) {
+  const clean = encoded.replace(/=+$/, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * HOTP (RFC 4226) for a given counter
+ */
+function generateHotp(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Match a TOTP (RFC 6238) code, allowing for small clock drift. Returns the
+ * time step the code belongs to, or null if it does not match.
+ */
+function matchTotpStep(secret, code, now = Date.now()) {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const currentStep = Math.floor(now / 1000 / PERIOD_SECONDS);
+  for (let drift = -ALLOWED_DRIFT_STEPS; drift <= ALLOWED_DRIFT_STEPS; drift++) {
+    const expected = generateHotp(secret, currentStep + drift);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return currentStep + drift;
+    }
+  }
+  return null;
+}
+
+function verifyTotp(secret, code, now = Date.now()) {
+  return matchTotpStep(secret, code, now) !== null;
+}
+
+// Accept a code once: the step is recorded only if it is newer than the last
+// accepted one, so a code seen by someone else cannot be used again
+async function consumeTotpStep(userId, step) {
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: userId,
+      OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }],
+    },
+    data: { twoFactorLastStep: step },
+  });
+  return count === 1;
+}
+
+/**
+ * Secrets are encrypted at rest with AES-256-GCM
+ */
+function getEncryptionKey() {
+  const keySource = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  return crypto.createHash('sha256').update(String(keySource)).digest();
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+}
+
+function decryptSecret(payload) {
+  const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+function buildOtpAuthUri(secret, accountName) {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').replace(/[\s-]/g, '').toUpperCase();
+}
+
+// Start (or restart) enrollment with a fresh pending secret
+async function beginEnrollment(user) {
+  const secret = base32Encode(crypto.randomBytes(20));
+  const otpauthUrl = buildOtpAuthUri(secret, user.email);
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      twoFactorSecret: encryptSecret(secret),
+      twoFactorEnabled: false,
+      twoFactorRecoveryCodes: [],
+      twoFactorLastStep: null,
+    },
+  });
+
+  // The secret stays on our side: the app renders the QR code from the URI itself
+  return {
+    secret,
+    otpauthUrl,
+  };
+}
+
+// Confirm enrollment with a code from the authenticator app.
+// Returns the plaintext recovery codes, or null if the code is wrong.
+async function confirmEnrollment(userId, code) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { twoFactorSecret: true },
+  });
+
+  const step = user?.twoFactorSecret ? matchTotpStep(decryptSecret(user.twoFactorSecret), code) : null;
+  if (step === null || !(await consumeTotpStep(userId, step))) {
+    return null;
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: {
+      twoFactorEnabled: true,
+      twoFactorEnabledAt: new Date(),
+      twoFactorRecoveryCodes: recoveryCodes.map(c => hashToken(normalizeRecoveryCode(c))),
+    },
+  });
+
+  return recoveryCodes;
+}
+
+// Verify a login code or a one-time recovery code. Recovery codes are removed once used.
+async function verifySecondFactor(userId, { code, recoveryCode }) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { twoFactorEnabled: true, twoFactorSecret: true, twoFactorRecoveryCodes: true },
+  });
+
+  if (!user?.twoFactorEnabled || !user.twoFactorSecret) {
+    return { valid: false };
+  }
+
+  if (code) {
+    const step = matchTotpStep(decryptSecret(user.twoFactorSecret), code);
+    return { valid: step !== null && await consumeTotpStep(userId, step), method: 'totp' };
+  }
+
+  if (recoveryCode) {
+    const hashed = hashToken(normalizeRecoveryCode(recoveryCode));
+    if (!user.twoFactorRecoveryCodes.includes(hashed)) {
+      return { valid: false };
+    }
+
+    // Only one request can spend a code: the write fails if the code is already
+    // gone or another code was spent since we read the list
+    const remaining = user.twoFactorRecoveryCodes.filter(c => c !== hashed);
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id: userId,
+        twoFactorRecoveryCodes: { has: hashed, equals: user.twoFactorRecoveryCodes },
+      },
+      data: { twoFactorRecoveryCodes: remaining },
+    });
+    if (count !== 1) {
+      return { valid: false };
+    }
+
+    return { valid: true, method: 'recovery_code', remainingRecoveryCodes: remaining.length };
+  }
+
+  return { valid: false };
+}
+
+async function regenerateRecoveryCodes(userId) {
+  const recoveryCodes = generateRecoveryCodes();
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: {
+      twoFactorRecoveryCodes: recoveryCodes.map(c => hashToken(normalizeRecoveryCode(c))),
+    },
+  });
+
+  return recoveryCodes;
+}
+
+async function disableTwoFactor(userId) {
+  await prisma.user.update({
+    where: { id: userId },
+    data: {
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorRecoveryCodes: [],
+      twoFactorEnabledAt: null,
+      twoFactorLastStep: null,
+    },
+  });
+}
+
+module.exports = {
+  isTwoFactorRequired,
+  verifyTotp,
+  generateHotp,
+  base32Encode,
+  base32Decode,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+};
@@ -0,0 +1,382 @@
+// services/userFilter.service.js
+const { z } = require('zod');
+const { normalizeTagName } = require('./tagService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class FilterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FilterError';
+  }
+}
+
+// Client fields that can be filtered on, and how
+const FILTER_FIELDS = {
+  stage: { type: 'string' },
+  clientType: { type: 'enum', values: ['BUYER', 'SELLER'] },
+  pipelineStageId: { type: 'string' },
+  leadSource: { type: 'string' },
+  state: { type: 'string' },
+  city: { type: 'string' },
+  agentId: { type: 'string' },
+  listingAgreement: { type: 'enum', values: ['YES', 'NO', 'NA'] },
+  buyerSellerNDA: { type: 'boolean' },
+  buyerSellerWorksheet: { type: 'boolean' },
+  tags: { type: 'tags' },
+  lastCommunication: { type: 'date' },
+  stageEnteredAt: { type: 'date' },
+  createdAt: { type: 'date' },
+};
+
+const OPERATORS = {
+  string: ['eq', 'neq', 'in', 'notIn', 'contains', 'isEmpty', 'isNotEmpty'],
+  enum: ['eq', 'neq', 'in', 'notIn'],
+  boolean: ['eq'],
+  tags: ['hasAny', 'hasAll', 'hasNone'],
+  date: ['before', 'after', 'between', 'olderThanDays', 'withinDays', 'isEmpty', 'isNotEmpty'],
+};
+
+// Operators for admin-defined custom fields (`custom.<key>`), by field type
+const CUSTOM_FIELD_OPERATORS = {
+  TEXT: ['eq', 'neq', 'contains', 'isEmpty', 'isNotEmpty'],
+  SELECT: ['eq', 'neq', 'in', 'notIn', 'isEmpty', 'isNotEmpty'],
+  NUMBER: ['eq', 'gt', 'gte', 'lt', 'lte', 'between', 'isEmpty', 'isNotEmpty'],
+  CURRENCY: ['eq', 'gt', 'gte', 'lt', 'lte', 'between', 'isEmpty', 'isNotEmpty'],
+  DATE: ['before', 'after', 'between', 'withinDays', 'isEmpty', 'isNotEmpty'],
+  MULTISELECT: ['hasAny', 'hasAll', 'hasNone', 'isEmpty', 'isNotEmpty'],
+  BOOLEAN: ['eq'],
+};
+
+const CUSTOM_FIELD_PREFIX = 'custom.';
+
+// Columns the client list can be sorted on. `name` sorts by last then first name.
+const SORTABLE_FIELDS = {
+  name: null,
+  firstName: false,
+  lastName: false,
+  email: false,
+  businessName: true,
+  stage: true,
+  clientType: true,
+  stageEnteredAt: true,
+  state: true,
+  city: true,
+  leadSource: true,
+  listingAgreement: false,
+  buyerSellerNDA: false,
+  buyerSellerWorksheet: false,
+  lastCommunication: true,
+  lastLogin: true,
+  createdAt: false,
+  updatedAt: false,
+};
+
+// Fields are checked when the filter is built, since custom fields are defined at runtime
+const conditionSchema = z.object({
+  field: z.string().min(1),
+  operator: z.string(),
+  value: z.any().optional(),
+});
+
+// A filter is a group of conditions (or nested groups) joined with AND ("all") or OR ("any")
+const filterGroupSchema = z.lazy(() => z.object({
+  match: z.enum(['all', 'any']).default('all'),
+  conditions: z.array(z.union([conditionSchema, filterGroupSchema])).max(50),
+}));
+
+function toArray(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') return value.split(',').map(item => item.trim()).filter(Boolean);
+  return value === undefined || value === null ? [] : [value];
+}
+
+function toDate(value, field) {
+  const date = new Date(value);
+  if (value === undefined || value === null || Number.isNaN(date.getTime())) {
+    throw new FilterError(`${field} needs a valid date`);
+  }
+  return date;
+}
+
+function toDays(value, field) {
+  const days = Number(value);
+  if (!Number.isFinite(days) || days < 0) {
+    throw new FilterError(`${field} needs a number of days`);
+  }
+  return new Date(Date.now() - days * DAY_MS);
+}
+
+function toNumber(value, field) {
+  const number = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(number)) {
+    throw new FilterError(`${field} needs a number`);
+  }
+  return number;
+}
+
+function toBoolean(value, field) {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  throw new FilterError(`${field} needs true or false`);
+}
+
+function buildStringCondition(field, operator, value, definition) {
+  const values = toArray(value);
+
+  if (definition.values) {
+    const invalid = values.find(item => !definition.values.includes(item));
+    if (invalid) {
+      throw new FilterError(`${field} must be one of ${definition.values.join(', ')}`);
+    }
+  }
+
+  switch (operator) {
+    case 'eq': return { [field]: value };
+    case 'neq': return { NOT: { [field]: value } };
+    case 'in': return { [field]: { in: values } };
+    case 'notIn': return { NOT: { [field]: { in: values } } };
+    case 'contains': return { [field]: { contains: String(value), mode: 'insensitive' } };
+    case 'isEmpty': return { OR: [{ [field]: null }, { [field]: '' }] };
+    case 'isNotEmpty': return { AND: [{ NOT: { [field]: null } }, { NOT: { [field]: '' } }] };
+  }
+}
+
+function buildTagCondition(operator, value) {
+  const names = toArray(value).map(normalizeTagName);
+  if (names.length === 0) {
+    throw new FilterError('tags needs at least one tag name');
+  }
+
+  switch (operator) {
+    case 'hasAny': return { tags: { some: { tag: { normalizedName: { in: names } } } } };
+    case 'hasAll': return { AND: names.map(name => ({ tags: { some: { tag: { normalizedName: name } } } })) };
+    case 'hasNone': return { tags: { none: { tag: { normalizedName: { in: names } } } } };
+  }
+}
+
+function buildDateCondition(field, operator, value) {
+  switch (operator) {
+    case 'before': return { [field]: { lt: toDate(value, field) } };
+    case 'after': return { [field]: { gte: toDate(value, field) } };
+    case 'between': {
+      const { from, to } = value || {};
+      return {
+        [field]: {
+          ...(from && { gte: toDate(from, field) }),
+          ...(to && { lte: toDate(to, field) }),
+        },
+      };
+    }
+    // "No contact in 30 days" includes clients that were never contacted
+    case 'olderThanDays': return { OR: [{ [field]: { lt: toDays(value, field) } }, { [field]: null }] };
+    case 'withinDays': return { [field]: { gte: toDays(value, field) } };
+    case 'isEmpty': return { [field]: null };
+    case 'isNotEmpty': return { NOT: { [field]: null } };
+  }
+}
+
+// Custom field values live in CustomFieldValue rows, so every condition is a
+// some/none over the record's values. Negative operators match records without a value.
+function buildCustomFieldCondition(definition, operator, value) {
+  const field = `${CUSTOM_FIELD_PREFIX}${definition.key}`;
+
+  if (!CUSTOM_FIELD_OPERATORS[definition.type].includes(operator)) {
+    throw new FilterError(`Operator "${operator}" is not supported for ${field}`);
+  }
+
+  const has = match => ({ customFieldValues: { some: { definitionId: definition.id, ...match } } });
+  const lacks = match => ({ customFieldValues: { none: { definitionId: definition.id, ...match } } });
+
+  if (operator === 'isEmpty') return lacks({});
+  if (operator === 'isNotEmpty') return has({});
+
+  switch (definition.type) {
+    case 'TEXT':
+    case 'SELECT': {
+      const values = toArray(value);
+      if (definition.type === 'SELECT') {
+        const invalid = values.find(item => !definition.options.includes(item));
+        if (invalid) {
+          throw new FilterError(`${field} must be one of ${definition.options.join(', ')}`);
+        }
+      }
+
+      switch (operator) {
+        case 'eq': return has({ textValue: { equals: String(value), mode: 'insensitive' } });
+        case 'neq': return lacks({ textValue: { equals: String(value), mode: 'insensitive' } });
+        case 'in': return has({ textValue: { in: values } });
+        case 'notIn': return lacks({ textValue: { in: values } });
+        case 'contains': return has({ textValue: { contains: String(value), mode: 'insensitive' } });
+      }
+      break;
+    }
+    case 'NUMBER':
+    case 'CURRENCY': {
+      if (operator === 'between') {
+        const { from, to } = value || {};
+        return has({
+          numberValue: {
+            ...(from !== undefined && { gte: toNumber(from, field) }),
+            ...(to !== undefined && { lte: toNumber(to, field) }),
+          },
+        });
+      }
+      return has({ numberValue: { [operator === 'eq' ? 'equals' : operator]: toNumber(value, field) } });
+    }
+    case 'DATE': {
+      const { [field]: range } = buildDateCondition(field, operator, value);
+      return has({ dateValue: range });
+    }
+    case 'MULTISELECT': {
+      const values = toArray(value);
+      if (values.length === 0) {
+        throw new FilterError(`${field} needs at least one value`);
+      }
+
+      switch (operator) {
+        case 'hasAny': return has({ listValue: { hasSome: values } });
+        case 'hasAll': return has({ listValue: { hasEvery: values } });
+        case 'hasNone': return lacks({ listValue: { hasSome: values } });
+      }
+      break;
+    }
+    case 'BOOLEAN':
+      return has({ booleanValue: toBoolean(value, field) });
+  }
+}
+
+// `fields` are the built-in filterable columns; `customFields` maps custom field
+// keys to their definitions (see customFieldService.getCustomFieldMap)
+function buildCondition({ field, operator, value }, { fields = FILTER_FIELDS, customFields = {} } = {}) {
+  if (field.startsWith(CUSTOM_FIELD_PREFIX)) {
+    const key = field.slice(CUSTOM_FIELD_PREFIX.length);
+    if (!Object.prototype.hasOwnProperty.call(customFields, key)) {
+      throw new FilterError(`Unknown custom field ${field}`);
+    }
+    return buildCustomFieldCondition(customFields[key], operator, value);
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(fields, field)) {
+    throw new FilterError(`Cannot filter on ${field}`);
+  }
+
+  const definition = fields[field];
+
+  if (!OPERATORS[definition.type].includes(operator)) {
+    throw new FilterError(`Operator "${operator}" is not supported for ${field}`);
+  }
+
+  switch (definition.type) {
+    case 'string':
+    case 'enum':
+      return buildStringCondition(field, operator, value, definition);
+    case 'boolean':
+      return { [field]: toBoolean(value, field) };
+    case 'tags':
+      return buildTagCondition(operator, value);
+    case 'date':
+      return buildDateCondition(field, operator, value);
+  }
+}
+
+// Turn a filter group into a Prisma where clause
+function buildFilterWhere(group, options) {
+  const clauses = group.conditions.map(condition =>
+    condition.conditions ? buildFilterWhere(condition, options) : buildCondition(condition, options)
+  );
+
+  if (clauses.length === 0) {
+    return {};
+  }
+  return group.match === 'any' ? { OR: clauses } : { AND: clauses };
+}
+
+// Validate a filter definition (from a request body or a saved filter).
+// Takes the same options as buildFilterWhere.
+function parseFilter(filter, options) {
+  const result = filterGroupSchema.safeParse(filter);
+  if (!result.success) {
+    throw new FilterError(`Invalid filter: ${result.error.errors.map(e => e.message).join(', ')}`);
+  }
+
+  // Build once so bad operators or values are rejected up front
+  buildFilterWhere(result.data, options);
+  return result.data;
+}
+
+// Shorthand for custom fields, e.g. ?custom.specialty=Dental,Vision&custom.accepts_sba=true.
+// Choice fields match any listed value, text matches a substring, other types an exact value.
+function customFieldConditionsFromQuery(query, customFields = {}) {
+  return Object.entries(query)
+    .filter(([param]) => param.startsWith(CUSTOM_FIELD_PREFIX))
+    .map(([field, value]) => {
+      const definition = customFields[field.slice(CUSTOM_FIELD_PREFIX.length)];
+      const operator = {
+        TEXT: 'contains',
+        SELECT: 'in',
+        MULTISELECT: 'hasAny',
+        DATE: 'between',
+      }[definition?.type] || 'eq';
+
+      return { field, operator, value: operator === 'between' ? { from: value, to: value } : value };
+    });
+}
+
+// Shorthand query parameters for the common filters, e.g.
+// ?stage=CLD&state=TX,FL&tags=hot&lastCommunicationOlderThan=30&match=all
+function filterFromQuery(query, { customFields } = {}) {
+  const conditions = [];
+  const add = (field, operator, value) => conditions.push({ field, operator, value });
+
+  if (query.stage) add('stage', 'in', query.stage);
+  if (query.clientType) add('clientType', 'in', query.clientType);
+  if (query.pipelineStageId) add('pipelineStageId', 'in', query.pipelineStageId);
+  if (query.leadSource) add('leadSource', 'in', query.leadSource);
+  if (query.state) add('state', 'in', query.state);
+  if (query.agentId) {
+    if (query.agentId === 'unassigned') add('agentId', 'isEmpty');
+    else add('agentId', 'in', query.agentId);
+  }
+  if (query.listingAgreement) add('listingAgreement', 'in', query.listingAgreement);
+  if (query.nda !== undefined) add('buyerSellerNDA', 'eq', query.nda);
+  if (query.worksheet !== undefined) add('buyerSellerWorksheet', 'eq', query.worksheet);
+  if (query.tags) add('tags', query.tagMatch === 'all' ? 'hasAll' : 'hasAny', query.tags);
+  if (query.lastCommunicationOlderThan) add('lastCommunication', 'olderThanDays', query.lastCommunicationOlderThan);
+  if (query.lastCommunicationWithin) add('lastCommunication', 'withinDays', query.lastCommunicationWithin);
+  if (query.createdFrom || query.createdTo) {
+    add('createdAt', 'between', { from: query.createdFrom, to: query.createdTo });
+  }
+
+  conditions.push(...customFieldConditionsFromQuery(query, customFields));
+
+  return parseFilter({ match: query.match === 'any' ? 'any' : 'all', conditions }, { customFields });
+}
+
+// Prisma orderBy for a sort column; the id tiebreaker keeps cursor pages stable
+function buildOrderBy(sortBy = 'createdAt', sortOrder = 'desc') {
+  if (!Object.prototype.hasOwnProperty.call(SORTABLE_FIELDS, sortBy)) {
+    throw new FilterError(`Cannot sort by ${sortBy}. Sortable columns: ${Object.keys(SORTABLE_FIELDS).join(', ')}`);
+  }
+
+  const order = sortOrder === 'asc' ? 'asc' : 'desc';
+  const columns = sortBy === 'name'
+    ? [{ lastName: order }, { firstName: order }]
+    : [{ [sortBy]: SORTABLE_FIELDS[sortBy] ? { sort: order, nulls: 'last' } : order }];
+
+  return [...columns, { id: order }];
+}
+
+module.exports = {
+  FilterError,
+  FILTER_FIELDS,
+  OPERATORS,
+  CUSTOM_FIELD_OPERATORS,
+  CUSTOM_FIELD_PREFIX,
+  SORTABLE_FIELDS,
+  parseFilter,
+  filterFromQuery,
+  customFieldConditionsFromQuery,
+  buildFilterWhere,
+  buildOrderBy,
+};
@@ -98,6 +98,19 @@ function isValidEmail(email) {
   return emailRegex.test(email);
 }
 
+/**
+ * Validate IANA timezone name (e.g. America/New_York)
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
 /**
  * Validate phone number (US format)
  */
@@ -153,44 +166,6 @@ function generateSlug(text) {
     .trim();
 }
 
-/**
- * Get form name by ID (for the form assignment feature)
- */
-function getFormNameById(formId) {
-  const forms = {
-    'form-1': 'Healthcare Buyer Questionnaire',
-    'form-2': 'Insurance Preference Form',
-    'form-3': 'Provider Selection Form',
-    'form-4': 'Medical History Form',
-    'form-5': 'Coverage Needs Assessment',
-    'form-6': 'Budget Planning Worksheet',
-    'form-7': 'Business Valuation Form',
-    'form-8': 'Financial Disclosure Form',
-    'form-9': 'Legal Documentation Checklist',
-    'form-10': 'Confidentiality Agreement',
-  };
-  
-  return forms[formId] || 'Unknown Form';
-}
-
-/**
- * Get all available forms
- */
-function getAvailableForms() {
-  return [
-    { id: 'form-1', name: 'Healthcare Buyer Questionnaire', category: 'buyer' },
-    { id: 'form-2', name: 'Insurance Preference Form', category: 'buyer' },
-    { id: 'form-3', name: 'Provider Selection Form', category: 'buyer' },
-    { id: 'form-4', name: 'Medical History Form', category: 'buyer' },
-    { id: 'form-5', name: 'Coverage Needs Assessment', category: 'buyer' },
-    { id: 'form-6', name: 'Budget Planning Worksheet', category: 'general' },
-    { id: 'form-7', name: 'Business Valuation Form', category: 'seller' },
-    { id: 'form-8', name: 'Financial Disclosure Form', category: 'seller' },
-    { id: 'form-9', name: 'Legal Documentation Checklist', category: 'general' },
-    { id: 'form-10', name: 'Confidentiality Agreement', category: 'general' },
-  ];
-}
-
 /**
  * Get US states list
  */
@@ -364,14 +339,13 @@ module.exports = {
   formatRelativeTime,
   formatFileSize,
   isValidEmail,
+  isValidTimeZone,
   isValidPhone,
   generateUniqueId,
   sanitizeHtml,
   stripHtml,
   capitalizeWords,
   generateSlug,
-  getFormNameById,
-  getAvailableForms,
   getUSStates,
   formatCurrency,
   parseCurrency,
@@ -0,0 +1,269 @@
+// utils/templateEngine.js - Mustache-style templates for emails
+//
+// Syntax:
+//   {{firstName}}                         merge variable, HTML-escaped
+//   {{agent.firstName}}                   nested value
+//   {{firstName | default: "there"}}      fallback when the value is empty
+//   {{#if businessName}}...{{else}}...{{/if}}
+//   {{#unless phone}}...{{/unless}}
+//   {{#each deals}}{{title}} ({{@index}}){{else}}No deals{{/each}}
+//
+// Inside #each, names resolve against the current item first and then the outer
+// variables; {{this}} is the item itself and @index, @first and @last describe
+// its position.
+
+class TemplateError extends Error {
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'TemplateError';
+    this.line = line;
+  }
+}
+
+const TAG_PATTERN = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+const PATH_PATTERN = /^(?:@index|@first|@last|this(?:\.[A-Za-z_]\w*)*|[A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*)$/;
+const DEFAULT_PATTERN = /^(\S+)\s*\|\s*default:\s*(?:"([^"]*)"|'([^']*)')$/;
+
+function lineAt(source, index) {
+  return source.slice(0, index).split('\n').length;
+}
+
+function parsePath(path, line) {
+  if (!PATH_PATTERN.test(path)) {
+    throw new TemplateError(`Invalid variable "${path}"`, line);
+  }
+  return path;
+}
+
+/**
+ * Parse a template into a tree of text, variable, if and each nodes.
+ * Throws TemplateError for malformed tags or unbalanced blocks.
+ */
+function parseTemplate(source) {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const current = () => {
+    const node = stack[stack.length - 1];
+    return node.inElse ? node.otherwise : node.children;
+  };
+
+  let lastIndex = 0;
+  for (const match of String(source).matchAll(TAG_PATTERN)) {
+    if (match.index > lastIndex) {
+      current().push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + match[0].length;
+
+    const tag = match[1];
+    const line = lineAt(source, match.index);
+    const open = stack[stack.length - 1];
+
+    const block = tag.match(/^#(if|unless|each)\s+(\S+)$/);
+    if (block) {
+      const node = {
+        type: block[1] === 'each' ? 'each' : 'if',
+        negate: block[1] === 'unless',
+        keyword: block[1],
+        path: parsePath(block[2], line),
+        children: [],
+        otherwise: [],
+        line,
+      };
+      current().push(node);
+      stack.push(node);
+      continue;
+    }
+
+    if (tag === 'else') {
+      if (open.type === 'root' || open.inElse) {
+        throw new TemplateError('Unexpected {{else}}', line);
+      }
+      open.inElse = true;
+      continue;
+    }
+
+    const close = tag.match(/^\/(if|unless|each)$/);
+    if (close) {
+      if (open.type === 'root' || open.keyword !== close[1]) {
+        throw new TemplateError(`Unexpected {{/${close[1]}}}`, line);
+      }
+      delete open.inElse;
+      stack.pop();
+      continue;
+    }
+
+    if (tag.startsWith('#') || tag.startsWith('/')) {
+      throw new TemplateError(`Unknown block "${tag}"`, line);
+    }
+
+    const withDefault = tag.match(DEFAULT_PATTERN);
+    current().push({
+      type: 'var',
+      path: parsePath(withDefault ? withDefault[1] : tag, line),
+      fallback: withDefault ? (withDefault[2] ?? withDefault[3]) : undefined,
+      line,
+    });
+  }
+
+  if (stack.length > 1) {
+    const unclosed = stack[stack.length - 1];
+    throw new TemplateError(`Unclosed {{#${unclosed.keyword} ${unclosed.path}}}`, unclosed.line);
+  }
+  if (lastIndex < String(source).length) {
+    root.children.push({ type: 'text', value: String(source).slice(lastIndex) });
+  }
+
+  return root.children;
+}
+
+/**
+ * Top-level variable names a template reads, e.g. ['firstName', 'deals'].
+ * Names used inside #each blocks may be fields of the loop item, so only the
+ * loop's own path is reported for them.
+ */
+function collectVariables(nodes, names = new Set(), inLoop = false) {
+  nodes.forEach(node => {
+    if (node.type === 'text') return;
+
+    const name = node.path.split('.')[0];
+    if (!inLoop && name !== 'this' && !name.startsWith('@')) {
+      names.add(name);
+    }
+
+    if (node.type !== 'var') {
+      collectVariables(node.children, names, inLoop || node.type === 'each');
+      collectVariables(node.otherwise, names, inLoop);
+    }
+  });
+  return names;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const isEmpty = value => value === undefined || value === null || value === ''
+  || (Array.isArray(value) && value.length === 0);
+
+function formatValue(value) {
+  if (value instanceof Date) {
+    return value.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+  }
+  if (Array.isArray(value)) return value.map(formatValue).join(', ');
+  if (typeof value === 'object') return '';
+  return String(value);
+}
+
+// Only own properties are followed, so paths like "name.constructor" cannot reach prototypes
+function walk(value, segments) {
+  return segments.reduce((current, segment) => (
+    current !== null && current !== undefined && Object.prototype.hasOwnProperty.call(current, segment)
+      ? current[segment]
+      : undefined
+  ), value);
+}
+
+// Resolve a path against the loop scopes (innermost first) and then the root variables
+function lookup(path, scopes) {
+  const [head, ...rest] = path.split('.');
+  const loop = scopes.find(scope => scope.loop);
+
+  if (head.startsWith('@')) {
+    return loop ? loop[head.slice(1)] : undefined;
+  }
+  if (head === 'this') {
+    return loop ? walk(loop.item, rest) : undefined;
+  }
+
+  for (const scope of scopes) {
+    const data = scope.loop ? scope.item : scope.data;
+    if (data !== null && typeof data === 'object' && Object.prototype.hasOwnProperty.call(data, head)) {
+      return walk(data[head], rest);
+    }
+  }
+  return undefined;
+}
+
+function renderNodes(nodes, scopes, options, missing) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+
+      case 'var': {
+        const value = lookup(node.path, scopes);
+        if (isEmpty(value)) {
+          if (node.fallback !== undefined) return options.escape ? escapeHtml(node.fallback) : node.fallback;
+          missing.add(node.path);
+          return '';
+        }
+        const text = formatValue(value);
+        return options.escape ? escapeHtml(text) : text;
+      }
+
+      case 'if': {
+        const value = lookup(node.path, scopes);
+        const truthy = !isEmpty(value) && value !== false;
+        const branch = truthy !== node.negate ? node.children : node.otherwise;
+        return renderNodes(branch, scopes, options, missing);
+      }
+
+      case 'each': {
+        const items = lookup(node.path, scopes);
+        if (!Array.isArray(items) || items.length === 0) {
+          return renderNodes(node.otherwise, scopes, options, missing);
+        }
+        return items.map((item, index) => renderNodes(node.children, [
+          { loop: true, item, index, first: index === 0, last: index === items.length - 1 },
+          ...scopes,
+        ], options, missing)).join('');
+      }
+    }
+    return '';
+  }).join('');
+}
+
+/**
+ * Render a template with the given variables. Merge variables are HTML-escaped
+ * unless `escape` is false (e.g. for subject lines). Returns the output and the
+ * variables that printed empty because they had no value and no default.
+ */
+function renderTemplate(source, variables = {}, { escape = true } = {}) {
+  const missing = new Set();
+  const nodes = typeof source === 'string' ? parseTemplate(source) : source;
+  const output = renderNodes(nodes, [{ data: variables }], { escape }, missing);
+  return { output, missing: [...missing] };
+}
+
+/**
+ * Plain-text alternative for an HTML email body.
+ */
+function htmlToText(html) {
+  return String(html)
+    .replace(/<(br|\/p|\/div|\/li|\/h[1-6]|\/tr)\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '- ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+module.exports = {
+  TemplateError,
+  parseTemplate,
+  collectVariables,
+  escapeHtml,
+  renderTemplate,
+  htmlToText,
+};
@@ -0,0 +1,226 @@
+// test/routePermissions.test.js
+//
+// Every route behind enforceRoutePermissions() must have a rule in
+// src/config/permissions.js, and the middleware must let each role through
+// exactly where its rule says. The database is replaced by a small in-memory
+// stand-in and the routers' own handlers are not run: a request that gets past
+// the permission check answers 204.
+//
+//   npm test
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const jwt = require('jsonwebtoken');
+const express = require('express');
+
+process.env.JWT_SECRET = 'route-permissions-test-secret';
+process.env.WEBHOOK_SECRET = 'route-permissions-test-webhook';
+
+const USERS = {
+  superadmin: { id: '00000000-0000-4000-8000-000000000001', role: 'SUPERADMIN' },
+  admin: { id: '00000000-0000-4000-8000-000000000002', role: 'ADMIN' },
+  staff: { id: '00000000-0000-4000-8000-000000000003', role: 'STAFF' },
+  client: { id: '00000000-0000-4000-8000-000000000004', role: 'CLIENT' },
+};
+const OTHER_CLIENT_ID = '00000000-0000-4000-8000-000000000005';
+const PARAM_VALUE = '00000000-0000-4000-8000-0000000000ff';
+
+// Just enough of PrismaClient for authentication and permission lookups: every
+// session is live, users come from USERS, and no custom roles or grants exist
+// (so each role has its built-in permissions).
+function createFakePrisma() {
+  const models = {
+    session: {
+      findUnique: async () => ({ revokedAt: null, expiresAt: new Date(Date.now() + 60 * 60 * 1000) }),
+    },
+    user: {
+      findUnique: async ({ where }) => {
+        const user = Object.values(USERS).find(candidate => candidate.id === where.id);
+        return user ? { ...user, email: `${user.role.toLowerCase()}@example.com`, status: 'ACTIVE' } : null;
+      },
+    },
+  };
+  const emptyModel = new Proxy({}, {
+    get: (_, operation) => async () => (operation === 'findMany' ? [] : null),
+  });
+
+  const client = new Proxy({}, {
+    get(_, property) {
+      if (property === '$extends') return () => client;
+      if (typeof property !== 'string' || property.startsWith('$')) return async () => null;
+      return models[property] || emptyModel;
+    },
+  });
+  return client;
+}
+
+require.cache[require.resolve('@prisma/client')] = {
+  id: '@prisma/client',
+  loaded: true,
+  exports: { PrismaClient: createFakePrisma },
+};
+
+const { routePermissions, findRoutePermission, findUnmappedRoutes, PUBLIC, WEBHOOK } = require('../src/config/permissions');
+const { DEFAULT_ROLE_PERMISSIONS } = require('../src/services/permissionService');
+const { enforceRoutePermissions } = require('../src/middleware/authMiddleware');
+const protectedRouters = require('../src/routes/protectedRouters');
+
+// Mounts whose routes are defined directly in app.js rather than in a router;
+// their rules stand in for the route list
+const APP_MOUNTS = ['/api/email'];
+
+// Every method + path the mounted routers define
+function collectRouterRoutes() {
+  const routes = [];
+  for (const [mountPath, router] of Object.entries(protectedRouters)) {
+    for (const layer of router.stack) {
+      if (!layer.route) continue;
+      for (const method of Object.keys(layer.route.methods)) {
+        routes.push({ mountPath, method: method.toUpperCase(), path: layer.route.path });
+      }
+    }
+  }
+  return routes;
+}
+
+function collectRoutes() {
+  return [
+    ...collectRouterRoutes(),
+    ...APP_MOUNTS.flatMap(mountPath => routePermissions[mountPath]
+      .map(rule => ({ mountPath, method: rule.method, path: rule.path }))),
+  ];
+}
+
+function fillParams(path, values = {}) {
+  return path.replace(/:(\w+)/g, (_, name) => values[name] || PARAM_VALUE);
+}
+
+function tokenFor(user) {
+  return jwt.sign({ id: user.id, sid: `session-${user.role}` }, process.env.JWT_SECRET);
+}
+
+// What the permission map says should happen for a user (or null for no token)
+function expectedStatus(rule, user, ownsRecord) {
+  if (rule.roles === PUBLIC) return 204;
+  if (rule.roles === WEBHOOK) return 401; // No signature sent
+  if (!user) return 401;
+  if (user.role === 'SUPERADMIN') return 204;
+  if (rule.own && user.role === 'CLIENT') return ownsRecord ? 204 : 403;
+  if (rule.permission) {
+    return DEFAULT_ROLE_PERMISSIONS[user.role].includes(rule.permission) ? 204 : 403;
+  }
+  return rule.roles.includes(user.role) ? 204 : 403;
+}
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  for (const [mountPath, router] of Object.entries(protectedRouters)) {
+    app.use(mountPath, enforceRoutePermissions(mountPath, router), (req, res) => res.status(204).end());
+  }
+  for (const mountPath of APP_MOUNTS) {
+    app.use(mountPath, enforceRoutePermissions(mountPath), (req, res) => res.status(204).end());
+  }
+
+  server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+async function request(method, url, { user, headers = {} } = {}) {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: { ...headers, ...(user && { Authorization: `Bearer ${tokenFor(user)}` }) },
+  });
+  return response.status;
+}
+
+test('every mounted router has a permission map and the map has no stale mounts', () => {
+  assert.deepEqual(
+    [...Object.keys(protectedRouters), ...APP_MOUNTS].sort(),
+    Object.keys(routePermissions).sort()
+  );
+});
+
+test('every route has a permission rule', () => {
+  const unmapped = Object.entries(protectedRouters)
+    .flatMap(([mountPath, router]) => findUnmappedRoutes(mountPath, router));
+  assert.deepEqual(unmapped, []);
+});
+
+test('every rule matches a route', () => {
+  const routes = collectRouterRoutes();
+  const stale = Object.keys(protectedRouters).flatMap(mountPath => routePermissions[mountPath]
+    .filter(rule => !routes.some(route =>
+      route.mountPath === mountPath && route.method === rule.method && route.path === rule.path))
+    .map(rule => `${rule.method} ${mountPath}${rule.path}`));
+  assert.deepEqual(stale, []);
+});
+
+test('each role is allowed or denied as its rule says', async () => {
+  const failures = [];
+
+  for (const route of collectRoutes()) {
+    const { rule } = findRoutePermission(route.mountPath, route.method, fillParams(route.path));
+    const cases = [
+      { label: 'anonymous', user: null },
+      ...Object.entries(USERS).map(([label, user]) => ({ label, user })),
+    ];
+
+    // CLIENT routes marked `own` are checked with the client's own id and someone else's
+    if (rule.own) {
+      cases.push({ label: 'client (own record)', user: USERS.client, params: { [rule.own]: USERS.client.id }, ownsRecord: true });
+      cases.push({ label: 'client (other record)', user: USERS.client, params: { [rule.own]: OTHER_CLIENT_ID } });
+    }
+
+    for (const { label, user, params, ownsRecord = false } of cases) {
+      const url = `${route.mountPath}${fillParams(route.path, params)}`;
+      const expected = expectedStatus(rule, user, ownsRecord);
+      const actual = await request(route.method, url, { user });
+      if (actual !== expected) {
+        failures.push(`${route.method} ${url} as ${label}: expected ${expected}, got ${actual}`);
+      }
+    }
+  }
+
+  assert.deepEqual(failures, []);
+});
+
+test('webhook routes accept the shared secret', async () => {
+  const webhooks = collectRoutes().filter(route =>
+    findRoutePermission(route.mountPath, route.method, fillParams(route.path)).rule.roles === WEBHOOK);
+  assert.ok(webhooks.length > 0);
+
+  for (const route of webhooks) {
+    const status = await request(route.method, `${route.mountPath}${fillParams(route.path)}`, {
+      headers: { 'X-Webhook-Signature': process.env.WEBHOOK_SECRET },
+    });
+    assert.equal(status, 204, `${route.method} ${route.mountPath}${route.path}`);
+  }
+});
+
+test('unlisted routes are denied to everyone but SUPERADMIN', async () => {
+  const url = '/api/users/not/a/route';
+  assert.equal(await request('GET', url), 401);
+  assert.equal(await request('GET', url, { user: USERS.admin }), 403);
+  assert.equal(await request('GET', url, { user: USERS.superadmin }), 204);
+});
+
+test('spot checks', async () => {
+  assert.equal(await request('GET', '/api/users', { user: USERS.client }), 403);
+  assert.equal(await request('GET', '/api/users', { user: USERS.staff }), 204);
+  assert.equal(await request('GET', `/api/users/${USERS.client.id}`, { user: USERS.client }), 204);
+  assert.equal(await request('GET', `/api/users/${OTHER_CLIENT_ID}`, { user: USERS.client }), 403);
+  assert.equal(await request('DELETE', `/api/users/${OTHER_CLIENT_ID}`, { user: USERS.staff }), 403);
+  assert.equal(await request('DELETE', `/api/users/${OTHER_CLIENT_ID}`, { user: USERS.admin }), 204);
+  assert.equal(await request('GET', '/api/campaigns/unsubscribe?token=x'), 204);
+});
+
+test('a malformed escape in a path param is denied rather than crashing', async () => {
+  assert.equal(await request('GET', '/api/users/%E0%A4%A', { user: USERS.staff }), 403);
+  assert.equal(await request('GET', '/api/users/%E0%A4%A', { user: USERS.client }), 403);
+});
@@ -0,0 +1,80 @@
+// test/scheduledEmailService.test.js
+//
+// How a requested send time is read: plain local times in the client's zone
+// (including across DST changes and in half-hour zones), explicit offsets as
+// given. The clock is fixed and the database is never touched.
+//
+//   npm test
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = 'scheduled-email-test-secret';
+process.env.DEFAULT_TIMEZONE = 'UTC';
+
+// The service creates Prisma clients when it loads; none of them is used here
+function createFakePrisma() {
+  const client = new Proxy({}, {
+    get: (_, property) => (property === '$extends' ? () => client : undefined),
+  });
+  return client;
+}
+
+require.cache[require.resolve('@prisma/client')] = {
+  id: '@prisma/client',
+  loaded: true,
+  exports: { PrismaClient: createFakePrisma },
+};
+
+const { ScheduleError, resolveScheduledTime, clientTimeZone } = require('../src/services/scheduledEmailService');
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['Date'], now: new Date('2026-10-19T12:00:00Z') });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+test('a local time on the day New York starts DST uses the new offset', () => {
+  // Clocks go from 02:00 EST to 03:00 EDT on 2027-03-14
+  assert.equal(resolveScheduledTime('2027-03-14T09:00', 'America/New_York').toISOString(), '2027-03-14T13:00:00.000Z');
+  assert.equal(resolveScheduledTime('2027-03-14T01:30', 'America/New_York').toISOString(), '2027-03-14T06:30:00.000Z');
+  assert.equal(resolveScheduledTime('2027-03-13T09:00', 'America/New_York').toISOString(), '2027-03-13T14:00:00.000Z');
+});
+
+test('a local time in a half-hour offset zone keeps the half hour', () => {
+  assert.equal(resolveScheduledTime('2027-03-14T09:00', 'Asia/Kolkata').toISOString(), '2027-03-14T03:30:00.000Z');
+  assert.equal(resolveScheduledTime('2027-03-14 09:00:30', 'Asia/Kolkata').toISOString(), '2027-03-14T03:30:30.000Z');
+});
+
+test('times with an offset or Z are taken as given', () => {
+  assert.equal(resolveScheduledTime('2027-03-14T09:00:00Z', 'Asia/Kolkata').toISOString(), '2027-03-14T09:00:00.000Z');
+  assert.equal(resolveScheduledTime('2027-03-14T09:00:00-04:00', 'UTC').toISOString(), '2027-03-14T13:00:00.000Z');
+});
+
+test('an unknown IANA zone is rejected', () => {
+  assert.throws(() => resolveScheduledTime('2027-03-14T09:00', 'America/Atlantis'), {
+    name: 'ScheduleError',
+    message: 'Unknown timezone "America/Atlantis"',
+  });
+  assert.throws(() => resolveScheduledTime('2027-03-14T09:00', 'EST+5'), ScheduleError);
+});
+
+test('unparseable and past times are rejected', () => {
+  assert.throws(() => resolveScheduledTime('next tuesday', 'UTC'), {
+    name: 'ScheduleError',
+    message: 'scheduledFor must be an ISO date-time',
+  });
+  assert.throws(() => resolveScheduledTime('2026-10-19T08:00', 'America/New_York'), {
+    name: 'ScheduleError',
+    message: 'scheduledFor must be in the future',
+  });
+  // 08:30 in New York on the fixed day is 12:30Z, half an hour ahead of the clock
+  assert.equal(resolveScheduledTime('2026-10-19T08:30', 'America/New_York').toISOString(), '2026-10-19T12:30:00.000Z');
+});
+
+test('clientTimeZone falls back to the default for a missing or unknown zone', () => {
+  assert.equal(clientTimeZone({ timezone: 'Asia/Kolkata' }), 'Asia/Kolkata');
+  assert.equal(clientTimeZone({ timezone: 'America/Atlantis' }), 'UTC');
+  assert.equal(clientTimeZone(null), 'UTC');
+});
@@ -0,0 +1,118 @@
+// test/templateEngine.test.js
+//
+// Rendering and parse errors of the email template engine
+// (src/utils/templateEngine.js).
+//
+//   npm test
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TemplateError, renderTemplate, collectVariables, parseTemplate } = require('../src/utils/templateEngine');
+
+test('merge variables are HTML-escaped unless escaping is turned off', () => {
+  const variables = { firstName: `<b>Tom & "Jerry"</b>'s` };
+
+  assert.equal(
+    renderTemplate('Hi {{firstName}}', variables).output,
+    'Hi &lt;b&gt;Tom &amp; &quot;Jerry&quot;&lt;/b&gt;&#39;s'
+  );
+  assert.equal(
+    renderTemplate('Hi {{firstName}}', variables, { escape: false }).output,
+    `Hi <b>Tom & "Jerry"</b>'s`
+  );
+  // Template text itself is never escaped
+  assert.equal(renderTemplate('<p>{{firstName}}</p>', { firstName: 'Ann' }).output, '<p>Ann</p>');
+});
+
+test('default: fills in empty values and is not reported missing', () => {
+  const template = `Hi {{firstName | default: "there"}}, from {{agent.firstName | default: 'your agent'}}`;
+
+  assert.deepEqual(renderTemplate(template, {}), { output: 'Hi there, from your agent', missing: [] });
+  assert.equal(renderTemplate(template, { firstName: '' }).output, 'Hi there, from your agent');
+  assert.equal(
+    renderTemplate(template, { firstName: 'Ann', agent: { firstName: 'Bob' } }).output,
+    'Hi Ann, from Bob'
+  );
+  assert.equal(renderTemplate('{{name | default: "<none>"}}', {}).output, '&lt;none&gt;');
+});
+
+test('empty variables without a default are reported missing', () => {
+  const { output, missing } = renderTemplate('{{firstName}} {{agent.email}}', { firstName: null });
+  assert.equal(output, ' ');
+  assert.deepEqual(missing, ['firstName', 'agent.email']);
+});
+
+test('#if, #unless and else pick a branch by whether the value is empty', () => {
+  const template = '{{#if businessName}}At {{businessName}}{{else}}No business{{/if}}'
+    + '{{#unless phone}}, no phone{{/unless}}';
+
+  assert.equal(renderTemplate(template, { businessName: 'Acme' }).output, 'At Acme, no phone');
+  assert.equal(renderTemplate(template, { businessName: '', phone: '555' }).output, 'No business');
+  assert.equal(renderTemplate('{{#if tags}}tagged{{else}}none{{/if}}', { tags: [] }).output, 'none');
+});
+
+test('nested #each resolves this, @index, @first and @last against the innermost loop', () => {
+  const template = '{{#each deals}}{{@index}}:{{title}}['
+    + '{{#each stages}}{{#if @first}}{{else}},{{/if}}{{@index}}={{this}}/{{title}}{{/each}}'
+    + ']{{#unless @last}}; {{/unless}}{{/each}}';
+  const variables = {
+    deals: [
+      { title: 'House', stages: ['Offer', 'Closing'] },
+      { title: 'Flat', stages: ['Offer'] },
+    ],
+  };
+
+  assert.equal(renderTemplate(template, variables).output, '0:House[0=Offer/House,1=Closing/House]; 1:Flat[0=Offer/Flat]');
+});
+
+test('#each falls back to outer variables and renders its else branch for empty lists', () => {
+  const template = '{{#each deals}}{{this.title}} for {{firstName}}{{else}}No deals{{/each}}';
+
+  assert.equal(renderTemplate(template, { firstName: 'Ann', deals: [{ title: 'House' }] }).output, 'House for Ann');
+  assert.equal(renderTemplate(template, { firstName: 'Ann', deals: [] }).output, 'No deals');
+  assert.equal(renderTemplate(template, { firstName: 'Ann' }).output, 'No deals');
+});
+
+test('collectVariables lists top-level names outside loops only', () => {
+  const nodes = parseTemplate('{{firstName}} {{agent.email}}{{#each deals}}{{title}} {{@index}}{{/each}}{{#if phone}}{{/if}}');
+  assert.deepEqual([...collectVariables(nodes)], ['firstName', 'agent', 'deals', 'phone']);
+});
+
+test('unbalanced and malformed blocks throw TemplateError with the line', () => {
+  const cases = [
+    ['{{#if a}}\n{{#each b}}{{/if}}', 'Unexpected {{/if}} (line 2)'],
+    ['Hello\n{{#each deals}}{{title}}', 'Unclosed {{#each deals}} (line 2)'],
+    ['{{/each}}', 'Unexpected {{/each}} (line 1)'],
+    ['{{else}}', 'Unexpected {{else}} (line 1)'],
+    ['{{#if a}}{{else}}{{else}}{{/if}}', 'Unexpected {{else}} (line 1)'],
+    ['{{#with a}}{{/with}}', 'Unknown block "#with a" (line 1)'],
+    ['{{first name}}', 'Invalid variable "first name" (line 1)'],
+  ];
+
+  for (const [template, message] of cases) {
+    assert.throws(() => renderTemplate(template, {}), error => {
+      assert.ok(error instanceof TemplateError, template);
+      assert.equal(error.message, message);
+      return true;
+    });
+  }
+});
+
+test('paths cannot reach constructor, __proto__ or other inherited properties', () => {
+  const variables = { firstName: 'Ann', deals: [{ title: 'House' }] };
+  const templates = [
+    '{{firstName.constructor}}',
+    '{{firstName.constructor.name}}',
+    '{{constructor}}',
+    '{{__proto__}}',
+    '{{deals.__proto__.constructor}}',
+    '{{#each deals}}{{this.constructor}}{{title.toString}}{{/each}}',
+  ];
+
+  for (const template of templates) {
+    const { output } = renderTemplate(template, variables);
+    assert.equal(output, '', template);
+  }
+  assert.deepEqual(renderTemplate('{{firstName.constructor}}', variables).missing, ['firstName.constructor']);
+  assert.equal(renderTemplate('{{#if constructor}}yes{{else}}no{{/if}}', variables).output, 'no');
+});
@@ -0,0 +1,186 @@
+// test/twoFactorService.test.js
+//
+// TOTP codes against fixed secrets and a fixed clock: the drift window, and
+// that an accepted code (or any older one) cannot be used again. The user row
+// lives in memory in place of the database.
+//
+//   npm test
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = 'two-factor-test-secret';
+
+const USER_ID = '00000000-0000-4000-8000-000000000001';
+let row;
+
+// Only the where clauses the service uses: plain values, OR, lt, has and equals
+function matches(record, where) {
+  return Object.entries(where).every(([field, condition]) => {
+    if (field === 'OR') return condition.some(option => matches(record, option));
+    if (condition === null || typeof condition !== 'object') return record[field] === condition;
+    if ('lt' in condition && !(record[field] !== null && record[field] < condition.lt)) return false;
+    if ('has' in condition && !record[field].includes(condition.has)) return false;
+    if ('equals' in condition && JSON.stringify(record[field]) !== JSON.stringify(condition.equals)) return false;
+    return true;
+  });
+}
+
+function pick(record, select) {
+  return select ? Object.fromEntries(Object.keys(select).map(key => [key, record[key]])) : { ...record };
+}
+
+function createFakePrisma() {
+  const user = {
+    findUnique: async ({ where, select }) => (row && row.id === where.id ? pick(row, select) : null),
+    update: async ({ where, data, select }) => {
+      assert.equal(where.id, row.id);
+      Object.assign(row, data);
+      return pick(row, select);
+    },
+    updateMany: async ({ where, data }) => {
+      if (!matches(row, where)) return { count: 0 };
+      Object.assign(row, data);
+      return { count: 1 };
+    },
+  };
+  const client = new Proxy({}, {
+    get: (_, property) => {
+      if (property === '$extends') return () => client;
+      return property === 'user' ? user : undefined;
+    },
+  });
+  return client;
+}
+
+require.cache[require.resolve('@prisma/client')] = {
+  id: '@prisma/client',
+  loaded: true,
+  exports: { PrismaClient: createFakePrisma },
+};
+
+const {
+  generateHotp,
+  verifyTotp,
+  base32Encode,
+  base32Decode,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+} = require('../src/services/twoFactorService');
+
+// RFC 6238 appendix B: the SHA-1 seed "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const NOW = Date.UTC(2026, 9, 19, 12, 0, 10); // 10s into a 30s step
+const STEP = Math.floor(NOW / 1000 / 30);
+
+beforeEach(() => {
+  row = {
+    id: USER_ID,
+    email: 'staff@example.com',
+    twoFactorEnabled: false,
+    twoFactorSecret: null,
+    twoFactorRecoveryCodes: [],
+    twoFactorLastStep: null,
+  };
+  mock.timers.enable({ apis: ['Date'], now: NOW });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+// Enroll the in-memory user and confirm with the code for `step`
+async function enroll(step = STEP - 1) {
+  const { secret } = await beginEnrollment({ id: USER_ID, email: row.email });
+  const recoveryCodes = await confirmEnrollment(USER_ID, generateHotp(secret, step));
+  assert.ok(recoveryCodes);
+  return { secret, recoveryCodes };
+}
+
+test('base32 round-trips and codes match the RFC 6238 test vectors', () => {
+  assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  assert.equal(base32Decode(RFC_SECRET).toString(), '12345678901234567890');
+
+  // Last six digits of the published 8-digit values
+  assert.equal(generateHotp(RFC_SECRET, Math.floor(59 / 30)), '287082');
+  assert.equal(generateHotp(RFC_SECRET, Math.floor(1111111109 / 30)), '081804');
+  assert.equal(generateHotp(RFC_SECRET, Math.floor(1234567890 / 30)), '005924');
+  assert.ok(verifyTotp(RFC_SECRET, '287082', 59 * 1000));
+  assert.ok(verifyTotp(RFC_SECRET, '081 804', 1111111109 * 1000));
+});
+
+test('codes one step either side of the clock are accepted, two steps are not', () => {
+  for (const drift of [-1, 0, 1]) {
+    assert.ok(verifyTotp(RFC_SECRET, generateHotp(RFC_SECRET, STEP + drift), NOW), `drift ${drift}`);
+  }
+  for (const drift of [-2, 2]) {
+    assert.ok(!verifyTotp(RFC_SECRET, generateHotp(RFC_SECRET, STEP + drift), NOW), `drift ${drift}`);
+  }
+  assert.ok(!verifyTotp(RFC_SECRET, '12345', NOW));
+  assert.ok(!verifyTotp(RFC_SECRET, 'abcdef', NOW));
+  assert.ok(!verifyTotp(RFC_SECRET, '', NOW));
+});
+
+test('enrollment records the step of the confirming code', async () => {
+  const { secret } = await beginEnrollment({ id: USER_ID, email: row.email });
+  assert.notEqual(row.twoFactorSecret, secret); // Stored encrypted
+
+  assert.equal(await confirmEnrollment(USER_ID, generateHotp(secret, STEP + 2)), null);
+  assert.equal(row.twoFactorEnabled, false);
+
+  const recoveryCodes = await confirmEnrollment(USER_ID, generateHotp(secret, STEP));
+  assert.equal(recoveryCodes.length, 10);
+  assert.equal(row.twoFactorEnabled, true);
+  assert.equal(row.twoFactorLastStep, STEP);
+});
+
+test('the code that confirmed enrollment cannot be replayed at login', async () => {
+  const { secret } = await enroll(STEP);
+
+  assert.deepEqual(await verifySecondFactor(USER_ID, { code: generateHotp(secret, STEP) }), { valid: false, method: 'totp' });
+});
+
+test('a login code works once, and older codes in the window stop working', async () => {
+  const { secret } = await enroll(STEP - 1);
+  const current = generateHotp(secret, STEP);
+
+  assert.deepEqual(await verifySecondFactor(USER_ID, { code: current }), { valid: true, method: 'totp' });
+  assert.equal(row.twoFactorLastStep, STEP);
+
+  // Replayed within the same 30s window
+  assert.equal((await verifySecondFactor(USER_ID, { code: current })).valid, false);
+  // Still inside the drift window, but older than the accepted one
+  assert.equal((await verifySecondFactor(USER_ID, { code: generateHotp(secret, STEP - 1) })).valid, false);
+  // The next step is fresh
+  assert.equal((await verifySecondFactor(USER_ID, { code: generateHotp(secret, STEP + 1) })).valid, true);
+  assert.equal(row.twoFactorLastStep, STEP + 1);
+});
+
+test('the same code sent twice at once is accepted once', async () => {
+  const { secret } = await enroll(STEP - 1);
+  const code = generateHotp(secret, STEP);
+
+  const results = await Promise.all([
+    verifySecondFactor(USER_ID, { code }),
+    verifySecondFactor(USER_ID, { code }),
+  ]);
+  assert.deepEqual(results.map(result => result.valid).sort(), [false, true]);
+});
+
+test('recovery codes work once, even when sent twice at once', async () => {
+  const { recoveryCodes } = await enroll();
+  const [first, second] = recoveryCodes;
+
+  const results = await Promise.all([
+    verifySecondFactor(USER_ID, { recoveryCode: first }),
+    verifySecondFactor(USER_ID, { recoveryCode: first.toLowerCase() }),
+  ]);
+  assert.deepEqual(results.map(result => result.valid).sort(), [false, true]);
+  assert.equal(row.twoFactorRecoveryCodes.length, 9);
+
+  assert.deepEqual(
+    await verifySecondFactor(USER_ID, { recoveryCode: second.replace('-', '') }),
+    { valid: true, method: 'recovery_code', remainingRecoveryCodes: 8 }
+  );
+  assert.equal((await verifySecondFactor(USER_ID, { recoveryCode: first })).valid, false);
+});